@@ -0,0 +1,52 @@
+/**
+ * Manage keys for the public REST API (/api/v1)
+ *
+ *   node api-keys.js create <name> [requests-per-minute]
+ *   node api-keys.js list
+ *   node api-keys.js disable <id>
+ *   node api-keys.js enable <id>
+ */
+
+const DatabaseStorage = require('./database-storage');
+const apiKeys = require('./utils/api-keys');
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const storage = new DatabaseStorage();
+
+    if (command === 'create' && args[0]) {
+        const rateLimit = args[1] ? parseInt(args[1], 10) : null;
+        if (args[1] && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+            throw new Error('Requests per minute must be a positive integer');
+        }
+
+        const { key, hash, prefix } = apiKeys.generate();
+        const created = await storage.createApiKey(args[0], hash, prefix, rateLimit);
+        if (!created) throw new Error('Could not create the key');
+
+        console.log(`✅ Created API key #${created.id} for ${created.name}`);
+        console.log(`   ${key}`);
+        console.log('   Store it now - only a hash is kept, so it cannot be shown again.');
+    } else if (command === 'list') {
+        const keys = await storage.getApiKeys();
+        if (keys.length === 0) console.log('No API keys yet');
+        for (const key of keys) {
+            console.log(`#${key.id} ${key.keyPrefix}… ${key.name} - ${key.enabled ? 'enabled' : 'disabled'}, ` +
+                `${key.rateLimitPerMinute || 'default'} req/min, last used ${key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never'}`);
+        }
+    } else if ((command === 'disable' || command === 'enable') && args[0]) {
+        const updated = await storage.setApiKeyEnabled(parseInt(args[0], 10), command === 'enable');
+        if (!updated) throw new Error(`No API key #${args[0]}`);
+        console.log(`✅ API key #${updated.id} (${updated.name}) ${command}d`);
+    } else {
+        console.log('Usage: node api-keys.js create <name> [requests-per-minute] | list | disable <id> | enable <id>');
+        process.exit(1);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,303 @@
+/**
+ * Public REST API, version 1
+ * Read-only access to the sales, listings, mints and floor prices the bot has recorded.
+ * Everything is served from the history tables - no marketplace calls - behind per-key
+ * authentication and per-key rate limits. Mounted at /api/v1 by web-interface.js.
+ */
+
+const express = require('express');
+const config = require('./config');
+const apiKeys = require('./utils/api-keys');
+
+const DEFAULT_PAGE_SIZE = 25;
+const KEY_CACHE_MS = 60 * 1000; // Disabled keys stop working within a minute
+const MISS_CACHE_SIZE = 1000; // Unknown keys remembered, so repeats skip the database
+const FAILED_AUTH_PER_MINUTE = 10; // Per IP, before further attempts get 429
+
+function sendError(res, status, code, message) {
+    return res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Parse a from/to query value
+ * @param {string|undefined} value - ISO 8601 date, or a unix timestamp in seconds or milliseconds
+ * @returns {Date|null|undefined} Date, null when not provided, undefined when invalid
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const date = /^\d+$/.test(value)
+        ? new Date(Number(value) < 1e12 ? Number(value) * 1000 : Number(value))
+        : new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Shared paging and time-range query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { options, error } - options for the storage history methods
+ */
+function parseListQuery(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : Number(query.page_size);
+    const from = parseTime(query.from);
+    const to = parseTime(query.to);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > config.API_MAX_PAGE_SIZE) {
+        return { error: `page_size must be between 1 and ${config.API_MAX_PAGE_SIZE}` };
+    }
+    if (from === undefined || to === undefined) {
+        return { error: 'from and to must be ISO 8601 dates or unix timestamps' };
+    }
+    if (from && to && from > to) {
+        return { error: 'from must be before to' };
+    }
+
+    const options = { page, pageSize, from, to };
+    if (query.serial !== undefined) {
+        const serial = Number(query.serial);
+        if (!Number.isInteger(serial) || serial < 1) return { error: 'serial must be a positive integer' };
+        options.serialNumber = serial;
+    }
+    return { options };
+}
+
+function pagination(options, total) {
+    return {
+        page: options.page,
+        page_size: options.pageSize,
+        total,
+        total_pages: Math.ceil(total / options.pageSize)
+    };
+}
+
+function serializeSale(row) {
+    return {
+        id: row.saleId,
+        token_id: row.tokenId,
+        serial_number: row.serialNumber,
+        nft_name: row.nftName,
+        collection_name: row.collectionName,
+        marketplace: row.marketplace,
+        sale_type: row.saleType,
+        price: row.price,
+        payment_symbol: row.paymentSymbol,
+        payment_token_id: row.paymentTokenId,
+        usd_value: row.usdValue,
+        buyer: row.buyer,
+        seller: row.seller,
+        rarity_rank: row.rarityRank,
+        transaction_id: row.transactionId,
+        timestamp: row.soldAt
+    };
+}
+
+function serializeListing(row) {
+    return {
+        id: row.listingId,
+        token_id: row.tokenId,
+        serial_number: row.serialNumber,
+        nft_name: row.nftName,
+        collection_name: row.collectionName,
+        marketplace: row.marketplace,
+        sale_type: row.saleType,
+        price: row.price,
+        payment_symbol: row.paymentSymbol,
+        payment_token_id: row.paymentTokenId,
+        usd_value: row.usdValue,
+        seller: row.seller,
+        rarity_rank: row.rarityRank,
+        timestamp: row.listedAt
+    };
+}
+
+function serializeMint(row) {
+    return {
+        id: row.mintId,
+        token_id: row.tokenId,
+        serial_number: row.serialNumber,
+        nft_name: row.nftName,
+        collection_name: row.collectionName,
+        minter: row.minter,
+        price: row.price,
+        payment_symbol: row.paymentSymbol,
+        transaction_id: row.transactionId,
+        timestamp: row.mintedAt
+    };
+}
+
+function serializeFloor(row) {
+    return {
+        price_hbar: row.priceHbar,
+        marketplace: row.marketplace,
+        timestamp: row.recordedAt
+    };
+}
+
+/**
+ * Build the /api/v1 router
+ * @param {DatabaseStorage} storage - Initialized storage
+ * @returns {express.Router} Router
+ */
+function createApiRouter(storage) {
+    const router = express.Router();
+    const keyCache = new Map(); // key hash -> { key, fetchedAt, markedAt }, usable keys only
+    const missCache = new Map(); // key hash -> checkedAt, unknown or disabled keys
+    const failedAuth = new Map(); // ip -> { start, count }
+    let sweptAt = Date.now();
+
+    // Drop expired entries so the maps only hold the last minute of traffic
+    function sweep(now) {
+        if (now - sweptAt < KEY_CACHE_MS) return;
+        sweptAt = now;
+        for (const [hash, cached] of keyCache) {
+            if (now - cached.fetchedAt > KEY_CACHE_MS) keyCache.delete(hash);
+        }
+        for (const [hash, checkedAt] of missCache) {
+            if (now - checkedAt > KEY_CACHE_MS) missCache.delete(hash);
+        }
+        for (const [ip, window] of failedAuth) {
+            if (now - window.start >= KEY_CACHE_MS) failedAuth.delete(ip);
+        }
+    }
+
+    function rememberMiss(hash, now) {
+        missCache.delete(hash);
+        if (missCache.size >= MISS_CACHE_SIZE) {
+            missCache.delete(missCache.keys().next().value); // Oldest first
+        }
+        missCache.set(hash, now);
+    }
+
+    function recordFailedAuth(ip, now) {
+        let window = failedAuth.get(ip);
+        if (!window || now - window.start >= KEY_CACHE_MS) {
+            window = { start: now, count: 0 };
+            failedAuth.set(ip, window);
+        }
+        window.count++;
+    }
+
+    // CORS for the websites listed in API_CORS_ORIGINS
+    router.use((req, res, next) => {
+        const origin = req.headers.origin;
+        const allowAny = config.API_CORS_ORIGINS.includes('*');
+        if (origin && (allowAny || config.API_CORS_ORIGINS.includes(origin))) {
+            res.set('Access-Control-Allow-Origin', allowAny ? '*' : origin);
+            res.set('Vary', 'Origin');
+            res.set('Access-Control-Allow-Headers', 'Authorization, X-API-Key');
+            res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        }
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+        next();
+    });
+
+    // Per-key authentication and rate limiting
+    router.use(async (req, res, next) => {
+        const now = Date.now();
+        sweep(now);
+
+        const header = req.headers.authorization || '';
+        const rawKey = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.headers['x-api-key'] || '').trim();
+        if (!rawKey) {
+            return sendError(res, 401, 'unauthorized', 'Provide an API key in the Authorization header (Bearer) or X-API-Key');
+        }
+
+        const hash = apiKeys.hash(rawKey);
+        let cached = keyCache.get(hash);
+        if (!cached || now - cached.fetchedAt > KEY_CACHE_MS) {
+            // Keys already in the cache keep working; only lookups are refused after repeated failures
+            const failures = failedAuth.get(req.ip);
+            if (failures && now - failures.start < KEY_CACHE_MS && failures.count >= FAILED_AUTH_PER_MINUTE) {
+                res.set('Retry-After', String(Math.max(1, Math.ceil((failures.start + KEY_CACHE_MS - now) / 1000))));
+                return sendError(res, 429, 'rate_limited', 'Too many failed authentication attempts, try again later');
+            }
+
+            const missedAt = missCache.get(hash);
+            const key = missedAt && now - missedAt <= KEY_CACHE_MS ? null : await storage.getApiKeyByHash(hash);
+            if (!key || !key.enabled) {
+                keyCache.delete(hash);
+                if (!missedAt || now - missedAt > KEY_CACHE_MS) rememberMiss(hash, now);
+                recordFailedAuth(req.ip, now);
+                return sendError(res, 401, 'unauthorized', 'Invalid or disabled API key');
+            }
+            missCache.delete(hash);
+            cached = { key, fetchedAt: now, markedAt: cached ? cached.markedAt : 0 };
+            keyCache.set(hash, cached);
+        }
+
+        const limit = apiKeys.consume(cached.key.id, cached.key.rateLimitPerMinute || config.API_RATE_LIMIT_PER_MINUTE);
+        res.set('X-RateLimit-Limit', String(limit.limit));
+        res.set('X-RateLimit-Remaining', String(limit.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(limit.resetAt / 1000)));
+        if (!limit.allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((limit.resetAt - now) / 1000))));
+            return sendError(res, 429, 'rate_limited', 'Too many requests, slow down');
+        }
+
+        // last_used_at only needs minute precision
+        if (now - cached.markedAt > KEY_CACHE_MS) {
+            cached.markedAt = now;
+            storage.markApiKeyUsed(cached.key.id);
+        }
+        next();
+    });
+
+    router.param('tokenId', (req, res, next, tokenId) => {
+        if (!/^0\.0\.\d+$/.test(tokenId)) {
+            return sendError(res, 400, 'invalid_token_id', 'Token IDs look like 0.0.123456');
+        }
+        next();
+    });
+
+    router.get('/collections/:tokenId/sales', async (req, res) => {
+        const { options, error } = parseListQuery(req.query);
+        if (error) return sendError(res, 400, 'invalid_query', error);
+        options.buyer = req.query.buyer || null;
+        options.seller = req.query.seller || null;
+
+        const { rows, total } = await storage.getSaleHistory(req.params.tokenId, options);
+        res.json({ token_id: req.params.tokenId, data: rows.map(serializeSale), pagination: pagination(options, total) });
+    });
+
+    router.get('/collections/:tokenId/listings', async (req, res) => {
+        const { options, error } = parseListQuery(req.query);
+        if (error) return sendError(res, 400, 'invalid_query', error);
+        options.seller = req.query.seller || null;
+
+        const { rows, total } = await storage.getListingHistory(req.params.tokenId, options);
+        res.json({ token_id: req.params.tokenId, data: rows.map(serializeListing), pagination: pagination(options, total) });
+    });
+
+    router.get('/collections/:tokenId/mints', async (req, res) => {
+        const { options, error } = parseListQuery(req.query);
+        if (error) return sendError(res, 400, 'invalid_query', error);
+
+        const { rows, total } = await storage.getMintHistory(req.params.tokenId, options);
+        res.json({ token_id: req.params.tokenId, data: rows.map(serializeMint), pagination: pagination(options, total) });
+    });
+
+    router.get('/collections/:tokenId/floor', async (req, res) => {
+        const { options, error } = parseListQuery(req.query);
+        if (error) return sendError(res, 400, 'invalid_query', error);
+
+        const [latest, { rows, total }] = await Promise.all([
+            storage.getLatestFloorSnapshot(req.params.tokenId),
+            storage.getFloorSnapshots(req.params.tokenId, options)
+        ]);
+        res.json({
+            token_id: req.params.tokenId,
+            current: latest ? serializeFloor(latest) : null,
+            data: rows.map(serializeFloor),
+            pagination: pagination(options, total)
+        });
+    });
+
+    router.use((req, res) => sendError(res, 404, 'not_found', 'Unknown endpoint'));
+
+    return router;
+}
+
+module.exports = createApiRouter;
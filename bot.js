@@ -4,13 +4,28 @@
 
 const { Client, GatewayIntentBits, Events, AttachmentBuilder } = require('discord.js');
 const cron = require('node-cron');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const config = require('./config');
 const sentxService = require('./services/sentx');
 const kabilaService = require('./services/kabila');
+const marketplaceRegistry = require('./services/marketplaces');
+const mintNotifiers = require('./services/mint-notifiers');
+const hederaService = require('./services/hedera');
+const webhookService = require('./services/webhooks');
 
 const currencyService = require('./services/currency');
 const embedUtils = require('./utils/embed');
+const notificationFilters = require('./utils/filters');
+const digestUtils = require('./utils/digest');
+const snipeDetector = require('./utils/snipes');
+const mintMilestones = require('./utils/mint-milestones');
+const embedThemes = require('./utils/themes');
+const i18n = require('./utils/i18n');
+const botPermissions = require('./utils/permissions');
 const DatabaseStorage = require('./database-storage');
+const createPushReceiver = require('./push-receiver');
 
 
 class NFTSalesBot {
@@ -21,6 +36,7 @@ class NFTSalesBot {
         this.embedUtils = embedUtils; 
         this.currencyService = currencyService;
         this.storage = storage || new DatabaseStorage();
+        this.marketplaces = marketplaceRegistry;
 
         
         this.client = new Client({
@@ -31,11 +47,30 @@ class NFTSalesBot {
         
         this.isMonitoring = false;
         this.monitoringTask = null;
+        this.digestTask = null;
+        this.webhookTask = null;
+        this.webhookDeliveryInProgress = false;
+        this.webhookDeliveryRequested = false;
+        
+        // Marketplace push callbacks (push-receiver.js): last callback and last reconciling poll per marketplace
+        this.pushServer = null;
+        this.lastPushAt = new Map();
+        this.lastReconcileAt = new Map();
+        this.lastMonitoringRunSaved = 0;
         
         // Add caching for collections to reduce database calls
         this.cachedCollections = [];
         this.lastCollectionFetch = 0;
         
+        // Last persisted floor per collection, so unchanged floors aren't written every cycle
+        this.lastFloorSnapshots = new Map();
+        
+        // DM timestamps per user for the personal alert rate cap
+        this.userAlertDmLog = new Map();
+        
+        // Rarity ranks looked up for snipe detection - ranks don't change, so keep them
+        this.rarityRankCache = new Map();
+        
         this.setupEventHandlers();
     }
 
@@ -77,6 +112,7 @@ class NFTSalesBot {
                 
                 await this.registerSlashCommands();
                 await this.startMonitoring();
+                this.startPushReceiver();
                 
                 // Set up periodic guild refresh to catch servers added via "Add App"
                 setInterval(async () => {
@@ -144,6 +180,9 @@ class NFTSalesBot {
                     if (removed) collectionsRemoved++;
                 }
                 
+                // Remove per-server settings such as notification filters
+                await this.storage.removeGuildSettings(guild.id);
+                
                 console.log(`🧹 Cleanup completed for server: ${guild.name}`);
                 console.log(`   - Server config: ${configRemoved ? 'removed' : 'not found'}`);
                 console.log(`   - Collections removed: ${collectionsRemoved}/${serverCollections.length}`);
@@ -222,6 +261,15 @@ class NFTSalesBot {
         if (this.monitoringTask) {
             this.monitoringTask.stop();
         }
+        if (this.digestTask) {
+            this.digestTask.stop();
+        }
+        if (this.webhookTask) {
+            this.webhookTask.stop();
+        }
+        if (this.pushServer) {
+            this.pushServer.close();
+        }
         this.isMonitoring = false;
         await this.client.destroy();
         console.log('Bot stopped successfully');
@@ -234,8 +282,12 @@ class NFTSalesBot {
         this.monitoringInProgress = false; // Add flag to prevent overlapping monitoring cycles
         console.log('Starting NFT sales monitoring...');
         
+        // Read when marketplaces were last polled before the first cycle overwrites it
+        const lastMonitoringRun = await this.storage.getLastMonitoringRun();
+        const startedAt = Date.now();
+        
         // Set initial timestamp to now to avoid posting old sales
-        await this.initializeLastProcessedTimestamp();
+        const baseline = await this.initializeLastProcessedTimestamp();
         
         // Rate limiting variables
         this.rateLimitBackoff = 0; // Start with no backoff
@@ -285,39 +337,70 @@ class NFTSalesBot {
             }
         });
 
+        // Digests are scheduled in each server's own timezone, so check every 10 minutes which are due
+        this.digestTask = cron.schedule('*/10 * * * *', async () => {
+            await this.checkScheduledDigests();
+        });
+
+        // Retry failed webhook deliveries whose backoff has passed
+        this.webhookTask = cron.schedule('*/30 * * * * *', async () => {
+            await this.processWebhookDeliveries();
+        });
+        
+        // Catch up on what happened while the bot was offline alongside live monitoring.
+        // Catch-up stops where live monitoring starts, so live events are never posted as delayed
+        this.catchUpMissedActivity(lastMonitoringRun, {
+            sales: baseline,
+            listings: startedAt - 15 * 60 * 1000 // processNewListings posts listings from the last 15 minutes
+        }).catch(error => {
+            console.error('Error catching up on missed activity:', error);
+        });
+        
         // Don't do initial check to avoid spam - wait for first interval
         console.log('Monitoring initialized - will check for new sales every 5 seconds');
     }
 
+    /**
+     * Start every marketplace's sale cursor at its most recent sale so old sales aren't posted
+     * @returns {Object} { timestamp, marketplaces } - the shared baseline and each marketplace's own starting point
+     */
     async initializeLastProcessedTimestamp() {
         try {
             const currentTimestamp = Date.now();
             console.log('Initializing baseline timestamp...');
             
-            // Get the most recent sale timestamp from both marketplaces to set as baseline
-            const sentxSales = await sentxService.getRecentSales(5);
-            const kabilaSales = await kabilaService.getRecentSales(5);
-            const recentSales = [...sentxSales, ...kabilaSales];
+            // Get the most recent sale timestamp from all marketplaces to set as baseline
+            const recentSales = await this.marketplaces.getRecentSales(5);
             
             if (recentSales && recentSales.length > 0) {
                 // Use the most recent sale timestamp as baseline
-                const mostRecentSale = recentSales[0];
-                const baselineTimestamp = new Date(mostRecentSale.timestamp).getTime();
-                await this.storage.setLastProcessedSale(baselineTimestamp);
+                const baselineTimestamp = Math.max(...recentSales.map(sale => new Date(sale.timestamp).getTime() || 0));
+                await this.storage.resetLastProcessedSales(baselineTimestamp);
                 console.log(`Set baseline timestamp to most recent sale: ${new Date(baselineTimestamp).toISOString()}`);
-            } else {
-                // Fallback to current time
-                await this.storage.setLastProcessedSale(currentTimestamp);
-                console.log(`Set baseline timestamp to current time: ${new Date(currentTimestamp).toISOString()}`);
+                
+                // Each marketplace then continues from its own most recent sale
+                const marketplaces = this.getLatestTimestamps(recentSales);
+                for (const [marketplace, timestamp] of marketplaces) {
+                    await this.storage.setLastProcessedSale(timestamp, marketplace);
+                }
+                console.log('Timestamp initialization completed');
+                return { timestamp: baselineTimestamp, marketplaces };
             }
+
+            // Fallback to current time
+            await this.storage.resetLastProcessedSales(currentTimestamp);
+            console.log(`Set baseline timestamp to current time: ${new Date(currentTimestamp).toISOString()}`);
             console.log('Timestamp initialization completed');
+            return { timestamp: currentTimestamp, marketplaces: new Map() };
         } catch (error) {
             console.error('Error initializing timestamp:', error);
             console.log('Using fallback timestamp approach...');
             try {
                 // Fallback to current time
-                await this.storage.setLastProcessedSale(Date.now());
+                const fallbackTimestamp = Date.now();
+                await this.storage.resetLastProcessedSales(fallbackTimestamp);
                 console.log('Fallback timestamp set successfully');
+                return { timestamp: fallbackTimestamp, marketplaces: new Map() };
             } catch (fallbackError) {
                 console.error('Critical error setting fallback timestamp:', fallbackError);
                 throw fallbackError;
@@ -325,107 +408,53 @@ class NFTSalesBot {
         }
     }
 
+    // Newest event time per marketplace
+    getLatestTimestamps(events) {
+        const latest = new Map();
+        for (const event of events) {
+            const timestamp = new Date(event.timestamp).getTime() || 0;
+            if (timestamp > (latest.get(event.marketplace) || 0)) latest.set(event.marketplace, timestamp);
+        }
+        return latest;
+    }
+
     async checkForNewSales() {
         try {
             // Get all tracked collections from database first (cache for 30 seconds)
-            const cacheKey = 'tracked_collections';
-            let allTrackedCollections = this.cachedCollections || [];
-            
-            if (!this.lastCollectionFetch || Date.now() - this.lastCollectionFetch > 30000) {
-                allTrackedCollections = await this.storage.getCollections();
-                this.cachedCollections = allTrackedCollections;
-                this.lastCollectionFetch = Date.now();
-            }
+            const allTrackedCollections = await this.getCachedCollections();
             
             const trackedTokenIds = allTrackedCollections.map(c => c.token_id || c.tokenId);
+            const watchedWallets = await this.storage.getWatchedWallets();
+            const mintConfigs = await this.storage.getEnabledMintTrackingConfigs();
             
-            if (trackedTokenIds.length === 0) {
-                // No collections tracked, skip monitoring
+            if (trackedTokenIds.length === 0 && watchedWallets.length === 0 && mintConfigs.length === 0) {
+                // No collections tracked, wallets watched or mints followed, skip monitoring
                 return;
             }
 
-            // Get recent sales from both marketplaces - include all payment types (HBAR and HTS tokens)
-            const sentxSales = await sentxService.getRecentSales(100, true); // Include HTS token payments
-            const kabilaSales = await kabilaService.getRecentSales(100);
-            
-            // Get recent listings from both marketplaces  
-            const sentxListings = await sentxService.getRecentListings(50, false, true); // Include HTS token payments
-            const kabilaListings = await kabilaService.getRecentListings(50);
+            // Get recent sales and listings from every registered marketplace (all payment types).
+            // Marketplaces that push their activity are only polled now and then, to backfill missed callbacks
+            const pushFed = this.getPushFedMarketplaces();
+            const allSales = await this.marketplaces.getRecentSales(100, pushFed);
+            const allListings = await this.marketplaces.getRecentListings(50, pushFed);
             
-            // Get recent Forever Mints from SentX for Wild Tigers
-            const foreverMints = await sentxService.getRecentForeverMints(20);
+            // Add sales seen directly on-chain (after marketplace sales so duplicates keep the marketplace record)
+            if (config.ENABLE_ONCHAIN_SALES && trackedTokenIds.length > 0) {
+                const onChainSales = await this.getOnChainSales(trackedTokenIds);
+                allSales.push(...onChainSales);
+            }
             
             // Debug: Log API response counts for monitoring
-            if (sentxSales.length > 0 || kabilaSales.length > 0 || foreverMints.length > 0) {
-                console.log(`📊 API Response Summary: SentX ${sentxSales.length} sales (all payment types), Kabila ${kabilaSales.length} sales, ${foreverMints.length} Forever Mints`);
+            if (allSales.length > 0) {
+                const salesSummary = this.marketplaces.getNames()
+                    .map(name => `${name} ${allSales.filter(sale => sale.marketplace === name).length} sales`)
+                    .join(', ');
+                console.log(`📊 API Response Summary: ${salesSummary}`);
             }
 
-            // Combine sales and listings from both marketplaces (now includes all payment types)
-            const allSales = [...sentxSales, ...kabilaSales];
-            const allListings = [...sentxListings, ...kabilaListings];
-
-            // Create a map of collection names to token IDs for fallback matching
-            const collectionNameMap = {};
-            allTrackedCollections.forEach(collection => {
-                const tokenId = collection.token_id || collection.tokenId;
-                const name = collection.name || collection.collection_name;
-                if (name && tokenId) {
-                    collectionNameMap[name.toLowerCase()] = tokenId;
-                }
-            });
-            
             // Filter for only tracked collections and HTS tokens (with fallback to collection name)
-            const trackedSales = allSales.filter(sale => {
-                const tokenId = sale.token_id || sale.tokenId;
-                const collectionName = sale.collection_name || sale.collectionName;
-                const tokenType = sale.token_type || 'NFT'; // Default to NFT if not specified
-                
-                // First try token ID matching for both NFTs and HTS tokens
-                if (tokenId && tokenId !== 'undefined' && trackedTokenIds.includes(tokenId)) {
-                    return true;
-                }
-                
-                // For HTS tokens, also check if this specific token is being tracked
-                if (tokenType === 'HTS' && tokenId) {
-                    const isHTSTracked = allTrackedCollections.some(collection => 
-                        (collection.token_type === 'HTS' || collection.tokenType === 'HTS') && 
-                        (collection.token_id === tokenId || collection.tokenId === tokenId)
-                    );
-                    if (isHTSTracked) {
-                        return true;
-                    }
-                }
-                
-                // Fallback: match by collection name when token ID is undefined
-                if (collectionName && collectionNameMap[collectionName.toLowerCase()]) {
-                    // Set the correct token ID for processing
-                    sale.token_id = collectionNameMap[collectionName.toLowerCase()];
-                    sale.tokenId = collectionNameMap[collectionName.toLowerCase()];
-                    return true;
-                }
-                
-                return false;
-            });
-            
-            const trackedListings = allListings.filter(listing => {
-                const tokenId = listing.token_id || listing.tokenId;
-                const collectionName = listing.collection_name || listing.collectionName;
-                
-                // First try token ID matching
-                if (tokenId && tokenId !== 'undefined' && trackedTokenIds.includes(tokenId)) {
-                    return true;
-                }
-                
-                // Fallback: match by collection name when token ID is undefined
-                if (collectionName && collectionNameMap[collectionName.toLowerCase()]) {
-                    // Set the correct token ID for processing
-                    listing.token_id = collectionNameMap[collectionName.toLowerCase()];
-                    listing.tokenId = collectionNameMap[collectionName.toLowerCase()];
-                    return true;
-                }
-                
-                return false;
-            });
+            const trackedSales = this.filterTrackedEvents(allSales, allTrackedCollections);
+            const trackedListings = this.filterTrackedEvents(allListings, allTrackedCollections);
             
             // Debug: Check specifically for The Ape Anthology (KOKO's concern) - include name matching
             const apeAnthologySales = allSales.filter(sale => {
@@ -498,215 +527,1067 @@ class NFTSalesBot {
                 await this.processNewListings(trackedListings, hbarRate);
             }
             
-            // Process Forever Mints (always process for Wild Tigers since it's a special feature)
-            if (foreverMints && foreverMints.length > 0) {
-                await this.processNewForeverMints(foreverMints, hbarRate);
+            // Watched wallets follow activity in every collection, tracked or not
+            if (watchedWallets.length > 0) {
+                await this.processWatchedWalletActivity(allSales, allListings, watchedWallets, hbarRate);
             }
             
-
+            // Built-in mint notifier profiles (Forever Mints, raffle tickets)
+            await this.processMintNotifiers(hbarRate);
+            
+            // Launchpad mints for collections servers follow with /mint-tracking
+            if (mintConfigs.length > 0) {
+                await this.processTrackedMints(mintConfigs, hbarRate);
+            }
+            
+            // Snapshot floor prices and post any floor movement alerts
+            await this.snapshotFloorPrices(trackedTokenIds, hbarRate);
+            
+            // Remember when marketplaces were last polled - catch-up after downtime starts here
+            if (Date.now() - this.lastMonitoringRunSaved >= 60 * 1000) {
+                await this.storage.setLastMonitoringRun(Date.now());
+                this.lastMonitoringRunSaved = Date.now();
+            }
 
         } catch (error) {
             console.error('Error checking for new sales and listings:', error);
         }
     }
 
-    async processNewSales(allSales, hbarRate) {
-        try {
-            // Get the timestamp of the last processed sale
-            const lastProcessedTimestamp = await this.storage.getLastProcessedSale();
+    // Tracked collections across all servers, cached for 30 seconds
+    async getCachedCollections() {
+        if (!this.lastCollectionFetch || Date.now() - this.lastCollectionFetch > 30000) {
+            this.cachedCollections = await this.storage.getCollections();
+            this.lastCollectionFetch = Date.now();
+        }
+        return this.cachedCollections || [];
+    }
+
+    /**
+     * Keep sales or listings for tracked collections, matching by token ID and falling back to
+     * the collection name (which also fills in the missing token ID)
+     * @param {Array} events - Normalized sales or listings
+     * @param {Array} allTrackedCollections - Tracked collections
+     * @returns {Array} Events for tracked collections
+     */
+    filterTrackedEvents(events, allTrackedCollections) {
+        const trackedTokenIds = allTrackedCollections.map(c => c.token_id || c.tokenId);
+
+        // Create a map of collection names to token IDs for fallback matching
+        const collectionNameMap = {};
+        allTrackedCollections.forEach(collection => {
+            const tokenId = collection.token_id || collection.tokenId;
+            const name = collection.name || collection.collection_name;
+            if (name && tokenId) {
+                collectionNameMap[name.toLowerCase()] = tokenId;
+            }
+        });
+        
+        return events.filter(event => {
+            const tokenId = event.token_id || event.tokenId;
+            const collectionName = event.collection_name || event.collectionName;
+            const tokenType = event.token_type || 'NFT'; // Default to NFT if not specified
+            
+            // First try token ID matching for both NFTs and HTS tokens
+            if (tokenId && tokenId !== 'undefined' && trackedTokenIds.includes(tokenId)) {
+                return true;
+            }
             
-            // Filter for truly new sales only (sales that happened after our last check)
-            let newSales = allSales.filter(sale => {
-                const saleTimestamp = new Date(sale.timestamp).getTime();
-                const isNewer = saleTimestamp > lastProcessedTimestamp;
-                
-                // Extended check: sale must be within last 6 hours to catch earlier today's sales
-                const sixHoursAgo = Date.now() - (6 * 60 * 60 * 1000);
-                const isRecent = saleTimestamp > sixHoursAgo;
-                
-                return isNewer && isRecent;
+            // For HTS tokens, also check if this specific token is being tracked
+            if (tokenType === 'HTS' && tokenId) {
+                const isHTSTracked = allTrackedCollections.some(collection => 
+                    (collection.token_type === 'HTS' || collection.tokenType === 'HTS') && 
+                    (collection.token_id === tokenId || collection.tokenId === tokenId)
+                );
+                if (isHTSTracked) {
+                    return true;
+                }
+            }
+            
+            // Fallback: match by collection name when token ID is undefined
+            if (collectionName && collectionNameMap[collectionName.toLowerCase()]) {
+                // Set the correct token ID for processing
+                event.token_id = collectionNameMap[collectionName.toLowerCase()];
+                event.tokenId = collectionNameMap[collectionName.toLowerCase()];
+                return true;
+            }
+            
+            return false;
+        });
+    }
+
+    /**
+     * Marketplaces to leave out of this polling cycle: ones that pushed activity recently,
+     * unless WEBHOOK_RECONCILE_INTERVAL has passed since their last reconciling poll
+     * @returns {Array<string>} Marketplace names
+     */
+    getPushFedMarketplaces() {
+        const skip = [];
+        const now = Date.now();
+        for (const [name, lastPush] of this.lastPushAt) {
+            // Without a callback for 15 minutes, go back to polling every cycle
+            if (now - lastPush > 15 * 60 * 1000) continue;
+            if (now - (this.lastReconcileAt.get(name) || 0) < config.WEBHOOK_RECONCILE_INTERVAL * 1000) {
+                skip.push(name);
+            } else {
+                this.lastReconcileAt.set(name, now);
+            }
+        }
+        return skip;
+    }
+
+    // Serve marketplace push callbacks at {WEBHOOK_PATH}/{marketplace} when ENABLE_WEBHOOKS is on
+    startPushReceiver() {
+        if (!config.ENABLE_WEBHOOKS || this.pushServer) return;
+
+        try {
+            const app = express();
+            app.use(config.WEBHOOK_PATH, createPushReceiver(this));
+            this.pushServer = app.listen(config.WEBHOOK_PORT, (error) => {
+                if (error) return; // Express 5 passes listen errors here as well as to 'error'
+                console.log(`📥 Push receiver listening on port ${config.WEBHOOK_PORT} at ${config.WEBHOOK_PATH}/:marketplace`);
+            });
+            this.pushServer.on('error', error => {
+                if (error.code === 'EADDRINUSE') {
+                    console.error(`❌ Push receiver could not start: port ${config.WEBHOOK_PORT} is already in use (set WEBHOOK_PORT to a free port, not the dashboard's PORT)`);
+                    this.pushServer = null;
+                    return;
+                }
+                console.error('Push receiver error:', error.message);
             });
+        } catch (error) {
+            console.error('Failed to start push receiver:', error);
+        }
+    }
 
-            if (newSales.length === 0) {
-                return;
+    /**
+     * Process sales and listings a marketplace pushed, the same way a polling cycle would
+     * @param {string} marketplace - Marketplace name
+     * @param {Object} events - { sales, listings } normalized events
+     */
+    async handlePushedEvents(marketplace, { sales, listings }) {
+        const firstPush = !this.lastPushAt.has(marketplace);
+        this.lastPushAt.set(marketplace, Date.now());
+        if (firstPush) {
+            // The poll that just ran covers everything up to now
+            this.lastReconcileAt.set(marketplace, Date.now());
+            console.log(`📥 ${marketplace} is pushing activity - polling it every ${config.WEBHOOK_RECONCILE_INTERVAL}s to reconcile`);
+        }
+        if (sales.length === 0 && listings.length === 0) return;
+
+        const allTrackedCollections = await this.getCachedCollections();
+        const trackedSales = this.filterTrackedEvents(sales, allTrackedCollections);
+        const trackedListings = this.filterTrackedEvents(listings, allTrackedCollections);
+        const watchedWallets = await this.storage.getWatchedWallets();
+        if (trackedSales.length === 0 && trackedListings.length === 0 && watchedWallets.length === 0) return;
+
+        console.log(`📥 ${marketplace} push: ${sales.length} sale(s), ${listings.length} listing(s)`);
+        const hbarRate = await currencyService.getHbarToUsdRate();
+
+        // Pushed events leave the polling cursors alone, so a reconciling poll can still
+        // pick up anything older that the push path missed
+        if (trackedSales.length > 0) {
+            await this.processNewSales(trackedSales, hbarRate, { advanceCursor: false });
+        }
+        if (trackedListings.length > 0) {
+            await this.processNewListings(trackedListings, hbarRate, { advanceCursor: false });
+        }
+        if (watchedWallets.length > 0) {
+            await this.processWatchedWalletActivity(sales, listings, watchedWallets, hbarRate);
+        }
+    }
+
+    /**
+     * Catch up on sales and listings that happened while the bot was offline.
+     * Each server's /set-catch-up mode decides what it gets: every missed event posted with a
+     * "delayed" marker ('post'), one summary embed ('summary') or nothing ('off').
+     * @param {number} lastRun - When marketplaces were last polled before the restart (ms, 0 if never)
+     * @param {Object} liveFrom - Where live monitoring takes over: { sales: initializeLastProcessedTimestamp() result, listings: ms }.
+     *   Anything newer belongs to live monitoring and is left for it
+     */
+    async catchUpMissedActivity(lastRun, liveFrom) {
+        try {
+            const now = Date.now();
+            // Nothing to catch up on the very first start or after a quick restart
+            if (!lastRun || now - lastRun < 2 * 60 * 1000) return;
+
+            const serverConfigs = (await this.storage.getAllServerConfigs()).filter(serverConfig => serverConfig.enabled);
+            const postGuildIds = serverConfigs.filter(serverConfig => serverConfig.catchUpMode === 'post').map(serverConfig => serverConfig.guildId);
+            const summaries = serverConfigs
+                .filter(serverConfig => (serverConfig.catchUpMode || 'summary') === 'summary')
+                .map(serverConfig => ({ serverConfig, sales: [], listingCount: 0 }));
+            if (postGuildIds.length === 0 && summaries.length === 0) return;
+
+            // Overlap the last cycle a little - processed IDs drop anything that was already posted
+            const since = Math.max(lastRun - 60 * 1000, now - config.CATCHUP_MAX_HOURS * 60 * 60 * 1000);
+            console.log(`⏪ Catching up on activity since ${new Date(since).toISOString()}...`);
+
+            const activity = await this.marketplaces.getActivitySince(since, { pageSize: 100, maxPages: config.CATCHUP_MAX_PAGES });
+            const allTrackedCollections = await this.getCachedCollections();
+            const byTime = (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+            const missedSales = activity.sales.filter(sale => new Date(sale.timestamp).getTime() <=
+                (liveFrom.sales.marketplaces.get(sale.marketplace) ?? liveFrom.sales.timestamp));
+            const missedListings = activity.listings.filter(listing => new Date(listing.timestamp).getTime() <= liveFrom.listings);
+            const sales = (await this.marketplaces.enrichEvents(
+                this.removeDuplicateSales(this.filterTrackedEvents(missedSales, allTrackedCollections))
+            )).sort(byTime);
+            const listings = (await this.marketplaces.enrichEvents(
+                this.removeDuplicateListings(this.filterTrackedEvents(missedListings, allTrackedCollections))
+            )).sort(byTime);
+            console.log(`⏪ Found ${sales.length} missed sale(s) and ${listings.length} missed listing(s)${activity.incomplete.length > 0 ? ` (history incomplete for ${activity.incomplete.join(', ')})` : ''}`);
+
+            const hbarRate = await currencyService.getHbarToUsdRate();
+
+            for (const sale of sales) {
+                const saleId = this.getSaleId(sale);
+                if (!await this.storage.markSaleProcessed(saleId, sale.tokenId || sale.token_id)) continue;
+
+                await this.addToCatchUpSummaries(summaries, sale, 'sale');
+                const postedCount = postGuildIds.length > 0
+                    ? await this.processSale(sale, hbarRate, { guildIds: postGuildIds, delayed: true })
+                    : 0;
+                await this.storage.recordSaleHistory(sale, saleId, hbarRate);
+                await this.dispatchWebhooks('sale', await webhookService.serializeSale(sale, saleId, hbarRate));
+                if (postedCount > 0) await this.delay(1000);
             }
 
-            // Remove duplicates based on token_id, serial_number, and timestamp
-            const uniqueSales = this.removeDuplicateSales(newSales);
+            for (const listing of listings) {
+                const listingId = this.getListingId(listing);
+                if (!await this.storage.markListingProcessed(listingId, listing.tokenId || listing.token_id)) continue;
+
+                await this.addToCatchUpSummaries(summaries, listing, 'listing');
+                const postedCount = postGuildIds.length > 0
+                    ? await this.processListing(listing, hbarRate, { guildIds: postGuildIds, delayed: true })
+                    : 0;
+                await this.storage.recordListingHistory(listing, listingId, hbarRate);
+                await this.dispatchWebhooks('listing', await webhookService.serializeListing(listing, listingId, hbarRate));
+                if (postedCount > 0) await this.delay(1000);
+            }
 
-            // Enrich Kabila sales with SentX rarity data
-            const kabilaSales = uniqueSales.filter(sale => sale.marketplace === 'Kabila');
-            const sentxSales = uniqueSales.filter(sale => sale.marketplace === 'SentX');
-            
-            let enrichedKabilaSales = kabilaSales;
-            if (kabilaSales.length > 0) {
+            for (const summary of summaries) {
+                if (summary.sales.length === 0 && summary.listingCount === 0) continue;
+                const { serverConfig } = summary;
                 try {
-                    console.log(`🔄 Enriching ${kabilaSales.length} Kabila sales with SentX rarity data...`);
-                    enrichedKabilaSales = await this.kabilaService.enrichWithSentXRarity(kabilaSales);
-                    const enrichedCount = enrichedKabilaSales.filter(sale => sale.sentx_enriched && (sale.rarity || sale.sentx_rank)).length;
-                    if (enrichedCount > 0) {
-                        console.log(`✅ Successfully enriched ${enrichedCount}/${kabilaSales.length} Kabila sales with SentX rarity`);
-                    } else {
-                        console.log(`⚠️ No Kabila sales were enriched with SentX rarity data`);
+                    const channel = this.client.channels.cache.get(serverConfig.channelId);
+                    if (!channel) {
+                        console.log(`❌ Catch-up summary channel not found: ${serverConfig.channelId} (${serverConfig.guildName})`);
+                        continue;
                     }
+                    const fiat = await currencyService.getFiatRate(serverConfig.currency);
+                    const embed = embedUtils.createCatchUpEmbed({
+                        since: new Date(since),
+                        until: new Date(now),
+                        sales: summary.sales,
+                        listingCount: summary.listingCount,
+                        incomplete: activity.incomplete
+                    }, fiat, this.getServerLocale(serverConfig));
+                    await channel.send({ embeds: [embed] });
+                    console.log(`⏪ Posted catch-up summary to ${serverConfig.guildName}`);
                 } catch (error) {
-                    console.log(`❌ Failed to enrich Kabila sales with SentX rarity: ${error.message}`);
-                    enrichedKabilaSales = kabilaSales; // Use original data if enrichment fails
+                    console.error(`Error posting catch-up summary for guild ${serverConfig.guildId}:`, error.message);
                 }
             }
-            
-            const allEnrichedSales = [...sentxSales, ...enrichedKabilaSales];
-            
-            // Sort by timestamp to process oldest first
-            allEnrichedSales.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+        } catch (error) {
+            console.error('Error catching up on missed activity:', error);
+        }
+    }
 
-            // Process each new sale
-            for (const sale of allEnrichedSales) {
-                // Create more robust unique sale ID to prevent duplicates
-                const tokenId = sale.tokenId || sale.token_id || 'unknown';
-                const serialNumber = sale.serialNumber || sale.serial_number || 'unknown';
-                const saleTsMs = new Date(sale.timestamp).getTime();
-                const transactionId = sale.saleTransactionId || sale.transaction_id || sale.transactionHash || '';
-                
-                // Create primary sale ID with transaction ID if available
-                let saleId;
-                if (transactionId) {
-                    saleId = `${tokenId}_${serialNumber}_${transactionId}`;
-                } else {
-                    // Fallback to timestamp-based ID if no transaction ID
-                    saleId = `${tokenId}_${serialNumber}_${saleTsMs}`;
-                }
+    /**
+     * Add a missed event to the summary of every summary-mode server that would have posted it
+     * @param {Array} summaries - { serverConfig, sales, listingCount } per server
+     * @param {Object} event - Normalized sale or listing
+     * @param {string} type - 'sale' or 'listing'
+     * @returns {Promise<number>} Number of summaries it was added to
+     */
+    async addToCatchUpSummaries(summaries, event, type) {
+        const tokenId = event.token_id || event.tokenId;
+        let added = 0;
+        for (const summary of summaries) {
+            const guildId = summary.serverConfig.guildId;
+            if (!await this.storage.isCollectionTracked(tokenId, guildId)) continue;
+            const filter = await this.storage.getNotificationFilter(guildId, tokenId);
+            if (!notificationFilters.evaluate(event, filter, type).allowed) continue;
+
+            if (type === 'sale') {
+                summary.sales.push(event);
+            } else {
+                summary.listingCount++;
+            }
+            added++;
+        }
+        return added;
+    }
+
+    // Message content for an event posted late by the catch-up, e.g. "⏪ Delayed - happened 2 hours ago"
+    getDelayedMarker(event, serverConfig) {
+        const time = `<t:${Math.floor(new Date(event.timestamp).getTime() / 1000)}:R>`;
+        return i18n.t(this.getServerLocale(serverConfig), 'catchUp.delayed', { time });
+    }
+
+    /**
+     * Record the current floor for every tracked collection and check floor alerts.
+     * A snapshot is only written when the floor changed or the last one is 5+ minutes old.
+     * @param {Array<string>} trackedTokenIds - Tracked token IDs
+     * @param {number} hbarRate - Current HBAR to USD rate
+     */
+    async snapshotFloorPrices(trackedTokenIds, hbarRate) {
+        const uniqueTokenIds = [...new Set(trackedTokenIds)];
+        
+        for (const tokenId of uniqueTokenIds) {
+            try {
+                const floor = await this.marketplaces.getFloorPrice(tokenId);
+                if (!floor) continue;
                 
-                // Skip processing if essential data is missing
-                if (!sale.tokenId && !sale.token_id) {
-                    console.log(`Skipping sale due to missing token_id: ${sale.collection_name || sale.nft_name}`);
-                    continue;
-                }
+                const last = this.lastFloorSnapshots.get(tokenId);
+                const isStale = !last || Date.now() - last.at >= 5 * 60 * 1000;
+                if (last && last.price === floor.price_hbar && last.marketplace === floor.marketplace && !isStale) continue;
                 
-                // Check if we've already processed this sale
-                const alreadyProcessed = await this.storage.isSaleProcessed(saleId);
-                if (alreadyProcessed) {
-                    console.log(`Skipping already processed sale: ${sale.nftName || sale.nft_name} (${saleId})`);
+                await this.storage.addFloorSnapshot(tokenId, floor.price_hbar, floor.marketplace);
+                this.lastFloorSnapshots.set(tokenId, { price: floor.price_hbar, marketplace: floor.marketplace, at: Date.now() });
+                
+                await this.checkFloorAlerts(tokenId, floor, hbarRate);
+            } catch (error) {
+                console.error(`Error snapshotting floor price for ${tokenId}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Post floor alerts for servers whose threshold was crossed within their window
+     * @param {string} tokenId - Collection token ID
+     * @param {Object} floor - Current normalized floor price
+     * @param {number} hbarRate - Current HBAR to USD rate
+     */
+    async checkFloorAlerts(tokenId, floor, hbarRate) {
+        const alerts = await this.storage.getFloorAlertsForToken(tokenId);
+        
+        for (const alert of alerts) {
+            try {
+                const windowMs = alert.windowMinutes * 60 * 1000;
+                
+                // One alert per window so a volatile floor doesn't spam the channel
+                if (alert.lastAlertAt && Date.now() - new Date(alert.lastAlertAt).getTime() < windowMs) {
                     continue;
                 }
                 
-                console.log(`🔥 NEW SALE: ${sale.collection_name || sale.nft_name} - ${sale.price_hbar} HBAR (${sale.marketplace})`);
-                console.log(`   Token ID: ${sale.token_id || sale.tokenId}, Serial: ${sale.serial_id || sale.serialNumber}`);
+                // The floor falls back to another marketplace when one fails, so only compare like with like
+                const reference = await this.storage.getFirstFloorSnapshotSince(tokenId, new Date(Date.now() - windowMs), floor.marketplace);
+                if (!reference || !reference.priceHbar) continue;
                 
-                // Mark sale as processed BEFORE posting to prevent race conditions
-                const actualTokenId = sale.tokenId || sale.token_id;
-                const marked = await this.storage.markSaleProcessed(saleId, actualTokenId);
+                const changePercent = ((floor.price_hbar - reference.priceHbar) / reference.priceHbar) * 100;
+                if (Math.abs(changePercent) < alert.thresholdPercent) continue;
                 
-                if (marked) {
-                    await this.processSale(sale, hbarRate);
-                    
-                    // Update last processed timestamp
-                    const processedTsMs = new Date(sale.timestamp).getTime();
-                    await this.storage.setLastProcessedSale(processedTsMs);
-                    
-                    // Small delay between messages to avoid rate limiting
-                    await this.delay(1000);
-                } else {
-                    console.log(`Failed to mark sale as processed, skipping: ${sale.nftName || sale.nft_name}`);
+                const serverConfig = await this.storage.getServerConfig(alert.guildId);
+                if (!serverConfig || !serverConfig.enabled) continue;
+                
+                const channelId = alert.channelId || serverConfig.channelId;
+                const channel = this.client.channels.cache.get(channelId);
+                if (!channel) {
+                    console.log(`❌ Floor alert channel not found: ${channelId} (${serverConfig.guildName})`);
+                    continue;
                 }
+                
+                const collection = (this.cachedCollections || []).find(c => (c.tokenId || c.token_id) === tokenId);
+                const collectionName = collection ? collection.name : tokenId;
+                const fiat = await currencyService.getFiatRate(serverConfig.currency);
+                const locale = this.getServerLocale(serverConfig);
+                const embed = embedUtils.createFloorAlertEmbed({
+                    collectionName,
+                    tokenId,
+                    previousPrice: reference.priceHbar,
+                    currentPrice: floor.price_hbar,
+                    changePercent,
+                    windowMinutes: alert.windowMinutes,
+                    marketplace: floor.marketplace,
+                    collectionUrl: this.marketplaces.getCollectionUrl({
+                        marketplace: floor.marketplace,
+                        token_id: tokenId,
+                        collection_name: collection ? collection.name : null
+                    })
+                }, fiat, locale);
+                
+                await channel.send({ embeds: [embed] });
+                await this.storage.markFloorAlertSent(alert.id);
+                console.log(`📊 Floor alert posted to ${serverConfig.guildName}: ${collectionName} ${changePercent.toFixed(1)}%`);
+            } catch (error) {
+                console.error(`Error posting floor alert for ${tokenId} in guild ${alert.guildId}:`, error.message);
             }
-        } catch (error) {
-            console.error('Error processing new sales:', error);
         }
     }
 
-    async processNewForeverMints(allMints, hbarRate) {
+    /**
+     * Gather the floor, rarity rank and supply needed to judge a listing as a snipe
+     * @param {Object} listing - Normalized listing
+     * @returns {Promise<Object>} { floor, rank, supply }
+     */
+    async getSnipeContext(listing) {
+        const tokenId = listing.token_id || listing.tokenId;
+        const floor = await this.marketplaces.getFloorPrice(tokenId, listing.marketplace);
+        
+        // Skip the rarity lookups for listings priced too high to ever be a snipe
+        if (!snipeDetector.isCandidate(listing, floor)) {
+            return { floor, rank: null, supply: 0 };
+        }
+        
+        // Without a rank its marketplace vouches for, look the NFT up on SentX
+        let rank = this.marketplaces.getTrustedRank(listing);
+        const serial = listing.serial_number || listing.serialNumber;
+        
+        if (!rank && serial) {
+            const cacheKey = `${tokenId}_${serial}`;
+            if (!this.rarityRankCache.has(cacheKey)) {
+                const details = await this.sentxService.getNFTDetails(tokenId, serial);
+                // getNFTDetails returns either { success, nft } or the nft itself
+                const nft = details && details.nft ? details.nft : details;
+                this.rarityRankCache.set(cacheKey, nft && nft.rarityRank ? nft.rarityRank : null);
+            }
+            rank = this.rarityRankCache.get(cacheKey);
+        }
+        
+        const tokenInfo = rank ? await hederaService.getTokenInfo(tokenId) : null;
+        const supply = tokenInfo ? Number(tokenInfo.total_supply) || 0 : 0;
+        
+        return { floor, rank: rank ? Number(rank) : null, supply };
+    }
+
+    /**
+     * Post a listing to a server's snipes channel if it meets the server's snipe settings
+     * @param {Object} listing - Normalized listing
+     * @param {Object} snipeContext - Result of getSnipeContext
+     * @param {Object} serverConfig - Server configuration row
+     */
+    async postSnipe(listing, snipeContext, serverConfig) {
         try {
-            // Get the timestamp of the last processed mint (use a separate timestamp for mints)
-            const lastProcessedTimestamp = await this.storage.getLastProcessedMint();
-            
-            // Filter for truly new mints only (mints that happened after our last check)
-            let newMints = allMints.filter(mint => {
-                const mintTimestamp = new Date(mint.timestamp).getTime();
-                const isNewer = mintTimestamp > lastProcessedTimestamp;
-                
-                // Additional check: mint must be within last 24 hours to be considered "fresh" (extended for testing)
-                const twentyFourHoursAgo = Date.now() - (24 * 60 * 60 * 1000);
-                const isRecent = mintTimestamp > twentyFourHoursAgo;
-                
-                return isNewer && isRecent;
+            const snipe = snipeDetector.evaluate(listing, snipeContext, {
+                discountPercent: serverConfig.snipeDiscountPercent,
+                rarePercent: serverConfig.snipeRarePercent
             });
-
-            if (newMints.length === 0) {
+            if (!snipe.isSnipe) return;
+            
+            const channel = this.client.channels.cache.get(serverConfig.snipesChannelId);
+            if (!channel) {
+                console.log(`    ❌ Snipes channel not found: ${serverConfig.snipesChannelId}`);
                 return;
             }
+            
+            const theme = await this.getEmbedTheme(serverConfig.guildId);
+            const fiat = await currencyService.getFiatRate(serverConfig.currency);
+            const embed = await embedUtils.createSnipeEmbed(listing, snipe, fiat, serverConfig.guildId, theme, this.getServerLocale(serverConfig));
+            const messageOptions = { embeds: [embed] };
+            if (embed.files && embed.files.length > 0) {
+                messageOptions.files = embed.files;
+            }
+            
+            const message = await channel.send(messageOptions);
+            try {
+                await message.react('🎯');
+            } catch (error) {
+                console.log('Could not add reaction:', error.message);
+            }
+            console.log(`    🎯 Posted snipe to #${channel.name}: ${listing.nft_name} (${snipe.discountPercent.toFixed(1)}% vs floor, rank ${snipe.rank || 'n/a'})`);
+        } catch (error) {
+            console.error(`    ❌ Failed to post snipe to server ${serverConfig.guildName || serverConfig.guildId}:`, error.message);
+        }
+    }
 
-            console.log(`🌟 Found ${newMints.length} new Wild Tigers Forever Mints!`);
-
-            // Sort by timestamp to process oldest first
-            newMints.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
-
-            // Process each new mint
-            for (const mint of newMints) {
-                // Create unique mint ID to prevent duplicates
-                const tokenId = mint.token_id;
-                const serialNumber = mint.serial_number;
-                const mintTsMs = new Date(mint.timestamp).getTime();
-                const transactionId = mint.transaction_id || '';
-                
-                // Create primary mint ID with transaction ID if available
-                let mintId;
-                if (transactionId) {
-                    mintId = `mint_${tokenId}_${serialNumber}_${transactionId}`;
-                } else {
-                    // Fallback to timestamp-based ID if no transaction ID
-                    mintId = `mint_${tokenId}_${serialNumber}_${mintTsMs}`;
-                }
+    /**
+     * DM users whose personal alerts match a sale or listing
+     * @param {Object} event - Normalized sale or listing
+     * @param {string} kind - 'sale' or 'listing'
+     * @param {number} hbarRate - Current HBAR to USD rate
+     */
+    async processUserAlerts(event, kind, hbarRate) {
+        try {
+            const alerts = await this.storage.getUserAlertsForToken(event.token_id || event.tokenId);
+            if (alerts.length === 0) return;
+            
+            // A user with several matching alerts still only gets one DM per event
+            const notifiedUsers = new Set();
+            
+            for (const alert of alerts) {
+                if (notifiedUsers.has(alert.userId)) continue;
                 
-                // Debug: Log mint data to understand what's missing
-                console.log(`   Debug mint data: token_id=${mint.token_id}, serial_number=${mint.serial_number}, nft_name=${mint.nft_name}`);
+                // Alerts only run while the bot is in their server and the server still tracks the collection
+                if (!this.client.guilds.cache.has(alert.guildId) ||
+                    !await this.storage.isCollectionTracked(alert.tokenId, alert.guildId)) continue;
                 
-                // Skip processing if essential data is missing
-                if (!mint.token_id || !mint.serial_number) {
-                    console.log(`Skipping mint due to missing data: ${mint.nft_name || 'Unknown'} - token_id: ${mint.token_id}, serial_number: ${mint.serial_number}`);
-                    continue;
-                }
+                // A sales alert covers every kind of sale, order fills included (as /filter does)
+                const rules = Array.isArray(alert.eventTypes) && alert.eventTypes.includes('sales') && !alert.eventTypes.includes('orders')
+                    ? { ...alert, eventTypes: [...alert.eventTypes, 'orders'] }
+                    : alert;
+                const result = notificationFilters.evaluate(event, rules, kind);
+                if (!result.allowed) continue;
                 
-                // Check if we've already processed this mint
-                const alreadyProcessed = await this.storage.isMintProcessed(mintId);
-                if (alreadyProcessed) {
-                    console.log(`Skipping already processed mint: ${mint.nft_name} (${mintId})`);
+                if (!this.reserveUserAlertDm(alert.userId)) {
+                    console.log(`⏳ DM alert skipped for user ${alert.userId}: hourly limit of ${config.USER_ALERT_MAX_DMS_PER_HOUR} reached`);
                     continue;
                 }
                 
-                console.log(`🌟 NEW FOREVER MINT: ${mint.nft_name} - ${mint.mint_cost || 'Free'} ${mint.mint_cost_symbol || ''}`);
-                console.log(`   Token ID: ${mint.token_id}, Serial: ${mint.serial_number}, Minter: ${mint.minter_account_id}`);
-                
-                // Mark mint as processed BEFORE posting to prevent race conditions
-                const marked = await this.storage.markMintProcessed(mintId, mint.token_id);
+                try {
+                    const user = await this.client.users.fetch(alert.userId);
+                    event.collection_url = this.marketplaces.getCollectionUrl(event) || event.collection_url;
+                    
+                    // DMs use the display currency and language of the server the alert was set up in
+                    const fiat = await this.getGuildFiat(alert.guildId);
+                    const locale = await this.getGuildLocale(alert.guildId);
+                    const embed = kind === 'sale'
+                        ? await embedUtils.createSaleEmbed(event, fiat, alert.guildId, embedThemes.resolve(null), locale)
+                        : await embedUtils.createListingEmbed(event, fiat, alert.guildId, embedThemes.resolve(null), locale);
+                    
+                    const link = event.listing_url || event.collection_url;
+                    const messageOptions = {
+                        content: `${i18n.t(locale, `userAlerts.matched.${kind}`, { collection: event.collection_name || event.token_id })}${link ? `\n🔗 ${link}` : ''}`,
+                        embeds: [embed]
+                    };
+                    if (embed.files && embed.files.length > 0) {
+                        messageOptions.files = embed.files;
+                    }
+                    
+                    await user.send(messageOptions);
+                    await this.storage.markUserAlertTriggered(alert.id);
+                    notifiedUsers.add(alert.userId);
+                    console.log(`📬 Sent ${kind} DM alert to ${user.tag || alert.userId}: ${event.nft_name}`);
+                } catch (error) {
+                    if (error.code === 50007) {
+                        console.log(`📪 Could not DM user ${alert.userId} - direct messages are closed`);
+                    } else {
+                        console.error(`Error sending DM alert to user ${alert.userId}:`, error.message);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error processing user alerts:', error);
+        }
+    }
+
+    /**
+     * Record a DM against a user's hourly cap
+     * @param {string} userId - Discord user ID
+     * @returns {boolean} False if the user has hit the cap
+     */
+    reserveUserAlertDm(userId) {
+        const oneHourAgo = Date.now() - 60 * 60 * 1000;
+        const sent = (this.userAlertDmLog.get(userId) || []).filter(timestamp => timestamp > oneHourAgo);
+        
+        if (sent.length >= config.USER_ALERT_MAX_DMS_PER_HOUR) {
+            this.userAlertDmLog.set(userId, sent);
+            return false;
+        }
+        
+        sent.push(Date.now());
+        this.userAlertDmLog.set(userId, sent);
+        return true;
+    }
+
+    /**
+     * Post buys, sells and listings by watched wallets to the servers watching them
+     * @param {Array} allSales - Normalized sales from every marketplace
+     * @param {Array} allListings - Normalized listings from every marketplace
+     * @param {Array} watchedWallets - Rows from watched_wallets
+     * @param {number} hbarRate - Current HBAR to USD rate
+     */
+    async processWatchedWalletActivity(allSales, allListings, watchedWallets, hbarRate) {
+        try {
+            const walletsByAccount = new Map();
+            for (const wallet of watchedWallets) {
+                if (!walletsByAccount.has(wallet.accountId)) walletsByAccount.set(wallet.accountId, []);
+                walletsByAccount.get(wallet.accountId).push(wallet);
+            }
+            
+            // Find every (event, action, account) that involves a watched wallet
+            const matches = [];
+            const watchedSales = this.removeDuplicateSales(allSales.filter(sale =>
+                walletsByAccount.has(sale.buyer) || walletsByAccount.has(sale.seller)));
+            for (const sale of watchedSales) {
+                if (walletsByAccount.has(sale.buyer)) matches.push({ event: sale, kind: 'sale', action: 'bought', accountId: sale.buyer });
+                if (walletsByAccount.has(sale.seller)) matches.push({ event: sale, kind: 'sale', action: 'sold', accountId: sale.seller });
+            }
+            const watchedListings = this.removeDuplicateListings(allListings.filter(listing => walletsByAccount.has(listing.seller)));
+            for (const listing of watchedListings) {
+                matches.push({ event: listing, kind: 'listing', action: 'listed', accountId: listing.seller });
+            }
+            
+            matches.sort((a, b) => new Date(a.event.timestamp).getTime() - new Date(b.event.timestamp).getTime());
+            
+            for (const { event, kind, action, accountId } of matches) {
+                const eventTsMs = new Date(event.timestamp).getTime();
+                
+                // Ignore anything older than an hour so restarts don't replay old activity
+                if (!eventTsMs || Date.now() - eventTsMs > 60 * 60 * 1000) continue;
+                
+                // Only notify servers that were already watching when the activity happened
+                const wallets = walletsByAccount.get(accountId).filter(wallet => new Date(wallet.addedDate).getTime() <= eventTsMs);
+                if (wallets.length === 0) continue;
+                
+                const tokenId = event.token_id || event.tokenId;
+                const serialNumber = event.serial_number || 'unknown';
+                const uniqueId = kind === 'sale'
+                    ? (event.transaction_id || event.saleTransactionId || eventTsMs)
+                    : (event.listing_id || eventTsMs);
+                const activityId = `wallet_${action}_${tokenId}_${serialNumber}_${uniqueId}`;
+                
+                const marked = await this.storage.markSaleProcessed(activityId, tokenId);
+                if (!marked) continue;
+                
+                console.log(`👀 WATCHED WALLET: ${accountId} ${action} ${event.nft_name} (${event.marketplace})`);
+                
+                for (const wallet of wallets) {
+                    try {
+                        const serverConfig = await this.storage.getServerConfig(wallet.guildId);
+                        if (!serverConfig || !serverConfig.enabled) continue;
+                        
+                        const channelId = wallet.channelId || serverConfig.channelId;
+                        const channel = this.client.channels.cache.get(channelId);
+                        if (!channel) {
+                            console.log(`    ❌ Watchlist channel not found: ${channelId} (${serverConfig.guildName})`);
+                            continue;
+                        }
+                        
+                        event.collection_url = this.marketplaces.getCollectionUrl(event) || event.collection_url;
+                        const fiat = await currencyService.getFiatRate(serverConfig.currency);
+                        const embed = await embedUtils.createWalletActivityEmbed(event, {
+                            action,
+                            accountId,
+                            label: wallet.label
+                        }, fiat, this.getServerLocale(serverConfig));
+                        
+                        await channel.send({ embeds: [embed] });
+                        console.log(`    📤 Posted wallet activity to #${channel.name} in ${serverConfig.guildName}`);
+                    } catch (error) {
+                        console.error(`    ❌ Failed to post wallet activity to guild ${wallet.guildId}:`, error.message);
+                    }
+                }
+                
+                await this.delay(1000);
+            }
+        } catch (error) {
+            console.error('Error processing watched wallet activity:', error);
+        }
+    }
+
+    /**
+     * Post every digest whose scheduled local time has arrived
+     */
+    async checkScheduledDigests() {
+        try {
+            const configs = await this.storage.getEnabledDigestConfigs();
+            const now = new Date();
+            
+            for (const digestConfig of configs) {
+                try {
+                    if (!digestUtils.isDue(digestConfig, now)) continue;
+                    
+                    const serverConfig = await this.storage.getServerConfig(digestConfig.guildId);
+                    if (!serverConfig || !serverConfig.enabled) continue;
+                    
+                    const channelId = digestConfig.channelId || serverConfig.channelId;
+                    const channel = this.client.channels.cache.get(channelId);
+                    if (!channel) {
+                        console.log(`❌ Digest channel not found: ${channelId} (${serverConfig.guildName})`);
+                        continue;
+                    }
+                    
+                    const embed = await this.buildDigestEmbed(digestConfig.guildId, digestConfig.frequency, now);
+                    await channel.send({ embeds: [embed] });
+                    await this.storage.markDigestSent(digestConfig.guildId, now);
+                    console.log(`📰 Posted ${digestConfig.frequency} digest to ${serverConfig.guildName}`);
+                } catch (error) {
+                    console.error(`Error posting digest for guild ${digestConfig.guildId}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('Error checking scheduled digests:', error.message);
+        }
+    }
+
+    /**
+     * Build a digest embed for a server from recorded sales, listings and floor snapshots
+     * @param {string} guildId - Discord guild ID
+     * @param {string} frequency - 'daily' or 'weekly'
+     * @param {Date} until - End of the digest period
+     * @returns {Promise<EmbedBuilder>} Digest embed
+     */
+    async buildDigestEmbed(guildId, frequency, until = new Date()) {
+        const since = new Date(until.getTime() - digestUtils.getPeriodMs(frequency));
+        const collections = await this.storage.getCollections(guildId, true);
+        const tokenIds = collections.map(c => c.tokenId);
+        
+        const sales = await this.storage.getSaleHistorySince(tokenIds, since);
+        const listings = await this.storage.getListingHistorySince(tokenIds, since);
+        
+        const floors = [];
+        for (const tokenId of tokenIds) {
+            const latest = await this.storage.getLatestFloorSnapshot(tokenId);
+            const start = latest ? await this.storage.getFirstFloorSnapshotSince(tokenId, since, latest.marketplace) : null;
+            if (start && latest) {
+                floors.push({ tokenId, startPrice: start.priceHbar, currentPrice: latest.priceHbar });
+            }
+        }
+        
+        const digest = digestUtils.summarize({ sales, listings, floors });
+        const fiat = await this.getGuildFiat(guildId);
+        const locale = await this.getGuildLocale(guildId);
+        
+        return embedUtils.createDigestEmbed({
+            ...digest,
+            frequency,
+            since,
+            until,
+            collectionNames: Object.fromEntries(collections.map(c => [c.tokenId, c.name]))
+        }, fiat, locale);
+    }
+
+    /**
+     * Read tracked NFT sales from the Hedera Mirror Node since the persisted cursors.
+     * Cursors only move past transactions that were read, so a busy collector catches up over later cycles.
+     * Nothing older than the last posted on-chain sale or processNewSales' 6 hour window is read - it would be dropped anyway
+     * @param {Array<string>} trackedTokenIds - Tracked token IDs
+     * @returns {Array} Sales labelled with marketplace 'On-chain'
+     */
+    async getOnChainSales(trackedTokenIds) {
+        try {
+            const cursors = await this.storage.getOnChainSalesCursors();
+            const earliest = Math.max(await this.storage.getLastProcessedSale('On-chain'), Date.now() - (6 * 60 * 60 * 1000));
+            const result = await hederaService.getOnChainSales(trackedTokenIds, cursors, config.ONCHAIN_MAX_PAGES, earliest);
+            if (JSON.stringify(result.cursors) !== JSON.stringify(cursors)) {
+                await this.storage.setOnChainSalesCursors(result.cursors);
+            }
+            return result.sales;
+        } catch (error) {
+            console.error('Error getting on-chain sales:', error.message);
+            return [];
+        }
+    }
+
+    // Unique ID a sale is de-duplicated by: token, serial and transaction ID (or timestamp without one)
+    getSaleId(sale) {
+        const tokenId = sale.tokenId || sale.token_id || 'unknown';
+        const serialNumber = sale.serialNumber || sale.serial_number || 'unknown';
+        const transactionId = sale.saleTransactionId || sale.transaction_id || sale.transactionHash || '';
+        return `${tokenId}_${serialNumber}_${transactionId || new Date(sale.timestamp).getTime()}`;
+    }
+
+    // Unique ID a listing is de-duplicated by: token, serial and listing ID (or timestamp without one)
+    getListingId(listing) {
+        const tokenId = listing.tokenId || listing.token_id || 'unknown';
+        const serialNumber = listing.serialNumber || listing.serial_number || 'unknown';
+        const listingUniqueId = listing.listing_id || listing.id || '';
+        return `${tokenId}_${serialNumber}_${listingUniqueId || new Date(listing.timestamp).getTime()}`;
+    }
+
+    /**
+     * Load the last processed timestamp of every marketplace the events came from
+     * @param {Array} events - Normalized sales or listings
+     * @param {Function} getCursor - Reads one marketplace's cursor, e.g. storage.getLastProcessedSale
+     * @returns {Promise<Map>} Timestamp in ms by marketplace name
+     */
+    async getMarketplaceCursors(events, getCursor) {
+        const cursors = new Map();
+        for (const marketplace of new Set(events.map(event => event.marketplace))) {
+            cursors.set(marketplace, await getCursor(marketplace || null));
+        }
+        return cursors;
+    }
+
+    /**
+     * Post sales that haven't been processed yet
+     * @param {Array} allSales - Normalized sales for tracked collections
+     * @param {number} hbarRate - HBAR to USD rate
+     * @param {Object} options - { advanceCursor } - false leaves the marketplaces' last processed sale timestamps alone
+     */
+    async processNewSales(allSales, hbarRate, { advanceCursor = true } = {}) {
+        try {
+            // Get the timestamp of the last processed sale on each marketplace
+            const cursors = await this.getMarketplaceCursors(allSales, marketplace => this.storage.getLastProcessedSale(marketplace));
+            
+            // Filter for truly new sales only (sales that happened after our last check)
+            let newSales = allSales.filter(sale => {
+                const saleTimestamp = new Date(sale.timestamp).getTime();
+                const isNewer = saleTimestamp > cursors.get(sale.marketplace);
+                
+                // Extended check: sale must be within last 6 hours to catch earlier today's sales
+                const sixHoursAgo = Date.now() - (6 * 60 * 60 * 1000);
+                const isRecent = saleTimestamp > sixHoursAgo;
+                
+                return isNewer && isRecent;
+            });
+
+            if (newSales.length === 0) {
+                return;
+            }
+
+            // Remove duplicates based on token_id, serial_number, and timestamp
+            const uniqueSales = this.removeDuplicateSales(newSales);
+
+            // Let each marketplace enrich its own sales (e.g. SentX rarity for Kabila)
+            const allEnrichedSales = await this.marketplaces.enrichEvents(uniqueSales);
+            
+            // Sort by timestamp to process oldest first
+            allEnrichedSales.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+
+            // Process each new sale
+            for (const sale of allEnrichedSales) {
+                const saleId = this.getSaleId(sale);
+                
+                // Skip processing if essential data is missing
+                if (!sale.tokenId && !sale.token_id) {
+                    console.log(`Skipping sale due to missing token_id: ${sale.collection_name || sale.nft_name}`);
+                    continue;
+                }
+                
+                // Check if we've already processed this sale
+                const alreadyProcessed = await this.storage.isSaleProcessed(saleId);
+                if (alreadyProcessed) {
+                    console.log(`Skipping already processed sale: ${sale.nftName || sale.nft_name} (${saleId})`);
+                    // e.g. pushed earlier - the poll can still move past it
+                    if (advanceCursor) {
+                        await this.storage.setLastProcessedSale(new Date(sale.timestamp).getTime(), sale.marketplace);
+                    }
+                    continue;
+                }
+                
+                console.log(`🔥 NEW SALE: ${sale.collection_name || sale.nft_name} - ${sale.price_hbar} HBAR (${sale.marketplace})`);
+                console.log(`   Token ID: ${sale.token_id || sale.tokenId}, Serial: ${sale.serial_id || sale.serialNumber}`);
+                
+                // Mark sale as processed BEFORE posting to prevent race conditions
+                const actualTokenId = sale.tokenId || sale.token_id;
+                const marked = await this.storage.markSaleProcessed(saleId, actualTokenId);
                 
                 if (marked) {
-                    await this.processForeverMint(mint, hbarRate);
+                    await this.processSale(sale, hbarRate);
+                    // History (/history, digests, the API) covers every tracked sale, posted or filtered out
+                    await this.storage.recordSaleHistory(sale, saleId, hbarRate);
+                    await this.dispatchWebhooks('sale', await webhookService.serializeSale(sale, saleId, hbarRate));
+                    await this.processUserAlerts(sale, 'sale', hbarRate);
                     
-                    // Update last processed timestamp for mints
-                    const processedTsMs = new Date(mint.timestamp).getTime();
-                    await this.storage.setLastProcessedMint(processedTsMs);
+                    // Update this marketplace's last processed timestamp
+                    if (advanceCursor) {
+                        await this.storage.setLastProcessedSale(new Date(sale.timestamp).getTime(), sale.marketplace);
+                    }
                     
                     // Small delay between messages to avoid rate limiting
                     await this.delay(1000);
                 } else {
-                    console.log(`Failed to mark mint as processed, skipping: ${mint.nft_name}`);
+                    console.log(`Failed to mark sale as processed, skipping: ${sale.nftName || sale.nft_name}`);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing new sales:', error);
+        }
+    }
+
+    async processMintNotifiers(hbarRate) {
+        for (const profile of mintNotifiers.getAll()) {
+            try {
+                const mints = await sentxService.getRecentLaunchpadMints(profile.tokenId, 10);
+                mints.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+                
+                for (const mint of mints) {
+                    const mintTsMs = new Date(mint.timestamp).getTime();
+                    
+                    // Ignore anything older than an hour so restarts don't replay old mints
+                    if (!mintTsMs || Date.now() - mintTsMs > 60 * 60 * 1000) continue;
+                    if (!mint.serial_number) continue;
+                    
+                    const mintId = `mint_${profile.tokenId}_${mint.serial_number}_${mint.transaction_id || mintTsMs}`;
+                    
+                    // Mark mint as processed BEFORE posting to prevent race conditions
+                    const marked = await this.storage.markMintProcessed(mintId, profile.tokenId);
+                    if (!marked) continue;
+                    const recordedMint = { ...mint, token_id: mint.token_id || profile.tokenId };
+                    await this.storage.recordMintHistory(recordedMint, mintId);
+                    await this.dispatchWebhooks('mint', webhookService.serializeMint(recordedMint, mintId), profile.targets.map(target => target.guildId));
+                    
+                    console.log(`🌟 NEW ${profile.name.toUpperCase()}: ${mint.nft_name} - ${mint.mint_cost || 'Free'} ${mint.mint_cost_symbol || ''}`);
+                    
+                    const context = await mintNotifiers.buildContext(profile, mint);
+                    await this.sendMintNotifierPost(profile, mint, context);
+                    await this.delay(1000);
+                }
+            } catch (error) {
+                console.error(`Error processing ${profile.name} mints:`, error);
+            }
+        }
+    }
+
+    async sendMintNotifierPost(profile, mint, context) {
+        const embed = await embedUtils.createMintProfileEmbed(mint, profile, context);
+        const messageOptions = { embeds: [embed], files: [...(embed.files || [])] };
+        
+        if (profile.embed.content) {
+            messageOptions.content = embedUtils.fillMintTemplate(profile.embed.content, embedUtils.getMintTemplateValues(mint, context));
+        }
+        
+        if (profile.sticker) {
+            const stickerPath = path.join(__dirname, 'attached_assets', profile.sticker.file);
+            if (fs.existsSync(stickerPath)) {
+                messageOptions.files.push(new AttachmentBuilder(stickerPath, { name: profile.sticker.name }));
+            } else {
+                console.log(`⚠️ Sticker for ${profile.name} not found, sending without attachment`);
+            }
+        }
+        
+        for (const target of profile.targets) {
+            try {
+                let channelId = target.channelId;
+                if (!channelId) {
+                    const serverConfig = await this.storage.getServerConfig(target.guildId);
+                    if (!serverConfig) {
+                        console.log(`⚠️ Server ${target.name} not configured - ${profile.name} notification not sent`);
+                        continue;
+                    }
+                    channelId = serverConfig.mintChannelId || serverConfig.channelId;
+                }
+                
+                const channel = this.client.channels.cache.get(channelId);
+                if (!channel) {
+                    console.log(`    ❌ ${profile.name} channel not found: ${channelId} (${target.name})`);
+                    continue;
+                }
+                
+                await channel.send(messageOptions);
+                console.log(`    📤 Posted ${profile.name} to #${channel.name} in ${target.name}`);
+            } catch (error) {
+                console.error(`    ❌ Failed to post ${profile.name} to ${target.name}:`, error.message);
+            }
+        }
+    }
+
+    async processTrackedMints(mintConfigs, hbarRate) {
+        try {
+            const configsByToken = new Map();
+            for (const mintConfig of mintConfigs) {
+                if (!configsByToken.has(mintConfig.tokenId)) configsByToken.set(mintConfig.tokenId, []);
+                configsByToken.get(mintConfig.tokenId).push(mintConfig);
+            }
+            
+            // One launchpad request per token, however many servers follow it
+            for (const [tokenId, configs] of configsByToken) {
+                const mints = await sentxService.getRecentLaunchpadMints(tokenId, 20);
+                mints.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+                let newMints = 0;
+                
+                for (const mint of mints) {
+                    const mintTsMs = new Date(mint.timestamp).getTime();
+                    
+                    // Ignore anything older than an hour so restarts don't replay old mints
+                    if (!mintTsMs || Date.now() - mintTsMs > 60 * 60 * 1000) continue;
+                    if (!mint.serial_number) continue;
+                    
+                    // Only notify servers that were already tracking when the mint happened
+                    const targets = configs.filter(mintConfig => new Date(mintConfig.createdAt).getTime() <= mintTsMs);
+                    if (targets.length === 0) continue;
+                    
+                    const mintId = `launchpad_${tokenId}_${mint.serial_number}_${mint.transaction_id || mintTsMs}`;
+                    const marked = await this.storage.markMintProcessed(mintId, tokenId);
+                    if (!marked) continue;
+                    const recordedMint = { ...mint, token_id: mint.token_id || tokenId };
+                    await this.storage.recordMintHistory(recordedMint, mintId);
+                    await this.dispatchWebhooks('mint', webhookService.serializeMint(recordedMint, mintId), targets.map(mintConfig => mintConfig.guildId));
+                    newMints++;
+                    
+                    console.log(`🌱 NEW MINT: ${mint.nft_name} (${tokenId}) - ${mint.mint_cost || 'Free'} ${mint.mint_cost_symbol || ''}`);
+                    
+                    for (const mintConfig of targets) {
+                        try {
+                            const serverConfig = await this.storage.getServerConfig(mintConfig.guildId);
+                            if (!serverConfig || !serverConfig.enabled) continue;
+                            
+                            const channel = this.client.channels.cache.get(mintConfig.channelId);
+                            if (!channel) {
+                                console.log(`    ❌ Mint channel not found: ${mintConfig.channelId} (${serverConfig.guildName})`);
+                                continue;
+                            }
+                            
+                            const fiat = await currencyService.getFiatRate(serverConfig.currency);
+                            const embed = embedUtils.createLaunchpadMintEmbed(mint, fiat, mintConfig.collectionName, this.getServerLocale(serverConfig));
+                            await channel.send({ embeds: [embed] });
+                            console.log(`    📤 Posted mint to #${channel.name} in ${serverConfig.guildName}`);
+                        } catch (error) {
+                            console.error(`    ❌ Failed to post mint to guild ${mintConfig.guildId}:`, error.message);
+                        }
+                    }
+                    
+                    await this.delay(1000);
+                }
+                
+                // Supply only moves when something was minted, so skip the Mirror Node call otherwise
+                if (newMints > 0) {
+                    await this.checkMintMilestones(tokenId, configs, mints);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing tracked launchpad mints:', error);
+        }
+    }
+
+    async checkMintMilestones(tokenId, configs, recentMints) {
+        try {
+            const progress = await hederaService.getMintProgress(tokenId);
+            if (!progress) return;
+            
+            const velocity = mintMilestones.getVelocity(recentMints);
+            const sellOutMs = mintMilestones.estimateSellOut(progress, velocity);
+            
+            for (const mintConfig of configs) {
+                // Configs without a starting point get one now rather than announcing old milestones
+                if (mintConfig.lastMilestonePercent === null || mintConfig.lastMilestoneCount === null) {
+                    await this.storage.markMintMilestone(mintConfig.id, mintMilestones.getBaseline(progress));
+                    continue;
+                }
+                
+                const reached = mintMilestones.evaluate(mintConfig, progress);
+                if (reached.percent === null && reached.count === null) continue;
+                
+                await this.storage.markMintMilestone(mintConfig.id, {
+                    lastMilestonePercent: reached.percent !== null ? reached.percent : mintConfig.lastMilestonePercent,
+                    lastMilestoneCount: reached.count !== null ? reached.count : mintConfig.lastMilestoneCount
+                });
+                
+                const channel = this.client.channels.cache.get(mintConfig.channelId);
+                if (!channel) {
+                    console.log(`    ❌ Mint milestone channel not found: ${mintConfig.channelId}`);
+                    continue;
+                }
+                
+                const embed = embedUtils.createMintMilestoneEmbed({
+                    collectionName: mintConfig.collectionName || tokenId,
+                    tokenId,
+                    percent: reached.percent,
+                    count: reached.count,
+                    progress,
+                    velocity,
+                    sellOutMs,
+                    collectionUrl: recentMints.length > 0 ? recentMints[0].collection_url : null
+                }, await this.getGuildLocale(mintConfig.guildId));
+                
+                try {
+                    await channel.send({ embeds: [embed] });
+                    console.log(`🏁 Posted mint milestone for ${tokenId} to #${channel.name} (${progress.minted} minted)`);
+                } catch (error) {
+                    console.error(`    ❌ Failed to post mint milestone to guild ${mintConfig.guildId}:`, error.message);
                 }
             }
         } catch (error) {
-            console.error('Error processing new Forever Mints:', error);
+            console.error(`Error checking mint milestones for ${tokenId}:`, error);
         }
     }
 
-    async processNewListings(allListings, hbarRate) {
+    /**
+     * Post listings that haven't been processed yet
+     * @param {Array} allListings - Normalized listings for tracked collections
+     * @param {number} hbarRate - HBAR to USD rate
+     * @param {Object} options - { advanceCursor } - false leaves the marketplaces' last processed listing timestamps alone
+     */
+    async processNewListings(allListings, hbarRate, { advanceCursor = true } = {}) {
         try {
-            // Get the timestamp of the last processed listing
-            const lastProcessedTimestamp = await this.storage.getLastProcessedListing();
+            // Get the timestamp of the last processed listing on each marketplace
+            const cursors = await this.getMarketplaceCursors(allListings, marketplace => this.storage.getLastProcessedListing(marketplace));
             
             // Filter for truly new listings only (listings that happened after our last check)
             let newListings = allListings.filter(listing => {
                 const listingTimestamp = new Date(listing.timestamp).getTime();
-                const isNewer = listingTimestamp > lastProcessedTimestamp;
+                const isNewer = listingTimestamp > cursors.get(listing.marketplace);
                 
                 // Additional check: listing must be within last 15 minutes to be considered "live"
                 const fifteenMinutesAgo = Date.now() - (15 * 60 * 1000);
@@ -722,48 +1603,15 @@ class NFTSalesBot {
             // Remove duplicates based on token_id, serial_number, and timestamp
             const uniqueListings = this.removeDuplicateListings(newListings);
 
-            // Enrich Kabila listings with SentX rarity data
-            const kabilaListings = uniqueListings.filter(listing => listing.marketplace === 'Kabila');
-            const sentxListings = uniqueListings.filter(listing => listing.marketplace === 'SentX');
-            
-            let enrichedKabilaListings = kabilaListings;
-            if (kabilaListings.length > 0) {
-                try {
-                    console.log(`🔄 Enriching ${kabilaListings.length} Kabila listings with SentX rarity data...`);
-                    enrichedKabilaListings = await this.kabilaService.enrichWithSentXRarity(kabilaListings);
-                    const enrichedCount = enrichedKabilaListings.filter(listing => listing.sentx_enriched && (listing.rarity || listing.sentx_rank)).length;
-                    if (enrichedCount > 0) {
-                        console.log(`✅ Successfully enriched ${enrichedCount}/${kabilaListings.length} Kabila listings with SentX rarity`);
-                    } else {
-                        console.log(`⚠️ No Kabila listings were enriched with SentX rarity data`);
-                    }
-                } catch (error) {
-                    console.log(`❌ Failed to enrich Kabila listings with SentX rarity: ${error.message}`);
-                    enrichedKabilaListings = kabilaListings; // Use original data if enrichment fails
-                }
-            }
-            
-            const allEnrichedListings = [...sentxListings, ...enrichedKabilaListings];
+            // Let each marketplace enrich its own listings (e.g. SentX rarity for Kabila)
+            const allEnrichedListings = await this.marketplaces.enrichEvents(uniqueListings);
             
             // Sort by timestamp to process oldest first
             allEnrichedListings.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
 
             // Process each new listing
             for (const listing of allEnrichedListings) {
-                // Create more robust unique listing ID to prevent duplicates
-                const tokenId = listing.tokenId || listing.token_id || 'unknown';
-                const serialNumber = listing.serialNumber || listing.serial_number || 'unknown';
-                const listingTsMs = new Date(listing.timestamp).getTime();
-                const listingUniqueId = listing.listing_id || listing.id || '';
-                
-                // Create primary listing ID with unique listing ID if available
-                let listingId;
-                if (listingUniqueId) {
-                    listingId = `${tokenId}_${serialNumber}_${listingUniqueId}`;
-                } else {
-                    // Fallback to timestamp-based ID if no unique listing ID
-                    listingId = `${tokenId}_${serialNumber}_${listingTsMs}`;
-                }
+                const listingId = this.getListingId(listing);
                 
                 // Skip processing if essential data is missing
                 if (!listing.tokenId && !listing.token_id) {
@@ -775,6 +1623,9 @@ class NFTSalesBot {
                 const alreadyProcessed = await this.storage.isListingProcessed(listingId);
                 if (alreadyProcessed) {
                     console.log(`Skipping already processed listing: ${listing.nftName || listing.nft_name} (${listingId})`);
+                    if (advanceCursor) {
+                        await this.storage.setLastProcessedListing(new Date(listing.timestamp).getTime(), listing.marketplace);
+                    }
                     continue;
                 }
                 
@@ -786,10 +1637,15 @@ class NFTSalesBot {
                 
                 if (marked) {
                     await this.processListing(listing, hbarRate);
+                    // History covers every tracked listing, posted or filtered out
+                    await this.storage.recordListingHistory(listing, listingId, hbarRate);
+                    await this.dispatchWebhooks('listing', await webhookService.serializeListing(listing, listingId, hbarRate));
+                    await this.processUserAlerts(listing, 'listing', hbarRate);
                     
                     // Update last processed timestamp
-                    const processedTsMs = new Date(listing.timestamp).getTime();
-                    await this.storage.setLastProcessedListing(processedTsMs);
+                    if (advanceCursor) {
+                        await this.storage.setLastProcessedListing(new Date(listing.timestamp).getTime(), listing.marketplace);
+                    }
                     
                     // Small delay between messages to avoid rate limiting
                     await this.delay(1000);
@@ -868,27 +1724,164 @@ class NFTSalesBot {
         });
     }
 
-    async processSale(sale, hbarRate) {
-        try {
-            // Get all configured servers and channels
-            const serverConfigs = await this.storage.getAllServerConfigs();
-            let successCount = 0;
-            let eligibleServers = 0;
-            
-            if (serverConfigs.length === 0) {
-                console.log('❌ No servers configured for notifications');
-                return;
-            }
-            
-            console.log(`🔍 Checking ${serverConfigs.length} server(s) for collection tracking: ${sale.token_id || sale.tokenId}`);
-
-            // Check each server to see if they track this collection
+    /**
+     * Load a server's /theme settings merged with the layout defaults
+     * @param {string} guildId - Discord server ID
+     * @returns {Promise<Object>} Resolved theme
+     */
+    async getEmbedTheme(guildId) {
+        const themeRow = await this.storage.getEmbedTheme(guildId);
+        return embedThemes.resolve(themeRow);
+    }
+
+    /**
+     * Rate for a server's display currency (/set-currency, or DEFAULT_CURRENCY)
+     * @param {string|null} guildId - Discord server ID (null for the default currency)
+     * @returns {Promise<Object>} { code, rate, usdRate }
+     */
+    async getGuildFiat(guildId) {
+        const serverConfig = guildId ? await this.storage.getServerConfig(guildId) : null;
+        return currencyService.getFiatRate(serverConfig ? serverConfig.currency : null);
+    }
+
+    /**
+     * Language for a server: its /language setting, then the guild's Discord language, then DEFAULT_LOCALE
+     * @param {Object} serverConfig - Server configuration row (only guildId is needed when nothing is stored)
+     * @returns {string} Locale code, e.g. 'en' or 'es'
+     */
+    getServerLocale(serverConfig) {
+        if (serverConfig && serverConfig.locale) return i18n.normalize(serverConfig.locale);
+        const guild = serverConfig && serverConfig.guildId ? this.client.guilds.cache.get(serverConfig.guildId) : null;
+        return i18n.normalize(guild ? guild.preferredLocale : null);
+    }
+
+    /**
+     * Load a server's language
+     * @param {string|null} guildId - Discord server ID (null for the default language)
+     * @returns {Promise<string>} Locale code
+     */
+    async getGuildLocale(guildId) {
+        const serverConfig = guildId ? await this.storage.getServerConfig(guildId) : null;
+        return this.getServerLocale(serverConfig || { guildId });
+    }
+
+    /**
+     * Queue an event for every webhook endpoint that should receive it, then start delivering
+     * @param {string} event - 'sale', 'listing' or 'mint'
+     * @param {Object} data - Serialized event (webhookService.serializeSale etc.)
+     * @param {Array<string>|null} guildIds - Servers the event belongs to; null means servers tracking the collection
+     */
+    async dispatchWebhooks(event, data, guildIds = null) {
+        try {
+            const endpoints = await this.storage.getWebhookEndpointsForEvent(event);
+            let queued = 0;
+
+            for (const endpoint of endpoints) {
+                if (endpoint.tokenId && endpoint.tokenId !== data.token_id) continue;
+                const relevant = guildIds
+                    ? guildIds.includes(endpoint.guildId)
+                    : await this.storage.isCollectionTracked(data.token_id, endpoint.guildId);
+                if (!relevant) continue;
+
+                const { deliveryId, payload } = webhookService.buildPayload(event, data, endpoint.guildId);
+                if (await this.storage.enqueueWebhookDelivery(endpoint, event, deliveryId, payload)) queued++;
+            }
+
+            if (queued > 0) {
+                console.log(`🪝 Queued ${event} webhook for ${queued} endpoint(s)`);
+                // Deliver in the background so webhook endpoints never hold up Discord notifications
+                this.processWebhookDeliveries();
+            }
+        } catch (error) {
+            console.error(`Error dispatching ${event} webhooks:`, error);
+        }
+    }
+
+    // Send due deliveries; failures are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS
+    async processWebhookDeliveries() {
+        if (this.webhookDeliveryInProgress) {
+            this.webhookDeliveryRequested = true;
+            return;
+        }
+
+        this.webhookDeliveryInProgress = true;
+        try {
+            do {
+                this.webhookDeliveryRequested = false;
+                const deliveries = await this.storage.getDueWebhookDeliveries(50);
+                const endpoints = new Map();
+
+                for (const delivery of deliveries) {
+                    if (!endpoints.has(delivery.endpointId)) {
+                        endpoints.set(delivery.endpointId, await this.storage.getWebhookEndpoint(delivery.endpointId));
+                    }
+                    const endpoint = endpoints.get(delivery.endpointId);
+                    const attempts = delivery.attempts + 1;
+
+                    const result = endpoint && endpoint.enabled
+                        ? await webhookService.send(endpoint, delivery.deliveryId, delivery.payload)
+                        : { ok: false, error: 'Endpoint removed or disabled' };
+
+                    if (result.ok) {
+                        await this.storage.updateWebhookDelivery(delivery.id, {
+                            status: 'delivered',
+                            attempts,
+                            lastError: null,
+                            completedAt: new Date()
+                        });
+                        await this.storage.setWebhookEndpointStatus(endpoint.id, 'delivered');
+                        continue;
+                    }
+
+                    const exhausted = !endpoint || !endpoint.enabled || attempts >= config.WEBHOOK_MAX_ATTEMPTS;
+                    await this.storage.updateWebhookDelivery(delivery.id, exhausted
+                        ? { status: 'failed', attempts, lastError: result.error, completedAt: new Date() }
+                        : { attempts, lastError: result.error, nextAttemptAt: new Date(Date.now() + webhookService.getRetryDelay(attempts)) });
+                    if (endpoint) await this.storage.setWebhookEndpointStatus(endpoint.id, result.error);
+
+                    if (exhausted) {
+                        console.log(`🪦 Webhook delivery ${delivery.deliveryId} to #${delivery.endpointId} failed after ${attempts} attempt(s): ${result.error}`);
+                    } else {
+                        console.log(`🔁 Webhook delivery ${delivery.deliveryId} to #${delivery.endpointId} failed (${result.error}), attempt ${attempts}/${config.WEBHOOK_MAX_ATTEMPTS}`);
+                    }
+                }
+            } while (this.webhookDeliveryRequested);
+        } catch (error) {
+            console.error('Error processing webhook deliveries:', error);
+        } finally {
+            this.webhookDeliveryInProgress = false;
+        }
+    }
+
+    /**
+     * Post a sale to every server that tracks its collection
+     * @param {Object} sale - Normalized sale
+     * @param {number} hbarRate - HBAR to USD rate
+     * @param {Object} options - { guildIds } to only post in these servers, { delayed } to mark it as caught up after downtime
+     * @returns {Promise<number>} Number of servers it was posted to
+     */
+    async processSale(sale, hbarRate, { guildIds = null, delayed = false } = {}) {
+        try {
+            // Get all configured servers and channels
+            const serverConfigs = await this.storage.getAllServerConfigs();
+            let successCount = 0;
+            let eligibleServers = 0;
+            
+            if (serverConfigs.length === 0) {
+                console.log('❌ No servers configured for notifications');
+                return 0;
+            }
+            
+            console.log(`🔍 Checking ${serverConfigs.length} server(s) for collection tracking: ${sale.token_id || sale.tokenId}`);
+
+            // Check each server to see if they track this collection
             for (const serverConfig of serverConfigs) {
                 try {
                     if (!serverConfig.enabled) {
                         console.log(`  ⏸️ ${serverConfig.guildName || serverConfig.guildId}: notifications disabled`);
                         continue;
                     }
+                    if (guildIds && !guildIds.includes(serverConfig.guildId)) continue;
                     
                     // Check if this server tracks the collection
                     const isTracked = await this.storage.isCollectionTracked(sale.token_id || sale.tokenId, serverConfig.guildId);
@@ -900,6 +1893,14 @@ class NFTSalesBot {
                         continue; // Skip this server if collection not tracked
                     }
                     
+                    // Apply this server's filter rules before building the embed
+                    const filter = await this.storage.getNotificationFilter(serverConfig.guildId, sale.token_id || sale.tokenId);
+                    const filterResult = notificationFilters.evaluate(sale, filter, 'sale');
+                    if (!filterResult.allowed) {
+                        console.log(`  🚫 ${serverConfig.guildName || serverConfig.guildId}: filtered out (${filterResult.reason})`);
+                        continue;
+                    }
+                    
                     eligibleServers++;
                     console.log(`  ✅ ${serverConfig.guildName || serverConfig.guildId}: collection tracked, posting notification...`);
                     
@@ -907,36 +1908,33 @@ class NFTSalesBot {
                     if (channel) {
                         console.log(`     📍 Found channel #${channel.name} (${serverConfig.channelId}) in ${serverConfig.guildName}`);
                         
-                        // Add marketplace-specific collection URLs
-                        if (sale.marketplace === 'Kabila') {
-                            // Kabila URL format
-                            const tokenNumber = (sale.token_id || sale.tokenId || '').replace('0.0.', '');
-                            if (tokenNumber) {
-                                sale.collection_url = `https://market.kabila.app/en/collections/${tokenNumber}/items`;
-                            }
-                        } else {
-                            // SentX URL format - use collection name (preferred) or token ID fallback
-                            const collectionName = sale.collection_name || sale.collectionName;
-                            const tokenId = sale.token_id || sale.tokenId;
-                            sale.collection_url = this.getSentXCollectionUrl(collectionName, tokenId);
-                        }
+                        // Add marketplace-specific collection URL
+                        sale.collection_url = this.marketplaces.getCollectionUrl(sale) || sale.collection_url;
                         
-                        // Create Discord embed for the sale with image effects based on server setting
-                        const embed = await embedUtils.createSaleEmbed(sale, hbarRate, serverConfig.guildId);
+                        // Create Discord embed for the sale in this server's theme, currency and language
+                        const theme = await this.getEmbedTheme(serverConfig.guildId);
+                        const fiat = await currencyService.getFiatRate(serverConfig.currency);
+                        const embed = await embedUtils.createSaleEmbed(sale, fiat, serverConfig.guildId, theme, this.getServerLocale(serverConfig));
                         
                         // Handle attachment if present
                         const messageOptions = { embeds: [embed] };
                         if (embed.files && embed.files.length > 0) {
                             messageOptions.files = embed.files;
                         }
+                        if (delayed) {
+                            messageOptions.content = this.getDelayedMarker(sale, serverConfig);
+                        }
                         
                         const message = await channel.send(messageOptions);
                         
-                        // Add fire emoji reaction
-                        try {
-                            await message.react('🔥');
-                        } catch (error) {
-                            console.log('Could not add reaction:', error.message);
+                        // Add the theme's reaction (fire by default)
+                        const reaction = embedThemes.getReaction(theme, 'sale', embedThemes.DEFAULT_SALE_REACTION);
+                        if (reaction) {
+                            try {
+                                await message.react(reaction);
+                            } catch (error) {
+                                console.log('Could not add reaction:', error.message);
+                            }
                         }
                         
                         successCount++;
@@ -955,100 +1953,21 @@ class NFTSalesBot {
                 console.log(`⚠️ Failed to post to any of ${eligibleServers} eligible server(s)`);
             }
 
+            return successCount;
         } catch (error) {
             console.error('Error processing sale:', error.message);
+            return 0;
         }
     }
 
-    async processForeverMint(mint, hbarRate) {
-        try {
-            // Target Discord servers for Forever Mint notifications
-            const targetGuilds = [
-                '910963230317355008', // Migos World Discord
-                '1248509900154343504'  // Wild Tigers Discord
-            ];
-            
-            // Send Forever Mint notifications to both target servers
-            for (const guildId of targetGuilds) {
-                const serverConfig = await this.storage.getServerConfig(guildId);
-                
-                if (serverConfig) {
-                    // Determine which channel to use for mint notifications
-                    let mintChannelId = null;
-                    
-                    if (serverConfig.mintChannelId) {
-                        // Use dedicated mint channel if configured
-                        mintChannelId = serverConfig.mintChannelId;
-                    } else if (serverConfig.channelId) {
-                        // Fall back to main sales channel if no dedicated mint channel
-                        mintChannelId = serverConfig.channelId;
-                    }
-                    
-                    // Send Forever Mint notification
-                    if (mintChannelId) {
-                        console.log(`🌟 Sending Forever Mint notification to ${serverConfig.guildName}: ${mint.nft_name}`);
-                        await this.sendForeverMintNotification(serverConfig.guildId, mintChannelId, mint, hbarRate);
-                    }
-                } else {
-                    console.log(`⚠️ Server ${guildId} not found - Forever Mint notification not sent`);
-                }
-            }
-        } catch (error) {
-            console.error('Error processing Forever Mint:', error);
-        }
-    }
-
-    async sendForeverMintNotification(guildId, channelId, mint, hbarRate) {
-        try {
-            const guild = this.client.guilds.cache.get(guildId);
-            if (!guild) {
-                console.error(`Guild not found: ${guildId}`);
-                return;
-            }
-
-            const channel = guild.channels.cache.get(channelId);
-            if (!channel) {
-                console.error(`Channel not found: ${channelId} in guild ${guild.name}`);
-                return;
-            }
-
-            // Create Forever Mint embed
-            const embed = await this.embedUtils.createForeverMintEmbed(mint, hbarRate, guildId);
-            
-            // Attach Migos World logo for thumbnail with better error handling
-            let messageOptions = { embeds: [embed] };
-            
-            try {
-                const { AttachmentBuilder } = require('discord.js');
-                const fs = require('fs');
-                const path = require('path');
-                
-                const logoPath = path.join(__dirname, 'attached_assets', 'Forever Mint Sticker_1756349371753.png');
-                
-                // Check if file exists before creating attachment
-                if (fs.existsSync(logoPath)) {
-                    const logoAttachment = new AttachmentBuilder(logoPath, { name: 'forever-mint-sticker.png' });
-                    messageOptions.files = [logoAttachment];
-                } else {
-                    console.log('⚠️ Forever Mint sticker not found, sending without attachment');
-                }
-            } catch (attachmentError) {
-                console.error('Error creating attachment, sending embed only:', attachmentError.message);
-            }
-            
-            // Send the embed with or without attachment
-            await channel.send(messageOptions);
-            
-            console.log(`✅ Forever Mint notification sent to ${guild.name}/#${channel.name}: ${mint.nft_name}`);
-
-        } catch (error) {
-            console.error(`Error sending Forever Mint notification to guild ${guildId}:`, error.message);
-            console.error('Full error details:', error.stack);
-            // Don't rethrow - let the bot continue running
-        }
-    }
-
-    async processListing(listing, hbarRate) {
+    /**
+     * Post a listing to every server that tracks its collection
+     * @param {Object} listing - Normalized listing
+     * @param {number} hbarRate - HBAR to USD rate
+     * @param {Object} options - { guildIds } to only post in these servers, { delayed } to mark it as caught up after downtime
+     * @returns {Promise<number>} Number of servers it was posted to
+     */
+    async processListing(listing, hbarRate, { guildIds = null, delayed = false } = {}) {
         try {
             // Get all configured servers and channels
             const serverConfigs = await this.storage.getAllServerConfigs();
@@ -1057,11 +1976,14 @@ class NFTSalesBot {
             
             if (serverConfigs.length === 0) {
                 console.log('❌ No servers configured for listing notifications');
-                return;
+                return 0;
             }
             
             console.log(`🔍 Checking ${serverConfigs.length} server(s) for collection tracking: ${listing.token_id || listing.tokenId}`);
 
+            // Floor and rarity lookups are only needed when a server has a snipes channel
+            let snipeContext = null;
+
             // Check each server to see if they track this collection
             for (const serverConfig of serverConfigs) {
                 try {
@@ -1069,6 +1991,7 @@ class NFTSalesBot {
                         console.log(`  ⏸️ ${serverConfig.guildName || serverConfig.guildId}: notifications disabled`);
                         continue;
                     }
+                    if (guildIds && !guildIds.includes(serverConfig.guildId)) continue;
                     
                     // Check if this server tracks the collection
                     const isTracked = await this.storage.isCollectionTracked(listing.token_id || listing.tokenId, serverConfig.guildId);
@@ -1078,6 +2001,14 @@ class NFTSalesBot {
                         continue; // Skip this server if collection not tracked
                     }
                     
+                    // Apply this server's filter rules before building the embed
+                    const filter = await this.storage.getNotificationFilter(serverConfig.guildId, listing.token_id || listing.tokenId);
+                    const filterResult = notificationFilters.evaluate(listing, filter, 'listing');
+                    if (!filterResult.allowed) {
+                        console.log(`  🚫 ${serverConfig.guildName || serverConfig.guildId}: filtered out (${filterResult.reason})`);
+                        continue;
+                    }
+                    
                     eligibleServers++;
                     console.log(`  ✅ ${serverConfig.guildName || serverConfig.guildId}: collection tracked, posting listing...`);
                     
@@ -1087,38 +2018,34 @@ class NFTSalesBot {
                     const channelType = serverConfig.listingsChannelId ? 'listings' : 'main';
                     
                     if (channel) {
-                        // Add marketplace-specific collection URLs
-                        if (listing.marketplace === 'Kabila') {
-                            // Kabila URL format
-                            const tokenNumber = (listing.token_id || listing.tokenId || '').replace('0.0.', '');
-                            if (tokenNumber) {
-                                listing.collection_url = `https://market.kabila.app/en/collections/${tokenNumber}/items`;
-                            }
-                        } else {
-                            // SentX URL format - use collection name (preferred) or token ID fallback
-                            const collectionName = listing.collection_name || listing.collectionName;
-                            const tokenId = listing.token_id || listing.tokenId;
-                            listing.collection_url = this.getSentXCollectionUrl(collectionName, tokenId);
-                        }
+                        // Add marketplace-specific collection URL
+                        listing.collection_url = this.marketplaces.getCollectionUrl(listing) || listing.collection_url;
                         
-                        // Create Discord embed for the listing with image effects based on server setting
-                        const embed = await embedUtils.createListingEmbed(listing, hbarRate, serverConfig.guildId);
+                        // Create Discord embed for the listing in this server's theme, currency and language
+                        const theme = await this.getEmbedTheme(serverConfig.guildId);
+                        const fiat = await currencyService.getFiatRate(serverConfig.currency);
+                        const embed = await embedUtils.createListingEmbed(listing, fiat, serverConfig.guildId, theme, this.getServerLocale(serverConfig));
                         
                         // Handle attachment if present
                         const messageOptions = { embeds: [embed] };
                         if (embed.files && embed.files.length > 0) {
                             messageOptions.files = embed.files;
                         }
+                        if (delayed) {
+                            messageOptions.content = this.getDelayedMarker(listing, serverConfig);
+                        }
                         
                         const message = await channel.send(messageOptions);
                         
-                        // Add appropriate emoji reaction based on listing type
-                        try {
-                            const isAuction = listing.sale_type === 'Auction';
-                            const emoji = isAuction ? '🏆' : '📝';
-                            await message.react(emoji);
-                        } catch (error) {
-                            console.log('Could not add reaction:', error.message);
+                        // Add the theme's reaction, or one based on listing type
+                        const isAuction = listing.sale_type === 'Auction';
+                        const reaction = embedThemes.getReaction(theme, 'listing', isAuction ? '🏆' : '📝');
+                        if (reaction) {
+                            try {
+                                await message.react(reaction);
+                            } catch (error) {
+                                console.log('Could not add reaction:', error.message);
+                            }
                         }
                         
                         successCount++;
@@ -1126,6 +2053,14 @@ class NFTSalesBot {
                     } else {
                         console.log(`    ❌ Channel not found: ${channelId} (${channelType})`);
                     }
+                    
+                    // A listing from before a restart may be long gone, so it's no snipe
+                    if (serverConfig.snipesChannelId && !delayed) {
+                        if (!snipeContext) {
+                            snipeContext = await this.getSnipeContext(listing);
+                        }
+                        await this.postSnipe(listing, snipeContext, serverConfig);
+                    }
                 } catch (error) {
                     console.error(`    ❌ Failed to post listing to server ${serverConfig.guildName || serverConfig.guildId}:`, error.message);
                 }
@@ -1137,8 +2072,10 @@ class NFTSalesBot {
                 console.log(`⚠️ Failed to post listing to any of ${eligibleServers} eligible server(s)`);
             }
 
+            return successCount;
         } catch (error) {
             console.error('Error processing listing:', error.message);
+            return 0;
         }
     }
 
@@ -1268,49 +2205,50 @@ class NFTSalesBot {
                 await this.storage.setServerConfig(guild.id, firstChannel.id, guild.name, true);
                 
                 if (sendWelcome) {
-                    // Send welcome message
+                    // Send welcome message in the guild's Discord language
+                    const t = i18n.translator(i18n.normalize(guild.preferredLocale));
                     const welcomeEmbed = {
-                        title: '🤖 NFT Sales Bot Added!',
-                        description: `Thank you for adding the NFT Sales Bot to **${guild.name}**!`,
+                        title: t('welcome.title'),
+                        description: t('welcome.description', { server: guild.name }),
                         color: 0x00ff00,
                         thumbnail: {
                             url: 'attachment://migos-logo.png'
                         },
                         fields: [
                             {
-                                name: '📈 What I Do',
-                                value: 'I track real-time NFT sales from SentX and Kabila marketplaces on Hedera and post detailed notifications here.',
+                                name: t('welcome.whatTitle'),
+                                value: t('welcome.what'),
                                 inline: false
                             },
                             {
-                                name: '📚 Available Commands',
-                                value: '• `/add` - Add NFT collection to track\n• `/remove` - Remove collection from tracking\n• `/remove-all` - Remove ALL collections (with confirmation)\n• `/list` - Show all tracked collections\n• `/status` - Check bot health and statistics\n• `/set-listings-channel` - Set separate channel for listings\n• `/set-mint-channel` - Set separate channel for Forever Mint notifications\n• `/test` - Test bot functionality\n• `/support` - Get help and support info',
+                                name: t('about.commandsTitle'),
+                                value: t('about.commands'),
                                 inline: false
                             },
                             {
-                                name: '⚙️ Quick Setup',
-                                value: '1. Use `/add` to add NFT collections to track\n2. Use `/list` to see your tracked collections\n3. Optional: Use `/set-listings-channel` for separate listing notifications\n4. Use `/test` to verify everything works!',
+                                name: t('welcome.setupTitle'),
+                                value: t('welcome.setup'),
                                 inline: false
                             },
                             {
-                                name: '🏪 Supported Marketplaces',
-                                value: '• **SentX** - Full sales & listings tracking\n• **Kabila** - Full sales & listings tracking\n• Cross-marketplace rarity enrichment\n• Real-time price conversion (HBAR to USD)',
+                                name: t('about.marketplacesTitle'),
+                                value: t('about.marketplaces'),
                                 inline: false
                             },
                             {
-                                name: '✨ Key Features',
-                                value: '• Real-time sales & listing notifications\n• Separate channels for sales vs listings\n• NFT images with Hashinal support\n• Buyer/seller whale tier indicators\n• Collection-specific tracking\n• Cross-marketplace data enrichment',
+                                name: t('about.featuresTitle'),
+                                value: t('about.features'),
                                 inline: false
                             },
                             {
-                                name: '🛟 Need Help?',
-                                value: '[Join our Discord support server](https://discord.gg/fkKEgckbYH)\n\nContact **Mauii** or **Wise Whale** for setup help and questions!',
+                                name: t('welcome.helpTitle'),
+                                value: t('welcome.help'),
                                 inline: false
                             }
                         ],
                         timestamp: new Date().toISOString(),
                         footer: { 
-                            text: 'Built for the Hedera NFT community by Migos World Labs',
+                            text: t('about.footer'),
                             icon_url: 'https://sentient-bherbhd8e3cyg4dn.z01.azurefd.net/media/web/hedera-logo-128.png'
                         }
                     };
@@ -1408,799 +2346,3405 @@ class NFTSalesBot {
                 ]
             },
             {
-                name: 'support',
-                description: 'Get support and help with the bot'
+                name: 'set-snipes-channel',
+                description: 'Post listings priced well below floor (or rare and cheap) to a dedicated channel',
+                options: [
+                    {
+                        name: 'channel',
+                        type: 7, // CHANNEL
+                        description: 'Channel for snipe alerts (leave empty to turn snipe alerts off)',
+                        required: false
+                    },
+                    {
+                        name: 'under_floor_percent',
+                        type: 10, // NUMBER
+                        description: 'How far under floor a listing must be (default 20%)',
+                        required: false,
+                        min_value: 1,
+                        max_value: 95
+                    },
+                    {
+                        name: 'rare_top_percent',
+                        type: 10, // NUMBER
+                        description: 'Rank within this top % of supply counts as rare (default 10%)',
+                        required: false,
+                        min_value: 0.1,
+                        max_value: 50
+                    }
+                ]
             },
             {
-                name: 'test',
-                description: 'Test the bot functionality',
+                name: 'set-currency',
+                description: 'Choose the currency prices are converted to in this server',
                 options: [
                     {
-                        name: 'type',
+                        name: 'currency',
                         type: 3, // STRING
-                        description: 'Type of test to run',
-                        required: false,
+                        description: 'Display currency for fiat values',
+                        required: true,
+                        choices: Object.entries(currencyService.SUPPORTED_CURRENCIES).map(([code, name]) => ({ name: `${code} - ${name}`, value: code }))
+                    }
+                ]
+            },
+            {
+                name: 'language',
+                description: 'Choose the bot language for this server',
+                options: [
+                    {
+                        name: 'language',
+                        type: 3, // STRING
+                        description: 'Language for notifications and replies',
+                        required: true,
+                        choices: [
+                            ...Object.entries(i18n.LOCALES).map(([code, locale]) => ({ name: locale.name, value: code })),
+                            { name: 'Server Discord language', value: 'auto' }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'set-catch-up',
+                description: 'Choose what the bot posts about activity it missed while offline',
+                options: [
+                    {
+                        name: 'mode',
+                        type: 3, // STRING
+                        description: 'What to do with missed sales and listings after a restart',
+                        required: true,
                         choices: [
+                            { name: 'Post them, marked as delayed', value: 'post' },
+                            { name: 'Post one summary', value: 'summary' },
+                            { name: 'Nothing', value: 'off' }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'set-manager-role',
+                description: 'Choose the role that can manage the bot (server admins only)',
+                default_member_permissions: '32', // Manage Server permission
+                options: [
+                    {
+                        name: 'role',
+                        type: 8, // ROLE
+                        description: 'Bot manager role (leave empty to remove it)',
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'audit',
+                description: 'Show denied attempts and permission changes for bot management'
+            },
+            {
+                name: 'webhook',
+                description: 'Send signed sale, listing and mint events to your own HTTPS endpoints',
+                options: [
+                    {
+                        name: 'add',
+                        type: 1, // SUB_COMMAND
+                        description: 'Register an HTTPS endpoint (the signing secret is shown once)',
+                        options: [
                             {
-                                name: 'Recent SentX Sale',
-                                value: 'recent-sentx-sale'
+                                name: 'url',
+                                type: 3, // STRING
+                                description: 'HTTPS URL that receives the POST requests',
+                                required: true,
+                                max_length: 500
                             },
                             {
-                                name: 'Recent SentX Listing',
-                                value: 'recent-sentx-listing'
+                                name: 'events',
+                                type: 3, // STRING
+                                description: 'Which events to send',
+                                required: true,
+                                choices: [
+                                    { name: 'All events', value: 'all' },
+                                    { name: 'Sales', value: 'sale' },
+                                    { name: 'Listings', value: 'listing' },
+                                    { name: 'Mints', value: 'mint' }
+                                ]
                             },
                             {
-                                name: 'Recent Kabila Sale',
-                                value: 'recent-kabila-sale'
-                            },
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Only events for this token ID (defaults to every collection the server follows)',
+                                required: false,
+                                autocomplete: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        type: 1, // SUB_COMMAND
+                        description: 'Delete a webhook endpoint',
+                        options: [
                             {
-                                name: 'Recent Kabila Listing',
-                                value: 'recent-kabila-listing'
+                                name: 'id',
+                                type: 4, // INTEGER
+                                description: 'Endpoint ID (shown in /webhook list)',
+                                required: true,
+                                min_value: 1
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show this server\'s webhook endpoints'
+                    },
+                    {
+                        name: 'test',
+                        type: 1, // SUB_COMMAND
+                        description: 'Send a signed test event to an endpoint now',
+                        options: [
+                            {
+                                name: 'id',
+                                type: 4, // INTEGER
+                                description: 'Endpoint ID (shown in /webhook list)',
+                                required: true,
+                                min_value: 1
+                            }
+                        ]
+                    },
+                    {
+                        name: 'failures',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show deliveries that failed after every retry'
+                    }
+                ]
+            },
+            {
+                name: 'support',
+                description: 'Get support and help with the bot'
+            },
+            {
+                name: 'alert',
+                description: 'Personal alerts sent to you by direct message',
+                options: [
+                    {
+                        name: 'me',
+                        type: 1, // SUB_COMMAND
+                        description: 'DM me when a sale or listing in a collection matches my rules',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of a collection tracked in this server',
+                                required: true,
+                                autocomplete: true
                             },
                             {
-                                name: 'Recent HTS Payment Sale',
-                                value: 'recent-hts-sale'
+                                name: 'max_price',
+                                type: 10, // NUMBER
+                                description: 'Only alert at or below this price in HBAR',
+                                required: false,
+                                min_value: 0
                             },
                             {
-                                name: 'Recent HTS Payment Listing',
-                                value: 'recent-hts-listing'
+                                name: 'max_rank',
+                                type: 4, // INTEGER
+                                description: 'Only alert for NFTs ranked this rare or better',
+                                required: false,
+                                min_value: 1
                             },
                             {
-                                name: 'Wild Tigers Forever Mint',
-                                value: 'forever-mint'
+                                name: 'events',
+                                type: 3, // STRING
+                                description: 'What to alert on (default: listings)',
+                                required: false,
+                                choices: [
+                                    { name: 'Listings', value: 'listings' },
+                                    { name: 'Sales', value: 'sales' },
+                                    { name: 'Listings and sales', value: 'all' }
+                                ]
                             }
                         ]
                     },
                     {
-                        name: 'collection',
-                        type: 3, // STRING
-                        description: 'Token ID of collection to test (optional - shows tracked collections)',
-                        required: false,
-                        autocomplete: true
+                        name: 'mine',
+                        type: 1, // SUB_COMMAND
+                        description: 'List your personal alerts, or delete one',
+                        options: [
+                            {
+                                name: 'delete',
+                                type: 4, // INTEGER
+                                description: 'ID of the alert to delete (shown in the list)',
+                                required: false,
+                                min_value: 1
+                            }
+                        ]
                     }
                 ]
-            }
-        ];
-
-        try {
-            console.log('Registering slash commands...');
-            console.log(`Registering ${commands.length} public commands including: ${commands.map(c => c.name).join(', ')}`);
-            
-            // Register public commands globally (no clearing - keeps existing commands intact)
-            await rest.put(
-                Routes.applicationCommands(this.client.user.id),
-                { body: commands }
-            );
-            
-            console.log(`✅ Successfully registered ${commands.length} public slash commands globally:`);
-            commands.forEach(cmd => {
-                console.log(`   /${cmd.name} - ${cmd.description}`);
-            });
-
-            // Register development-only commands to a specific test server (if in development mode)
-            if (process.env.NODE_ENV === 'development' || process.env.ENABLE_DEV_COMMANDS === 'true') {
-                const devCommands = [
+            },
+            {
+                name: 'watch',
+                description: 'Follow specific Hedera accounts across every collection',
+                options: [
                     {
-                        name: 'announce',
-                        description: 'Send bot update announcements (Admin only - Dev Command)',
-                        default_member_permissions: '8', // Administrator permission
+                        name: 'wallet',
+                        type: 2, // SUB_COMMAND_GROUP
+                        description: 'Manage watched wallets',
                         options: [
                             {
-                                name: 'type',
-                                type: 3, // STRING
-                                description: 'Type of announcement to send',
-                                required: true,
-                                choices: [
+                                name: 'add',
+                                type: 1, // SUB_COMMAND
+                                description: 'Get notified when an account buys, sells or lists any NFT',
+                                options: [
                                     {
-                                        name: 'HTS Token Update - August 2025',
-                                        value: 'hts-update-aug-2025'
+                                        name: 'account',
+                                        type: 3, // STRING
+                                        description: 'Hedera account ID (e.g. 0.0.123456)',
+                                        required: true
                                     },
                                     {
-                                        name: 'Custom Message',
-                                        value: 'custom'
+                                        name: 'label',
+                                        type: 3, // STRING
+                                        description: 'Name to show in notifications (e.g. Treasury)',
+                                        required: false,
+                                        max_length: 50
+                                    },
+                                    {
+                                        name: 'channel',
+                                        type: 7, // CHANNEL
+                                        description: 'Channel for this wallet (defaults to the main sales channel)',
+                                        required: false
                                     }
                                 ]
                             },
                             {
-                                name: 'message',
+                                name: 'remove',
+                                type: 1, // SUB_COMMAND
+                                description: 'Stop watching an account',
+                                options: [
+                                    {
+                                        name: 'account',
+                                        type: 3, // STRING
+                                        description: 'Hedera account ID (e.g. 0.0.123456)',
+                                        required: true
+                                    }
+                                ]
+                            },
+                            {
+                                name: 'list',
+                                type: 1, // SUB_COMMAND
+                                description: 'Show watched wallets in this server'
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'digest',
+                description: 'Daily or weekly summary reports for this server',
+                options: [
+                    {
+                        name: 'enable',
+                        type: 1, // SUB_COMMAND
+                        description: 'Turn on scheduled digests',
+                        options: [
+                            {
+                                name: 'channel',
+                                type: 7, // CHANNEL
+                                description: 'Channel for digests (defaults to the main sales channel)',
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'disable',
+                        type: 1, // SUB_COMMAND
+                        description: 'Turn off scheduled digests'
+                    },
+                    {
+                        name: 'schedule',
+                        type: 1, // SUB_COMMAND
+                        description: 'Set how often and when digests are posted',
+                        options: [
+                            {
+                                name: 'frequency',
                                 type: 3, // STRING
-                                description: 'Custom announcement message (only for custom type)',
+                                description: 'Daily or weekly',
+                                required: true,
+                                choices: [
+                                    { name: 'Daily', value: 'daily' },
+                                    { name: 'Weekly', value: 'weekly' }
+                                ]
+                            },
+                            {
+                                name: 'hour',
+                                type: 4, // INTEGER
+                                description: 'Local hour to post at (0-23)',
+                                required: true,
+                                min_value: 0,
+                                max_value: 23
+                            },
+                            {
+                                name: 'timezone',
+                                type: 3, // STRING
+                                description: 'Timezone name, e.g. America/New_York (default UTC)',
+                                required: false
+                            },
+                            {
+                                name: 'day',
+                                type: 4, // INTEGER
+                                description: 'Day of the week for weekly digests (default Monday)',
+                                required: false,
+                                choices: digestUtils.WEEKDAYS.map((name, value) => ({ name, value }))
+                            }
+                        ]
+                    },
+                    {
+                        name: 'preview',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show the digest for the current period now',
+                        options: [
+                            {
+                                name: 'frequency',
+                                type: 3, // STRING
+                                description: 'Period to preview (defaults to the configured frequency)',
+                                required: false,
+                                choices: [
+                                    { name: 'Daily', value: 'daily' },
+                                    { name: 'Weekly', value: 'weekly' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'stats',
+                description: 'Show sales analytics for a tracked collection',
+                options: [
+                    {
+                        name: 'collection',
+                        type: 3, // STRING
+                        description: 'Token ID of a tracked collection',
+                        required: true,
+                        autocomplete: true
+                    },
+                    {
+                        name: 'period',
+                        type: 3, // STRING
+                        description: 'Time period to analyze (default: 7d)',
+                        required: false,
+                        choices: [
+                            { name: 'Last 24 hours', value: '24h' },
+                            { name: 'Last 7 days', value: '7d' },
+                            { name: 'Last 30 days', value: '30d' },
+                            { name: 'All time', value: 'all' }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'market',
+                description: 'Show a 24h overview of the Hedera NFT market'
+            },
+            {
+                name: 'history',
+                description: 'Browse past sales or listings posted for a collection',
+                options: [
+                    {
+                        name: 'collection',
+                        type: 3, // STRING
+                        description: 'Token ID of the collection',
+                        required: true,
+                        autocomplete: true
+                    },
+                    {
+                        name: 'type',
+                        type: 3, // STRING
+                        description: 'Sales or listings (default: sales)',
+                        required: false,
+                        choices: [
+                            { name: 'Sales', value: 'sales' },
+                            { name: 'Listings', value: 'listings' }
+                        ]
+                    },
+                    {
+                        name: 'serial',
+                        type: 4, // INTEGER
+                        description: 'Only show a single NFT serial number',
+                        required: false,
+                        min_value: 1
+                    },
+                    {
+                        name: 'buyer',
+                        type: 3, // STRING
+                        description: 'Only show sales bought by this account (e.g. 0.0.123456)',
+                        required: false
+                    },
+                    {
+                        name: 'seller',
+                        type: 3, // STRING
+                        description: 'Only show sales or listings by this account (e.g. 0.0.123456)',
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'floor-alert',
+                description: 'Get alerted when a collection floor price moves',
+                options: [
+                    {
+                        name: 'set',
+                        type: 1, // SUB_COMMAND
+                        description: 'Alert when the floor moves more than a percentage within a time window',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of a tracked collection',
+                                required: true,
+                                autocomplete: true
+                            },
+                            {
+                                name: 'threshold',
+                                type: 10, // NUMBER
+                                description: 'Percentage change that triggers an alert (e.g. 10)',
+                                required: true,
+                                min_value: 1,
+                                max_value: 1000
+                            },
+                            {
+                                name: 'window_hours',
+                                type: 4, // INTEGER
+                                description: 'Time window to measure the change over (default 1 hour)',
+                                required: false,
+                                min_value: 1,
+                                max_value: 168
+                            },
+                            {
+                                name: 'channel',
+                                type: 7, // CHANNEL
+                                description: 'Channel for floor alerts (defaults to the main sales channel)',
                                 required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        type: 1, // SUB_COMMAND
+                        description: 'Stop floor alerts for a collection',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of the collection',
+                                required: true,
+                                autocomplete: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show floor alerts for this server'
+                    }
+                ]
+            },
+            {
+                name: 'mint-tracking',
+                description: 'Post launchpad mints for any collection',
+                options: [
+                    {
+                        name: 'setup',
+                        type: 1, // SUB_COMMAND
+                        description: 'Start posting launchpad mints for a collection in a channel',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of the collection (e.g. 0.0.123456)',
+                                required: true
                             },
                             {
                                 name: 'channel',
                                 type: 7, // CHANNEL
-                                description: 'Channel to send announcement (defaults to current channel)',
+                                description: 'Channel for mint notifications',
+                                required: true
+                            },
+                            {
+                                name: 'name',
+                                type: 3, // STRING
+                                description: 'Collection name shown in notifications (defaults to the token name)',
                                 required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        type: 1, // SUB_COMMAND
+                        description: 'Stop tracking mints for a collection',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of the collection',
+                                required: true,
+                                autocomplete: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show collections with mint tracking in this server'
+                    },
+                    {
+                        name: 'toggle',
+                        type: 1, // SUB_COMMAND
+                        description: 'Pause or resume mint notifications without removing the setup',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of the collection',
+                                required: true,
+                                autocomplete: true
                             },
                             {
-                                name: 'broadcast',
-                                type: 5, // BOOLEAN
-                                description: 'Send announcement to ALL Discord servers where the bot is active',
+                                name: 'state',
+                                type: 3, // STRING
+                                description: 'Turn mint notifications on or off (flips the current state if omitted)',
+                                required: false,
+                                choices: [
+                                    { name: 'On', value: 'on' },
+                                    { name: 'Off', value: 'off' }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'milestones',
+                        type: 1, // SUB_COMMAND
+                        description: 'Choose which supply milestones get announced for a collection',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of the collection',
+                                required: true,
+                                autocomplete: true
+                            },
+                            {
+                                name: 'percents',
+                                type: 3, // STRING
+                                description: 'Comma-separated percentages (e.g. 25,50,75,90,100), "default" or "off"',
                                 required: false
+                            },
+                            {
+                                name: 'every',
+                                type: 4, // INTEGER
+                                description: 'Also announce every Nth mint (0 to turn off)',
+                                required: false,
+                                min_value: 0,
+                                max_value: 100000
                             }
                         ]
                     }
-                ];
-
-                // Register dev commands globally but hidden from autocomplete
-                await rest.put(
-                    Routes.applicationCommands(this.client.user.id),
-                    { body: [...commands, ...devCommands] }
-                );
-                
-                console.log(`🔧 Development mode: Added ${devCommands.length} dev commands (announce)`);
-            }
-            console.log('Command registration completed successfully');
-        } catch (error) {
-            console.error('Error registering slash commands:', error);
-            console.log('Commands may not be available but bot will continue running');
-        }
-    }
-
-    async handleSlashCommand(interaction) {
-        try {
-            const { commandName, options } = interaction;
-
-            switch (commandName) {
-                case 'add':
-                    await this.handleAddCommand(interaction, options);
-                    break;
-                case 'remove':
-                    await this.handleRemoveCommand(interaction, options);
-                    break;
-                case 'remove-all':
-                    await this.handleRemoveAllCommand(interaction);
-                    break;
-                case 'list':
-                    await this.handleListCommand(interaction);
-                    break;
-                case 'status':
-                    await this.handleStatusSlashCommand(interaction);
-                    break;
-                case 'test':
-                    await this.handleTestCommand(interaction);
-                    break;
-                case 'set-listings-channel':
-                    await this.handleSetListingsChannelCommand(interaction, options);
-                    break;
-                case 'set-mint-channel':
-                    await this.handleSetMintChannelCommand(interaction, options);
-                    break;
-                case 'support':
-                    await this.handleSupportCommand(interaction);
-                    break;
-                case 'announce':
-                    await this.handleAnnounceCommand(interaction, options);
-                    break;
-                default:
-                    await interaction.reply('Unknown command');
+                ]
+            },
+            {
+                name: 'theme',
+                description: 'Customize how sale and listing notifications look in this server',
+                options: [
+                    {
+                        name: 'view',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show the current theme with a live preview',
+                        options: [
+                            {
+                                name: 'type',
+                                type: 3, // STRING
+                                description: 'Preview a sale or a listing (defaults to a sale)',
+                                required: false,
+                                choices: [
+                                    { name: 'Sale', value: 'sale' },
+                                    { name: 'Listing', value: 'listing' }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'layout',
+                        type: 1, // SUB_COMMAND
+                        description: 'Choose how much detail notifications show',
+                        options: [
+                            {
+                                name: 'style',
+                                type: 3, // STRING
+                                description: 'Layout style',
+                                required: true,
+                                choices: [
+                                    { name: 'Minimal - title, price and image', value: 'minimal' },
+                                    { name: 'Standard - the default layout', value: 'standard' },
+                                    { name: 'Rich - standard plus HashScan links and price vs floor', value: 'rich' }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'title',
+                        type: 1, // SUB_COMMAND
+                        description: 'Set the title format, e.g. "{emoji} {nft_name} {action}!"',
+                        options: [
+                            {
+                                name: 'type',
+                                type: 3, // STRING
+                                description: 'Which notifications to change',
+                                required: true,
+                                choices: [
+                                    { name: 'Sales', value: 'sale' },
+                                    { name: 'Listings', value: 'listing' }
+                                ]
+                            },
+                            {
+                                name: 'format',
+                                type: 3, // STRING
+                                description: 'Title template, e.g. {emoji} {nft_name} {action}; "reset" for default',
+                                required: true,
+                                max_length: 200
+                            }
+                        ]
+                    },
+                    {
+                        name: 'color',
+                        type: 1, // SUB_COMMAND
+                        description: 'Set the embed color for a marketplace or all of them',
+                        options: [
+                            {
+                                name: 'color',
+                                type: 3, // STRING
+                                description: 'Hex color, e.g. #FF8800 ("reset" for default)',
+                                required: true
+                            },
+                            {
+                                name: 'marketplace',
+                                type: 3, // STRING
+                                description: 'Marketplace to color (defaults to all marketplaces)',
+                                required: false,
+                                choices: [
+                                    { name: 'All marketplaces', value: 'default' },
+                                    ...[...this.marketplaces.getNames(), 'On-chain'].map(name => ({ name, value: name }))
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'fields',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show or hide parts of notifications',
+                        options: [
+                            {
+                                name: 'rarity',
+                                type: 3, // STRING
+                                description: 'Rarity rank and percentage',
+                                required: false,
+                                choices: [
+                                    { name: 'On', value: 'on' },
+                                    { name: 'Off', value: 'off' },
+                                    { name: 'Layout default', value: 'default' }
+                                ]
+                            },
+                            {
+                                name: 'holders',
+                                type: 3, // STRING
+                                description: 'Collector tiers and holdings of buyers and sellers',
+                                required: false,
+                                choices: [
+                                    { name: 'On', value: 'on' },
+                                    { name: 'Off', value: 'off' },
+                                    { name: 'Layout default', value: 'default' }
+                                ]
+                            },
+                            {
+                                name: 'floor',
+                                type: 3, // STRING
+                                description: 'Collection floor price',
+                                required: false,
+                                choices: [
+                                    { name: 'On', value: 'on' },
+                                    { name: 'Off', value: 'off' },
+                                    { name: 'Layout default', value: 'default' }
+                                ]
+                            },
+                            {
+                                name: 'usd',
+                                type: 3, // STRING
+                                description: 'Fiat values (in the /set-currency currency) next to prices',
+                                required: false,
+                                choices: [
+                                    { name: 'On', value: 'on' },
+                                    { name: 'Off', value: 'off' },
+                                    { name: 'Layout default', value: 'default' }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'reaction',
+                        type: 1, // SUB_COMMAND
+                        description: 'Set the reaction added under notifications',
+                        options: [
+                            {
+                                name: 'type',
+                                type: 3, // STRING
+                                description: 'Which notifications to change',
+                                required: true,
+                                choices: [
+                                    { name: 'Sales', value: 'sale' },
+                                    { name: 'Listings', value: 'listing' }
+                                ]
+                            },
+                            {
+                                name: 'emoji',
+                                type: 3, // STRING
+                                description: 'An emoji, "none" for no reaction or "reset" for default',
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'footer',
+                        type: 1, // SUB_COMMAND
+                        description: 'Set the footer text (the post time is always added)',
+                        options: [
+                            {
+                                name: 'text',
+                                type: 3, // STRING
+                                description: 'Footer text ("reset" for default)',
+                                required: true,
+                                max_length: 200
+                            }
+                        ]
+                    },
+                    {
+                        name: 'reset',
+                        type: 1, // SUB_COMMAND
+                        description: 'Go back to the default theme'
+                    }
+                ]
+            },
+            {
+                name: 'filter',
+                description: 'Filter which sales and listings get posted in this server',
+                options: [
+                    {
+                        name: 'set',
+                        type: 1, // SUB_COMMAND
+                        description: 'Set filter rules for a collection (or "all" for a server-wide default)',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of a tracked collection, or "all"',
+                                required: true,
+                                autocomplete: true
+                            },
+                            {
+                                name: 'min_price',
+                                type: 10, // NUMBER
+                                description: 'Minimum price in HBAR (0 to clear)',
+                                required: false,
+                                min_value: 0
+                            },
+                            {
+                                name: 'max_price',
+                                type: 10, // NUMBER
+                                description: 'Maximum price in HBAR (0 to clear)',
+                                required: false,
+                                min_value: 0
+                            },
+                            {
+                                name: 'max_rank',
+                                type: 4, // INTEGER
+                                description: 'Only post NFTs ranked this rare or better (0 to clear)',
+                                required: false,
+                                min_value: 0
+                            },
+                            {
+                                name: 'marketplaces',
+                                type: 3, // STRING
+                                description: 'Comma-separated marketplaces, e.g. SentX,Kabila ("any" to clear)',
+                                required: false
+                            },
+                            {
+                                name: 'payment_tokens',
+                                type: 3, // STRING
+                                description: 'Comma-separated payment symbols or token IDs, e.g. HBAR,PAWS ("any" to clear)',
+                                required: false
+                            },
+                            {
+                                name: 'events',
+                                type: 3, // STRING
+                                description: 'Comma-separated: sales, listings, orders ("any" to clear)',
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        type: 1, // SUB_COMMAND
+                        description: 'Remove all filter rules for a collection (or "all")',
+                        options: [
+                            {
+                                name: 'collection',
+                                type: 3, // STRING
+                                description: 'Token ID of the collection, or "all"',
+                                required: true,
+                                autocomplete: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        type: 1, // SUB_COMMAND
+                        description: 'Show filter rules for this server'
+                    }
+                ]
+            },
+            {
+                name: 'test',
+                description: 'Test the bot functionality',
+                options: [
+                    {
+                        name: 'type',
+                        type: 3, // STRING
+                        description: 'Type of test to run',
+                        required: false,
+                        choices: [
+                            {
+                                name: 'Recent SentX Sale',
+                                value: 'recent-sentx-sale'
+                            },
+                            {
+                                name: 'Recent SentX Listing',
+                                value: 'recent-sentx-listing'
+                            },
+                            {
+                                name: 'Recent Kabila Sale',
+                                value: 'recent-kabila-sale'
+                            },
+                            {
+                                name: 'Recent Kabila Listing',
+                                value: 'recent-kabila-listing'
+                            },
+                            {
+                                name: 'Recent HTS Payment Sale',
+                                value: 'recent-hts-sale'
+                            },
+                            {
+                                name: 'Recent HTS Payment Listing',
+                                value: 'recent-hts-listing'
+                            },
+                            {
+                                name: 'Wild Tigers Forever Mint',
+                                value: 'forever-mint'
+                            }
+                        ]
+                    },
+                    {
+                        name: 'collection',
+                        type: 3, // STRING
+                        description: 'Token ID of collection to test (optional - shows tracked collections)',
+                        required: false,
+                        autocomplete: true
+                    }
+                ]
+            }
+        ];
+
+        // Descriptions and choice names in the other catalog languages
+        i18n.localizeCommands(commands);
+
+        try {
+            console.log('Registering slash commands...');
+            console.log(`Registering ${commands.length} public commands including: ${commands.map(c => c.name).join(', ')}`);
+            
+            // Register public commands globally (no clearing - keeps existing commands intact)
+            await rest.put(
+                Routes.applicationCommands(this.client.user.id),
+                { body: commands }
+            );
+            
+            console.log(`✅ Successfully registered ${commands.length} public slash commands globally:`);
+            commands.forEach(cmd => {
+                console.log(`   /${cmd.name} - ${cmd.description}`);
+            });
+
+            // Register development-only commands to a specific test server (if in development mode)
+            if (process.env.NODE_ENV === 'development' || process.env.ENABLE_DEV_COMMANDS === 'true') {
+                const devCommands = [
+                    {
+                        name: 'announce',
+                        description: 'Send bot update announcements (Admin only - Dev Command)',
+                        default_member_permissions: '8', // Administrator permission
+                        options: [
+                            {
+                                name: 'type',
+                                type: 3, // STRING
+                                description: 'Type of announcement to send',
+                                required: true,
+                                choices: [
+                                    {
+                                        name: 'HTS Token Update - August 2025',
+                                        value: 'hts-update-aug-2025'
+                                    },
+                                    {
+                                        name: 'Custom Message',
+                                        value: 'custom'
+                                    }
+                                ]
+                            },
+                            {
+                                name: 'message',
+                                type: 3, // STRING
+                                description: 'Custom announcement message (only for custom type)',
+                                required: false
+                            },
+                            {
+                                name: 'channel',
+                                type: 7, // CHANNEL
+                                description: 'Channel to send announcement (defaults to current channel)',
+                                required: false
+                            },
+                            {
+                                name: 'broadcast',
+                                type: 5, // BOOLEAN
+                                description: 'Send announcement to ALL Discord servers where the bot is active',
+                                required: false
+                            }
+                        ]
+                    }
+                ];
+
+                // Register dev commands globally but hidden from autocomplete
+                await rest.put(
+                    Routes.applicationCommands(this.client.user.id),
+                    { body: [...commands, ...devCommands] }
+                );
+                
+                console.log(`🔧 Development mode: Added ${devCommands.length} dev commands (announce)`);
+            }
+            console.log('Command registration completed successfully');
+        } catch (error) {
+            console.error('Error registering slash commands:', error);
+            console.log('Commands may not be available but bot will continue running');
+        }
+    }
+
+    async handleSlashCommand(interaction) {
+        try {
+            const { commandName, options } = interaction;
+
+            if (!(await this.checkCommandPermission(interaction))) {
+                return;
+            }
+
+            switch (commandName) {
+                case 'add':
+                    await this.handleAddCommand(interaction, options);
+                    break;
+                case 'remove':
+                    await this.handleRemoveCommand(interaction, options);
+                    break;
+                case 'remove-all':
+                    await this.handleRemoveAllCommand(interaction);
+                    break;
+                case 'list':
+                    await this.handleListCommand(interaction);
+                    break;
+                case 'status':
+                    await this.handleStatusSlashCommand(interaction);
+                    break;
+                case 'test':
+                    await this.handleTestCommand(interaction);
+                    break;
+                case 'set-listings-channel':
+                    await this.handleSetListingsChannelCommand(interaction, options);
+                    break;
+                case 'set-mint-channel':
+                    await this.handleSetMintChannelCommand(interaction, options);
+                    break;
+                case 'set-snipes-channel':
+                    await this.handleSetSnipesChannelCommand(interaction, options);
+                    break;
+                case 'set-currency':
+                    await this.handleSetCurrencyCommand(interaction, options);
+                    break;
+                case 'language':
+                    await this.handleLanguageCommand(interaction, options);
+                    break;
+                case 'set-catch-up':
+                    await this.handleSetCatchUpCommand(interaction, options);
+                    break;
+                case 'set-manager-role':
+                    await this.handleSetManagerRoleCommand(interaction, options);
+                    break;
+                case 'audit':
+                    await this.handleAuditCommand(interaction);
+                    break;
+                case 'webhook':
+                    await this.handleWebhookCommand(interaction, options);
+                    break;
+                case 'support':
+                    await this.handleSupportCommand(interaction);
+                    break;
+                case 'filter':
+                    await this.handleFilterCommand(interaction, options);
+                    break;
+                case 'alert':
+                    await this.handleAlertCommand(interaction, options);
+                    break;
+                case 'watch':
+                    await this.handleWatchCommand(interaction, options);
+                    break;
+                case 'digest':
+                    await this.handleDigestCommand(interaction, options);
+                    break;
+                case 'stats':
+                    await this.handleStatsCommand(interaction, options);
+                    break;
+                case 'market':
+                    await this.handleMarketCommand(interaction);
+                    break;
+                case 'history':
+                    await this.handleHistoryCommand(interaction, options);
+                    break;
+                case 'floor-alert':
+                    await this.handleFloorAlertCommand(interaction, options);
+                    break;
+                case 'mint-tracking':
+                    await this.handleMintTrackingCommand(interaction, options);
+                    break;
+                case 'theme':
+                    await this.handleThemeCommand(interaction, options);
+                    break;
+                case 'announce':
+                    await this.handleAnnounceCommand(interaction, options);
+                    break;
+                default:
+                    await interaction.reply(i18n.t(await this.getGuildLocale(interaction.guildId), 'errors.unknownCommand'));
+            }
+        } catch (error) {
+            console.error('Error handling slash command:', error);
+            try {
+                const locale = await this.getGuildLocale(interaction.guildId);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({ 
+                        content: i18n.t(locale, 'errors.command'),
+                        ephemeral: true
+                    });
+                } else if (interaction.deferred && !interaction.replied) {
+                    await interaction.editReply(i18n.t(locale, 'errors.command'));
+                }
+            } catch (responseError) {
+                console.error('Error responding to interaction:', responseError);
+            }
+        }
+    }
+
+    /**
+     * Permission guard for bot management commands (see utils/permissions).
+     * Replies and records the attempt in the audit log when the member isn't allowed.
+     * @returns {Promise<boolean>} Whether the command may run
+     */
+    async checkCommandPermission(interaction) {
+        const subcommand = interaction.options.getSubcommand(false);
+        const level = botPermissions.getRequiredLevel(interaction.commandName, subcommand);
+        if (!level) return true;
+
+        const serverConfig = interaction.guildId ? await this.storage.getServerConfig(interaction.guildId) : null;
+        if (botPermissions.isAllowed(interaction, level, serverConfig ? serverConfig.managerRoleId : null)) {
+            return true;
+        }
+
+        const command = [interaction.commandName, interaction.options.getSubcommandGroup(false), subcommand].filter(Boolean).join(' ');
+        console.log(`🔒 Denied /${command} for ${interaction.user.tag} in guild ${interaction.guildId}`);
+        if (interaction.guildId) {
+            await this.storage.addAuditEntry(interaction.guildId, interaction.user.id, interaction.user.tag, command, 'denied', level);
+        }
+
+        const locale = this.getServerLocale(serverConfig || { guildId: interaction.guildId });
+        await interaction.reply({
+            content: i18n.t(locale, `permissions.denied.${level}`),
+            ephemeral: true
+        });
+        return false;
+    }
+
+    async handleSetManagerRoleCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const role = options.getRole('role');
+            const guildId = interaction.guildId;
+
+            if (role && role.id === guildId) {
+                await interaction.reply({
+                    content: t('managerRole.everyone'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const updated = await this.storage.setManagerRole(guildId, role ? role.id : null);
+            if (!updated) {
+                await interaction.reply({
+                    content: t('managerRole.failed', { hint: t('errors.notConfigured') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await this.storage.addAuditEntry(guildId, interaction.user.id, interaction.user.tag, 'set-manager-role', role ? 'granted' : 'revoked', role ? role.name : null);
+
+            await interaction.reply({
+                content: role ? t('managerRole.done', { role }) : t('managerRole.cleared'),
+                allowedMentions: { parse: [] },
+                ephemeral: false
+            });
+        } catch (error) {
+            console.error('Error setting manager role:', error);
+            await interaction.reply({
+                content: t('managerRole.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleAuditCommand(interaction) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const guildId = interaction.guildId;
+            const [serverConfig, entries] = await Promise.all([
+                this.storage.getServerConfig(guildId),
+                this.storage.getAuditEntries(guildId, 20)
+            ]);
+
+            const roleLine = serverConfig && serverConfig.managerRoleId
+                ? t('audit.managerRole', { role: `<@&${serverConfig.managerRoleId}>` })
+                : t('audit.noManagerRole');
+            const lines = entries.map(entry => t('audit.entry', {
+                time: `<t:${Math.floor(new Date(entry.createdAt).getTime() / 1000)}:R>`,
+                outcome: t(`audit.outcomes.${entry.outcome}`),
+                command: entry.command,
+                user: entry.userId
+            }));
+
+            const embed = {
+                title: t('audit.title'),
+                color: 0x0099ff,
+                description: `${roleLine}\n\n${lines.length > 0 ? lines.join('\n') : t('audit.empty')}`,
+                timestamp: new Date().toISOString()
+            };
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+        } catch (error) {
+            console.error('Error showing audit log:', error);
+            await interaction.reply({
+                content: t('audit.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleWebhookCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const subcommand = options.getSubcommand();
+            const guildId = interaction.guildId;
+
+            if (subcommand === 'list') {
+                const endpoints = await this.storage.getWebhookEndpoints(guildId);
+                if (endpoints.length === 0) {
+                    await interaction.reply({ content: t('webhook.empty'), ephemeral: true });
+                    return;
+                }
+
+                const embed = {
+                    title: t('webhook.listTitle'),
+                    color: 0x0099ff,
+                    fields: endpoints.map(endpoint => ({
+                        name: `#${endpoint.id}${endpoint.enabled ? '' : ` (${t('webhook.disabled')})`}`,
+                        value: [
+                            endpoint.url,
+                            t('webhook.eventsLine', { events: this.formatWebhookEvents(t, endpoint.events) }),
+                            endpoint.tokenId ? t('webhook.collectionOnly', { tokenId: endpoint.tokenId }) : t('webhook.allCollections'),
+                            endpoint.lastDeliveryAt
+                                ? t('webhook.lastDelivery', {
+                                    time: `<t:${Math.floor(new Date(endpoint.lastDeliveryAt).getTime() / 1000)}:R>`,
+                                    status: endpoint.lastStatus === 'delivered' ? t('webhook.delivered') : `⚠️ ${endpoint.lastStatus}`
+                                })
+                                : t('webhook.neverDelivered')
+                        ].join('\n')
+                    })),
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            if (subcommand === 'failures') {
+                const deliveries = await this.storage.getFailedWebhookDeliveries(guildId, 10);
+                const lines = deliveries.map(delivery => t('webhook.failureEntry', {
+                    time: `<t:${Math.floor(new Date(delivery.completedAt || delivery.createdAt).getTime() / 1000)}:R>`,
+                    id: delivery.endpointId,
+                    event: delivery.event,
+                    attempts: delivery.attempts,
+                    error: delivery.lastError || '-'
+                }));
+
+                const embed = {
+                    title: t('webhook.failuresTitle'),
+                    color: 0xff6b6b,
+                    description: lines.length > 0 ? lines.join('\n') : t('webhook.noFailures'),
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            if (subcommand === 'add') {
+                const { url, error } = webhookService.validateUrl(options.getString('url'));
+                if (error) {
+                    await interaction.reply({ content: t(`webhook.url.${error}`), ephemeral: true });
+                    return;
+                }
+
+                const collection = options.getString('collection');
+                const tokenId = collection && collection !== 'none' ? collection.trim() : null;
+                if (tokenId && !tokenId.match(/^0\.0\.\d+$/)) {
+                    await interaction.reply({ content: t('webhook.invalidCollection'), ephemeral: true });
+                    return;
+                }
+
+                const existing = await this.storage.getWebhookEndpoints(guildId);
+                if (existing.length >= config.WEBHOOK_MAX_ENDPOINTS) {
+                    await interaction.reply({ content: t('webhook.limit', { max: config.WEBHOOK_MAX_ENDPOINTS }), ephemeral: true });
+                    return;
+                }
+
+                const choice = options.getString('events');
+                const events = choice === 'all' ? [...webhookService.EVENT_TYPES] : [choice];
+                const secret = webhookService.generateSecret();
+                const endpoint = await this.storage.addWebhookEndpoint(guildId, { url, secret, events, tokenId }, interaction.user.id);
+                if (!endpoint) {
+                    await interaction.reply({ content: t('webhook.failed'), ephemeral: true });
+                    return;
+                }
+
+                console.log(`🪝 Webhook #${endpoint.id} added in guild ${guildId} (${events.join(', ')})`);
+                // Ephemeral - the secret must only be seen by whoever set the endpoint up
+                await interaction.reply({
+                    content: t('webhook.added', {
+                        id: endpoint.id,
+                        url,
+                        events: this.formatWebhookEvents(t, events),
+                        scope: tokenId ? t('webhook.collectionOnly', { tokenId }) : t('webhook.allCollections'),
+                        secret
+                    }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const id = options.getInteger('id');
+            const endpoint = await this.storage.getWebhookEndpoint(id);
+            if (!endpoint || endpoint.guildId !== guildId) {
+                await interaction.reply({ content: t('webhook.notFound', { id }), ephemeral: true });
+                return;
+            }
+
+            if (subcommand === 'remove') {
+                const removed = await this.storage.removeWebhookEndpoint(guildId, id);
+                await interaction.reply({
+                    content: removed ? t('webhook.removed', { id, url: removed.url }) : t('webhook.failed'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (subcommand === 'test') {
+                // The endpoint gets up to WEBHOOK_DELIVERY_TIMEOUT to answer, longer than Discord waits for a reply
+                await interaction.deferReply({ ephemeral: true });
+                const { deliveryId, payload } = webhookService.buildPayload('test', {
+                    endpoint_id: endpoint.id,
+                    message: 'Test delivery from /webhook test'
+                }, guildId);
+                const result = await webhookService.send(endpoint, deliveryId, payload);
+
+                await interaction.editReply({
+                    content: result.ok
+                        ? t('webhook.testDelivered', { id, status: result.status })
+                        : t('webhook.testFailed', { id, error: result.error, seconds: config.WEBHOOK_DELIVERY_TIMEOUT / 1000 })
+                });
+            }
+        } catch (error) {
+            console.error('Error handling webhook command:', error);
+            try {
+                if (interaction.deferred && !interaction.replied) {
+                    await interaction.editReply({ content: t('webhook.error') });
+                } else if (interaction.isRepliable()) {
+                    await interaction.reply({ content: t('webhook.error'), ephemeral: true });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to webhook command error:', replyError.message);
+            }
+        }
+    }
+
+    formatWebhookEvents(t, events) {
+        return (events || []).map(event => t(`webhook.events.${event}`)).join(', ');
+    }
+
+    async handleAddCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            // Check if interaction has expired
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling add command');
+                return;
+            }
+
+            const tokenId = options.getString('token_id');
+            const name = options.getString('name') || 'Unknown Collection';
+            const guildId = interaction.guildId;
+
+            // Validate token ID format
+            if (!tokenId.match(/^0\.0\.\d+$/)) {
+                if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('add.invalidTokenId'),
+                        ephemeral: true
+                    });
+                }
+                return;
+            }
+
+            const result = await this.storage.addCollection(guildId, tokenId, name, true);
+            
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired while processing add command');
+                return;
+            }
+            
+            if (result) {
+                await interaction.reply({
+                    content: t('add.added', { name, tokenId }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('add.alreadyTracked'),
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            console.error('Error adding collection:', error);
+            try {
+                if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('add.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to add command error:', replyError.message);
+            }
+        }
+    }
+
+    async handleRemoveCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling remove command');
+                return;
+            }
+
+            const tokenId = options.getString('token_id');
+            const guildId = interaction.guildId;
+
+            const success = await this.storage.removeCollection(guildId, tokenId);
+            
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired while processing remove command');
+                return;
+            }
+            
+            if (success) {
+                await interaction.reply({
+                    content: t('remove.removed', { tokenId }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('remove.notFound', { tokenId }),
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            console.error('Error removing collection:', error);
+            try {
+                if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('remove.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to remove command error:', replyError.message);
+            }
+        }
+    }
+
+    async handleRemoveAllCommand(interaction) {
+        const guildId = interaction.guildId;
+        const t = i18n.translator(await this.getGuildLocale(guildId));
+
+        try {
+            // Get current tracked collections
+            const trackedCollections = await this.storage.getCollections(guildId);
+            
+            if (!trackedCollections || trackedCollections.length === 0) {
+                await interaction.reply({
+                    content: t('removeAll.none'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Create confirmation embed with current collections
+            const collectionList = trackedCollections.map((collection, index) => 
+                `${index + 1}. **${collection.name}** (${collection.token_id || collection.tokenId})`
+            ).join('\n');
+
+            const confirmEmbed = {
+                title: t('removeAll.confirmTitle'),
+                description: t('removeAll.confirmDescription', { collections: collectionList }),
+                color: 0xff6600, // Orange warning color
+                footer: { text: t('removeAll.confirmFooter') }
+            };
+
+            // Create confirmation buttons
+            const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+            
+            const confirmButton = new ButtonBuilder()
+                .setCustomId('remove_all_confirm')
+                .setLabel(t('removeAll.confirmButton'))
+                .setStyle(ButtonStyle.Danger);
+
+            const cancelButton = new ButtonBuilder()
+                .setCustomId('remove_all_cancel')
+                .setLabel(t('removeAll.cancelButton'))
+                .setStyle(ButtonStyle.Secondary);
+
+            const row = new ActionRowBuilder()
+                .addComponents(confirmButton, cancelButton);
+
+            const confirmMessage = await interaction.reply({
+                embeds: [confirmEmbed],
+                components: [row],
+                flags: [], // Use flags instead of ephemeral: false
+                fetchReply: true
+            });
+
+            // Wait for button interaction using the message collector
+            const filter = (buttonInteraction) => {
+                return ['remove_all_confirm', 'remove_all_cancel'].includes(buttonInteraction.customId) && 
+                       buttonInteraction.user.id === interaction.user.id;
+            };
+
+            try {
+                const buttonInteraction = await confirmMessage.awaitMessageComponent({ 
+                    filter, 
+                    time: 60000 // 60 seconds timeout (increased from 30s)
+                });
+
+                if (buttonInteraction.customId === 'remove_all_confirm') {
+                    // Remove all collections
+                    let removedCount = 0;
+                    for (const collection of trackedCollections) {
+                        const tokenId = collection.token_id || collection.tokenId;
+                        const removed = await this.storage.removeCollection(guildId, tokenId);
+                        if (removed) removedCount++;
+                    }
+
+                    const successEmbed = {
+                        title: t('removeAll.doneTitle'),
+                        description: t('removeAll.done', { count: removedCount }),
+                        color: 0x00ff00, // Green success color
+                        timestamp: new Date().toISOString()
+                    };
+
+                    await buttonInteraction.update({
+                        embeds: [successEmbed],
+                        components: [] // Remove buttons
+                    });
+
+                } else if (buttonInteraction.customId === 'remove_all_cancel') {
+                    const cancelEmbed = {
+                        title: t('removeAll.cancelledTitle'),
+                        description: t('removeAll.cancelled'),
+                        color: 0x888888, // Gray color
+                        timestamp: new Date().toISOString()
+                    };
+
+                    await buttonInteraction.update({
+                        embeds: [cancelEmbed],
+                        components: [] // Remove buttons
+                    });
+                }
+
+            } catch (timeoutError) {
+                // Handle timeout - check if interaction is still valid
+                console.log('Remove all command timed out:', timeoutError.message);
+                
+                try {
+                    const timeoutEmbed = {
+                        title: t('removeAll.timeoutTitle'),
+                        description: t('removeAll.timeout'),
+                        color: 0x888888, // Gray color
+                        timestamp: new Date().toISOString()
+                    };
+
+                    // Check if interaction is still valid before editing
+                    if (!interaction.replied && !interaction.deferred) {
+                        await interaction.reply({
+                            embeds: [timeoutEmbed],
+                            components: [],
+                            flags: [64] // MessageFlags.Ephemeral
+                        });
+                    } else {
+                        await interaction.editReply({
+                            embeds: [timeoutEmbed],
+                            components: [] // Remove buttons
+                        });
+                    }
+                } catch (editError) {
+                    console.error('Failed to update interaction after timeout:', editError.message);
+                    // If we can't edit the interaction, at least log what happened
+                    console.log('Remove all collections operation timed out without user confirmation');
+                }
+            }
+
+        } catch (error) {
+            console.error('Error in remove all command:', error);
+            await interaction.reply({
+                content: t('removeAll.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleListCommand(interaction) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling list command');
+                return;
+            }
+
+            const guildId = interaction.guildId;
+            const collections = await this.storage.getCollections(guildId);
+
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired while processing list command');
+                return;
+            }
+
+            if (collections.length === 0) {
+                await interaction.reply({
+                    content: t('list.empty'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const embed = {
+                title: t('list.title'),
+                color: 0x0099ff,
+                fields: [],
+                footer: { text: t('list.footer', { count: collections.length }) },
+                timestamp: new Date().toISOString()
+            };
+
+            collections.forEach((collection, index) => {
+                const status = collection.enabled ? t('list.enabled') : t('list.disabled');
+                embed.fields.push({
+                    name: `${index + 1}. ${collection.name}`,
+                    value: t('list.entry', { tokenId: collection.tokenId, status }),
+                    inline: true
+                });
+            });
+
+            await interaction.reply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Error listing collections:', error);
+            try {
+                if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('list.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to list command error:', replyError.message);
+            }
+        }
+    }
+
+    async handleStatusSlashCommand(interaction) {
+        try {
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling status command');
+                return;
+            }
+
+            const locale = await this.getGuildLocale(interaction.guildId);
+            const t = i18n.translator(locale);
+            const serverConfigs = await this.storage.getAllServerConfigs();
+            const hbarRate = await currencyService.getHbarToUsdRate();
+            const fiat = await this.getGuildFiat(interaction.guildId);
+
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired while processing status command');
+                return;
+            }
+
+            const embed = {
+                title: t('status.title'),
+                color: this.isMonitoring ? 0x00ff00 : 0xff0000,
+                fields: [
+                    {
+                        name: t('status.monitoringTitle'),
+                        value: this.isMonitoring ? t('status.active') : t('status.inactive'),
+                        inline: true
+                    },
+                    {
+                        name: t('status.hbarRateTitle'),
+                        value: `$${hbarRate.toFixed(4)} USD${fiat.code !== 'USD' ? `\n${currencyService.formatFiat(fiat.rate, fiat.code, 4)}` : ''}`,
+                        inline: true
+                    },
+                    {
+                        name: t('status.serversTitle'),
+                        value: t('status.servers', { count: serverConfigs.length }),
+                        inline: true
+                    },
+                    {
+                        name: t('status.marketplacesTitle'),
+                        value: [...this.marketplaces.getNames(), ...(config.ENABLE_ONCHAIN_SALES ? [t('status.onChain')] : [])]
+                            .map(name => `• **${name}**`).join('\n'),
+                        inline: false
+                    }
+                ],
+                timestamp: new Date().toISOString(),
+                footer: { text: 'NFT Sales Bot' }
+            };
+
+            await interaction.reply({ embeds: [embed] });
+        } catch (error) {
+            console.error('Error handling status command:', error);
+            try {
+                if (interaction.isRepliable()) {
+                    const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+                    await interaction.reply({
+                        content: t('status.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to status command error:', replyError.message);
+            }
+        }
+    }
+
+    async handleTestCommand(interaction) {
+        try {
+            // Check interaction validity immediately
+            if (!interaction || interaction.replied || interaction.deferred) {
+                return;
+            }
+            
+            const testType = interaction.options?.getString('type') || 'recent-sentx-sale';
+            
+            // Defer reply immediately as the very first action
+            try {
+                await interaction.deferReply();
+            } catch (deferError) {
+                if (deferError.code === 10062) {
+                    // Unknown interaction - already expired
+                    return;
+                }
+                console.error('Failed to defer interaction:', deferError.message);
+                return;
+            }
+            
+            // Get optional collection parameter
+            const specificCollection = interaction.options?.getString('collection');
+            
+            // Route to appropriate test method
+            let embed;
+            if (testType === 'recent-sentx-sale') {
+                console.log('Testing most recent SentX sale...');
+                embed = await this.getTestRecentSentXSaleEmbed(interaction.guildId, specificCollection);
+            } else if (testType === 'recent-sentx-listing') {
+                console.log('Testing most recent SentX listing...');
+                embed = await this.getTestRecentSentXListingEmbed(interaction.guildId, specificCollection);
+            } else if (testType === 'recent-kabila-sale') {
+                console.log('Testing most recent Kabila sale...');
+                embed = await this.getTestRecentKabilaSaleEmbed(interaction.guildId, specificCollection);
+            } else if (testType === 'recent-kabila-listing') {
+                console.log('Testing most recent Kabila listing...');
+                embed = await this.getTestRecentKabilaListingEmbed(interaction.guildId, specificCollection);
+            } else if (testType === 'recent-hts-sale') {
+                console.log('🪙 Testing most recent HTS payment sale...');
+                console.log(`🔍 Test type confirmed: ${testType}, specific collection: ${specificCollection || 'none'}`);
+                embed = await this.getTestRecentHTSSaleEmbed(interaction.guildId, specificCollection);
+            } else if (testType === 'recent-hts-listing') {
+                console.log('🪙 Testing most recent HTS payment listing...');
+                console.log(`🔍 Test type confirmed: ${testType}, specific collection: ${specificCollection || 'none'}`);
+                embed = await this.getTestRecentHTSListingEmbed(interaction.guildId, specificCollection);
+            } else if (testType === 'forever-mint') {
+                console.log('🌟 Testing Wild Tigers Forever Mint notification...');
+                embed = await this.getTestForeverMintEmbed(interaction.guildId);
+            } else {
+                // Default: recent-sentx-sale
+                console.log('Testing most recent SentX sale...');
+                embed = await this.getTestRecentSentXSaleEmbed(interaction.guildId, specificCollection);
+            }
+            
+            // Send the response
+            try {
+                if (interaction.deferred && !interaction.replied) {
+                    // For Forever Mint tests, include the golden sticker attachment
+                    if (testType === 'forever-mint') {
+                        const { sticker } = mintNotifiers.get('wild-tigers-forever-mint');
+                        const logoPath = path.join(__dirname, 'attached_assets', sticker.file);
+                        const logoAttachment = new AttachmentBuilder(logoPath, { name: sticker.name });
+                        
+                        await interaction.editReply({
+                            embeds: [embed],
+                            files: [...(embed.files || []), logoAttachment]
+                        });
+                    } else {
+                        await interaction.editReply({
+                            embeds: [embed],
+                            files: embed.files || []
+                        });
+                    }
+                }
+            } catch (replyError) {
+                if (replyError.code === 10062) {
+                    // Unknown interaction - expired, ignore
+                    return;
+                }
+                console.error('Error sending test response:', replyError.message);
+            }
+            
+        } catch (error) {
+            // Silently handle interaction expiry errors
+            if (error.code === 10062) {
+                return; // Unknown interaction - expired
+            }
+            
+            console.error('Error in test command:', error.message);
+            
+            // Only try to reply if interaction is still valid
+            try {
+                if (interaction.deferred && !interaction.replied) {
+                    const errorEmbed = this.embedUtils.createErrorEmbed(
+                        'Test Command Failed',
+                        'An error occurred while running the test command.',
+                        error.message
+                    );
+                    
+                    await interaction.editReply({
+                        embeds: [errorEmbed]
+                    });
+                }
+            } catch (replyError) {
+                // Silently ignore reply errors
+            }
+        }
+    }
+
+
+
+    async handleSetListingsChannelCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const channel = options.getChannel('channel');
+            const guildId = interaction.guildId;
+
+            // Validate channel type (must be text channel)
+            if (channel.type !== 0) {
+                await interaction.reply({
+                    content: t('errors.textChannel', { purpose: t('setListings.purpose') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Check if bot has permissions in the channel
+            const botMember = interaction.guild.members.me;
+            const permissions = channel.permissionsFor(botMember);
+            
+            if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+                await interaction.reply({
+                    content: t('errors.channelPermissions'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Update the server config with listings channel
+            const success = await this.storage.setListingsChannel(guildId, channel.id);
+            
+            if (success) {
+                await interaction.reply({
+                    content: t('setListings.done', { channel }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('setListings.failed', { hint: t('errors.notConfigured') }),
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            console.error('Error setting listings channel:', error);
+            await interaction.reply({
+                content: t('setListings.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleSetSnipesChannelCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const channel = options.getChannel('channel');
+            const discountPercent = options.getNumber('under_floor_percent');
+            const rarePercent = options.getNumber('rare_top_percent');
+            const guildId = interaction.guildId;
+
+            if (!channel) {
+                const cleared = await this.storage.setSnipeSettings(guildId, { snipesChannelId: null });
+                await interaction.reply({
+                    content: cleared
+                        ? t('setSnipes.off')
+                        : t('setSnipes.offFailed', { hint: t('errors.notConfigured') }),
+                    ephemeral: !cleared
+                });
+                return;
+            }
+
+            // Validate channel type (must be text channel)
+            if (channel.type !== 0) {
+                await interaction.reply({
+                    content: t('errors.textChannel', { purpose: t('setSnipes.purpose') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Check if bot has permissions in the channel
+            const botMember = interaction.guild.members.me;
+            const permissions = channel.permissionsFor(botMember);
+
+            if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+                await interaction.reply({
+                    content: t('errors.channelPermissions'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const settings = { snipesChannelId: channel.id };
+            if (discountPercent !== null) settings.snipeDiscountPercent = discountPercent;
+            if (rarePercent !== null) settings.snipeRarePercent = rarePercent;
+
+            const updated = await this.storage.setSnipeSettings(guildId, settings);
+
+            if (updated) {
+                await interaction.reply({
+                    content: t('setSnipes.done', { channel, discount: updated.snipeDiscountPercent, rare: updated.snipeRarePercent }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('setSnipes.failed', { hint: t('errors.notConfigured') }),
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            console.error('Error setting snipes channel:', error);
+            await interaction.reply({
+                content: t('setSnipes.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleSetCurrencyCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        try {
+            const currency = options.getString('currency');
+            const updated = await this.storage.setDisplayCurrency(interaction.guildId, currency);
+
+            if (!updated) {
+                await interaction.reply({
+                    content: i18n.t(locale, 'setCurrency.failed', { hint: i18n.t(locale, 'errors.notConfigured') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const intlLocale = i18n.getIntlLocale(locale);
+            const fiat = await currencyService.getFiatRate(currency);
+            const fallbackNote = fiat.code !== currency
+                ? `\n\n${i18n.t(locale, 'setCurrency.fallback', { currency })}`
+                : '';
+            await interaction.reply({
+                content: i18n.t(locale, 'setCurrency.done', {
+                    currency,
+                    name: new Intl.DisplayNames([intlLocale], { type: 'currency' }).of(currency),
+                    rate: currencyService.formatFiat(fiat.rate, fiat.code, 4, intlLocale)
+                }) + fallbackNote,
+                ephemeral: false
+            });
+        } catch (error) {
+            console.error('Error setting display currency:', error);
+            await interaction.reply({
+                content: i18n.t(locale, 'setCurrency.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleLanguageCommand(interaction, options) {
+        try {
+            const choice = options.getString('language');
+            const updated = await this.storage.setServerLocale(interaction.guildId, choice === 'auto' ? null : choice);
+
+            // Reply in the language the server uses from now on
+            const locale = this.getServerLocale(updated || { guildId: interaction.guildId });
+            if (!updated) {
+                await interaction.reply({
+                    content: i18n.t(locale, 'language.failed', { hint: i18n.t(locale, 'errors.notConfigured') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await interaction.reply({
+                content: i18n.t(locale, choice === 'auto' ? 'language.reset' : 'language.done', { language: i18n.LOCALES[locale].name }),
+                ephemeral: false
+            });
+        } catch (error) {
+            console.error('Error setting server language:', error);
+            await interaction.reply({
+                content: i18n.t(await this.getGuildLocale(interaction.guildId), 'language.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleSetCatchUpCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const mode = options.getString('mode');
+            const updated = await this.storage.setCatchUpMode(interaction.guildId, mode);
+
+            if (!updated) {
+                await interaction.reply({
+                    content: t('setCatchUp.failed', { hint: t('errors.notConfigured') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await interaction.reply({
+                content: t(`setCatchUp.done.${mode}`, { hours: config.CATCHUP_MAX_HOURS }),
+                ephemeral: false
+            });
+        } catch (error) {
+            console.error('Error setting catch-up mode:', error);
+            await interaction.reply({
+                content: t('setCatchUp.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleSetMintChannelCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
+        try {
+            const channel = options.getChannel('channel');
+            const guildId = interaction.guildId;
+
+            // Validate channel type (must be text channel)
+            if (channel.type !== 0) {
+                await interaction.reply({
+                    content: t('errors.textChannel', { purpose: t('setMint.purpose') }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Check if bot has permissions in the channel
+            const botMember = interaction.guild.members.me;
+            const permissions = channel.permissionsFor(botMember);
+            
+            if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+                await interaction.reply({
+                    content: t('errors.channelPermissions'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Update the server config with mint channel
+            const success = await this.storage.setMintChannel(guildId, channel.id);
+            
+            if (success) {
+                await interaction.reply({
+                    content: t('setMint.done', { channel }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('setMint.failed', { hint: t('errors.notConfigured') }),
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            console.error('Error setting mint channel:', error);
+            await interaction.reply({
+                content: t('setMint.error'),
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleFilterCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        const t = i18n.translator(locale);
+        try {
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling filter command');
+                return;
+            }
+
+            const subcommand = options.getSubcommand();
+            const guildId = interaction.guildId;
+
+            if (subcommand === 'list') {
+                const filters = await this.storage.getNotificationFilters(guildId);
+                if (filters.length === 0) {
+                    await interaction.reply({
+                        content: t('filter.empty'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const collections = await this.storage.getCollections(guildId);
+                const embed = {
+                    title: t('filter.listTitle'),
+                    color: 0x0099ff,
+                    fields: filters.slice(0, 25).map(filter => {
+                        const collection = collections.find(c => c.tokenId === filter.tokenId);
+                        const label = filter.tokenId === '*'
+                            ? t('filter.allCollections')
+                            : `${collection ? collection.name : t('common.unknownCollection')} (${filter.tokenId})`;
+                        return {
+                            name: label,
+                            value: notificationFilters.describe(filter, locale),
+                            inline: false
+                        };
+                    }),
+                    footer: { text: t('filter.listFooter') },
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            const collectionOption = options.getString('collection');
+            const tokenId = collectionOption.toLowerCase() === 'all' ? '*' : collectionOption;
+            const target = tokenId === '*' ? t('filter.everyCollection') : tokenId;
+
+            if (tokenId !== '*' && !tokenId.match(/^0\.0\.\d+$/)) {
+                await interaction.reply({
+                    content: t('filter.invalidCollection'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (subcommand === 'remove') {
+                const removed = await this.storage.removeNotificationFilter(guildId, tokenId);
+                await interaction.reply({
+                    content: removed
+                        ? t('filter.removed', { target })
+                        : t('filter.notFound', { target }),
+                    ephemeral: !removed
+                });
+                return;
+            }
+
+            // subcommand === 'set' - only provided options change, 0/"any" clears a rule
+            const { rules, error } = notificationFilters.buildRules({
+                minPrice: options.getNumber('min_price'),
+                maxPrice: options.getNumber('max_price'),
+                maxRank: options.getInteger('max_rank'),
+                marketplaces: options.getString('marketplaces'),
+                paymentTokens: options.getString('payment_tokens'),
+                events: options.getString('events')
+            }, [...this.marketplaces.getNames(), 'On-chain'], locale);
+
+            if (error) {
+                await interaction.reply({
+                    content: `❌ ${error}`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const filter = await this.storage.setNotificationFilter(guildId, tokenId, rules, interaction.user.id);
+
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired while processing filter command');
+                return;
             }
+
+            if (filter) {
+                await interaction.reply({
+                    content: t('filter.updated', { target, rules: notificationFilters.describe(filter, locale) }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('filter.failed'),
+                    ephemeral: true
+                });
+            }
+
         } catch (error) {
-            console.error('Error handling slash command:', error);
+            console.error('Error handling filter command:', error);
             try {
-                if (!interaction.replied && !interaction.deferred) {
-                    await interaction.reply({ 
-                        content: 'An error occurred while processing the command.',
+                if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('filter.error'),
                         ephemeral: true
                     });
-                } else if (interaction.deferred && !interaction.replied) {
-                    await interaction.editReply('An error occurred while processing the command.');
                 }
-            } catch (responseError) {
-                console.error('Error responding to interaction:', responseError);
+            } catch (replyError) {
+                console.error('Failed to reply to filter command error:', replyError.message);
             }
         }
     }
 
-    async handleAddCommand(interaction, options) {
+    async handleAlertCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        const t = i18n.translator(locale);
         try {
-            // Check if interaction has expired
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired before handling add command');
+                console.log('Interaction expired before handling alert command');
                 return;
             }
 
-            const tokenId = options.getString('token_id');
-            const name = options.getString('name') || 'Unknown Collection';
-            const guildId = interaction.guildId;
+            const subcommand = options.getSubcommand();
+            const userId = interaction.user.id;
 
-            // Validate token ID format
-            if (!tokenId.match(/^0\.0\.\d+$/)) {
-                if (interaction.isRepliable()) {
+            if (subcommand === 'mine') {
+                const deleteId = options.getInteger('delete');
+                if (deleteId !== null) {
+                    const removed = await this.storage.removeUserAlert(userId, deleteId);
+                    await interaction.reply({
+                        content: removed
+                            ? t('alert.deleted', { id: deleteId })
+                            : t('alert.notFound', { id: deleteId }),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const alerts = await this.storage.getUserAlerts(userId);
+                if (alerts.length === 0) {
                     await interaction.reply({
-                        content: '❌ Invalid token ID format. Please use format: 0.0.123456',
+                        content: t('alert.empty'),
                         ephemeral: true
                     });
+                    return;
                 }
+
+                const embed = {
+                    title: t('alert.listTitle'),
+                    color: 0x0099ff,
+                    fields: alerts.map(alert => ({
+                        name: `#${alert.id} • ${alert.tokenId}`,
+                        value: notificationFilters.describe(alert, locale),
+                        inline: false
+                    })),
+                    footer: { text: t('alert.listFooter', { count: alerts.length, max: config.USER_ALERT_MAX_SUBSCRIPTIONS }) },
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
                 return;
             }
 
-            const result = await this.storage.addCollection(guildId, tokenId, name, true);
-            
+            // subcommand === 'me'
+            const tokenId = options.getString('collection');
+            if (!tokenId.match(/^0\.0\.\d+$/)) {
+                await interaction.reply({
+                    content: t('errors.invalidTokenId'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Only collections tracked somewhere are monitored, so require one tracked here
+            const isTracked = await this.storage.isCollectionTracked(tokenId, interaction.guildId);
+            if (!isTracked) {
+                await interaction.reply({
+                    content: t('alert.notTracked', { tokenId }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const existing = await this.storage.getUserAlerts(userId);
+            if (existing.length >= config.USER_ALERT_MAX_SUBSCRIPTIONS) {
+                await interaction.reply({
+                    content: t('alert.limit', { count: existing.length }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const events = options.getString('events') || 'listings';
+            const eventTypes = {
+                listings: ['listings'],
+                sales: ['sales', 'orders'],
+                all: null
+            }[events];
+
+            const alert = await this.storage.addUserAlert(userId, interaction.guildId, tokenId, {
+                maxPriceHbar: options.getNumber('max_price'),
+                maxRank: options.getInteger('max_rank'),
+                eventTypes
+            });
+
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired while processing add command');
+                console.log('Interaction expired while processing alert command');
                 return;
             }
-            
-            if (result) {
+
+            if (alert) {
                 await interaction.reply({
-                    content: `✅ Added **${name}** (${tokenId}) to this server's tracking list!`,
-                    ephemeral: false
+                    content: t('alert.created', {
+                        id: alert.id,
+                        tokenId,
+                        rules: notificationFilters.describe(alert, locale),
+                        max: config.USER_ALERT_MAX_DMS_PER_HOUR
+                    }),
+                    ephemeral: true
                 });
             } else {
                 await interaction.reply({
-                    content: '❌ This collection is already being tracked in this server.',
+                    content: t('alert.failed'),
                     ephemeral: true
                 });
             }
 
         } catch (error) {
-            console.error('Error adding collection:', error);
+            console.error('Error handling alert command:', error);
             try {
                 if (interaction.isRepliable()) {
                     await interaction.reply({
-                        content: '❌ Error adding collection. Please try again.',
+                        content: t('alert.error'),
                         ephemeral: true
                     });
                 }
             } catch (replyError) {
-                console.error('Failed to reply to add command error:', replyError.message);
+                console.error('Failed to reply to alert command error:', replyError.message);
             }
         }
     }
 
-    async handleRemoveCommand(interaction, options) {
+    async handleWatchCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
         try {
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired before handling remove command');
+                console.log('Interaction expired before handling watch command');
                 return;
             }
 
-            const tokenId = options.getString('token_id');
+            const subcommand = options.getSubcommand();
             const guildId = interaction.guildId;
 
-            const success = await this.storage.removeCollection(guildId, tokenId);
-            
+            if (subcommand === 'list') {
+                const wallets = await this.storage.getWatchedWallets(guildId);
+                if (wallets.length === 0) {
+                    await interaction.reply({
+                        content: t('watch.empty'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const embed = {
+                    title: t('watch.listTitle'),
+                    color: 0x0099ff,
+                    description: wallets.slice(0, 50).map(wallet => t('watch.entry', {
+                        label: wallet.label || t('watch.unlabelled'),
+                        account: wallet.accountId,
+                        channel: wallet.channelId ? `<#${wallet.channelId}>` : t('common.mainChannel')
+                    })).join('\n'),
+                    footer: { text: t('watch.listFooter', { count: wallets.length }) },
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            const accountId = options.getString('account').trim();
+            if (!accountId.match(/^0\.0\.\d+$/)) {
+                await interaction.reply({
+                    content: t('errors.invalidAccountId'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (subcommand === 'remove') {
+                const removed = await this.storage.removeWatchedWallet(guildId, accountId);
+                await interaction.reply({
+                    content: removed
+                        ? t('watch.removed', { account: accountId })
+                        : t('watch.notFound', { account: accountId }),
+                    ephemeral: !removed
+                });
+                return;
+            }
+
+            // subcommand === 'add'
+            const label = options.getString('label');
+            const channel = options.getChannel('channel');
+
+            if (channel) {
+                if (channel.type !== 0) {
+                    await interaction.reply({
+                        content: t('errors.textChannel', { purpose: t('watch.purpose') }),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const permissions = channel.permissionsFor(interaction.guild.members.me);
+                if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+                    await interaction.reply({
+                        content: t('errors.channelPermissions'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+            }
+
+            const existing = await this.storage.getWatchedWallets(guildId);
+            if (existing.length >= 25 && !existing.some(wallet => wallet.accountId === accountId)) {
+                await interaction.reply({
+                    content: t('watch.limit', { max: 25 }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const wallet = await this.storage.addWatchedWallet(guildId, accountId, label, channel ? channel.id : null, interaction.user.id);
+
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired while processing remove command');
+                console.log('Interaction expired while processing watch command');
                 return;
             }
-            
-            if (success) {
+
+            if (wallet) {
                 await interaction.reply({
-                    content: `✅ Removed collection **${tokenId}** from this server's tracking list.`,
+                    content: t('watch.added', {
+                        wallet: label ? `${label} (${accountId})` : accountId,
+                        channel: channel || t('common.mainChannel')
+                    }),
                     ephemeral: false
                 });
             } else {
                 await interaction.reply({
-                    content: `❌ Collection **${tokenId}** was not found in this server's tracking list.`,
+                    content: t('watch.failed'),
                     ephemeral: true
                 });
             }
 
         } catch (error) {
-            console.error('Error removing collection:', error);
+            console.error('Error handling watch command:', error);
             try {
                 if (interaction.isRepliable()) {
                     await interaction.reply({
-                        content: '❌ Error removing collection. Please try again.',
+                        content: t('watch.error'),
                         ephemeral: true
                     });
                 }
             } catch (replyError) {
-                console.error('Failed to reply to remove command error:', replyError.message);
+                console.error('Failed to reply to watch command error:', replyError.message);
             }
         }
     }
 
-    async handleRemoveAllCommand(interaction) {
-        const guildId = interaction.guildId;
-
+    async handleDigestCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        const t = i18n.translator(locale);
         try {
-            // Get current tracked collections
-            const trackedCollections = await this.storage.getCollections(guildId);
-            
-            if (!trackedCollections || trackedCollections.length === 0) {
-                await interaction.reply({
-                    content: '❌ No collections are currently being tracked in this server.',
-                    ephemeral: true
-                });
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling digest command');
                 return;
             }
 
-            // Create confirmation embed with current collections
-            const collectionList = trackedCollections.map((collection, index) => 
-                `${index + 1}. **${collection.name}** (${collection.token_id || collection.tokenId})`
-            ).join('\n');
-
-            const confirmEmbed = {
-                title: '⚠️ Remove All Collections - Confirmation Required',
-                description: `Are you sure you want to remove ALL tracked collections from this server?\n\n**Currently tracked collections:**\n${collectionList}\n\n**This action cannot be undone.**`,
-                color: 0xff6600, // Orange warning color
-                footer: { text: 'Use the buttons below to confirm or cancel' }
-            };
-
-            // Create confirmation buttons
-            const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-            
-            const confirmButton = new ButtonBuilder()
-                .setCustomId('remove_all_confirm')
-                .setLabel('Yes, Remove All')
-                .setStyle(ButtonStyle.Danger);
-
-            const cancelButton = new ButtonBuilder()
-                .setCustomId('remove_all_cancel')
-                .setLabel('Cancel')
-                .setStyle(ButtonStyle.Secondary);
-
-            const row = new ActionRowBuilder()
-                .addComponents(confirmButton, cancelButton);
+            const subcommand = options.getSubcommand();
+            const guildId = interaction.guildId;
+            const existing = await this.storage.getDigestConfig(guildId);
 
-            const confirmMessage = await interaction.reply({
-                embeds: [confirmEmbed],
-                components: [row],
-                flags: [], // Use flags instead of ephemeral: false
-                fetchReply: true
-            });
+            if (subcommand === 'preview') {
+                await interaction.deferReply({ ephemeral: true });
+                const frequency = options.getString('frequency') || (existing ? existing.frequency : 'daily');
+                const embed = await this.buildDigestEmbed(guildId, frequency);
+                await interaction.editReply({ embeds: [embed] });
+                return;
+            }
 
-            // Wait for button interaction using the message collector
-            const filter = (buttonInteraction) => {
-                return ['remove_all_confirm', 'remove_all_cancel'].includes(buttonInteraction.customId) && 
-                       buttonInteraction.user.id === interaction.user.id;
-            };
+            if (subcommand === 'disable') {
+                if (!existing || !existing.enabled) {
+                    await interaction.reply({
+                        content: t('digest.notEnabled'),
+                        ephemeral: true
+                    });
+                    return;
+                }
 
-            try {
-                const buttonInteraction = await confirmMessage.awaitMessageComponent({ 
-                    filter, 
-                    time: 60000 // 60 seconds timeout (increased from 30s)
+                await this.storage.setDigestConfig(guildId, { enabled: false });
+                await interaction.reply({
+                    content: t('digest.disabled'),
+                    ephemeral: false
                 });
+                return;
+            }
 
-                if (buttonInteraction.customId === 'remove_all_confirm') {
-                    // Remove all collections
-                    let removedCount = 0;
-                    for (const collection of trackedCollections) {
-                        const tokenId = collection.token_id || collection.tokenId;
-                        const removed = await this.storage.removeCollection(guildId, tokenId);
-                        if (removed) removedCount++;
-                    }
-
-                    const successEmbed = {
-                        title: '✅ All Collections Removed',
-                        description: `Successfully removed **${removedCount}** collections from tracking in this server.`,
-                        color: 0x00ff00, // Green success color
-                        timestamp: new Date().toISOString()
-                    };
-
-                    await buttonInteraction.update({
-                        embeds: [successEmbed],
-                        components: [] // Remove buttons
+            const settings = {};
+            const channel = options.getChannel('channel');
+            if (channel) {
+                if (channel.type !== 0) {
+                    await interaction.reply({
+                        content: t('errors.textChannel', { purpose: t('digest.purpose') }),
+                        ephemeral: true
                     });
+                    return;
+                }
 
-                } else if (buttonInteraction.customId === 'remove_all_cancel') {
-                    const cancelEmbed = {
-                        title: '❌ Action Cancelled',
-                        description: 'Remove all collections operation was cancelled. All collections remain tracked.',
-                        color: 0x888888, // Gray color
-                        timestamp: new Date().toISOString()
-                    };
-
-                    await buttonInteraction.update({
-                        embeds: [cancelEmbed],
-                        components: [] // Remove buttons
+                const permissions = channel.permissionsFor(interaction.guild.members.me);
+                if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+                    await interaction.reply({
+                        content: t('errors.channelPermissions'),
+                        ephemeral: true
                     });
+                    return;
                 }
+                settings.channelId = channel.id;
+            }
 
-            } catch (timeoutError) {
-                // Handle timeout - check if interaction is still valid
-                console.log('Remove all command timed out:', timeoutError.message);
-                
-                try {
-                    const timeoutEmbed = {
-                        title: '⏰ Confirmation Timeout',
-                        description: 'Remove all collections confirmation timed out after 60 seconds. No changes were made.\n\nPlease try the command again and click a button within 60 seconds.',
-                        color: 0x888888, // Gray color
-                        timestamp: new Date().toISOString()
-                    };
-
-                    // Check if interaction is still valid before editing
-                    if (!interaction.replied && !interaction.deferred) {
-                        await interaction.reply({
-                            embeds: [timeoutEmbed],
-                            components: [],
-                            flags: [64] // MessageFlags.Ephemeral
-                        });
-                    } else {
-                        await interaction.editReply({
-                            embeds: [timeoutEmbed],
-                            components: [] // Remove buttons
-                        });
-                    }
-                } catch (editError) {
-                    console.error('Failed to update interaction after timeout:', editError.message);
-                    // If we can't edit the interaction, at least log what happened
-                    console.log('Remove all collections operation timed out without user confirmation');
+            if (subcommand === 'schedule') {
+                const timezone = options.getString('timezone') || (existing ? existing.timezone : 'UTC');
+                if (!digestUtils.isValidTimezone(timezone)) {
+                    await interaction.reply({
+                        content: t('digest.unknownTimezone', { timezone }),
+                        ephemeral: true
+                    });
+                    return;
                 }
+
+                settings.frequency = options.getString('frequency');
+                settings.hour = options.getInteger('hour');
+                settings.timezone = timezone;
+                const day = options.getInteger('day');
+                if (day !== null) settings.dayOfWeek = day;
+            } else {
+                // subcommand === 'enable'
+                settings.enabled = true;
             }
 
-        } catch (error) {
-            console.error('Error in remove all command:', error);
+            const saved = await this.storage.setDigestConfig(guildId, settings, interaction.user.id);
+            if (!saved) {
+                await interaction.reply({
+                    content: t('digest.failed'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // 2024-01-07 was a Sunday, so adding dayOfWeek gives a date with that weekday
+            const time = `${String(saved.hour).padStart(2, '0')}:00 ${saved.timezone}`;
+            const when = saved.frequency === 'weekly'
+                ? t('digest.scheduleWeekly', {
+                    day: i18n.formatDate(locale, Date.UTC(2024, 0, 7 + saved.dayOfWeek), { weekday: 'long', timeZone: 'UTC' }),
+                    time
+                })
+                : t('digest.scheduleDaily', { time });
+            const where = saved.channelId ? `<#${saved.channelId}>` : t('common.mainChannel');
+
             await interaction.reply({
-                content: '❌ Error processing remove all command. Please try again.',
-                ephemeral: true
+                content: saved.enabled
+                    ? t('digest.enabled', { when, channel: where })
+                    : t('digest.saved', { when }),
+                ephemeral: false
             });
+
+        } catch (error) {
+            console.error('Error handling digest command:', error);
+            try {
+                if (interaction.deferred && !interaction.replied) {
+                    await interaction.editReply({ content: t('digest.previewError') });
+                } else if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('digest.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to digest command error:', replyError.message);
+            }
         }
     }
 
-    async handleListCommand(interaction) {
+    async handleStatsCommand(interaction, options) {
         try {
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired before handling list command');
+                console.log('Interaction expired before handling stats command');
                 return;
             }
 
-            const guildId = interaction.guildId;
-            const collections = await this.storage.getCollections(guildId);
-
-            if (!interaction.isRepliable()) {
-                console.log('Interaction expired while processing list command');
-                return;
-            }
+            const tokenId = options.getString('collection');
+            const period = options.getString('period') || '7d';
+            const locale = await this.getGuildLocale(interaction.guildId);
 
-            if (collections.length === 0) {
+            const collections = await this.storage.getCollections(interaction.guildId);
+            const collection = collections.find(c => c.tokenId === tokenId);
+            if (!collection) {
                 await interaction.reply({
-                    content: 'No collections are currently being tracked in this server. Use `/add` to add one.',
+                    content: i18n.t(locale, 'stats.notTracked', { tokenId }),
                     ephemeral: true
                 });
                 return;
             }
 
-            const embed = {
-                title: '📋 Tracked NFT Collections (This Server)',
-                color: 0x0099ff,
-                fields: [],
-                footer: { text: `Total: ${collections.length} collection(s)` },
-                timestamp: new Date().toISOString()
-            };
+            // Analytics can take several SentX requests when not cached
+            await interaction.deferReply();
 
-            collections.forEach((collection, index) => {
-                const status = collection.enabled ? '✅ Enabled' : '❌ Disabled';
-                embed.fields.push({
-                    name: `${index + 1}. ${collection.name}`,
-                    value: `Token ID: \`${collection.tokenId}\`\nStatus: ${status}`,
-                    inline: true
-                });
-            });
+            const periodDays = { '24h': 1, '7d': 7, '30d': 30, 'all': 365 };
+            const periodKey = periodDays[period] ? period : '7d';
 
-            await interaction.reply({ embeds: [embed] });
+            const analytics = await this.sentxService.getCollectionAnalytics([tokenId], periodDays[periodKey]);
+            if (!analytics) {
+                await interaction.editReply({ content: i18n.t(locale, 'stats.loadFailed') });
+                return;
+            }
+
+            const fiat = await this.getGuildFiat(interaction.guildId);
+            const label = i18n.t(locale, `stats.periods.${periodKey}`);
+            const embed = embedUtils.createStatsEmbed(analytics, { name: collection.name, tokenId }, label, fiat, locale);
+            await interaction.editReply({ embeds: [embed] });
 
         } catch (error) {
-            console.error('Error listing collections:', error);
+            console.error('Error handling stats command:', error);
             try {
-                if (interaction.isRepliable()) {
+                const locale = await this.getGuildLocale(interaction.guildId);
+                if (interaction.deferred && !interaction.replied) {
+                    await interaction.editReply({ content: i18n.t(locale, 'stats.error') });
+                } else if (interaction.isRepliable()) {
                     await interaction.reply({
-                        content: '❌ Error loading collections. Please try again.',
+                        content: i18n.t(locale, 'stats.error'),
                         ephemeral: true
                     });
                 }
             } catch (replyError) {
-                console.error('Failed to reply to list command error:', replyError.message);
+                console.error('Failed to reply to stats command error:', replyError.message);
             }
         }
     }
 
-    async handleStatusSlashCommand(interaction) {
+    async handleMarketCommand(interaction) {
         try {
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired before handling status command');
+                console.log('Interaction expired before handling market command');
                 return;
             }
 
-            const serverConfigs = await this.storage.getAllServerConfigs();
-            const hbarRate = await currencyService.getHbarToUsdRate();
+            await interaction.deferReply();
+            const locale = await this.getGuildLocale(interaction.guildId);
+
+            const overview = await this.sentxService.getMarketOverview();
+            if (!overview) {
+                await interaction.editReply({ content: i18n.t(locale, 'market.loadFailed') });
+                return;
+            }
+
+            const fiat = await this.getGuildFiat(interaction.guildId);
+            const embed = embedUtils.createMarketOverviewEmbed(overview, fiat, locale);
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Error handling market command:', error);
+            try {
+                const locale = await this.getGuildLocale(interaction.guildId);
+                if (interaction.deferred && !interaction.replied) {
+                    await interaction.editReply({ content: i18n.t(locale, 'market.error') });
+                } else if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: i18n.t(locale, 'market.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to market command error:', replyError.message);
+            }
+        }
+    }
 
+    async handleHistoryCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        const t = i18n.translator(locale);
+        try {
             if (!interaction.isRepliable()) {
-                console.log('Interaction expired while processing status command');
+                console.log('Interaction expired before handling history command');
                 return;
             }
 
-            const embed = {
-                title: '🤖 Bot Status',
-                color: this.isMonitoring ? 0x00ff00 : 0xff0000,
-                fields: [
-                    {
-                        name: '📊 Monitoring Status',
-                        value: this.isMonitoring ? '✅ Active' : '❌ Inactive',
-                        inline: true
-                    },
-                    {
-                        name: '🏦 HBAR Rate',
-                        value: `$${hbarRate.toFixed(4)} USD`,
-                        inline: true
-                    },
-                    {
-                        name: '🌐 Connected Servers',
-                        value: `${serverConfigs.length} servers`,
-                        inline: true
-                    },
-                    {
-                        name: '🏪 Supported Marketplaces',
-                        value: '• **SentX**\n• **Kabila**',
-                        inline: false
-                    }
-                ],
-                timestamp: new Date().toISOString(),
-                footer: { text: 'NFT Sales Bot' }
+            const tokenId = options.getString('collection');
+            const type = options.getString('type') || 'sales';
+            const serialNumber = options.getInteger('serial');
+            const buyer = options.getString('buyer');
+            const seller = options.getString('seller');
+
+            if (!tokenId.match(/^0\.0\.\d+$/)) {
+                await interaction.reply({
+                    content: t('errors.invalidTokenId'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            for (const account of [buyer, seller]) {
+                if (account && !account.match(/^0\.0\.\d+$/)) {
+                    await interaction.reply({
+                        content: t('errors.invalidAccountId'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+            }
+
+            if (type === 'listings' && buyer) {
+                await interaction.reply({
+                    content: t('history.listingsNoBuyer'),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const pageSize = 10;
+            const collections = await this.storage.getCollections(interaction.guildId);
+            const collection = collections.find(c => c.tokenId === tokenId);
+
+            const filters = [];
+            if (serialNumber !== null) filters.push(t('history.serialFilter', { serial: serialNumber }));
+            if (buyer) filters.push(t('history.buyerFilter', { account: buyer }));
+            if (seller) filters.push(t('history.sellerFilter', { account: seller }));
+
+            const loadPage = async (page) => {
+                const result = type === 'listings'
+                    ? await this.storage.getListingHistory(tokenId, { serialNumber, seller, page, pageSize })
+                    : await this.storage.getSaleHistory(tokenId, { serialNumber, buyer, seller, page, pageSize });
+
+                const collectionName = collection
+                    ? collection.name
+                    : (result.rows[0] && result.rows[0].collectionName) || tokenId;
+                const totalPages = Math.max(1, Math.ceil(result.total / pageSize));
+
+                const fiat = await this.getGuildFiat(interaction.guildId);
+                const embed = embedUtils.createHistoryEmbed({
+                    type,
+                    tokenId,
+                    collectionName,
+                    rows: result.rows,
+                    total: result.total,
+                    page,
+                    pageSize,
+                    filters
+                }, fiat, locale);
+
+                const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+                const row = new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId('history_prev')
+                        .setLabel(t('history.previous'))
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(page <= 1),
+                    new ButtonBuilder()
+                        .setCustomId('history_next')
+                        .setLabel(t('history.next'))
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(page >= totalPages)
+                );
+
+                return { embeds: [embed], components: totalPages > 1 ? [row] : [] };
             };
 
-            await interaction.reply({ embeds: [embed] });
+            let page = 1;
+            const firstPage = await loadPage(page);
+            const reply = await interaction.reply({ ...firstPage, fetchReply: true });
+
+            if (firstPage.components.length === 0) {
+                return;
+            }
+
+            // Only the user who ran the command can page through the results
+            const collector = reply.createMessageComponentCollector({
+                filter: (buttonInteraction) => buttonInteraction.user.id === interaction.user.id &&
+                    ['history_prev', 'history_next'].includes(buttonInteraction.customId),
+                time: 120000
+            });
+
+            collector.on('collect', async (buttonInteraction) => {
+                try {
+                    page += buttonInteraction.customId === 'history_next' ? 1 : -1;
+                    await buttonInteraction.update(await loadPage(page));
+                } catch (error) {
+                    console.error('Error paging history:', error.message);
+                }
+            });
+
+            collector.on('end', async () => {
+                try {
+                    await interaction.editReply({ components: [] });
+                } catch (error) {
+                    console.log('Could not remove history buttons:', error.message);
+                }
+            });
+
         } catch (error) {
-            console.error('Error handling status command:', error);
+            console.error('Error handling history command:', error);
             try {
                 if (interaction.isRepliable()) {
                     await interaction.reply({
-                        content: '❌ Error loading status. Please try again.',
+                        content: t('history.error'),
                         ephemeral: true
                     });
                 }
             } catch (replyError) {
-                console.error('Failed to reply to status command error:', replyError.message);
+                console.error('Failed to reply to history command error:', replyError.message);
             }
         }
     }
 
-    async handleTestCommand(interaction) {
+    async handleFloorAlertCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
         try {
-            // Check interaction validity immediately
-            if (!interaction || interaction.replied || interaction.deferred) {
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling floor-alert command');
                 return;
             }
-            
-            const testType = interaction.options?.getString('type') || 'recent-sentx-sale';
-            
-            // Defer reply immediately as the very first action
-            try {
-                await interaction.deferReply();
-            } catch (deferError) {
-                if (deferError.code === 10062) {
-                    // Unknown interaction - already expired
+
+            const subcommand = options.getSubcommand();
+            const guildId = interaction.guildId;
+
+            if (subcommand === 'list') {
+                const alerts = await this.storage.getFloorAlerts(guildId);
+                if (alerts.length === 0) {
+                    await interaction.reply({
+                        content: t('floorAlert.empty'),
+                        ephemeral: true
+                    });
                     return;
                 }
-                console.error('Failed to defer interaction:', deferError.message);
+
+                const collections = await this.storage.getCollections(guildId);
+                const embed = {
+                    title: t('floorAlert.listTitle'),
+                    color: 0x0099ff,
+                    fields: alerts.slice(0, 25).map(alert => {
+                        const collection = collections.find(c => c.tokenId === alert.tokenId);
+                        const lastFloor = this.lastFloorSnapshots.get(alert.tokenId);
+                        return {
+                            name: `${collection ? collection.name : t('common.unknownCollection')} (${alert.tokenId})`,
+                            value: [
+                                t('floorAlert.threshold', { threshold: alert.thresholdPercent, hours: alert.windowMinutes / 60 }),
+                                t('floorAlert.channel', { channel: alert.channelId ? `<#${alert.channelId}>` : t('common.mainChannel') }),
+                                lastFloor ? t('floorAlert.currentFloor', { price: lastFloor.price }) : null
+                            ].filter(Boolean).join('\n'),
+                            inline: false
+                        };
+                    }),
+                    footer: { text: t('floorAlert.listFooter', { count: alerts.length }) },
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
                 return;
             }
-            
-            // Get optional collection parameter
-            const specificCollection = interaction.options?.getString('collection');
-            
-            // Route to appropriate test method
-            let embed;
-            if (testType === 'recent-sentx-sale') {
-                console.log('Testing most recent SentX sale...');
-                embed = await this.getTestRecentSentXSaleEmbed(interaction.guildId, specificCollection);
-            } else if (testType === 'recent-sentx-listing') {
-                console.log('Testing most recent SentX listing...');
-                embed = await this.getTestRecentSentXListingEmbed(interaction.guildId, specificCollection);
-            } else if (testType === 'recent-kabila-sale') {
-                console.log('Testing most recent Kabila sale...');
-                embed = await this.getTestRecentKabilaSaleEmbed(interaction.guildId, specificCollection);
-            } else if (testType === 'recent-kabila-listing') {
-                console.log('Testing most recent Kabila listing...');
-                embed = await this.getTestRecentKabilaListingEmbed(interaction.guildId, specificCollection);
-            } else if (testType === 'recent-hts-sale') {
-                console.log('🪙 Testing most recent HTS payment sale...');
-                console.log(`🔍 Test type confirmed: ${testType}, specific collection: ${specificCollection || 'none'}`);
-                embed = await this.getTestRecentHTSSaleEmbed(interaction.guildId, specificCollection);
-            } else if (testType === 'recent-hts-listing') {
-                console.log('🪙 Testing most recent HTS payment listing...');
-                console.log(`🔍 Test type confirmed: ${testType}, specific collection: ${specificCollection || 'none'}`);
-                embed = await this.getTestRecentHTSListingEmbed(interaction.guildId, specificCollection);
-            } else if (testType === 'forever-mint') {
-                console.log('🌟 Testing Wild Tigers Forever Mint notification...');
-                embed = await this.getTestForeverMintEmbed(interaction.guildId);
-            } else {
-                // Default: recent-sentx-sale
-                console.log('Testing most recent SentX sale...');
-                embed = await this.getTestRecentSentXSaleEmbed(interaction.guildId, specificCollection);
+
+            const tokenId = options.getString('collection');
+            if (!tokenId.match(/^0\.0\.\d+$/)) {
+                await interaction.reply({
+                    content: t('errors.invalidTokenId'),
+                    ephemeral: true
+                });
+                return;
             }
-            
-            // Send the response
-            try {
-                if (interaction.deferred && !interaction.replied) {
-                    // For Forever Mint tests, include the golden sticker attachment
-                    if (testType === 'forever-mint') {
-                        const { AttachmentBuilder } = require('discord.js');
-                        const fs = require('fs');
-                        const path = require('path');
-                        
-                        const logoPath = path.join(__dirname, 'attached_assets', 'Forever Mint Sticker_1756349371753.png');
-                        const logoAttachment = new AttachmentBuilder(logoPath, { name: 'forever-mint-sticker.png' });
-                        
-                        await interaction.editReply({
-                            embeds: [embed],
-                            files: [logoAttachment]
-                        });
-                    } else {
-                        await interaction.editReply({
-                            embeds: [embed]
-                        });
-                    }
+
+            if (subcommand === 'remove') {
+                const removed = await this.storage.removeFloorAlert(guildId, tokenId);
+                await interaction.reply({
+                    content: removed
+                        ? t('floorAlert.removed', { tokenId })
+                        : t('floorAlert.notFound', { tokenId }),
+                    ephemeral: !removed
+                });
+                return;
+            }
+
+            // subcommand === 'set'
+            const isTracked = await this.storage.isCollectionTracked(tokenId, guildId);
+            if (!isTracked) {
+                await interaction.reply({
+                    content: t('errors.notTracked', { tokenId }),
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const threshold = options.getNumber('threshold');
+            const windowHours = options.getInteger('window_hours') || 1;
+            const channel = options.getChannel('channel');
+
+            if (channel) {
+                if (channel.type !== 0) {
+                    await interaction.reply({
+                        content: t('errors.textChannel', { purpose: t('floorAlert.purpose') }),
+                        ephemeral: true
+                    });
+                    return;
                 }
-            } catch (replyError) {
-                if (replyError.code === 10062) {
-                    // Unknown interaction - expired, ignore
+
+                const permissions = channel.permissionsFor(interaction.guild.members.me);
+                if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+                    await interaction.reply({
+                        content: t('errors.channelPermissions'),
+                        ephemeral: true
+                    });
                     return;
                 }
-                console.error('Error sending test response:', replyError.message);
             }
-            
+
+            const alert = await this.storage.setFloorAlert(guildId, tokenId, {
+                thresholdPercent: threshold,
+                windowMinutes: windowHours * 60,
+                channelId: channel ? channel.id : null
+            }, interaction.user.id);
+
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired while processing floor-alert command');
+                return;
+            }
+
+            if (alert) {
+                await interaction.reply({
+                    content: t('floorAlert.set', {
+                        tokenId,
+                        threshold,
+                        hours: windowHours,
+                        channel: channel || t('common.mainChannel')
+                    }),
+                    ephemeral: false
+                });
+            } else {
+                await interaction.reply({
+                    content: t('floorAlert.failed'),
+                    ephemeral: true
+                });
+            }
+
         } catch (error) {
-            // Silently handle interaction expiry errors
-            if (error.code === 10062) {
-                return; // Unknown interaction - expired
-            }
-            
-            console.error('Error in test command:', error.message);
-            
-            // Only try to reply if interaction is still valid
+            console.error('Error handling floor-alert command:', error);
             try {
-                if (interaction.deferred && !interaction.replied) {
-                    const errorEmbed = this.embedUtils.createErrorEmbed(
-                        'Test Command Failed',
-                        'An error occurred while running the test command.',
-                        error.message
-                    );
-                    
-                    await interaction.editReply({
-                        embeds: [errorEmbed]
+                if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('floorAlert.error'),
+                        ephemeral: true
                     });
                 }
             } catch (replyError) {
-                // Silently ignore reply errors
+                console.error('Failed to reply to floor-alert command error:', replyError.message);
             }
         }
     }
 
-
-
-    async handleSetListingsChannelCommand(interaction, options) {
+    async handleMintTrackingCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        const t = i18n.translator(locale);
         try {
-            const channel = options.getChannel('channel');
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling mint-tracking command');
+                return;
+            }
+
+            const subcommand = options.getSubcommand();
             const guildId = interaction.guildId;
 
-            // Validate channel type (must be text channel)
-            if (channel.type !== 0) {
+            if (subcommand === 'list') {
+                const configs = await this.storage.getMintTrackingConfigs(guildId);
+                if (configs.length === 0) {
+                    await interaction.reply({
+                        content: t('mintTracking.empty'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const embed = {
+                    title: t('mintTracking.listTitle'),
+                    color: 0x2ECC71,
+                    fields: configs.slice(0, 25).map(mintConfig => ({
+                        name: `${mintConfig.collectionName || t('common.unknownCollection')} (${mintConfig.tokenId})`,
+                        value: [
+                            t('mintTracking.channel', { channel: `<#${mintConfig.channelId}>` }),
+                            t('mintTracking.milestones', { milestones: this.describeMintMilestones(mintConfig, locale) }),
+                            mintConfig.enabled ? t('mintTracking.active') : t('mintTracking.paused')
+                        ].join('\n'),
+                        inline: false
+                    })),
+                    footer: { text: t('mintTracking.listFooter', { count: configs.length }) },
+                    timestamp: new Date().toISOString()
+                };
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            const tokenId = options.getString('collection');
+            if (!tokenId.match(/^0\.0\.\d+$/)) {
                 await interaction.reply({
-                    content: '❌ Please select a text channel for listing notifications.',
+                    content: t('errors.invalidTokenId'),
                     ephemeral: true
                 });
                 return;
             }
 
-            // Check if bot has permissions in the channel
-            const botMember = interaction.guild.members.me;
-            const permissions = channel.permissionsFor(botMember);
-            
-            if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
+            if (subcommand === 'remove') {
+                const removed = await this.storage.removeMintTracking(guildId, tokenId);
                 await interaction.reply({
-                    content: '❌ I need "Send Messages" and "Embed Links" permissions in that channel.',
-                    ephemeral: true
+                    content: removed
+                        ? t('mintTracking.removed', { tokenId })
+                        : t('mintTracking.notSetUp', { tokenId }),
+                    ephemeral: !removed
                 });
                 return;
             }
 
-            // Update the server config with listings channel
-            const success = await this.storage.setListingsChannel(guildId, channel.id);
-            
-            if (success) {
+            if (subcommand === 'toggle') {
+                const configs = await this.storage.getMintTrackingConfigs(guildId);
+                const existing = configs.find(mintConfig => mintConfig.tokenId === tokenId);
+                if (!existing) {
+                    await interaction.reply({
+                        content: t('mintTracking.notSetUpHint', { tokenId }),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const state = options.getString('state');
+                const enabled = state ? state === 'on' : !existing.enabled;
+                const updated = await this.storage.toggleMintTracking(guildId, tokenId, enabled);
                 await interaction.reply({
-                    content: `✅ Listings channel set to ${channel}!\n\n📝 **New listings** will now be posted in ${channel}\n🔥 **Sales notifications** will continue in your main channel\n\nUse the same command again to change the listings channel.`,
-                    ephemeral: false
+                    content: updated
+                        ? t(`mintTracking.toggled.${enabled ? 'on' : 'off'}`, { name: existing.collectionName || tokenId })
+                        : t('mintTracking.updateFailed'),
+                    ephemeral: !updated
                 });
-            } else {
+                return;
+            }
+
+            if (subcommand === 'milestones') {
+                const percentsOption = options.getString('percents');
+                const every = options.getInteger('every');
+                if (percentsOption === null && every === null) {
+                    await interaction.reply({
+                        content: t('mintTracking.milestonesMissing'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const settings = {};
+                if (percentsOption !== null) {
+                    const percents = mintMilestones.parsePercents(percentsOption);
+                    if (!percents) {
+                        await interaction.reply({
+                            content: t('mintTracking.invalidPercents'),
+                            ephemeral: true
+                        });
+                        return;
+                    }
+                    settings.milestonePercents = percents;
+                }
+                if (every !== null) {
+                    settings.milestoneEvery = every > 0 ? every : null;
+                }
+
+                const updated = await this.storage.setMintMilestones(guildId, tokenId, settings);
                 await interaction.reply({
-                    content: '❌ Failed to set listings channel. Make sure the bot is properly configured in this server.',
-                    ephemeral: true
+                    content: updated
+                        ? t('mintTracking.milestonesSet', { name: updated.collectionName || tokenId, milestones: this.describeMintMilestones(updated, locale) })
+                        : t('mintTracking.notSetUpHint', { tokenId }),
+                    ephemeral: !updated
                 });
+                return;
             }
 
-        } catch (error) {
-            console.error('Error setting listings channel:', error);
-            await interaction.reply({
-                content: '❌ An error occurred while setting the listings channel. Please try again.',
-                ephemeral: true
-            });
-        }
-    }
-
-    async handleSetMintChannelCommand(interaction, options) {
-        try {
+            // subcommand === 'setup'
             const channel = options.getChannel('channel');
-            const guildId = interaction.guildId;
-
-            // Validate channel type (must be text channel)
             if (channel.type !== 0) {
                 await interaction.reply({
-                    content: '❌ Please select a text channel for Forever Mint notifications.',
+                    content: t('errors.textChannel', { purpose: t('mintTracking.purpose') }),
                     ephemeral: true
                 });
                 return;
             }
 
-            // Check if bot has permissions in the channel
-            const botMember = interaction.guild.members.me;
-            const permissions = channel.permissionsFor(botMember);
-            
+            const permissions = channel.permissionsFor(interaction.guild.members.me);
             if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
                 await interaction.reply({
-                    content: '❌ I need "Send Messages" and "Embed Links" permissions in that channel.',
+                    content: t('errors.channelPermissions'),
                     ephemeral: true
                 });
                 return;
             }
 
-            // Update the server config with mint channel
-            const success = await this.storage.setMintChannel(guildId, channel.id);
-            
-            if (success) {
-                await interaction.reply({
-                    content: `✅ Forever Mint channel set to ${channel}!\n\n🌟 **Wild Tigers Forever Mint notifications** will now be posted in ${channel}\n🔥 **Sales and other notifications** will continue in your main channels\n\nUse the same command again to change the mint channel, or disable by selecting the same channel as your main sales channel.`,
-                    ephemeral: false
+            await interaction.deferReply();
+
+            const tokenInfo = await hederaService.getTokenInfo(tokenId);
+            if (!tokenInfo) {
+                await interaction.editReply({
+                    content: t('mintTracking.tokenNotFound', { tokenId })
                 });
-            } else {
-                await interaction.reply({
-                    content: '❌ Failed to set mint channel. Make sure the bot is properly configured in this server.',
-                    ephemeral: true
+                return;
+            }
+            if (tokenInfo.type !== 'NON_FUNGIBLE_UNIQUE') {
+                await interaction.editReply({
+                    content: t('mintTracking.notNft', { tokenId })
                 });
+                return;
+            }
+
+            const name = options.getString('name') || tokenInfo.name || null;
+            const saved = await this.storage.setMintTracking(guildId, tokenId, channel.id, name, interaction.user.id);
+
+            // Record where the mint stands now so only milestones crossed from here are announced
+            if (saved && saved.lastMilestonePercent === null) {
+                const progress = await hederaService.getMintProgress(tokenId);
+                if (progress) {
+                    await this.storage.markMintMilestone(saved.id, mintMilestones.getBaseline(progress));
+                }
             }
 
+            await interaction.editReply({
+                content: saved
+                    ? t('mintTracking.setUp', { name: name || tokenId, tokenId, channel })
+                    : t('mintTracking.failed')
+            });
+
         } catch (error) {
-            console.error('Error setting mint channel:', error);
-            await interaction.reply({
-                content: '❌ An error occurred while setting the mint channel. Please try again.',
-                ephemeral: true
+            console.error('Error handling mint-tracking command:', error);
+            try {
+                if (interaction.deferred) {
+                    await interaction.editReply({ content: t('mintTracking.error') });
+                } else if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('mintTracking.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to mint-tracking command error:', replyError.message);
+            }
+        }
+    }
+
+    describeMintMilestones(mintConfig, locale) {
+        const t = i18n.translator(locale);
+        const parts = [];
+        const percents = mintMilestones.getPercents(mintConfig);
+        if (percents.length > 0) parts.push(percents.map(percent => `${percent}%`).join(', '));
+        if (mintConfig.milestoneEvery) parts.push(t('mintTracking.everyMints', { count: i18n.formatNumber(locale, mintConfig.milestoneEvery) }));
+        return parts.length > 0 ? parts.join(' + ') : t('mintTracking.milestonesOff');
+    }
+
+    async handleThemeCommand(interaction, options) {
+        const locale = await this.getGuildLocale(interaction.guildId);
+        const t = i18n.translator(locale);
+        try {
+            if (!interaction.isRepliable()) {
+                console.log('Interaction expired before handling theme command');
+                return;
+            }
+
+            const subcommand = options.getSubcommand();
+            const guildId = interaction.guildId;
+            const existing = await this.storage.getEmbedTheme(guildId);
+            let changes = null;
+            let message = null;
+            let previewKind = 'sale';
+            let previewMarketplace = 'SentX';
+
+            if (subcommand === 'view') {
+                previewKind = options.getString('type') || 'sale';
+            } else if (subcommand === 'layout') {
+                const style = options.getString('style');
+                changes = { layout: style };
+                message = t('theme.layoutSet', { layout: style });
+            } else if (subcommand === 'title' || subcommand === 'reaction') {
+                previewKind = options.getString('type');
+
+                if (subcommand === 'title') {
+                    const { template, error } = embedThemes.parseTitle(options.getString('format'), locale);
+                    if (error) {
+                        await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+                        return;
+                    }
+                    changes = { [previewKind === 'sale' ? 'saleTitle' : 'listingTitle']: template };
+                    message = template ? t(`theme.titleSet.${previewKind}`, { template }) : t(`theme.titleReset.${previewKind}`);
+                } else {
+                    const { reaction, error } = embedThemes.parseReaction(options.getString('emoji'), locale);
+                    if (error) {
+                        await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+                        return;
+                    }
+                    changes = { [previewKind === 'sale' ? 'saleReaction' : 'listingReaction']: reaction };
+                    message = reaction === 'none'
+                        ? t(`theme.reactionOff.${previewKind}`)
+                        : reaction ? t(`theme.reactionSet.${previewKind}`, { reaction }) : t(`theme.reactionReset.${previewKind}`);
+                }
+            } else if (subcommand === 'color') {
+                const value = options.getString('color');
+                const marketplace = options.getString('marketplace') || 'default';
+                const color = value.trim().toLowerCase() === 'reset' ? null : embedThemes.parseColor(value);
+                if (value.trim().toLowerCase() !== 'reset' && !color) {
+                    await interaction.reply({
+                        content: t('theme.invalidColor'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const colors = { ...(existing?.colors || {}) };
+                if (color) {
+                    colors[marketplace] = color;
+                } else {
+                    delete colors[marketplace];
+                }
+                changes = { colors: Object.keys(colors).length > 0 ? colors : null };
+
+                const target = marketplace === 'default' ? t('theme.allMarketplaces') : marketplace;
+                message = color ? t('theme.colorSet', { target, color }) : t('theme.colorReset', { target });
+                if (marketplace !== 'default') previewMarketplace = marketplace;
+            } else if (subcommand === 'fields') {
+                const fields = { ...(existing?.fields || {}) };
+                const updated = [];
+                for (const name of embedThemes.FIELD_NAMES) {
+                    const value = options.getString(name);
+                    if (!value) continue;
+                    if (value === 'default') {
+                        delete fields[name];
+                    } else {
+                        fields[name] = value === 'on';
+                    }
+                    updated.push(t(value === 'default' ? 'theme.fieldDefault' : value === 'on' ? 'theme.fieldOn' : 'theme.fieldOff', { field: name }));
+                }
+
+                if (updated.length === 0) {
+                    await interaction.reply({
+                        content: t('theme.fieldsEmpty'),
+                        ephemeral: true
+                    });
+                    return;
+                }
+                changes = { fields: Object.keys(fields).length > 0 ? fields : null };
+                message = t('theme.fieldsUpdated', { fields: updated.join(', ') });
+            } else if (subcommand === 'footer') {
+                const text = options.getString('text').trim();
+                const footer = text.toLowerCase() === 'reset' || text.length === 0 ? null : text;
+                changes = { footer };
+                message = footer ? t('theme.footerSet') : t('theme.footerReset');
+            }
+
+            // Building the preview fetches floor prices and images, so defer before saving
+            await interaction.deferReply({ ephemeral: true });
+
+            let themeRow = existing;
+            if (subcommand === 'reset') {
+                await this.storage.removeEmbedTheme(guildId);
+                themeRow = null;
+                message = t('theme.reset');
+            } else if (changes) {
+                themeRow = await this.storage.setEmbedTheme(guildId, changes, interaction.user.id);
+                if (!themeRow) {
+                    await interaction.editReply({ content: t('theme.saveError') });
+                    return;
+                }
+            }
+
+            const theme = embedThemes.resolve(themeRow);
+            const embed = await this.buildThemePreviewEmbed(theme, previewKind, previewMarketplace, guildId);
+            await interaction.editReply({
+                content: [
+                    message ? `✅ ${message}\n` : null,
+                    this.describeEmbedTheme(theme, t),
+                    '',
+                    t(`theme.preview.${previewKind === 'sale' ? 'sale' : 'listing'}`, { marketplace: previewMarketplace })
+                ].filter(line => line !== null).join('\n'),
+                embeds: [embed],
+                files: embed.files || []
             });
+        } catch (error) {
+            console.error('Error handling theme command:', error);
+            try {
+                if (interaction.deferred && !interaction.replied) {
+                    await interaction.editReply({ content: t('theme.previewError') });
+                } else if (interaction.isRepliable()) {
+                    await interaction.reply({
+                        content: t('theme.error'),
+                        ephemeral: true
+                    });
+                }
+            } catch (replyError) {
+                console.error('Failed to reply to theme command error:', replyError.message);
+            }
         }
     }
 
+    describeEmbedTheme(theme, t) {
+        const colors = Object.entries(theme.colors)
+            .map(([marketplace, color]) => `${marketplace === 'default' ? t('theme.summary.all') : marketplace} ${color}`);
+        const fields = embedThemes.FIELD_NAMES
+            .map(name => `${name} ${theme.sections[name] ? '✅' : '❌'}`);
+        const saleReaction = embedThemes.getReaction(theme, 'sale', embedThemes.DEFAULT_SALE_REACTION);
+        const listingReaction = embedThemes.getReaction(theme, 'listing', '📝/🏆');
+
+        return [
+            t('theme.summary.layout', { layout: theme.layout }),
+            t('theme.summary.titles', { sale: theme.titles.sale, listing: theme.titles.listing }),
+            t('theme.summary.colors', { colors: colors.length > 0 ? colors.join(', ') : t('theme.summary.default') }),
+            t('theme.summary.fields', { fields: fields.join(', ') }),
+            t('theme.summary.reactions', { sale: saleReaction || t('theme.summary.none'), listing: listingReaction || t('theme.summary.none') }),
+            t('theme.summary.footer', { footer: theme.footer })
+        ].join('\n');
+    }
+
+    /**
+     * Render a sample sale or listing in a theme for /theme previews
+     * @param {Object} theme - Resolved theme
+     * @param {string} kind - 'sale' or 'listing'
+     * @param {string} marketplace - Marketplace the sample happened on
+     * @param {string|null} guildId - Server whose display currency and language the preview uses
+     * @returns {Promise<EmbedBuilder>} Preview embed
+     */
+    async buildThemePreviewEmbed(theme, kind, marketplace, guildId = null) {
+        const fiat = await this.getGuildFiat(guildId);
+        const locale = await this.getGuildLocale(guildId);
+        const sample = {
+            token_id: '0.0.6024491',
+            collection_name: 'Wild Tigers',
+            nft_name: 'Wild Tigers #1234',
+            serial_number: 1234,
+            price_hbar: 500,
+            payment_symbol: 'HBAR',
+            marketplace,
+            sale_type: kind === 'sale' ? 'Sale' : 'Listing',
+            buyer: '0.0.1234567',
+            seller: '0.0.7654321',
+            rank: 42,
+            sentx_rank: 42,
+            sentx_enriched: true,
+            rarity: 0.08,
+            floor_price: 450,
+            image_url: 'ipfs://bafkreib3vnkpr4txrslv7wmq4naqds6fpkjocs5iypvcgefbcsj453odja',
+            timestamp: new Date().toISOString()
+        };
+        sample.collection_url = this.marketplaces.getCollectionUrl(sample) || null;
+
+        return kind === 'sale'
+            ? await embedUtils.createSaleEmbed(sample, fiat, null, theme, locale)
+            : await embedUtils.createListingEmbed(sample, fiat, null, theme, locale);
+    }
+
     async handleSupportCommand(interaction) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
         try {
             const supportEmbed = {
-                title: '🛟 Get Support & Help',
-                description: 'Need help with the NFT Sales Bot? Join our support server!',
+                title: t('support.title'),
+                description: t('support.description'),
                 color: 0xffffff,
                 thumbnail: {
                     url: 'attachment://migos-logo.png'
                 },
                 fields: [
                     {
-                        name: '🎮 Join Migos World Labs Discord',
-                        value: '[Click here to join our Discord support server](https://discord.gg/fkKEgckbYH)\n\nContact **Mauii** or **Wise Whale** for set up help\n\nGet help with:\n• Bot setup and configuration\n• Adding NFT collections\n• Troubleshooting issues\n• Feature requests and feedback',
+                        name: t('support.joinTitle'),
+                        value: t('support.join'),
                         inline: false
                     },
                     {
-                        name: '📚 Available Commands',
-                        value: '• `/add` - Add NFT collection to track\n• `/remove` - Remove collection from tracking\n• `/remove-all` - Remove ALL collections (with confirmation)\n• `/list` - Show all tracked collections\n• `/status` - Check bot health and statistics\n• `/set-listings-channel` - Set separate channel for listings\n• `/set-mint-channel` - Set separate channel for Forever Mint notifications\n• `/test` - Test bot functionality\n• `/support` - Get help and support info',
+                        name: t('about.commandsTitle'),
+                        value: t('about.commands'),
                         inline: false
                     },
                     {
-                        name: '🏪 Supported Marketplaces',
-                        value: '• **SentX** - Full sales & listings tracking\n• **Kabila** - Full sales & listings tracking\n• Cross-marketplace rarity enrichment\n• Real-time price conversion (HBAR to USD)',
+                        name: t('about.marketplacesTitle'),
+                        value: t('about.marketplaces'),
                         inline: false
                     },
                     {
-                        name: '✨ Key Features',
-                        value: '• Real-time sales & listing notifications\n• Separate channels for sales vs listings\n• NFT images with Hashinal support\n• Buyer/seller whale tier indicators\n• Collection-specific tracking\n• Cross-marketplace data enrichment',
+                        name: t('about.featuresTitle'),
+                        value: t('about.features'),
                         inline: false
                     },
                     {
-                        name: '🔧 Need Help?',
-                        value: 'Contact **Mauii** or **Wise Whale** in Migos World Labs Discord for:\n• Set up the bot for your server\n• Configure collections and channels\n• Answer questions about features\n• Resolve any technical issues',
+                        name: t('support.helpTitle'),
+                        value: t('support.help'),
                         inline: false
                     }
                 ],
                 footer: {
-                    text: 'Built for the Hedera NFT community by Migos World Labs',
+                    text: t('about.footer'),
                     icon_url: 'https://sentient-bherbhd8e3cyg4dn.z01.azurefd.net/media/web/hedera-logo-128.png'
                 },
                 timestamp: new Date().toISOString()
@@ -2216,7 +5760,7 @@ class NFTSalesBot {
             console.error('Error handling support command:', error);
             try {
                 await interaction.reply({
-                    content: '❌ Error showing support information. Please join our support server directly: https://discord.gg/fkKEgckbYH',
+                    content: t('support.error'),
                     ephemeral: true
                 });
             } catch (replyError) {
@@ -2226,16 +5770,8 @@ class NFTSalesBot {
     }
 
     async handleAnnounceCommand(interaction, options) {
+        const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
         try {
-            // Check if user has administrator permissions
-            if (!interaction.member.permissions.has('Administrator')) {
-                await interaction.reply({
-                    content: '❌ You need Administrator permissions to use this command.',
-                    ephemeral: true
-                });
-                return;
-            }
-
             const announcementType = options.getString('type');
             const customMessage = options.getString('message');
             const targetChannel = options.getChannel('channel') || interaction.channel;
@@ -2248,89 +5784,63 @@ class NFTSalesBot {
                 
                 if (!permissions.has(['SendMessages', 'EmbedLinks'])) {
                     await interaction.reply({
-                        content: `❌ I need "Send Messages" and "Embed Links" permissions in ${targetChannel}.`,
+                        content: t('announce.permissions', { channel: targetChannel }),
                         ephemeral: true
                     });
                     return;
                 }
             }
 
-            let announcementEmbed;
+            if (announcementType === 'custom' && !customMessage) {
+                await interaction.reply({
+                    content: t('announce.customMissing'),
+                    ephemeral: true
+                });
+                return;
+            }
 
-            if (announcementType === 'hts-update-aug-2025') {
-                announcementEmbed = {
-                    title: '🪙 HTS Token Payment Update - August 2025',
-                    description: '**Major Enhancement: Complete HTS Token Support**',
-                    color: 0x00ff88,
-                    thumbnail: {
-                        url: 'attachment://migos-logo.png'
-                    },
-                    fields: [
-                        {
-                            name: '✅ Fixed Critical Bug',
-                            value: 'NFT sales paid with HTS tokens (PAWS, SAUCE, KARATE) are now properly detected and posted',
-                            inline: false
-                        },
-                        {
-                            name: '✅ Enhanced Monitoring',
-                            value: 'All NFT transactions tracked regardless of payment method - both HBAR and HTS tokens fully supported',
-                            inline: false
-                        },
-                        {
-                            name: '✅ New Test Command',
-                            value: '`/test type:Recent HTS Payment Listing` added for manual HTS listing verification',
-                            inline: false
-                        },
-                        {
-                            name: '✅ Complete Coverage',
-                            value: 'Both sales and listings with HTS tokens automatically monitored and posted with proper token indicators (🐾 for PAWS, etc.)',
-                            inline: false
+            // Each server gets the announcement in its own language
+            const buildAnnouncementEmbed = (tt) => {
+                if (announcementType === 'hts-update-aug-2025') {
+                    return {
+                        title: tt('announce.htsUpdate.title'),
+                        description: tt('announce.htsUpdate.description'),
+                        color: 0x00ff88,
+                        thumbnail: {
+                            url: 'attachment://migos-logo.png'
                         },
-                        {
-                            name: '🎯 What This Means',
-                            value: 'Wild Tigers sold for 55,000 PAWS tokens are now properly detected and posted. No more missed HTS token transactions across any tracked collections.',
+                        fields: ['fixed', 'monitoring', 'test', 'coverage', 'meaning', 'status'].map(section => ({
+                            name: tt(`announce.htsUpdate.${section}Title`),
+                            value: tt(`announce.htsUpdate.${section}`),
                             inline: false
+                        })),
+                        footer: {
+                            text: tt('announce.htsUpdate.footer'),
+                            icon_url: 'https://sentient-bherbhd8e3cyg4dn.z01.azurefd.net/media/web/hedera-logo-128.png'
                         },
-                        {
-                            name: '🚀 Status',
-                            value: 'Bot updated and HTS token monitoring active immediately across all servers.',
-                            inline: false
-                        }
-                    ],
-                    footer: {
-                        text: 'Enhanced for the Hedera NFT community by Migos World Labs',
-                        icon_url: 'https://sentient-bherbhd8e3cyg4dn.z01.azurefd.net/media/web/hedera-logo-128.png'
-                    },
-                    timestamp: new Date().toISOString()
-                };
-            } else if (announcementType === 'custom') {
-                if (!customMessage) {
-                    await interaction.reply({
-                        content: '❌ Please provide a custom message when using the custom announcement type.',
-                        ephemeral: true
-                    });
-                    return;
+                        timestamp: new Date().toISOString()
+                    };
                 }
 
-                announcementEmbed = {
-                    title: '📢 Bot Announcement',
+                return {
+                    title: tt('announce.customTitle'),
                     description: customMessage,
                     color: 0x0099ff,
                     thumbnail: {
                         url: 'attachment://migos-logo.png'
                     },
                     footer: {
-                        text: 'NFT Sales Bot by Migos World Labs',
+                        text: tt('announce.customFooter'),
                         icon_url: 'https://sentient-bherbhd8e3cyg4dn.z01.azurefd.net/media/web/hedera-logo-128.png'
                     },
                     timestamp: new Date().toISOString()
                 };
-            }
+            };
 
             if (broadcastToAll) {
                 // Broadcast announcement to all configured servers
                 await interaction.reply({
-                    content: '🔄 Broadcasting announcement to all servers...',
+                    content: t('announce.broadcasting'),
                     ephemeral: true
                 });
 
@@ -2351,7 +5861,7 @@ class NFTSalesBot {
                                 const attachment = new AttachmentBuilder('./migos-logo.png', { name: 'migos-logo.png' });
                                 
                                 await channel.send({
-                                    embeds: [announcementEmbed],
+                                    embeds: [buildAnnouncementEmbed(i18n.translator(this.getServerLocale(serverConfig)))],
                                     files: [attachment]
                                 });
                                 
@@ -2371,7 +5881,7 @@ class NFTSalesBot {
                 // Update admin with results
                 try {
                     await interaction.editReply({
-                        content: `📢 Broadcast complete! Sent to ${successCount}/${totalServers} servers.`,
+                        content: t('announce.broadcastDone', { sent: successCount, total: totalServers }),
                         ephemeral: true
                     });
                 } catch (updateError) {
@@ -2383,13 +5893,13 @@ class NFTSalesBot {
                 const attachment = new AttachmentBuilder('./migos-logo.png', { name: 'migos-logo.png' });
                 
                 await targetChannel.send({
-                    embeds: [announcementEmbed],
+                    embeds: [buildAnnouncementEmbed(t)],
                     files: [attachment]
                 });
 
                 // Confirm to the admin
                 await interaction.reply({
-                    content: `✅ Announcement sent successfully to ${targetChannel}!`,
+                    content: t('announce.sent', { channel: targetChannel }),
                     ephemeral: true
                 });
             }
@@ -2398,7 +5908,7 @@ class NFTSalesBot {
             console.error('Error handling announce command:', error);
             try {
                 await interaction.reply({
-                    content: '❌ Failed to send announcement. Please check bot permissions and try again.',
+                    content: t('announce.failed'),
                     ephemeral: true
                 });
             } catch (replyError) {
@@ -2416,6 +5926,15 @@ class NFTSalesBot {
             console.log('Cleaning up old processed sales...');
             await this.storage.cleanupOldProcessedSales();
             
+            // Floor history is kept for 30 days
+            await this.storage.cleanupOldFloorSnapshots();
+
+            // The management audit trail is kept for 90 days
+            await this.storage.cleanupOldAuditEntries();
+
+            // Delivered webhooks are kept for 7 days, the dead-letter log for 30
+            await this.storage.cleanupOldWebhookDeliveries();
+            
 
             
             console.log('Database storage ready');
@@ -2478,11 +5997,11 @@ class NFTSalesBot {
                 ...rarityData
             };
 
-            // Get current HBAR rate
-            const hbarRate = await currencyService.getHbarToUsdRate();
-            
-            // Create Forever Mint embed using the existing function
-            const embed = await embedUtils.createForeverMintEmbed(testMintData, hbarRate);
+            // Render with the same notifier profile live Forever Mints use
+            const embed = await embedUtils.createMintProfileEmbed(testMintData, mintNotifiers.get('wild-tigers-forever-mint'), {
+                rarityRank: testMintData.rarity_rank,
+                rarityPercent: testMintData.rarity_percentage
+            });
             
             console.log('✅ Enhanced test Forever Mint embed created with image and rarity data');
             return embed;
@@ -2533,6 +6052,9 @@ class NFTSalesBot {
                         const removed = await this.storage.removeCollection(guildId, collection.token_id || collection.tokenId);
                         if (removed) orphanedCollections++;
                     }
+                    
+                    // Remove per-server settings such as notification filters
+                    await this.storage.removeGuildSettings(guildId);
                 }
             }
             
@@ -2599,39 +6121,7 @@ class NFTSalesBot {
      * @returns {string} Proper SentX collection URL
      */
     getSentXCollectionUrl(collectionName, tokenId = null) {
-        // If we have a collection name, convert it to SentX URL format
-        if (collectionName && collectionName !== 'Unknown Collection') {
-            // Convert collection name to URL-friendly format
-            const urlFriendlyName = collectionName.toLowerCase()
-                .replace(/\s+/g, '-')           // Replace spaces with hyphens
-                .replace(/[^a-z0-9\-]/g, '')    // Remove special characters except hyphens
-                .replace(/--+/g, '-')           // Replace multiple hyphens with single
-                .replace(/^-|-$/g, '');         // Remove leading/trailing hyphens
-            
-            return `https://sentx.io/nft-marketplace/${urlFriendlyName}`;
-        }
-        
-        // Fallback: Use token ID mapping for specific known collections
-        if (tokenId) {
-            const collectionMapping = {
-                '0.0.6024491': 'https://sentx.io/nft-marketplace/wild-tigers',
-                '0.0.8308459': 'https://sentx.io/nft-marketplace/the-ape-anthology',
-                '0.0.8233324': 'https://sentx.io/nft-marketplace/kekistan',
-                '0.0.8233316': 'https://sentx.io/nft-marketplace/heliswap-pool-tokens',
-                '0.0.8233302': 'https://sentx.io/nft-marketplace/klaytn-invasion',
-                '0.0.5552189': 'https://sentx.io/nft-marketplace/hashinals',
-                '0.0.2173899': 'https://sentx.io/nft-marketplace/hashinals',
-                '0.0.789064': 'https://sentx.io/nft-marketplace/hashinals',
-                '0.0.1097228': 'https://sentx.io/nft-marketplace/hashinals',
-                '0.0.8293984': 'https://sentx.io/nft-marketplace/hashinals',
-                '0.0.1006183': 'https://sentx.io/nft-marketplace/hedera-monkeys',
-                '0.0.878200': 'https://sentx.io/nft-marketplace/rooster-cartel'
-            };
-            
-            return collectionMapping[tokenId] || `https://sentx.io/nft-marketplace/collection/${tokenId}`;
-        }
-        
-        return null;
+        return this.marketplaces.get('SentX').buildCollectionUrl(collectionName, tokenId);
     }
 
     async getTestListingEmbed(guildId, specificTokenId = null) {
@@ -2697,15 +6187,16 @@ class NFTSalesBot {
             
             console.log(`Using listing for testing: ${testListing.nft_name} from ${collectionName}`);
             
-            // Get HBAR rate
-            const hbarRate = await currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate and language
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Ensure collection URL using collection name
             const collectionNameForUrl = testListing.collection_name || collectionName;
             testListing.collection_url = this.getSentXCollectionUrl(collectionNameForUrl, testListing.token_id);
             
             // Create a listing embed to test the formatting
-            return await embedUtils.createListingEmbed(testListing, hbarRate);
+            return await embedUtils.createListingEmbed(testListing, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test listing embed:', error);
@@ -2779,11 +6270,12 @@ class NFTSalesBot {
             
             console.log(`Using sale for testing: ${testSale.nft_name} from ${collectionName}`);
             
-            // Get HBAR rate
-            const hbarRate = await currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate and language
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create sale embed
-            return await embedUtils.createSaleEmbed(testSale, hbarRate);
+            return await embedUtils.createSaleEmbed(testSale, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test sale embed:', error);
@@ -2818,11 +6310,11 @@ class NFTSalesBot {
             
             console.log(`Using most recent sale for testing: ${testSale.nft_name} from ${testSale.collection_name}`);
             
-            // Get HBAR rate
-            const hbarRate = await currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate
+            const fiat = await this.getGuildFiat(null);
             
             // Create sale embed
-            return await embedUtils.createSaleEmbed(testSale, hbarRate);
+            return await embedUtils.createSaleEmbed(testSale, fiat);
             
         } catch (error) {
             console.error('Error testing most recent sale:', error);
@@ -2860,11 +6352,11 @@ class NFTSalesBot {
             
             console.log(`Using most recent listing for testing: ${testListing.nft_name} from ${testListing.collection_name}`);
             
-            // Get HBAR rate
-            const hbarRate = await currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate
+            const fiat = await this.getGuildFiat(null);
             
             // Create listing embed
-            return await embedUtils.createListingEmbed(testListing, hbarRate);
+            return await embedUtils.createListingEmbed(testListing, fiat);
             
         } catch (error) {
             console.error('Error testing most recent listing:', error);
@@ -2881,15 +6373,33 @@ class NFTSalesBot {
             // Check if interaction is still valid (not expired)
             if (!interaction || !interaction.responded && !interaction.deferred) {
                 const focusedOption = interaction.options.getFocused(true);
+                const t = i18n.translator(await this.getGuildLocale(interaction.guildId));
                 
-                if (focusedOption.name === 'collection') {
+                if (focusedOption.name === 'collection' && interaction.commandName === 'mint-tracking') {
+                    // Mint tracking isn't limited to tracked collections, so suggest its own setups
+                    const searchValue = (focusedOption.value || '').toLowerCase();
+                    const configs = await this.storage.getMintTrackingConfigs(interaction.guildId);
+                    const choices = configs
+                        .filter(mintConfig => (mintConfig.collectionName || '').toLowerCase().includes(searchValue) ||
+                            mintConfig.tokenId.includes(searchValue))
+                        .slice(0, 25)
+                        .map(mintConfig => ({
+                            name: `${mintConfig.collectionName || t('common.unknownCollection')} (${mintConfig.tokenId})`,
+                            value: mintConfig.tokenId
+                        }));
+                    
+                    await interaction.respond(choices.length > 0 ? choices : [{
+                        name: t('autocomplete.noMintTracking'),
+                        value: 'none'
+                    }]);
+                } else if (focusedOption.name === 'collection') {
                     // Get tracked collections for this server quickly
                     const guildId = interaction.guildId;
                     const trackedCollections = await this.storage.getCollections(guildId);
                     
                     if (!trackedCollections || trackedCollections.length === 0) {
                         await interaction.respond([{
-                            name: 'No collections tracked - Use /add to track collections first',
+                            name: t('autocomplete.noCollections'),
                             value: 'none'
                         }]);
                         return;
@@ -2911,16 +6421,22 @@ class NFTSalesBot {
                     
                     const choices = filtered.map(collection => {
                         const tokenId = collection.tokenId || collection.token_id;
-                        const name = collection.name || 'Unknown Collection';
+                        const name = collection.name || t('common.unknownCollection');
                         return {
                             name: `${name} (${tokenId})`,
                             value: tokenId
                         };
                     });
                     
+                    // Filters can also target every collection in the server
+                    if (interaction.commandName === 'filter') {
+                        choices.unshift({ name: t('autocomplete.allCollections'), value: 'all' });
+                        choices.splice(25);
+                    }
+                    
                     if (choices.length === 0) {
                         await interaction.respond([{
-                            name: 'No valid collections found - Check /list to see tracked collections',
+                            name: t('autocomplete.noMatches'),
                             value: 'none'
                         }]);
                     } else {
@@ -2928,7 +6444,7 @@ class NFTSalesBot {
                     }
                 } else {
                     await interaction.respond([{
-                        name: 'Unknown option',
+                        name: t('autocomplete.unknownOption'),
                         value: 'unknown'
                     }]);
                 }
@@ -3029,11 +6545,12 @@ class NFTSalesBot {
             console.log(`🎯 Selected ${specificCollection ? 'specific' : 'random'} sale: ${testSale.nft_name}`);
             console.log(`Using SentX sale: ${testSale.nft_name} for ${testSale.price_hbar} HBAR`);
             
-            // Get HBAR rate
-            const hbarRate = await this.currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate and language
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create and return the embed
-            return await this.embedUtils.createSaleEmbed(testSale, hbarRate);
+            return await this.embedUtils.createSaleEmbed(testSale, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test SentX sale embed:', error);
@@ -3094,11 +6611,12 @@ class NFTSalesBot {
             console.log(`🎯 Selected ${specificCollection ? 'specific' : 'random'} listing: ${testListing.nft_name}`);
             console.log(`Using SentX listing: ${testListing.nft_name} for ${testListing.price_hbar} HBAR`);
             
-            // Get HBAR rate
-            const hbarRate = await this.currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate and language
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create and return the embed
-            return await this.embedUtils.createListingEmbed(testListing, hbarRate);
+            return await this.embedUtils.createListingEmbed(testListing, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test SentX listing embed:', error);
@@ -3185,11 +6703,12 @@ class NFTSalesBot {
                 // Continue with original data if enrichment fails
             }
             
-            // Get HBAR rate
-            const hbarRate = await this.currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate and language
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create and return the embed
-            return await this.embedUtils.createSaleEmbed(testSale, hbarRate);
+            return await this.embedUtils.createSaleEmbed(testSale, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test Kabila sale embed:', error);
@@ -3276,11 +6795,12 @@ class NFTSalesBot {
                 // Continue with original data if enrichment fails
             }
             
-            // Get HBAR rate
-            const hbarRate = await this.currencyService.getHbarToUsdRate();
+            // Get the server's display currency rate and language
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create and return the embed
-            return await this.embedUtils.createListingEmbed(testListing, hbarRate);
+            return await this.embedUtils.createListingEmbed(testListing, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test Kabila listing embed:', error);
@@ -3439,10 +6959,11 @@ class NFTSalesBot {
             console.log(`🪙 Testing HTS payment sale: ${testSale.nft_name} paid with ${testSale.payment_symbol}`);
             
             // Get HBAR rate (even though we won't use it for HTS token prices)
-            const hbarRate = await this.currencyService.getHbarToUsdRate();
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create and return the embed
-            return await this.embedUtils.createSaleEmbed(testSale, hbarRate);
+            return await this.embedUtils.createSaleEmbed(testSale, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test HTS payment sale embed:', error);
@@ -3546,10 +7067,11 @@ class NFTSalesBot {
             console.log(`🪙 Testing HTS payment listing: ${testListing.nft_name} listed for ${testListing.payment_symbol}`);
             
             // Get HBAR rate (even though we won't use it for HTS token prices)
-            const hbarRate = await this.currencyService.getHbarToUsdRate();
+            const fiat = await this.getGuildFiat(guildId);
+            const locale = await this.getGuildLocale(guildId);
             
             // Create and return the embed
-            return await this.embedUtils.createListingEmbed(testListing, hbarRate);
+            return await this.embedUtils.createListingEmbed(testListing, fiat, null, embedThemes.resolve(null), locale);
             
         } catch (error) {
             console.error('Error creating test HTS payment listing embed:', error);
@@ -20,6 +20,22 @@ const config = {
     // Currency API Configuration
     COINMARKETCAP_API_KEY: process.env.COINMARKETCAP_API_KEY || '',
     COINGECKO_API_KEY: process.env.COINGECKO_API_KEY || '', // Optional, CoinGecko has free tier
+    DEFAULT_CURRENCY: (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase(), // fiat shown by servers that haven't run /set-currency
+    
+    // HTS token pricing - converts non-HBAR payment tokens to HBAR (and from there to USD)
+    HTS_PRICE_PROVIDERS: (process.env.HTS_PRICE_PROVIDERS || 'static,saucerswap').split(',').map(s => s.trim()).filter(Boolean), // tried in order
+    HTS_TOKEN_PRICES: Object.fromEntries(
+        (process.env.HTS_TOKEN_PRICES || '') // fixed HBAR prices, e.g. "PAWS=0.25,0.0.1234567=1.5"
+            .split(',')
+            .map(pair => pair.split('=').map(s => s.trim()))
+            .filter(([key, value]) => key && Number(value) > 0)
+            .map(([key, value]) => [key.toUpperCase(), Number(value)])
+    ),
+    HTS_PRICE_CACHE_DURATION: parseInt(process.env.HTS_PRICE_CACHE_DURATION || '300'), // seconds
+    SAUCERSWAP_API_URL: process.env.SAUCERSWAP_API_URL || 'https://api.saucerswap.finance',
+    SAUCERSWAP_API_KEY: process.env.SAUCERSWAP_API_KEY || '',
+    SAUCERSWAP_MIN_LIQUIDITY_HBAR: parseInt(process.env.SAUCERSWAP_MIN_LIQUIDITY_HBAR || '1000'), // ignore pools with less HBAR than this
+    WHBAR_TOKEN_ID: process.env.WHBAR_TOKEN_ID || '0.0.1456986',
     
     // Bot Settings
     MONITORING_INTERVAL: parseInt(process.env.MONITORING_INTERVAL || '30'), // seconds
@@ -29,6 +45,45 @@ const config = {
     // Network Configuration
     HEDERA_NETWORK: process.env.HEDERA_NETWORK || 'mainnet',
     
+    // On-chain sale detection via Hedera Mirror Node (direct swaps, smaller venues)
+    ENABLE_ONCHAIN_SALES: process.env.ENABLE_ONCHAIN_SALES !== 'false',
+    ONCHAIN_MAX_PAGES: parseInt(process.env.ONCHAIN_MAX_PAGES || '5'), // 100 transactions per page, per royalty collector
+    
+    // HCS-1 inscription reader - rebuilds on-chain files when no HTTP CDN serves them
+    HCS1_CACHE_DIR: process.env.HCS1_CACHE_DIR || 'data/hcs1-cache', // relative to the project root
+    HCS1_MAX_PAGES: parseInt(process.env.HCS1_MAX_PAGES || '50'), // 100 topic messages per page
+    HCS1_MAX_FILE_BYTES: parseInt(process.env.HCS1_MAX_FILE_BYTES || String(8 * 1024 * 1024)),
+    
+    // Image proxy - fetches NFT art through gateway fallbacks, caches it and attaches it to posts
+    IMAGE_PROXY_MODE: process.env.IMAGE_PROXY_MODE || 'auto', // 'auto' (attach only when the direct URL is unusable), 'always' or 'off'
+    IMAGE_IPFS_GATEWAYS: process.env.IMAGE_IPFS_GATEWAYS
+        ? process.env.IMAGE_IPFS_GATEWAYS.split(',').map(s => s.trim())
+        : [
+            'https://hashpack.b-cdn.net/ipfs/{path}?optimizer=image&width=1500',
+            'https://ipfs.io/ipfs/{path}',
+            'https://gateway.pinata.cloud/ipfs/{path}',
+            'https://dweb.link/ipfs/{path}'
+        ],
+    IMAGE_ARWEAVE_GATEWAYS: process.env.IMAGE_ARWEAVE_GATEWAYS
+        ? process.env.IMAGE_ARWEAVE_GATEWAYS.split(',').map(s => s.trim())
+        : ['https://arweave.net/{path}', 'https://ar-io.net/{path}'],
+    IMAGE_HCS_GATEWAYS: process.env.IMAGE_HCS_GATEWAYS
+        ? process.env.IMAGE_HCS_GATEWAYS.split(',').map(s => s.trim())
+        : [
+            'https://hashinals.sentx.io/{path}?optimizer=image&width=640',
+            'https://kiloscribe.com/api/inscription-cdn/{path}?network=mainnet'
+        ],
+    IMAGE_FETCH_TIMEOUT: parseInt(process.env.IMAGE_FETCH_TIMEOUT || '8000'), // milliseconds per gateway
+    IMAGE_MAX_DOWNLOAD_BYTES: parseInt(process.env.IMAGE_MAX_DOWNLOAD_BYTES || String(25 * 1024 * 1024)),
+    IMAGE_MAX_DIMENSION: parseInt(process.env.IMAGE_MAX_DIMENSION || '1024'), // larger images are downsized
+    IMAGE_MAX_ATTACHMENT_BYTES: parseInt(process.env.IMAGE_MAX_ATTACHMENT_BYTES || String(8 * 1024 * 1024)),
+    IMAGE_CACHE_DIR: process.env.IMAGE_CACHE_DIR || 'data/image-cache', // relative to the project root
+    IMAGE_CACHE_MAX_AGE_HOURS: parseInt(process.env.IMAGE_CACHE_MAX_AGE_HOURS || '168'),
+    
+    // Personal DM alerts (/alert me)
+    USER_ALERT_MAX_SUBSCRIPTIONS: parseInt(process.env.USER_ALERT_MAX_SUBSCRIPTIONS || '10'),
+    USER_ALERT_MAX_DMS_PER_HOUR: parseInt(process.env.USER_ALERT_MAX_DMS_PER_HOUR || '20'),
+    
     // Feature Flags
     ENABLE_RARITY_INFO: process.env.ENABLE_RARITY_INFO !== 'false',
     ENABLE_TRANSACTION_LINKS: process.env.ENABLE_TRANSACTION_LINKS !== 'false',
@@ -46,9 +101,12 @@ const config = {
     CURRENCY_CACHE_DURATION: parseInt(process.env.CURRENCY_CACHE_DURATION || '300'), // seconds
     NFT_DATA_CACHE_DURATION: parseInt(process.env.NFT_DATA_CACHE_DURATION || '600'), // seconds
     
-    // Discord Embed Customization
-    EMBED_COLOR: process.env.EMBED_COLOR || '#00ff00',
-    EMBED_FOOTER_TEXT: process.env.EMBED_FOOTER_TEXT || 'SentX NFT Sales Bot',
+    // Discord Embed Customization - defaults for servers without a /theme override (empty keeps the built-in look)
+    EMBED_COLOR: process.env.EMBED_COLOR || '',
+    EMBED_FOOTER_TEXT: process.env.EMBED_FOOTER_TEXT || '',
+    
+    // Localization - language for servers that haven't run /language and whose Discord language has no catalog (en, es)
+    DEFAULT_LOCALE: (process.env.DEFAULT_LOCALE || 'en').toLowerCase(),
     
     // Filtering Options
     MIN_SALE_PRICE_HBAR: parseFloat(process.env.MIN_SALE_PRICE_HBAR || '0'),
@@ -59,10 +117,40 @@ const config = {
         ? process.env.INCLUDED_COLLECTIONS.split(',').map(s => s.trim())
         : [],
     
+    // Web dashboard (web-interface.js) - Discord OAuth2 login, redirect URI is {DASHBOARD_URL}/auth/callback
+    DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || '',
+    DISCORD_CLIENT_SECRET: process.env.DISCORD_CLIENT_SECRET || '',
+    DASHBOARD_URL: (process.env.DASHBOARD_URL || `http://localhost:${process.env.PORT || '3000'}`).replace(/\/+$/, ''),
+    DASHBOARD_PORT: parseInt(process.env.PORT || '3000'),
+    DASHBOARD_SESSION_HOURS: parseInt(process.env.DASHBOARD_SESSION_HOURS || '12'),
+    
+    // Public REST API (/api/v1, served by web-interface.js) - keys are issued with `node api-keys.js create <name>`
+    API_RATE_LIMIT_PER_MINUTE: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE || '60'), // per key, unless the key has its own limit
+    API_MAX_PAGE_SIZE: parseInt(process.env.API_MAX_PAGE_SIZE || '100'),
+    API_CORS_ORIGINS: process.env.API_CORS_ORIGINS
+        ? process.env.API_CORS_ORIGINS.split(',').map(s => s.trim())
+        : [], // websites allowed to call the API from the browser, '*' for any
+    
+    // Catch-up after downtime - on restart, missed activity is posted or summarized per /set-catch-up
+    CATCHUP_MAX_HOURS: parseInt(process.env.CATCHUP_MAX_HOURS || '24'), // never reach further back than this
+    CATCHUP_MAX_PAGES: parseInt(process.env.CATCHUP_MAX_PAGES || '10'), // activity pages per marketplace (100 entries each)
+    
+    // Outbound webhooks (/webhook) - signed sale, listing and mint events POSTed to servers' HTTPS endpoints
+    WEBHOOK_DELIVERY_TIMEOUT: parseInt(process.env.WEBHOOK_DELIVERY_TIMEOUT || '10000'), // milliseconds
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'), // then the delivery goes to the dead-letter log
+    WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30'), // doubles after every failed attempt
+    WEBHOOK_MAX_ENDPOINTS: parseInt(process.env.WEBHOOK_MAX_ENDPOINTS || '5'), // per server
+    
     // Advanced Settings
+    // Inbound marketplace push callbacks (push-receiver.js) - each marketplace POSTs to {WEBHOOK_PATH}/{name}, e.g. /webhook/sentx
     ENABLE_WEBHOOKS: process.env.ENABLE_WEBHOOKS === 'true',
-    WEBHOOK_PORT: parseInt(process.env.WEBHOOK_PORT || '3000'),
-    WEBHOOK_PATH: process.env.WEBHOOK_PATH || '/webhook/sentx',
+    WEBHOOK_PORT: parseInt(process.env.WEBHOOK_PORT || '3001'), // served by the bot process, so not the dashboard's PORT
+    WEBHOOK_PATH: (process.env.WEBHOOK_PATH || '/webhook').replace(/\/+$/, ''),
+    WEBHOOK_SECRETS: { // Shared signing secret per marketplace - callbacks from marketplaces without one are refused
+        sentx: process.env.SENTX_WEBHOOK_SECRET || '',
+        kabila: process.env.KABILA_WEBHOOK_SECRET || ''
+    },
+    WEBHOOK_RECONCILE_INTERVAL: parseInt(process.env.WEBHOOK_RECONCILE_INTERVAL || '120'), // seconds between backfill polls of marketplaces that push
     
     // Performance Settings
     CONCURRENT_API_REQUESTS: parseInt(process.env.CONCURRENT_API_REQUESTS || '5'),
@@ -114,6 +202,7 @@ if (config.ENABLE_DEBUG_LOGS) {
     console.log(`  - Min Sale Price: ${config.MIN_SALE_PRICE_HBAR} HBAR`);
     console.log(`  - USD Conversion: ${config.ENABLE_USD_CONVERSION ? 'Enabled' : 'Disabled'}`);
     console.log(`  - Rarity Info: ${config.ENABLE_RARITY_INFO ? 'Enabled' : 'Disabled'}`);
+    console.log(`  - On-chain Sales: ${config.ENABLE_ONCHAIN_SALES ? 'Enabled' : 'Disabled'}`);
     
     if (config.EXCLUDED_COLLECTIONS.length > 0) {
         console.log(`  - Excluded Collections: ${config.EXCLUDED_COLLECTIONS.join(', ')}`);
@@ -1,6 +1,12 @@
-const { eq, desc, and, sql } = require('drizzle-orm');
+const { eq, desc, and, sql, inArray, gte, lte, count, like } = require('drizzle-orm');
 const { db } = require('./db');
-const { collections, serverConfigs, botState, processedSales, processedMints } = require('./schema');
+const marketplaceRegistry = require('./services/marketplaces');
+const currencyService = require('./services/currency');
+const {
+    collections, serverConfigs, botState, processedSales, processedMints, notificationFilters,
+    floorPriceSnapshots, floorAlerts, saleHistory, listingHistory, mintHistory, digestConfigs, watchedWallets,
+    userAlerts, mintTrackingConfigs, embedThemes, auditLog, apiKeys, webhookEndpoints, webhookDeliveries
+} = require('./schema');
 
 class DatabaseStorage {
     constructor() {
@@ -134,11 +140,15 @@ class DatabaseStorage {
         }
     }
 
-    async toggleCollection(tokenId) {
+    async toggleCollection(tokenId, guildId = null) {
         try {
+            // Without a guild this flips the collection everywhere it's tracked (legacy behaviour)
+            const condition = guildId
+                ? and(eq(collections.tokenId, tokenId), eq(collections.guildId, guildId))
+                : eq(collections.tokenId, tokenId);
             const collection = await db.select()
                 .from(collections)
-                .where(eq(collections.tokenId, tokenId))
+                .where(condition)
                 .limit(1);
             
             if (collection.length === 0) {
@@ -151,7 +161,7 @@ class DatabaseStorage {
                     enabled: newEnabledState,
                     lastUpdated: new Date()
                 })
-                .where(eq(collections.tokenId, tokenId));
+                .where(condition);
             
             return newEnabledState;
         } catch (error) {
@@ -245,60 +255,1073 @@ class DatabaseStorage {
         }
     }
 
+    // Update any of channelId, listingsChannelId and mintChannelId at once (dashboard)
+    async setChannels(guildId, channels) {
+        try {
+            const result = await db.update(serverConfigs)
+                .set({
+                    ...channels,
+                    lastUpdated: new Date()
+                })
+                .where(eq(serverConfigs.guildId, guildId))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error setting channels:', error);
+            return null;
+        }
+    }
+
+    async setSnipeSettings(guildId, settings) {
+        try {
+            const existing = await db.select()
+                .from(serverConfigs)
+                .where(eq(serverConfigs.guildId, guildId))
+                .limit(1);
+
+            if (existing.length > 0) {
+                const result = await db.update(serverConfigs)
+                    .set({
+                        ...settings,
+                        lastUpdated: new Date()
+                    })
+                    .where(eq(serverConfigs.guildId, guildId))
+                    .returning();
+                return result[0];
+            } else {
+                console.log('No server config found to update snipe settings');
+                return null;
+            }
+        } catch (error) {
+            console.error('Error setting snipe settings:', error);
+            return null;
+        }
+    }
+
+    async setDisplayCurrency(guildId, currency) {
+        try {
+            const result = await db.update(serverConfigs)
+                .set({
+                    currency,
+                    lastUpdated: new Date()
+                })
+                .where(eq(serverConfigs.guildId, guildId))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error setting display currency:', error);
+            return null;
+        }
+    }
+
+    async setServerLocale(guildId, locale) {
+        try {
+            const result = await db.update(serverConfigs)
+                .set({
+                    locale,
+                    lastUpdated: new Date()
+                })
+                .where(eq(serverConfigs.guildId, guildId))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error setting server locale:', error);
+            return null;
+        }
+    }
+
+    async setManagerRole(guildId, managerRoleId) {
+        try {
+            const result = await db.update(serverConfigs)
+                .set({
+                    managerRoleId,
+                    lastUpdated: new Date()
+                })
+                .where(eq(serverConfigs.guildId, guildId))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error setting manager role:', error);
+            return null;
+        }
+    }
+
+    async setCatchUpMode(guildId, catchUpMode) {
+        try {
+            const result = await db.update(serverConfigs)
+                .set({
+                    catchUpMode,
+                    lastUpdated: new Date()
+                })
+                .where(eq(serverConfigs.guildId, guildId))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error setting catch-up mode:', error);
+            return null;
+        }
+    }
+
     async getAllServerConfigs() {
         try {
             return await db.select()
-                .from(serverConfigs)
-                .orderBy(serverConfigs.addedDate);
+                .from(serverConfigs)
+                .orderBy(serverConfigs.addedDate);
+        } catch (error) {
+            console.error('Error getting server configs:', error);
+            return [];
+        }
+    }
+
+    async getServerConfig(guildId) {
+        try {
+            const result = await db.select()
+                .from(serverConfigs)
+                .where(eq(serverConfigs.guildId, guildId))
+                .limit(1);
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error getting server config:', error);
+            return null;
+        }
+    }
+
+    async removeServerConfig(guildId) {
+        try {
+            const result = await db.delete(serverConfigs)
+                .where(eq(serverConfigs.guildId, guildId))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing server config:', error);
+            return false;
+        }
+    }
+
+    async toggleServerNotifications(guildId) {
+        try {
+            const config = await this.getServerConfig(guildId);
+            if (!config) {
+                return null;
+            }
+
+            const newEnabledState = !config.enabled;
+            await db.update(serverConfigs)
+                .set({ 
+                    enabled: newEnabledState,
+                    lastUpdated: new Date()
+                })
+                .where(eq(serverConfigs.guildId, guildId));
+            
+            return newEnabledState;
+        } catch (error) {
+            console.error('Error toggling server notifications:', error);
+            return null;
+        }
+    }
+
+    // Notification filter management
+    async setNotificationFilter(guildId, tokenId, rules, createdBy = null) {
+        try {
+            const existing = await db.select()
+                .from(notificationFilters)
+                .where(and(
+                    eq(notificationFilters.guildId, guildId),
+                    eq(notificationFilters.tokenId, tokenId)
+                ))
+                .limit(1);
+
+            if (existing.length > 0) {
+                const result = await db.update(notificationFilters)
+                    .set({
+                        ...rules,
+                        lastUpdated: new Date()
+                    })
+                    .where(eq(notificationFilters.id, existing[0].id))
+                    .returning();
+                return result[0];
+            }
+
+            const result = await db.insert(notificationFilters)
+                .values({
+                    guildId,
+                    tokenId,
+                    ...rules,
+                    createdBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error setting notification filter:', error);
+            return null;
+        }
+    }
+
+    // Returns the collection-specific filter, falling back to the server-wide ('*') filter
+    async getNotificationFilter(guildId, tokenId) {
+        try {
+            const result = await db.select()
+                .from(notificationFilters)
+                .where(and(
+                    eq(notificationFilters.guildId, guildId),
+                    inArray(notificationFilters.tokenId, [tokenId, '*'])
+                ));
+
+            return result.find(filter => filter.tokenId === tokenId)
+                || result.find(filter => filter.tokenId === '*')
+                || null;
+        } catch (error) {
+            console.error('Error getting notification filter:', error);
+            return null;
+        }
+    }
+
+    async getNotificationFilters(guildId) {
+        try {
+            return await db.select()
+                .from(notificationFilters)
+                .where(eq(notificationFilters.guildId, guildId))
+                .orderBy(notificationFilters.addedDate);
+        } catch (error) {
+            console.error('Error getting notification filters:', error);
+            return [];
+        }
+    }
+
+    async removeNotificationFilter(guildId, tokenId) {
+        try {
+            const result = await db.delete(notificationFilters)
+                .where(and(
+                    eq(notificationFilters.guildId, guildId),
+                    eq(notificationFilters.tokenId, tokenId)
+                ))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing notification filter:', error);
+            return false;
+        }
+    }
+
+    // Floor price history
+    async addFloorSnapshot(tokenId, priceHbar, marketplace = null) {
+        try {
+            const result = await db.insert(floorPriceSnapshots)
+                .values({
+                    tokenId,
+                    priceHbar,
+                    marketplace
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error adding floor snapshot:', error);
+            return null;
+        }
+    }
+
+    // Earliest snapshot recorded at or after `since` - the reference point for a change window.
+    // Pass a marketplace to only compare floors from the same marketplace
+    async getFirstFloorSnapshotSince(tokenId, since, marketplace = null) {
+        try {
+            const conditions = [
+                eq(floorPriceSnapshots.tokenId, tokenId),
+                gte(floorPriceSnapshots.recordedAt, since)
+            ];
+            if (marketplace) conditions.push(eq(floorPriceSnapshots.marketplace, marketplace));
+            const result = await db.select()
+                .from(floorPriceSnapshots)
+                .where(and(...conditions))
+                .orderBy(floorPriceSnapshots.recordedAt)
+                .limit(1);
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error getting floor snapshot:', error);
+            return null;
+        }
+    }
+
+    async getLatestFloorSnapshot(tokenId) {
+        try {
+            const result = await db.select()
+                .from(floorPriceSnapshots)
+                .where(eq(floorPriceSnapshots.tokenId, tokenId))
+                .orderBy(desc(floorPriceSnapshots.recordedAt))
+                .limit(1);
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error getting latest floor snapshot:', error);
+            return null;
+        }
+    }
+
+    async getFloorHistory(tokenId, since) {
+        try {
+            return await db.select()
+                .from(floorPriceSnapshots)
+                .where(and(
+                    eq(floorPriceSnapshots.tokenId, tokenId),
+                    gte(floorPriceSnapshots.recordedAt, since)
+                ))
+                .orderBy(floorPriceSnapshots.recordedAt);
+        } catch (error) {
+            console.error('Error getting floor history:', error);
+            return [];
+        }
+    }
+
+    // Cleanup floor snapshots older than 30 days
+    /**
+     * Page through floor snapshots for a collection, newest first
+     * @param {string} tokenId - Collection token ID
+     * @param {Object} options - { from, to, page, pageSize } (from/to are Dates)
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async getFloorSnapshots(tokenId, options = {}) {
+        try {
+            const { from = null, to = null, page = 1, pageSize = 10 } = options;
+            const conditions = [eq(floorPriceSnapshots.tokenId, tokenId)];
+            if (from) conditions.push(gte(floorPriceSnapshots.recordedAt, from));
+            if (to) conditions.push(lte(floorPriceSnapshots.recordedAt, to));
+            const where = and(...conditions);
+
+            const [{ total }] = await db.select({ total: count() }).from(floorPriceSnapshots).where(where);
+            const rows = await db.select()
+                .from(floorPriceSnapshots)
+                .where(where)
+                .orderBy(desc(floorPriceSnapshots.recordedAt))
+                .limit(pageSize)
+                .offset((page - 1) * pageSize);
+            return { rows, total: Number(total) };
+        } catch (error) {
+            console.error('Error getting floor snapshots:', error);
+            return { rows: [], total: 0 };
+        }
+    }
+
+    async cleanupOldFloorSnapshots() {
+        try {
+            const thirtyDaysAgo = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000));
+            const result = await db.delete(floorPriceSnapshots)
+                .where(sql`${floorPriceSnapshots.recordedAt} < ${thirtyDaysAgo}`);
+            console.log(`Cleaned up ${result.rowCount || 0} old floor snapshots (older than 30 days)`);
+        } catch (error) {
+            console.error('Error cleaning up old floor snapshots:', error);
+        }
+    }
+
+    // Floor alert management
+    async setFloorAlert(guildId, tokenId, settings, createdBy = null) {
+        try {
+            const existing = await db.select()
+                .from(floorAlerts)
+                .where(and(
+                    eq(floorAlerts.guildId, guildId),
+                    eq(floorAlerts.tokenId, tokenId)
+                ))
+                .limit(1);
+
+            if (existing.length > 0) {
+                const result = await db.update(floorAlerts)
+                    .set({
+                        ...settings,
+                        lastUpdated: new Date()
+                    })
+                    .where(eq(floorAlerts.id, existing[0].id))
+                    .returning();
+                return result[0];
+            }
+
+            const result = await db.insert(floorAlerts)
+                .values({
+                    guildId,
+                    tokenId,
+                    ...settings,
+                    createdBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error setting floor alert:', error);
+            return null;
+        }
+    }
+
+    async getFloorAlerts(guildId) {
+        try {
+            return await db.select()
+                .from(floorAlerts)
+                .where(eq(floorAlerts.guildId, guildId))
+                .orderBy(floorAlerts.addedDate);
+        } catch (error) {
+            console.error('Error getting floor alerts:', error);
+            return [];
+        }
+    }
+
+    async getFloorAlertsForToken(tokenId) {
+        try {
+            return await db.select()
+                .from(floorAlerts)
+                .where(eq(floorAlerts.tokenId, tokenId));
+        } catch (error) {
+            console.error('Error getting floor alerts for token:', error);
+            return [];
+        }
+    }
+
+    async markFloorAlertSent(alertId) {
+        try {
+            await db.update(floorAlerts)
+                .set({ lastAlertAt: new Date() })
+                .where(eq(floorAlerts.id, alertId));
+            return true;
+        } catch (error) {
+            console.error('Error marking floor alert sent:', error);
+            return false;
+        }
+    }
+
+    async removeFloorAlert(guildId, tokenId) {
+        try {
+            const result = await db.delete(floorAlerts)
+                .where(and(
+                    eq(floorAlerts.guildId, guildId),
+                    eq(floorAlerts.tokenId, tokenId)
+                ))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing floor alert:', error);
+            return false;
+        }
+    }
+
+    // Wallet watchlist management
+    async addWatchedWallet(guildId, accountId, label = null, channelId = null, createdBy = null) {
+        try {
+            const existing = await db.select()
+                .from(watchedWallets)
+                .where(and(
+                    eq(watchedWallets.guildId, guildId),
+                    eq(watchedWallets.accountId, accountId)
+                ))
+                .limit(1);
+
+            if (existing.length > 0) {
+                const result = await db.update(watchedWallets)
+                    .set({ label, channelId })
+                    .where(eq(watchedWallets.id, existing[0].id))
+                    .returning();
+                return result[0];
+            }
+
+            const result = await db.insert(watchedWallets)
+                .values({
+                    guildId,
+                    accountId,
+                    label,
+                    channelId,
+                    createdBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error adding watched wallet:', error);
+            return null;
+        }
+    }
+
+    async removeWatchedWallet(guildId, accountId) {
+        try {
+            const result = await db.delete(watchedWallets)
+                .where(and(
+                    eq(watchedWallets.guildId, guildId),
+                    eq(watchedWallets.accountId, accountId)
+                ))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing watched wallet:', error);
+            return false;
+        }
+    }
+
+    async getWatchedWallets(guildId = null) {
+        try {
+            if (guildId) {
+                return await db.select()
+                    .from(watchedWallets)
+                    .where(eq(watchedWallets.guildId, guildId))
+                    .orderBy(watchedWallets.addedDate);
+            }
+            return await db.select().from(watchedWallets);
+        } catch (error) {
+            console.error('Error getting watched wallets:', error);
+            return [];
+        }
+    }
+
+    // Personal DM alert subscriptions
+    async addUserAlert(userId, guildId, tokenId, rules) {
+        try {
+            const result = await db.insert(userAlerts)
+                .values({
+                    userId,
+                    guildId,
+                    tokenId,
+                    maxPriceHbar: rules.maxPriceHbar ?? null,
+                    maxRank: rules.maxRank ?? null,
+                    eventTypes: rules.eventTypes ?? null
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error adding user alert:', error);
+            return null;
+        }
+    }
+
+    async getUserAlerts(userId) {
+        try {
+            return await db.select()
+                .from(userAlerts)
+                .where(eq(userAlerts.userId, userId))
+                .orderBy(userAlerts.addedDate);
+        } catch (error) {
+            console.error('Error getting user alerts:', error);
+            return [];
+        }
+    }
+
+    async getUserAlertsForToken(tokenId) {
+        try {
+            return await db.select()
+                .from(userAlerts)
+                .where(eq(userAlerts.tokenId, tokenId));
+        } catch (error) {
+            console.error('Error getting user alerts for token:', error);
+            return [];
+        }
+    }
+
+    async markUserAlertTriggered(alertId) {
+        try {
+            await db.update(userAlerts)
+                .set({ lastTriggeredAt: new Date() })
+                .where(eq(userAlerts.id, alertId));
+            return true;
+        } catch (error) {
+            console.error('Error marking user alert as triggered:', error);
+            return false;
+        }
+    }
+
+    // Scoped to the user so nobody can delete someone else's alert by ID
+    async removeUserAlert(userId, alertId) {
+        try {
+            const result = await db.delete(userAlerts)
+                .where(and(
+                    eq(userAlerts.id, alertId),
+                    eq(userAlerts.userId, userId)
+                ))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing user alert:', error);
+            return false;
+        }
+    }
+
+    // Launchpad mint tracking
+    async setMintTracking(guildId, tokenId, channelId, collectionName = null, createdBy = null) {
+        try {
+            const existing = await db.select()
+                .from(mintTrackingConfigs)
+                .where(and(
+                    eq(mintTrackingConfigs.guildId, guildId),
+                    eq(mintTrackingConfigs.tokenId, tokenId)
+                ))
+                .limit(1);
+
+            if (existing.length > 0) {
+                const result = await db.update(mintTrackingConfigs)
+                    .set({ channelId, collectionName, enabled: true })
+                    .where(eq(mintTrackingConfigs.id, existing[0].id))
+                    .returning();
+                return result[0];
+            }
+
+            const result = await db.insert(mintTrackingConfigs)
+                .values({
+                    guildId,
+                    tokenId,
+                    channelId,
+                    collectionName,
+                    createdBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error setting mint tracking:', error);
+            return null;
+        }
+    }
+
+    async removeMintTracking(guildId, tokenId) {
+        try {
+            const result = await db.delete(mintTrackingConfigs)
+                .where(and(
+                    eq(mintTrackingConfigs.guildId, guildId),
+                    eq(mintTrackingConfigs.tokenId, tokenId)
+                ))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing mint tracking:', error);
+            return false;
+        }
+    }
+
+    async toggleMintTracking(guildId, tokenId, enabled) {
+        try {
+            const result = await db.update(mintTrackingConfigs)
+                .set({ enabled })
+                .where(and(
+                    eq(mintTrackingConfigs.guildId, guildId),
+                    eq(mintTrackingConfigs.tokenId, tokenId)
+                ))
+                .returning();
+            return result[0] || null;
+        } catch (error) {
+            console.error('Error toggling mint tracking:', error);
+            return null;
+        }
+    }
+
+    async setMintMilestones(guildId, tokenId, settings) {
+        try {
+            const result = await db.update(mintTrackingConfigs)
+                .set(settings)
+                .where(and(
+                    eq(mintTrackingConfigs.guildId, guildId),
+                    eq(mintTrackingConfigs.tokenId, tokenId)
+                ))
+                .returning();
+            return result[0] || null;
+        } catch (error) {
+            console.error('Error setting mint milestones:', error);
+            return null;
+        }
+    }
+
+    async markMintMilestone(configId, state) {
+        try {
+            await db.update(mintTrackingConfigs)
+                .set(state)
+                .where(eq(mintTrackingConfigs.id, configId));
+            return true;
+        } catch (error) {
+            console.error('Error marking mint milestone:', error);
+            return false;
+        }
+    }
+
+    async getMintTrackingConfigs(guildId) {
+        try {
+            return await db.select()
+                .from(mintTrackingConfigs)
+                .where(eq(mintTrackingConfigs.guildId, guildId))
+                .orderBy(mintTrackingConfigs.createdAt);
+        } catch (error) {
+            console.error('Error getting mint tracking configs:', error);
+            return [];
+        }
+    }
+
+    async getEnabledMintTrackingConfigs() {
+        try {
+            return await db.select()
+                .from(mintTrackingConfigs)
+                .where(eq(mintTrackingConfigs.enabled, true));
+        } catch (error) {
+            console.error('Error getting enabled mint tracking configs:', error);
+            return [];
+        }
+    }
+
+    // Embed themes (/theme)
+    async getEmbedTheme(guildId) {
+        try {
+            const result = await db.select()
+                .from(embedThemes)
+                .where(eq(embedThemes.guildId, guildId))
+                .limit(1);
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error getting embed theme:', error);
+            return null;
+        }
+    }
+
+    async setEmbedTheme(guildId, settings, updatedBy = null) {
+        try {
+            const existing = await this.getEmbedTheme(guildId);
+
+            if (existing) {
+                const result = await db.update(embedThemes)
+                    .set({
+                        ...settings,
+                        updatedBy,
+                        lastUpdated: new Date()
+                    })
+                    .where(eq(embedThemes.guildId, guildId))
+                    .returning();
+                return result[0];
+            }
+
+            const result = await db.insert(embedThemes)
+                .values({
+                    guildId,
+                    ...settings,
+                    updatedBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error setting embed theme:', error);
+            return null;
+        }
+    }
+
+    async removeEmbedTheme(guildId) {
+        try {
+            const result = await db.delete(embedThemes)
+                .where(eq(embedThemes.guildId, guildId))
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error removing embed theme:', error);
+            return false;
+        }
+    }
+
+    // Audit trail for bot management
+    async addAuditEntry(guildId, userId, userTag, command, outcome, detail = null) {
+        try {
+            const result = await db.insert(auditLog)
+                .values({
+                    guildId,
+                    userId,
+                    userTag,
+                    command,
+                    outcome,
+                    detail
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error adding audit entry:', error);
+            return null;
+        }
+    }
+
+    async getAuditEntries(guildId, limit = 20) {
+        try {
+            return await db.select()
+                .from(auditLog)
+                .where(eq(auditLog.guildId, guildId))
+                .orderBy(desc(auditLog.createdAt))
+                .limit(limit);
+        } catch (error) {
+            console.error('Error getting audit entries:', error);
+            return [];
+        }
+    }
+
+    async cleanupOldAuditEntries() {
+        try {
+            const ninetyDaysAgo = new Date(Date.now() - (90 * 24 * 60 * 60 * 1000));
+            const result = await db.delete(auditLog)
+                .where(sql`${auditLog.createdAt} < ${ninetyDaysAgo}`);
+            console.log(`Cleaned up ${result.rowCount || 0} old audit entries (older than 90 days)`);
+        } catch (error) {
+            console.error('Error cleaning up old audit entries:', error);
+        }
+    }
+
+    // Public REST API keys
+    async createApiKey(name, keyHash, keyPrefix, rateLimitPerMinute = null) {
+        try {
+            const result = await db.insert(apiKeys)
+                .values({
+                    name,
+                    keyHash,
+                    keyPrefix,
+                    rateLimitPerMinute
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            return null;
+        }
+    }
+
+    async getApiKeyByHash(keyHash) {
+        try {
+            const result = await db.select()
+                .from(apiKeys)
+                .where(eq(apiKeys.keyHash, keyHash))
+                .limit(1);
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error getting API key:', error);
+            return null;
+        }
+    }
+
+    async getApiKeys() {
+        try {
+            return await db.select()
+                .from(apiKeys)
+                .orderBy(apiKeys.createdAt);
+        } catch (error) {
+            console.error('Error getting API keys:', error);
+            return [];
+        }
+    }
+
+    async setApiKeyEnabled(id, enabled) {
+        try {
+            const result = await db.update(apiKeys)
+                .set({ enabled })
+                .where(eq(apiKeys.id, id))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error updating API key:', error);
+            return null;
+        }
+    }
+
+    async markApiKeyUsed(id) {
+        try {
+            await db.update(apiKeys)
+                .set({ lastUsedAt: new Date() })
+                .where(eq(apiKeys.id, id));
+        } catch (error) {
+            console.error('Error marking API key used:', error);
+        }
+    }
+
+    // Outbound webhooks
+    async addWebhookEndpoint(guildId, endpoint, createdBy = null) {
+        try {
+            const result = await db.insert(webhookEndpoints)
+                .values({
+                    guildId,
+                    url: endpoint.url,
+                    secret: endpoint.secret,
+                    events: endpoint.events,
+                    tokenId: endpoint.tokenId || null,
+                    createdBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error adding webhook endpoint:', error);
+            return null;
+        }
+    }
+
+    async getWebhookEndpoints(guildId) {
+        try {
+            return await db.select()
+                .from(webhookEndpoints)
+                .where(eq(webhookEndpoints.guildId, guildId))
+                .orderBy(webhookEndpoints.id);
         } catch (error) {
-            console.error('Error getting server configs:', error);
+            console.error('Error getting webhook endpoints:', error);
             return [];
         }
     }
 
-    async getServerConfig(guildId) {
+    async getWebhookEndpoint(id) {
         try {
             const result = await db.select()
-                .from(serverConfigs)
-                .where(eq(serverConfigs.guildId, guildId))
+                .from(webhookEndpoints)
+                .where(eq(webhookEndpoints.id, id))
                 .limit(1);
             return result.length > 0 ? result[0] : null;
         } catch (error) {
-            console.error('Error getting server config:', error);
+            console.error('Error getting webhook endpoint:', error);
             return null;
         }
     }
 
-    async removeServerConfig(guildId) {
+    // Enabled endpoints subscribed to an event type ('sale', 'listing' or 'mint')
+    async getWebhookEndpointsForEvent(event) {
         try {
-            const result = await db.delete(serverConfigs)
-                .where(eq(serverConfigs.guildId, guildId))
+            const endpoints = await db.select()
+                .from(webhookEndpoints)
+                .where(eq(webhookEndpoints.enabled, true));
+            return endpoints.filter(endpoint => Array.isArray(endpoint.events) && endpoint.events.includes(event));
+        } catch (error) {
+            console.error('Error getting webhook endpoints for event:', error);
+            return [];
+        }
+    }
+
+    async removeWebhookEndpoint(guildId, id) {
+        try {
+            const result = await db.delete(webhookEndpoints)
+                .where(and(eq(webhookEndpoints.guildId, guildId), eq(webhookEndpoints.id, id)))
                 .returning();
-            return result.length > 0;
+            if (result.length === 0) return null;
+
+            // Deliveries still waiting for a retry have nowhere to go any more
+            await db.delete(webhookDeliveries)
+                .where(and(eq(webhookDeliveries.endpointId, id), eq(webhookDeliveries.status, 'pending')));
+            return result[0];
         } catch (error) {
-            console.error('Error removing server config:', error);
-            return false;
+            console.error('Error removing webhook endpoint:', error);
+            return null;
         }
     }
 
-    async toggleServerNotifications(guildId) {
+    async setWebhookEndpointStatus(id, lastStatus) {
         try {
-            const config = await this.getServerConfig(guildId);
-            if (!config) {
-                return null;
-            }
+            await db.update(webhookEndpoints)
+                .set({ lastStatus, lastDeliveryAt: new Date() })
+                .where(eq(webhookEndpoints.id, id));
+        } catch (error) {
+            console.error('Error updating webhook endpoint status:', error);
+        }
+    }
 
-            const newEnabledState = !config.enabled;
-            await db.update(serverConfigs)
-                .set({ 
-                    enabled: newEnabledState,
-                    lastUpdated: new Date()
+    async enqueueWebhookDelivery(endpoint, event, deliveryId, payload) {
+        try {
+            const result = await db.insert(webhookDeliveries)
+                .values({
+                    deliveryId,
+                    endpointId: endpoint.id,
+                    guildId: endpoint.guildId,
+                    event,
+                    payload
                 })
-                .where(eq(serverConfigs.guildId, guildId));
-            
-            return newEnabledState;
+                .onConflictDoNothing()
+                .returning();
+            return result.length > 0 ? result[0] : null;
         } catch (error) {
-            console.error('Error toggling server notifications:', error);
+            console.error('Error queueing webhook delivery:', error);
+            return null;
+        }
+    }
+
+    // Pending deliveries whose next attempt is due, oldest first
+    async getDueWebhookDeliveries(limit = 50) {
+        try {
+            return await db.select()
+                .from(webhookDeliveries)
+                .where(and(
+                    eq(webhookDeliveries.status, 'pending'),
+                    lte(webhookDeliveries.nextAttemptAt, new Date())
+                ))
+                .orderBy(webhookDeliveries.nextAttemptAt)
+                .limit(limit);
+        } catch (error) {
+            console.error('Error getting due webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    async updateWebhookDelivery(id, updates) {
+        try {
+            const result = await db.update(webhookDeliveries)
+                .set(updates)
+                .where(eq(webhookDeliveries.id, id))
+                .returning();
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error updating webhook delivery:', error);
+            return null;
+        }
+    }
+
+    // Dead-letter log: deliveries that used up every attempt
+    async getFailedWebhookDeliveries(guildId, limit = 10) {
+        try {
+            return await db.select()
+                .from(webhookDeliveries)
+                .where(and(eq(webhookDeliveries.guildId, guildId), eq(webhookDeliveries.status, 'failed')))
+                .orderBy(desc(webhookDeliveries.completedAt))
+                .limit(limit);
+        } catch (error) {
+            console.error('Error getting failed webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    async cleanupOldWebhookDeliveries() {
+        try {
+            const sevenDaysAgo = new Date(Date.now() - (7 * 24 * 60 * 60 * 1000));
+            const thirtyDaysAgo = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000));
+            const delivered = await db.delete(webhookDeliveries)
+                .where(and(eq(webhookDeliveries.status, 'delivered'), sql`${webhookDeliveries.completedAt} < ${sevenDaysAgo}`));
+            const failed = await db.delete(webhookDeliveries)
+                .where(and(eq(webhookDeliveries.status, 'failed'), sql`${webhookDeliveries.completedAt} < ${thirtyDaysAgo}`));
+            console.log(`Cleaned up ${(delivered.rowCount || 0) + (failed.rowCount || 0)} old webhook deliveries`);
+        } catch (error) {
+            console.error('Error cleaning up old webhook deliveries:', error);
+        }
+    }
+
+    // Remove per-server settings (filters, alerts etc.) when the bot leaves a server
+    async removeGuildSettings(guildId) {
+        try {
+            const filters = await db.delete(notificationFilters)
+                .where(eq(notificationFilters.guildId, guildId))
+                .returning();
+            const alerts = await db.delete(floorAlerts)
+                .where(eq(floorAlerts.guildId, guildId))
+                .returning();
+            const digests = await db.delete(digestConfigs)
+                .where(eq(digestConfigs.guildId, guildId))
+                .returning();
+            const wallets = await db.delete(watchedWallets)
+                .where(eq(watchedWallets.guildId, guildId))
+                .returning();
+            const personalAlerts = await db.delete(userAlerts)
+                .where(eq(userAlerts.guildId, guildId))
+                .returning();
+            const mintConfigs = await db.delete(mintTrackingConfigs)
+                .where(eq(mintTrackingConfigs.guildId, guildId))
+                .returning();
+            const themes = await db.delete(embedThemes)
+                .where(eq(embedThemes.guildId, guildId))
+                .returning();
+            const auditEntries = await db.delete(auditLog)
+                .where(eq(auditLog.guildId, guildId))
+                .returning();
+            const webhooks = await db.delete(webhookEndpoints)
+                .where(eq(webhookEndpoints.guildId, guildId))
+                .returning();
+            await db.delete(webhookDeliveries)
+                .where(eq(webhookDeliveries.guildId, guildId));
+            return {
+                filters: filters.length,
+                floorAlerts: alerts.length,
+                digests: digests.length,
+                watchedWallets: wallets.length,
+                userAlerts: personalAlerts.length,
+                mintTracking: mintConfigs.length,
+                embedThemes: themes.length,
+                auditEntries: auditEntries.length,
+                webhooks: webhooks.length
+            };
+        } catch (error) {
+            console.error('Error removing guild settings:', error);
             return null;
         }
     }
@@ -384,9 +1407,12 @@ class DatabaseStorage {
         }
     }
 
-    async getLastProcessedSale() {
+    // Sale cursors are kept per marketplace, so one that is polled less often (while it pushes its
+    // activity) isn't skipped past by the others. Without one yet, the shared cursor is the start
+    async getLastProcessedSale(marketplace = null) {
         try {
-            const lastProcessed = await this.getBotState('lastProcessedSale', 0);
+            const own = marketplace ? await this.getBotState(`lastProcessedSale:${marketplace}`, null) : null;
+            const lastProcessed = typeof own === 'number' ? own : await this.getBotState('lastProcessedSale', 0);
             return typeof lastProcessed === 'number' ? lastProcessed : 0;
         } catch (error) {
             console.error('Error getting last processed sale:', error);
@@ -394,9 +1420,9 @@ class DatabaseStorage {
         }
     }
 
-    async setLastProcessedSale(timestamp) {
+    async setLastProcessedSale(timestamp, marketplace = null) {
         try {
-            await this.setBotState('lastProcessedSale', timestamp);
+            await this.setBotState(marketplace ? `lastProcessedSale:${marketplace}` : 'lastProcessedSale', timestamp);
             return true;
         } catch (error) {
             console.error('Error setting last processed sale:', error);
@@ -404,6 +1430,61 @@ class DatabaseStorage {
         }
     }
 
+    // Start every marketplace's sale cursor from one timestamp again (drops the per-marketplace ones)
+    async resetLastProcessedSales(timestamp) {
+        try {
+            await db.delete(botState)
+                .where(like(botState.key, 'lastProcessedSale:%'));
+            await this.setBotState('lastProcessedSale', timestamp);
+            return true;
+        } catch (error) {
+            console.error('Error resetting last processed sales:', error);
+            return false;
+        }
+    }
+
+    // When marketplaces were last polled successfully - where catch-up starts after downtime
+    async getLastMonitoringRun() {
+        try {
+            const lastRun = await this.getBotState('lastMonitoringRun', 0);
+            return typeof lastRun === 'number' ? lastRun : 0;
+        } catch (error) {
+            console.error('Error getting last monitoring run:', error);
+            return 0;
+        }
+    }
+
+    async setLastMonitoringRun(timestamp) {
+        try {
+            await this.setBotState('lastMonitoringRun', timestamp);
+            return true;
+        } catch (error) {
+            console.error('Error setting last monitoring run:', error);
+            return false;
+        }
+    }
+
+    // On-chain sale detection cursors (Mirror Node consensus timestamp per royalty collector)
+    async getOnChainSalesCursors() {
+        try {
+            const cursors = await this.getBotState('onChainSalesCursors', {});
+            return cursors && typeof cursors === 'object' ? cursors : {};
+        } catch (error) {
+            console.error('Error getting on-chain sales cursors:', error);
+            return {};
+        }
+    }
+
+    async setOnChainSalesCursors(cursors) {
+        try {
+            await this.setBotState('onChainSalesCursors', cursors);
+            return true;
+        } catch (error) {
+            console.error('Error setting on-chain sales cursors:', error);
+            return false;
+        }
+    }
+
     // Processed listings management
     async markListingProcessed(listingId, tokenId) {
         try {
@@ -443,9 +1524,11 @@ class DatabaseStorage {
         }
     }
 
-    async getLastProcessedListing() {
+    // Per-marketplace listing cursors, like the sale cursors
+    async getLastProcessedListing(marketplace = null) {
         try {
-            const lastProcessed = await this.getBotState('lastProcessedListing', 0);
+            const own = marketplace ? await this.getBotState(`lastProcessedListing:${marketplace}`, null) : null;
+            const lastProcessed = typeof own === 'number' ? own : await this.getBotState('lastProcessedListing', 0);
             return typeof lastProcessed === 'number' ? lastProcessed : 0;
         } catch (error) {
             console.error('Error getting last processed listing:', error);
@@ -453,9 +1536,9 @@ class DatabaseStorage {
         }
     }
 
-    async setLastProcessedListing(timestamp) {
+    async setLastProcessedListing(timestamp, marketplace = null) {
         try {
-            await this.setBotState('lastProcessedListing', timestamp);
+            await this.setBotState(marketplace ? `lastProcessedListing:${marketplace}` : 'lastProcessedListing', timestamp);
             return true;
         } catch (error) {
             console.error('Error setting last processed listing:', error);
@@ -463,39 +1546,300 @@ class DatabaseStorage {
         }
     }
 
-    // Cleanup old processed sales (older than 3 days)
-    async cleanupOldProcessedSales() {
+    // Sales and listings history
+    async recordSaleHistory(sale, saleId, hbarRate) {
         try {
-            const threeDaysAgo = new Date(Date.now() - (3 * 24 * 60 * 60 * 1000));
-            const result = await db.delete(processedSales)
-                .where(sql`processed_at < ${threeDaysAgo}`);
-            console.log(`Cleaned up ${result.rowCount || 0} old processed sales (older than 3 days)`);
+            const price = Number(sale.price_hbar) || 0;
+            const paymentSymbol = sale.payment_symbol || 'HBAR';
+            const serial = parseInt(sale.serial_number ?? sale.serialNumber, 10);
+            const rank = marketplaceRegistry.getTrustedRank(sale);
+
+            const result = await db.insert(saleHistory)
+                .values({
+                    saleId,
+                    tokenId: sale.token_id || sale.tokenId,
+                    serialNumber: Number.isNaN(serial) ? null : serial,
+                    nftName: sale.nft_name || null,
+                    collectionName: sale.collection_name || null,
+                    marketplace: sale.marketplace || 'Unknown',
+                    saleType: sale.sale_type || 'Sale',
+                    price,
+                    paymentSymbol,
+                    paymentTokenId: sale.payment_token_id || null,
+                    usdValue: await currencyService.getEventUsdValue(sale, hbarRate),
+                    buyer: sale.buyer || null,
+                    seller: sale.seller || null,
+                    rarityRank: rank,
+                    transactionId: sale.transaction_id || sale.saleTransactionId || null,
+                    soldAt: new Date(sale.timestamp)
+                })
+                .onConflictDoNothing()
+                .returning();
+            return result.length > 0;
         } catch (error) {
-            console.error('Error cleaning up old processed sales:', error);
+            console.error('Error recording sale history:', error);
+            return false;
+        }
+    }
+
+    async recordListingHistory(listing, listingId, hbarRate) {
+        try {
+            const price = Number(listing.price_hbar) || 0;
+            const paymentSymbol = listing.payment_symbol || 'HBAR';
+            const serial = parseInt(listing.serial_number ?? listing.serialNumber, 10);
+            const rank = marketplaceRegistry.getTrustedRank(listing);
+
+            const result = await db.insert(listingHistory)
+                .values({
+                    listingId,
+                    tokenId: listing.token_id || listing.tokenId,
+                    serialNumber: Number.isNaN(serial) ? null : serial,
+                    nftName: listing.nft_name || null,
+                    collectionName: listing.collection_name || null,
+                    marketplace: listing.marketplace || 'Unknown',
+                    saleType: listing.sale_type || 'Listing',
+                    price,
+                    paymentSymbol,
+                    paymentTokenId: listing.payment_token_id || null,
+                    usdValue: await currencyService.getEventUsdValue(listing, hbarRate),
+                    seller: listing.seller || null,
+                    rarityRank: rank,
+                    listedAt: new Date(listing.timestamp)
+                })
+                .onConflictDoNothing()
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error recording listing history:', error);
+            return false;
         }
     }
 
-    // Forever Mint management
-    async getLastProcessedMint() {
+    /**
+     * Page through recorded sales for a collection, newest first
+     * @param {string} tokenId - Collection token ID
+     * @param {Object} options - { serialNumber, buyer, seller, from, to, page, pageSize } (from/to are Dates)
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async getSaleHistory(tokenId, options = {}) {
         try {
-            const result = await this.getBotState('lastProcessedMint', 0);
-            return typeof result === 'number' ? result : 0;
+            const { serialNumber = null, buyer = null, seller = null, from = null, to = null, page = 1, pageSize = 10 } = options;
+            const conditions = [eq(saleHistory.tokenId, tokenId)];
+            if (serialNumber !== null) conditions.push(eq(saleHistory.serialNumber, serialNumber));
+            if (buyer) conditions.push(eq(saleHistory.buyer, buyer));
+            if (seller) conditions.push(eq(saleHistory.seller, seller));
+            if (from) conditions.push(gte(saleHistory.soldAt, from));
+            if (to) conditions.push(lte(saleHistory.soldAt, to));
+            const where = and(...conditions);
+
+            const [{ total }] = await db.select({ total: count() }).from(saleHistory).where(where);
+            const rows = await db.select()
+                .from(saleHistory)
+                .where(where)
+                .orderBy(desc(saleHistory.soldAt))
+                .limit(pageSize)
+                .offset((page - 1) * pageSize);
+            return { rows, total: Number(total) };
         } catch (error) {
-            console.error('Error getting last processed mint timestamp:', error);
-            return 0;
+            console.error('Error getting sale history:', error);
+            return { rows: [], total: 0 };
+        }
+    }
+
+    /**
+     * Page through recorded listings for a collection, newest first
+     * @param {string} tokenId - Collection token ID
+     * @param {Object} options - { serialNumber, seller, from, to, page, pageSize } (from/to are Dates)
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async getListingHistory(tokenId, options = {}) {
+        try {
+            const { serialNumber = null, seller = null, from = null, to = null, page = 1, pageSize = 10 } = options;
+            const conditions = [eq(listingHistory.tokenId, tokenId)];
+            if (serialNumber !== null) conditions.push(eq(listingHistory.serialNumber, serialNumber));
+            if (seller) conditions.push(eq(listingHistory.seller, seller));
+            if (from) conditions.push(gte(listingHistory.listedAt, from));
+            if (to) conditions.push(lte(listingHistory.listedAt, to));
+            const where = and(...conditions);
+
+            const [{ total }] = await db.select({ total: count() }).from(listingHistory).where(where);
+            const rows = await db.select()
+                .from(listingHistory)
+                .where(where)
+                .orderBy(desc(listingHistory.listedAt))
+                .limit(pageSize)
+                .offset((page - 1) * pageSize);
+            return { rows, total: Number(total) };
+        } catch (error) {
+            console.error('Error getting listing history:', error);
+            return { rows: [], total: 0 };
+        }
+    }
+
+    async recordMintHistory(mint, mintId) {
+        try {
+            const serial = parseInt(mint.serial_number, 10);
+            const result = await db.insert(mintHistory)
+                .values({
+                    mintId,
+                    tokenId: mint.token_id,
+                    serialNumber: Number.isNaN(serial) ? null : serial,
+                    nftName: mint.nft_name || null,
+                    collectionName: mint.collection_name || null,
+                    minter: mint.minter_account_id || null,
+                    price: Number(mint.mint_cost) || 0,
+                    paymentSymbol: mint.mint_cost_symbol || 'HBAR',
+                    transactionId: mint.transaction_id || null,
+                    mintedAt: new Date(mint.timestamp)
+                })
+                .onConflictDoNothing()
+                .returning();
+            return result.length > 0;
+        } catch (error) {
+            console.error('Error recording mint history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Page through recorded mints for a token, newest first
+     * @param {string} tokenId - Token ID
+     * @param {Object} options - { from, to, page, pageSize } (from/to are Dates)
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async getMintHistory(tokenId, options = {}) {
+        try {
+            const { from = null, to = null, page = 1, pageSize = 10 } = options;
+            const conditions = [eq(mintHistory.tokenId, tokenId)];
+            if (from) conditions.push(gte(mintHistory.mintedAt, from));
+            if (to) conditions.push(lte(mintHistory.mintedAt, to));
+            const where = and(...conditions);
+
+            const [{ total }] = await db.select({ total: count() }).from(mintHistory).where(where);
+            const rows = await db.select()
+                .from(mintHistory)
+                .where(where)
+                .orderBy(desc(mintHistory.mintedAt))
+                .limit(pageSize)
+                .offset((page - 1) * pageSize);
+            return { rows, total: Number(total) };
+        } catch (error) {
+            console.error('Error getting mint history:', error);
+            return { rows: [], total: 0 };
+        }
+    }
+
+    async getSaleHistorySince(tokenIds, since) {
+        try {
+            if (!tokenIds || tokenIds.length === 0) return [];
+            return await db.select()
+                .from(saleHistory)
+                .where(and(
+                    inArray(saleHistory.tokenId, tokenIds),
+                    gte(saleHistory.soldAt, since)
+                ))
+                .orderBy(saleHistory.soldAt);
+        } catch (error) {
+            console.error('Error getting sale history since date:', error);
+            return [];
+        }
+    }
+
+    async getListingHistorySince(tokenIds, since) {
+        try {
+            if (!tokenIds || tokenIds.length === 0) return [];
+            return await db.select()
+                .from(listingHistory)
+                .where(and(
+                    inArray(listingHistory.tokenId, tokenIds),
+                    gte(listingHistory.listedAt, since)
+                ))
+                .orderBy(listingHistory.listedAt);
+        } catch (error) {
+            console.error('Error getting listing history since date:', error);
+            return [];
+        }
+    }
+
+    // Digest schedule management
+    async setDigestConfig(guildId, settings, createdBy = null) {
+        try {
+            const existing = await this.getDigestConfig(guildId);
+
+            if (existing) {
+                const result = await db.update(digestConfigs)
+                    .set({
+                        ...settings,
+                        lastUpdated: new Date()
+                    })
+                    .where(eq(digestConfigs.guildId, guildId))
+                    .returning();
+                return result[0];
+            }
+
+            const result = await db.insert(digestConfigs)
+                .values({
+                    guildId,
+                    ...settings,
+                    createdBy
+                })
+                .returning();
+            return result[0];
+        } catch (error) {
+            console.error('Error setting digest config:', error);
+            return null;
+        }
+    }
+
+    async getDigestConfig(guildId) {
+        try {
+            const result = await db.select()
+                .from(digestConfigs)
+                .where(eq(digestConfigs.guildId, guildId))
+                .limit(1);
+            return result.length > 0 ? result[0] : null;
+        } catch (error) {
+            console.error('Error getting digest config:', error);
+            return null;
+        }
+    }
+
+    async getEnabledDigestConfigs() {
+        try {
+            return await db.select()
+                .from(digestConfigs)
+                .where(eq(digestConfigs.enabled, true));
+        } catch (error) {
+            console.error('Error getting enabled digest configs:', error);
+            return [];
         }
     }
 
-    async setLastProcessedMint(timestamp) {
+    async markDigestSent(guildId, sentAt = new Date()) {
         try {
-            await this.setBotState('lastProcessedMint', timestamp);
+            await db.update(digestConfigs)
+                .set({ lastSentAt: sentAt })
+                .where(eq(digestConfigs.guildId, guildId));
             return true;
         } catch (error) {
-            console.error('Error setting last processed mint timestamp:', error);
+            console.error('Error marking digest as sent:', error);
             return false;
         }
     }
 
+    // Cleanup old processed sales (older than 3 days)
+    async cleanupOldProcessedSales() {
+        try {
+            const threeDaysAgo = new Date(Date.now() - (3 * 24 * 60 * 60 * 1000));
+            const result = await db.delete(processedSales)
+                .where(sql`processed_at < ${threeDaysAgo}`);
+            console.log(`Cleaned up ${result.rowCount || 0} old processed sales (older than 3 days)`);
+        } catch (error) {
+            console.error('Error cleaning up old processed sales:', error);
+        }
+    }
+
+    // Mint deduplication (mint notifiers and /mint-tracking)
     async isMintProcessed(mintId) {
         try {
             const result = await db.select()
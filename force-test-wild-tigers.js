@@ -40,7 +40,7 @@ async function forceTestPost() {
         
         if (fs.existsSync(stickerPath)) {
             const stickerAttachment = new AttachmentBuilder(stickerPath, { name: 'forever-mint-sticker.png' });
-            messageOptions.files = [stickerAttachment];
+            messageOptions.files = [...(embed.files || []), stickerAttachment];
             console.log('✅ Forever Mint sticker attached');
         } else {
             console.log('⚠️ Forever Mint sticker not found');
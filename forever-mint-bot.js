@@ -1,224 +0,0 @@
-const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
-const sentxService = require('./services/sentx');
-
-class ForeverMintBot {
-    constructor() {
-        this.client = new Client({
-            intents: [GatewayIntentBits.Guilds]
-        });
-        
-        // Configuration - Update these for your Discord servers
-        this.servers = [
-            {
-                guildId: '910963230317355008', // Migos World
-                channelId: '910963234209673231', // Main chat channel
-                name: 'Migos World'
-            },
-            {
-                guildId: '1248509900154343504', // Wild Tigers
-                channelId: '1267962616455921706', // Forever mints channel
-                name: 'Wild Tigers'
-            }
-        ];
-        
-        this.processedMints = new Set(); // Track processed mints to prevent duplicates
-        this.monitoringTask = null; // Monitoring task reference
-        this.isFirstRun = true; // Track if this is the first check after startup
-    }
-
-    async initialize() {
-        try {
-            await this.client.login(process.env.DISCORD_TOKEN);
-            console.log('✅ Forever Mint Bot logged in successfully');
-            
-            // Start monitoring for Wild Tigers mints
-            this.startMonitoring();
-            
-        } catch (error) {
-            console.error('❌ Failed to initialize bot:', error.message);
-            process.exit(1);
-        }
-    }
-
-    /**
-     * Start monitoring for new Wild Tigers mints every 15 seconds
-     */
-    startMonitoring() {
-        console.log('🚀 Starting Wild Tigers Forever Mint monitoring...');
-        
-        this.monitoringTask = setInterval(async () => {
-            try {
-                await this.checkForNewMints();
-            } catch (error) {
-                console.error('❌ Error checking for Wild Tigers mints:', error.message);
-            }
-        }, 15000); // Check every 15 seconds
-    }
-
-    /**
-     * Check for new Wild Tigers mints
-     */
-    async checkForNewMints() {
-        try {
-            // On first run, only fetch 1 mint to establish baseline and avoid rate limits
-            const fetchLimit = this.isFirstRun ? 1 : 5;
-            
-            // Fetch recent Wild Tigers mints from SentX
-            const recentMints = await sentxService.getRecentForeverMints(fetchLimit);
-            
-            if (!recentMints || recentMints.length === 0) {
-                if (this.isFirstRun) {
-                    console.log('📍 Wild Tigers baseline established - no recent mints found');
-                    this.isFirstRun = false;
-                }
-                return;
-            }
-            
-            // Process each mint
-            for (const mint of recentMints) {
-                const mintId = `${mint.serial_number}-${mint.mint_date}`;
-                
-                // Skip if already processed
-                if (this.processedMints.has(mintId)) {
-                    continue;
-                }
-                
-                // On first run, just mark as processed without notifications to establish baseline
-                if (this.isFirstRun) {
-                    this.processedMints.add(mintId);
-                    console.log(`📍 Baseline: Found existing Wild Tigers mint ${mint.nft_name} #${mint.serial_number} (not notifying)`);
-                    continue;
-                }
-                
-                console.log(`🌟 NEW WILD TIGERS FOREVER MINT: ${mint.nft_name} - ${mint.mint_cost} ${mint.mint_cost_symbol}`);
-                console.log(`   Serial: ${mint.serial_number}, Minter: ${mint.minter_address}`);
-                
-                // Send notifications
-                await this.sendMintNotifications(mint);
-                
-                // Mark as processed
-                this.processedMints.add(mintId);
-            }
-            
-            // Mark first run as complete
-            if (this.isFirstRun) {
-                this.isFirstRun = false;
-                console.log('✅ Wild Tigers baseline established - monitoring for new mints only');
-            }
-            
-        } catch (error) {
-            console.error('❌ Error fetching Wild Tigers mints:', error.message);
-        }
-    }
-
-    async sendMintNotifications(mint) {
-        for (const server of this.servers) {
-            try {
-                const guild = this.client.guilds.cache.get(server.guildId);
-                if (!guild) {
-                    console.log(`❌ Guild not found: ${server.name}`);
-                    continue;
-                }
-
-                const channel = guild.channels.cache.get(server.channelId);
-                if (!channel) {
-                    console.log(`❌ Channel not found in ${server.name}`);
-                    continue;
-                }
-
-                // Create embed with iPhone-compatible image
-                const embed = await this.createMintEmbed(mint);
-                
-                // Load Forever Mint sticker
-                const stickerPath = path.join(__dirname, 'attached_assets', 'Forever Mint Sticker_1756349371753.png');
-                let stickerAttachment = null;
-                
-                if (fs.existsSync(stickerPath)) {
-                    stickerAttachment = new AttachmentBuilder(stickerPath, { name: 'forever-mint-sticker.png' });
-                }
-
-                const messageOptions = { 
-                    embeds: [embed] 
-                };
-                
-                if (stickerAttachment) {
-                    messageOptions.files = [stickerAttachment];
-                }
-
-                await channel.send(messageOptions);
-                console.log(`✅ Forever Mint notification sent to ${server.name}`);
-
-            } catch (error) {
-                console.error(`❌ Failed to send notification to ${server.name}:`, error.message);
-            }
-        }
-    }
-
-    async createMintEmbed(mint) {
-        // Convert IPFS to iPhone-compatible Hashpack CDN
-        const optimizedImageUrl = this.convertIpfsToHttp(mint.image_url);
-        
-        // Fetch rarity data from SentX API
-        let rarityRank = 'N/A';
-        let rarityPercent = 'N/A';
-        
-        try {
-            const nftDetails = await sentxService.getNFTDetails(mint.token_id, mint.serial_number);
-            if (nftDetails && nftDetails.success && nftDetails.nft) {
-                if (nftDetails.nft.rarityRank) {
-                    rarityRank = `#${nftDetails.nft.rarityRank}`;
-                }
-                if (nftDetails.nft.rarityPct) {
-                    rarityPercent = `${nftDetails.nft.rarityPct}%`;
-                }
-            }
-        } catch (error) {
-            console.log(`⚠️ Could not fetch rarity data for ${mint.nft_name}: ${error.message}`);
-        }
-        
-        const embed = new EmbedBuilder()
-            .setTitle(`${mint.nft_name}`)
-            .setDescription(`Minted on SentX for **${mint.mint_cost} HBAR**`)
-            .addFields([
-                { name: '🔢 Serial Number', value: `#${mint.serial_number}`, inline: true },
-                { name: '📊 Rarity Rank', value: rarityRank, inline: true },
-                { name: '🎯 Rarity %', value: rarityPercent, inline: true }
-            ])
-            .setColor('#FFD700')
-            .setTimestamp(new Date(mint.mint_date));
-
-        // Add iPhone-compatible image
-        if (optimizedImageUrl) {
-            embed.setImage(optimizedImageUrl);
-        }
-
-        // Add Forever Mint sticker as thumbnail
-        embed.setThumbnail('attachment://forever-mint-sticker.png');
-
-        return embed;
-    }
-
-    convertIpfsToHttp(ipfsUrl) {
-        if (!ipfsUrl) return null;
-        
-        if (ipfsUrl.startsWith('ipfs://')) {
-            const hash = ipfsUrl.replace('ipfs://', '');
-            return `https://hashpack.b-cdn.net/ipfs/${hash}?optimizer=image&width=1500`;
-        }
-        
-        return ipfsUrl;
-    }
-}
-
-// Start the bot
-const foreverMintBot = new ForeverMintBot();
-foreverMintBot.initialize().catch(console.error);
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('🛑 Shutting down Forever Mint Bot...');
-    foreverMintBot.client.destroy();
-    process.exit(0);
-});
\ No newline at end of file
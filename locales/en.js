@@ -0,0 +1,675 @@
+/**
+ * English message catalog (source language)
+ * Keys are read through utils/i18n t(); {name} placeholders are filled from its params.
+ * Plural messages are { one, other } objects picked by the `count` param.
+ */
+
+module.exports = {
+    common: {
+        unknown: 'Unknown',
+        unknownCollection: 'Unknown Collection',
+        unknownNft: 'Unknown NFT',
+        nftCollection: 'NFT Collection',
+        mainChannel: 'the main sales channel'
+    },
+
+    rarityTiers: {
+        legendary: 'Legendary',
+        epic: 'Epic',
+        rare: 'Rare',
+        uncommon: 'Uncommon',
+        common: 'Common'
+    },
+
+    collectorTiers: {
+        whale: 'Whale',
+        dolphin: 'Dolphin',
+        fish: 'Fish',
+        shrimp: 'Shrimp',
+        plankton: 'Plankton',
+        holder: 'Holder'
+    },
+
+    // Lines shared by the sale, listing and snipe embeds
+    embeds: {
+        collectionTitle: '{collection} Collection',
+        floor: 'Floor: {price} HBAR',
+        vsFloor: '{change}% vs floor',
+        collectionLine: '📦 **Collection:** {collection}',
+        marketplaceLine: '🏪 **Marketplace:** {marketplace}',
+        serialLine: '🔢 **NFT #:** {serial}',
+        rankLine: '🏆 **Rank:** #{rank} in collection',
+        rarityLine: '✨ **Rarity:** {tier} ({percent}%)',
+        rarityTitle: '🌟 Rarity Info',
+        raritySource: 'ℹ️ *Rarity data from {source}*',
+        collectorLabel: '{tier} Collector',
+        owns: { one: '(owns {count} NFT)', other: '(owns {count} NFTs)' },
+        accountLine: '*Account:* {account}',
+        collectionIdLine: '🆔 **Collection ID:** `{tokenId}`',
+        technicalTitle: '🔧 Technical Details',
+        tokenIdFooter: 'Token ID: {tokenId}'
+    },
+
+    sale: {
+        actionSold: 'just sold',
+        actionOrderFilled: 'order was filled',
+        description: 'A new sale happened on {marketplace} for **{price}**{fiat}',
+        descriptionOrderFill: 'A new order fill happened on {marketplace} for **{price}**{fiat}',
+        priceLine: '💰 **Sale Price:** {price}',
+        detailsTitle: '📊 Sale Details',
+        buyer: '🛒 Buyer',
+        newBuyer: '🛒 New Buyer',
+        seller: '🏪 Seller',
+        boughtBy: '**Bought by:** {label}',
+        soldBy: '**Sold by:** {label}',
+        tradersTitle: '👥 Trading Parties',
+        transactionLine: '🔗 **Transaction:** [View on HashScan]({url})'
+    },
+
+    listing: {
+        actionListed: 'listed for sale',
+        actionAuction: 'auction started',
+        description: 'A new listing appeared on {marketplace} for **{price}**{fiat}',
+        descriptionAuction: 'A new auction listing appeared on {marketplace} for **{price}**{fiat}',
+        priceLine: '💰 **Asking Price:** {price}',
+        detailsTitle: '📊 Listing Details',
+        sellerTitle: '👤 Seller Information',
+        listedBy: '**Listed by:** {label}',
+        holdingsLine: { one: '*Holdings:* {count} NFT from this collection', other: '*Holdings:* {count} NFTs from this collection' },
+        viewListingLine: '🔗 **View Listing:** [Open on SentX]({url})'
+    },
+
+    snipe: {
+        titlePrefix: 'SNIPE',
+        reasonsTitle: '🎯 Why this is a snipe',
+        underFloor: '💥 **{percent}% under floor** ({floor} HBAR)',
+        rareUnder: '💎 **Rank #{rank}** - top {percentile}% of the collection, listed {percent}% under floor',
+        rareOver: '💎 **Rank #{rank}** - top {percentile}% of the collection, listed {percent}% over floor'
+    },
+
+    stats: {
+        title: '📊 {collection} Statistics',
+        period: '**Period:** {period}',
+        periods: {
+            '24h': 'Last 24 hours',
+            '7d': 'Last 7 days',
+            '30d': 'Last 30 days',
+            all: 'All time'
+        },
+        footer: 'Token ID: {tokenId} • Data from SentX',
+        noSalesTitle: '📭 No Sales',
+        noSales: 'No completed sales were found for this period.',
+        sales: '🔢 Sales',
+        volume: '💎 Volume',
+        averagePrice: '📊 Average Price',
+        traders: '👥 Traders',
+        tradersValue: '{buyers} buyers • {sellers} sellers',
+        activity: '⚡ Activity',
+        activityValue: '{velocity} sales/day\n🐋 Whales: {whales}% of buys',
+        volatility: '🌊 Volatility',
+        priceDistribution: '💰 Price Distribution',
+        marketHealth: '🩺 Market Health',
+        trend: 'Trend: **{trend}** ({momentum}%)',
+        trends: { up: 'Up', down: 'Down', stable: 'Stable' },
+        liquidity: '💧 Liquidity: **{percent}%**',
+        diversity: '🌐 Diversity: **{percent}%**',
+        quickBuy: '💡 Quick Buy',
+        quickBuyFloor: 'Floor **{floor}** vs avg **{avg}**',
+        quickBuyNoFloor: 'Avg **{avg}** (no floor listed)',
+        quickBuyScore: 'Score: **{score}/100**',
+        notTracked: '❌ Collection **{tokenId}** is not tracked in this server. Use `/add` first.',
+        loadFailed: '❌ Could not load analytics from SentX. Please try again later.',
+        error: '❌ Error loading collection stats. Please try again.'
+    },
+
+    market: {
+        title: '🌐 Complete Market Overview',
+        description: '*Real-time snapshot of the entire NFT marketplace*\n**Market Status:** {status}',
+        trends: { bullish: 'Bullish', bearish: 'Bearish', neutral: 'Neutral', insufficient_data: 'Insufficient data' },
+        volume: '💰 Total Trading Volume',
+        volumeValue: '**{volume} HBAR**\n*{fiat}*\n📊 All marketplace activity',
+        sales: '🔢 Completed Sales',
+        salesValue: { one: '**{sales}** transaction\n*Successful trades*\n🎯 Active trading day', other: '**{sales}** transactions\n*Successful trades*\n🎯 Active trading day' },
+        averagePrice: '📊 Average Sale Price',
+        averagePriceValue: '**{price} HBAR**\n*{fiat}*\n💹 Market average',
+        listings: '📝 New Listings Added',
+        listingsValue: { one: '**{listings}** new listing\n*Fresh inventory*\n🆕 Available to buy', other: '**{listings}** new listings\n*Fresh inventory*\n🆕 Available to buy' },
+        sentiment: '📈 Market Sentiment',
+        sentiments: {
+            bullish: 'Prices trending up',
+            bearish: 'Prices trending down',
+            neutral: 'Stable pricing',
+            insufficient_data: 'Insufficient data'
+        },
+        activity: '🚀 Market Activity',
+        activityLevels: {
+            veryActive: '🔥 **Very Active**',
+            active: '📈 **Active**',
+            moderate: '💫 **Moderate**',
+            quiet: '💤 **Quiet**'
+        },
+        activityNote: 'Based on sales volume',
+        topCollections: '🏆 Top Performing Collections',
+        topCollectionLine: { one: '💰 {volume} HBAR • 🔢 {count} sale', other: '💰 {volume} HBAR • 🔢 {count} sales' },
+        noActivity: '📊 **No recent activity**\n*Check back later for trending collections*',
+        footer: '🌐 Marketplace data from SentX • Refreshed every 5 minutes',
+        loadFailed: '❌ Could not load the market overview from SentX. Please try again later.',
+        error: '❌ Error loading market overview. Please try again.'
+    },
+
+    mint: {
+        free: 'Free',
+        title: '🌱 {nft} Minted!',
+        description: 'Minted on the SentX launchpad for **{cost}**',
+        author: '{collection} Mint',
+        minter: '👤 Minter',
+        serial: '🔢 Serial',
+        rarityRank: '🌟 Rarity Rank'
+    },
+
+    milestone: {
+        soldOut: '{collection} has SOLD OUT!',
+        percent: '{collection} is {percent}% minted!',
+        count: '{collection} reached {count} mints!',
+        noMaxSupply: '**{minted}** minted (no max supply)',
+        velocity: '⚡ Mint Velocity',
+        velocityValue: '{velocity} mints/hour',
+        velocityUnknown: 'Not enough recent mints',
+        remaining: '📦 Remaining',
+        sellOut: '⏳ Est. Sell-out',
+        sellOutUnknown: 'Unknown at current pace'
+    },
+
+    floorAlert: {
+        titleUp: '{collection} floor is up {change}',
+        titleDown: '{collection} floor is down {change}',
+        description: 'The floor moved **{change}** in the last **{window}**',
+        previous: '⏮️ Previous Floor',
+        current: '💎 Current Floor',
+        source: '🏪 Source',
+        empty: 'No floor alerts are set in this server. Use `/floor-alert set` to add one.',
+        listTitle: '📊 Floor Alerts (This Server)',
+        threshold: '📏 Threshold: **±{threshold}%** within **{hours}h**',
+        channel: '📍 Channel: {channel}',
+        currentFloor: '💎 Current floor: **{price} HBAR**',
+        listFooter: { one: 'Total: {count} alert', other: 'Total: {count} alerts' },
+        removed: '✅ Floor alerts for **{tokenId}** removed.',
+        notFound: '❌ No floor alert found for **{tokenId}**.',
+        purpose: 'floor alerts',
+        set: '✅ Floor alert set for **{tokenId}**: I\'ll post when the floor moves more than **±{threshold}%** within **{hours}h** in {channel}.',
+        failed: '❌ Failed to save floor alert. Please try again.',
+        error: '❌ Error updating floor alerts. Please try again.'
+    },
+
+    history: {
+        titleSales: '🧾 Sales History: {collection}',
+        titleListings: '📋 Listings History: {collection}',
+        rank: 'Rank {rank}',
+        by: 'by {account}',
+        emptySales: 'No sales recorded yet for these filters.',
+        emptyListings: 'No listings recorded yet for these filters.',
+        footer: 'Page {page}/{pages} • {total} total • Token ID: {tokenId}',
+        filters: '🔎 Filters',
+        serialFilter: 'Serial: **#{serial}**',
+        buyerFilter: 'Buyer: **{account}**',
+        sellerFilter: 'Seller: **{account}**',
+        listingsNoBuyer: '❌ Listings have no buyer - use `seller` to filter listings.',
+        previous: '◀ Previous',
+        next: 'Next ▶',
+        error: '❌ Error loading history. Please try again.'
+    },
+
+    digest: {
+        titleDaily: '📰 Daily Digest',
+        titleWeekly: '📰 Weekly Digest',
+        description: 'Activity for your tracked collections from {from} to {to}',
+        volume: '💎 Volume',
+        sales: '🔢 Sales',
+        paidInTokens: '({count} paid in tokens)',
+        listings: '📝 New Listings',
+        topSale: '🏆 Top Sale',
+        topSaleValue: '**{nft}** for **{price} HBAR** on {marketplace}',
+        mostActive: '👥 Most Active',
+        activeBuyer: { one: '🛒 Buyer: `{account}` ({count} buy)', other: '🛒 Buyer: `{account}` ({count} buys)' },
+        activeSeller: { one: '💼 Seller: `{account}` ({count} sale)', other: '💼 Seller: `{account}` ({count} sales)' },
+        floorMovement: '📊 Floor Movement',
+        belowFloor: '🎯 Listed Below Floor',
+        belowFloorValue: '{price} HBAR ({percent}% under {floor})',
+        quietTitle: '💤 Quiet Period',
+        quiet: 'No sales or listings happened in your tracked collections in this period.',
+        notEnabled: '❌ Digests are not enabled in this server.',
+        disabled: '✅ Scheduled digests disabled. Your schedule is kept if you enable them again.',
+        purpose: 'digests',
+        unknownTimezone: '❌ Unknown timezone **{timezone}**. Use a name like `UTC`, `Europe/London` or `America/New_York`.',
+        scheduleDaily: 'every day at **{time}**',
+        scheduleWeekly: 'every **{day}** at **{time}**',
+        enabled: '✅ Digests will be posted {when} in {channel}.',
+        saved: '✅ Digest schedule saved ({when}). Use `/digest enable` to turn digests on.',
+        failed: '❌ Failed to save digest settings. Please try again.',
+        previewError: '❌ Error building digest. Please try again.',
+        error: '❌ Error updating digest settings. Please try again.'
+    },
+
+    userAlerts: {
+        matched: {
+            sale: '🔔 Your alert for **{collection}** matched a new sale',
+            listing: '🔔 Your alert for **{collection}** matched a new listing'
+        }
+    },
+
+    wallet: {
+        author: '👀 Watched wallet: {wallet}',
+        actions: {
+            bought: '{wallet} bought {nft}',
+            sold: '{wallet} sold {nft}',
+            listed: '{wallet} listed {nft}'
+        },
+        description: '**{price}**{fiat} on {marketplace}',
+        collection: '🗂️ Collection',
+        from: '💼 From',
+        to: '🛒 To',
+        rank: '🌟 Rank',
+        footer: 'Wallet watchlist'
+    },
+
+    // Bot replies
+    errors: {
+        command: 'An error occurred while processing the command.',
+        unknownCommand: 'Unknown command',
+        notConfigured: 'Make sure the bot is properly configured in this server.',
+        textChannel: '❌ Please select a text channel for {purpose}.',
+        channelPermissions: '❌ I need "Send Messages" and "Embed Links" permissions in that channel.',
+        invalidTokenId: '❌ Invalid token ID format. Please use format: 0.0.123456',
+        invalidAccountId: '❌ Invalid account ID format. Please use format: 0.0.123456'
+    },
+
+    about: {
+        commandsTitle: '📚 Available Commands',
+        commands: '• `/add` - Add NFT collection to track\n• `/remove` - Remove collection from tracking\n• `/remove-all` - Remove ALL collections (with confirmation)\n• `/list` - Show all tracked collections\n• `/status` - Check bot health and statistics\n• `/set-listings-channel` - Set separate channel for listings\n• `/set-mint-channel` - Set separate channel for Forever Mint notifications\n• `/language` - Choose the bot language for this server\n• `/test` - Test bot functionality\n• `/support` - Get help and support info',
+        marketplacesTitle: '🏪 Supported Marketplaces',
+        marketplaces: '• **SentX** - Full sales & listings tracking\n• **Kabila** - Full sales & listings tracking\n• Cross-marketplace rarity enrichment\n• Real-time price conversion (HBAR to your server currency)',
+        featuresTitle: '✨ Key Features',
+        features: '• Real-time sales & listing notifications\n• Separate channels for sales vs listings\n• NFT images with Hashinal support\n• Buyer/seller whale tier indicators\n• Collection-specific tracking\n• Cross-marketplace data enrichment',
+        footer: 'Built for the Hedera NFT community by Migos World Labs'
+    },
+
+    welcome: {
+        title: '🤖 NFT Sales Bot Added!',
+        description: 'Thank you for adding the NFT Sales Bot to **{server}**!',
+        whatTitle: '📈 What I Do',
+        what: 'I track real-time NFT sales from SentX and Kabila marketplaces on Hedera and post detailed notifications here.',
+        setupTitle: '⚙️ Quick Setup',
+        setup: '1. Use `/add` to add NFT collections to track\n2. Use `/list` to see your tracked collections\n3. Optional: Use `/set-listings-channel` for separate listing notifications\n4. Use `/test` to verify everything works!',
+        helpTitle: '🛟 Need Help?',
+        help: '[Join our Discord support server](https://discord.gg/fkKEgckbYH)\n\nContact **Mauii** or **Wise Whale** for setup help and questions!',
+        footer: 'Ready to track your favorite NFT collections!'
+    },
+
+    support: {
+        title: '🛟 Get Support & Help',
+        description: 'Need help with the NFT Sales Bot? Join our support server!',
+        joinTitle: '🎮 Join Migos World Labs Discord',
+        join: '[Click here to join our Discord support server](https://discord.gg/fkKEgckbYH)\n\nContact **Mauii** or **Wise Whale** for set up help\n\nGet help with:\n• Bot setup and configuration\n• Adding NFT collections\n• Troubleshooting issues\n• Feature requests and feedback',
+        helpTitle: '🔧 Need Help?',
+        help: 'Contact **Mauii** or **Wise Whale** in Migos World Labs Discord for:\n• Set up the bot for your server\n• Configure collections and channels\n• Answer questions about features\n• Resolve any technical issues',
+        error: '❌ Error showing support information. Please join our support server directly: https://discord.gg/fkKEgckbYH'
+    },
+
+    add: {
+        invalidTokenId: '❌ Invalid token ID format. Please use format: 0.0.123456',
+        added: '✅ Added **{name}** ({tokenId}) to this server\'s tracking list!',
+        alreadyTracked: '❌ This collection is already being tracked in this server.',
+        error: '❌ Error adding collection. Please try again.'
+    },
+
+    remove: {
+        removed: '✅ Removed collection **{tokenId}** from this server\'s tracking list.',
+        notFound: '❌ Collection **{tokenId}** was not found in this server\'s tracking list.',
+        error: '❌ Error removing collection. Please try again.'
+    },
+
+    removeAll: {
+        none: '❌ No collections are currently being tracked in this server.',
+        confirmTitle: '⚠️ Remove All Collections - Confirmation Required',
+        confirmDescription: 'Are you sure you want to remove ALL tracked collections from this server?\n\n**Currently tracked collections:**\n{collections}\n\n**This action cannot be undone.**',
+        confirmFooter: 'Use the buttons below to confirm or cancel',
+        confirmButton: 'Yes, Remove All',
+        cancelButton: 'Cancel',
+        doneTitle: '✅ All Collections Removed',
+        done: { one: 'Successfully removed **{count}** collection from tracking in this server.', other: 'Successfully removed **{count}** collections from tracking in this server.' },
+        cancelledTitle: '❌ Action Cancelled',
+        cancelled: 'Remove all collections operation was cancelled. All collections remain tracked.',
+        timeoutTitle: '⏰ Confirmation Timeout',
+        timeout: 'Remove all collections confirmation timed out after 60 seconds. No changes were made.\n\nPlease try the command again and click a button within 60 seconds.',
+        error: '❌ Error processing remove all command. Please try again.'
+    },
+
+    list: {
+        empty: 'No collections are currently being tracked in this server. Use `/add` to add one.',
+        title: '📋 Tracked NFT Collections (This Server)',
+        footer: { one: 'Total: {count} collection', other: 'Total: {count} collections' },
+        enabled: '✅ Enabled',
+        disabled: '❌ Disabled',
+        entry: 'Token ID: `{tokenId}`\nStatus: {status}',
+        error: '❌ Error loading collections. Please try again.'
+    },
+
+    status: {
+        title: '🤖 Bot Status',
+        monitoringTitle: '📊 Monitoring Status',
+        active: '✅ Active',
+        inactive: '❌ Inactive',
+        hbarRateTitle: '🏦 HBAR Rate',
+        serversTitle: '🌐 Connected Servers',
+        servers: { one: '{count} server', other: '{count} servers' },
+        marketplacesTitle: '🏪 Supported Marketplaces',
+        onChain: 'On-chain (Mirror Node)',
+        error: '❌ Error loading status. Please try again.'
+    },
+
+    // Suggestions shown while typing a collection option
+    autocomplete: {
+        noMintTracking: 'No mint tracking set up - Use /mint-tracking setup first',
+        noCollections: 'No collections tracked - Use /add to track collections first',
+        noMatches: 'No valid collections found - Check /list to see tracked collections',
+        allCollections: 'All collections (server-wide default)',
+        unknownOption: 'Unknown option'
+    },
+
+    setListings: {
+        purpose: 'listing notifications',
+        done: '✅ Listings channel set to {channel}!\n\n📝 **New listings** will now be posted in {channel}\n🔥 **Sales notifications** will continue in your main channel\n\nUse the same command again to change the listings channel.',
+        failed: '❌ Failed to set listings channel. {hint}',
+        error: '❌ An error occurred while setting the listings channel. Please try again.'
+    },
+
+    setSnipes: {
+        purpose: 'snipe alerts',
+        off: '✅ Snipe alerts turned off. Listings will only be posted in the usual channel.',
+        offFailed: '❌ Failed to update snipe settings. {hint}',
+        done: '✅ Snipes channel set to {channel}!\n\n🎯 Listings **{discount}%+ under floor** will be highlighted in {channel}\n💎 NFTs ranked in the **top {rare}%** listed near floor count too\n📝 Every listing is still posted in your listings channel as usual\n\nRun the command without a channel to turn snipe alerts off.',
+        failed: '❌ Failed to set snipes channel. {hint}',
+        error: '❌ An error occurred while setting the snipes channel. Please try again.'
+    },
+
+    setMint: {
+        purpose: 'Forever Mint notifications',
+        done: '✅ Forever Mint channel set to {channel}!\n\n🌟 **Wild Tigers Forever Mint notifications** will now be posted in {channel}\n🔥 **Sales and other notifications** will continue in your main channels\n\nUse the same command again to change the mint channel, or disable by selecting the same channel as your main sales channel.',
+        failed: '❌ Failed to set mint channel. {hint}',
+        error: '❌ An error occurred while setting the mint channel. Please try again.'
+    },
+
+    setCurrency: {
+        failed: '❌ Failed to set the display currency. {hint}',
+        done: '✅ Prices in this server will now be converted to **{currency}** ({name}).\n\n💱 1 HBAR ≈ {rate}',
+        fallback: '⚠️ No {currency} rate is available right now, so prices will show in USD until one is.',
+        error: '❌ An error occurred while setting the display currency. Please try again.'
+    },
+
+    language: {
+        done: '✅ This server now uses **{language}** for notifications and replies.',
+        reset: '✅ Language reset. This server will follow its Discord language (**{language}**).',
+        failed: '❌ Failed to set the language. {hint}',
+        error: '❌ An error occurred while setting the language. Please try again.'
+    },
+
+    setCatchUp: {
+        done: {
+            post: '✅ After a restart, sales and listings missed while offline (up to {hours} hours back) will be posted, marked as delayed.',
+            summary: '✅ After a restart, one summary of sales and listings missed while offline (up to {hours} hours back) will be posted.',
+            off: '✅ Activity missed while the bot was offline will not be posted.'
+        },
+        failed: '❌ Failed to set the catch-up mode. {hint}',
+        error: '❌ An error occurred while setting the catch-up mode. Please try again.'
+    },
+
+    catchUp: {
+        delayed: '⏪ Delayed - this happened {time} while the bot was offline',
+        summaryTitle: '⏪ While I Was Offline',
+        period: 'Activity for your tracked collections from {from} to {to}',
+        volume: '💎 Volume',
+        sales: '🔢 Sales',
+        listings: '📝 New Listings',
+        topSales: '🏆 Top Sales',
+        topSaleValue: '**{nft}** for **{price} HBAR** on {marketplace}',
+        incomplete: 'History from {marketplaces} did not reach back the whole period, so some activity may be missing'
+    },
+
+    permissions: {
+        denied: {
+            manager: '🔒 Only server admins and members with this server\'s bot manager role can use this command.',
+            admin: '🔒 Only members with the Administrator or Manage Server permission can use this command.',
+            administrator: '❌ You need Administrator permissions to use this command.'
+        }
+    },
+
+    managerRole: {
+        done: '✅ Members with {role} can now manage the bot in this server.\n\nServer admins keep full access. Denied attempts show up in `/audit`.',
+        cleared: '✅ Bot manager role removed. Only server admins can manage the bot now.',
+        everyone: '❌ Pick a specific role - @everyone would let every member manage the bot.',
+        failed: '❌ Failed to set the bot manager role. {hint}',
+        error: '❌ An error occurred while setting the bot manager role. Please try again.'
+    },
+
+    audit: {
+        title: '🔒 Bot Management Audit Log',
+        empty: 'Nothing has been logged in this server yet.',
+        managerRole: 'Bot manager role: {role}',
+        noManagerRole: 'No bot manager role - only server admins can manage the bot',
+        entry: '{time} {outcome} `/{command}` by <@{user}>',
+        outcomes: {
+            denied: '⛔ Denied',
+            granted: '🔑 Role set',
+            revoked: '🗑️ Role removed'
+        },
+        error: '❌ Error loading the audit log. Please try again.'
+    },
+
+    webhook: {
+        url: {
+            invalid: '❌ That is not a valid URL.',
+            https: '❌ Webhook endpoints must use `https://`.',
+            private: '❌ Webhook endpoints must be reachable on the public internet (no localhost or private network addresses).'
+        },
+        invalidCollection: '❌ Invalid collection token ID. Please use format: 0.0.123456',
+        limit: '❌ This server already has {max} webhook endpoints. Remove one with `/webhook remove` first.',
+        added: '✅ Webhook **#{id}** added: {url}\nEvents: {events} - {scope}\n\n🔑 **Signing secret** (shown only once, store it now):\n```{secret}```\nEach request has an `X-Webhook-Signature: sha256=...` header: the HMAC-SHA256 of `X-Webhook-Timestamp`, a dot and the raw body, keyed with this secret. Try it with `/webhook test id:{id}`.',
+        removed: '✅ Webhook #{id} removed ({url}).',
+        notFound: '❌ No webhook #{id} in this server. Use `/webhook list` to see the IDs.',
+        empty: 'No webhook endpoints in this server yet. Add one with `/webhook add`.',
+        listTitle: '🪝 Webhook Endpoints (This Server)',
+        disabled: 'disabled',
+        eventsLine: 'Events: {events}',
+        events: {
+            sale: 'Sales',
+            listing: 'Listings',
+            mint: 'Mints'
+        },
+        allCollections: 'every collection this server follows',
+        collectionOnly: 'only `{tokenId}`',
+        lastDelivery: 'Last delivery {time}: {status}',
+        delivered: '✅ delivered',
+        neverDelivered: 'Nothing delivered yet',
+        failuresTitle: '🪦 Failed Webhook Deliveries',
+        failureEntry: '{time} #{id} {event} - {attempts} attempts, last error: `{error}`',
+        noFailures: 'No deliveries have failed in the last 30 days.',
+        testDelivered: '✅ Test event delivered to webhook #{id} (HTTP {status}).',
+        testFailed: '❌ Test event to webhook #{id} failed: `{error}`. The endpoint must answer with a 2xx status within {seconds} seconds.',
+        failed: '❌ Could not save the webhook. Please try again.',
+        error: '❌ Error managing webhooks. Please try again.'
+    },
+
+    filter: {
+        empty: 'No filters are set in this server - every tracked sale and listing is posted. Use `/filter set` to add one.',
+        listTitle: '🔎 Notification Filters (This Server)',
+        allCollections: 'All collections (default)',
+        listFooter: 'Collection filters replace the server-wide default',
+        invalidCollection: '❌ Invalid collection. Use a tracked token ID (e.g. 0.0.123456) or "all".',
+        everyCollection: 'all collections',
+        removed: '✅ Removed filter rules for **{target}**.',
+        notFound: '❌ No filter rules found for **{target}**.',
+        updated: '✅ Filter updated for **{target}**:\n{rules}',
+        failed: '❌ Failed to save filter. Please try again.',
+        error: '❌ Error updating filters. Please try again.',
+        rules: {
+            minPrice: '💰 Min price: **{price} HBAR**',
+            maxPrice: '💰 Max price: **{price} HBAR**',
+            rank: '🌟 Rank: **top {rank}**',
+            marketplaces: '🏪 Marketplaces: **{marketplaces}**',
+            payment: '🪙 Payment: **{tokens}**',
+            events: '📣 Events: **{events}**',
+            none: 'No restrictions'
+        },
+        invalid: {
+            numbers: 'Prices and ranks must be numbers.',
+            marketplaces: 'Unknown marketplace(s): {unknown}. Supported: {supported}',
+            events: 'Unknown event type(s): {unknown}. Use: sales, listings, orders',
+            empty: 'Provide at least one rule (min_price, max_price, max_rank, marketplaces, payment_tokens or events).',
+            priceRange: 'Minimum price cannot be higher than maximum price.'
+        }
+    },
+
+    alert: {
+        deleted: '✅ Alert **#{id}** deleted.',
+        notFound: '❌ You don\'t have an alert with ID **#{id}**.',
+        empty: 'You have no personal alerts. Use `/alert me` to create one.',
+        listTitle: '🔔 Your Personal Alerts',
+        listFooter: '{count}/{max} alerts • Delete with /alert mine delete:<id>',
+        notTracked: '❌ Collection **{tokenId}** is not tracked in this server. Ask an admin to `/add` it first.',
+        limit: '❌ You already have {count} alerts (the maximum). Delete one with `/alert mine delete:<id>` first.',
+        created: '✅ Alert **#{id}** created for **{tokenId}**. I\'ll DM you when something matches:\n{rules}\n\nMake sure your DMs from server members are open. You\'ll get at most {max} alert DMs per hour.',
+        failed: '❌ Failed to save alert. Please try again.',
+        error: '❌ Error updating your alerts. Please try again.'
+    },
+
+    watch: {
+        empty: 'No wallets are being watched in this server. Use `/watch wallet add` to follow one.',
+        listTitle: '👀 Watched Wallets (This Server)',
+        entry: '• **{label}** - `{account}` → {channel}',
+        unlabelled: 'Unlabelled',
+        listFooter: { one: 'Total: {count} wallet', other: 'Total: {count} wallets' },
+        removed: '✅ Stopped watching **{account}**.',
+        notFound: '❌ **{account}** is not being watched in this server.',
+        purpose: 'wallet notifications',
+        limit: '❌ This server is already watching {max} wallets. Remove one with `/watch wallet remove` first.',
+        added: '✅ Now watching **{wallet}**. Buys, sells and listings in any collection will be posted in {channel}.',
+        failed: '❌ Failed to save watched wallet. Please try again.',
+        error: '❌ Error updating watched wallets. Please try again.'
+    },
+
+    mintTracking: {
+        empty: 'No collections have mint tracking in this server. Use `/mint-tracking setup` to add one.',
+        listTitle: '🌱 Mint Tracking (This Server)',
+        channel: '📍 Channel: {channel}',
+        milestones: '🏁 Milestones: {milestones}',
+        active: '🟢 Active',
+        paused: '⏸️ Paused',
+        listFooter: { one: 'Total: {count} collection', other: 'Total: {count} collections' },
+        removed: '✅ Mint tracking for **{tokenId}** removed.',
+        notSetUp: '❌ Mint tracking is not set up for **{tokenId}**.',
+        notSetUpHint: '❌ Mint tracking is not set up for **{tokenId}**. Use `/mint-tracking setup` first.',
+        toggled: {
+            on: '✅ Mint notifications for **{name}** resumed.',
+            off: '✅ Mint notifications for **{name}** paused.'
+        },
+        updateFailed: '❌ Failed to update mint tracking. Please try again.',
+        milestonesMissing: '❌ Provide `percents`, `every` or both.',
+        invalidPercents: '❌ Percents must be numbers between 1 and 100, e.g. `25,50,75,90,100`.',
+        milestonesSet: '✅ Milestones for **{name}**: {milestones}',
+        everyMints: 'every {count} mints',
+        milestonesOff: 'Off',
+        purpose: 'mint notifications',
+        tokenNotFound: '❌ Couldn\'t find token **{tokenId}** on Hedera. Please check the token ID.',
+        notNft: '❌ **{tokenId}** is not an NFT collection.',
+        setUp: '✅ Tracking launchpad mints for **{name}** ({tokenId}) in {channel}.',
+        failed: '❌ Failed to save mint tracking. Please try again.',
+        error: '❌ Error updating mint tracking. Please try again.'
+    },
+
+    theme: {
+        layoutSet: 'Layout set to **{layout}**.',
+        titleSet: {
+            sale: 'Sale title set to `{template}`.',
+            listing: 'Listing title set to `{template}`.'
+        },
+        titleReset: {
+            sale: 'Sale title reset to the default.',
+            listing: 'Listing title reset to the default.'
+        },
+        reactionOff: {
+            sale: 'Sale notifications will no longer get a reaction.',
+            listing: 'Listing notifications will no longer get a reaction.'
+        },
+        reactionSet: {
+            sale: 'Sale reaction set to {reaction}.',
+            listing: 'Listing reaction set to {reaction}.'
+        },
+        reactionReset: {
+            sale: 'Sale reaction reset to the default.',
+            listing: 'Listing reaction reset to the default.'
+        },
+        invalidColor: '❌ Invalid color. Use a hex color like `#FF8800`, or `reset`.',
+        allMarketplaces: 'all marketplaces',
+        colorSet: 'Color for {target} set to **{color}**.',
+        colorReset: 'Color for {target} reset to the default.',
+        fieldsEmpty: '❌ Choose at least one field to show or hide: rarity, holders, floor or usd.',
+        fieldDefault: '{field} follows the layout',
+        fieldOn: '{field} on',
+        fieldOff: '{field} off',
+        fieldsUpdated: 'Fields updated: {fields}.',
+        footerSet: 'Footer updated.',
+        footerReset: 'Footer reset to the default.',
+        reset: 'Theme reset to the defaults.',
+        saveError: '❌ Error saving theme. Please try again.',
+        preview: {
+            sale: '👇 **Preview** (sale on {marketplace}, sample data)',
+            listing: '👇 **Preview** (listing on {marketplace}, sample data)'
+        },
+        summary: {
+            layout: '🎨 **Layout:** {layout}',
+            titles: '📝 **Titles:** sales `{sale}` • listings `{listing}`',
+            colors: '🌈 **Colors:** {colors}',
+            fields: '🧩 **Fields:** {fields}',
+            reactions: '😀 **Reactions:** sales {sale} • listings {listing}',
+            footer: '🏷️ **Footer:** {footer}',
+            all: 'All',
+            default: 'Default',
+            none: 'none'
+        },
+        invalid: {
+            titleLength: 'Titles must be between 1 and 200 characters.',
+            placeholders: { one: 'Unknown placeholder {unknown}. Available: {available}', other: 'Unknown placeholders {unknown}. Available: {available}' },
+            reaction: 'Reactions must be a single emoji (or a custom emoji from this server), "none" or "reset".'
+        },
+        previewError: '❌ Error building theme preview. Please try again.',
+        error: '❌ Error updating theme. Please try again.'
+    },
+
+    announce: {
+        permissions: '❌ I need "Send Messages" and "Embed Links" permissions in {channel}.',
+        customMissing: '❌ Please provide a custom message when using the custom announcement type.',
+        broadcasting: '🔄 Broadcasting announcement to all servers...',
+        broadcastDone: '📢 Broadcast complete! Sent to {sent}/{total} servers.',
+        sent: '✅ Announcement sent successfully to {channel}!',
+        failed: '❌ Failed to send announcement. Please check bot permissions and try again.',
+        customTitle: '📢 Bot Announcement',
+        customFooter: 'NFT Sales Bot by Migos World Labs',
+        htsUpdate: {
+            title: '🪙 HTS Token Payment Update - August 2025',
+            description: '**Major Enhancement: Complete HTS Token Support**',
+            fixedTitle: '✅ Fixed Critical Bug',
+            fixed: 'NFT sales paid with HTS tokens (PAWS, SAUCE, KARATE) are now properly detected and posted',
+            monitoringTitle: '✅ Enhanced Monitoring',
+            monitoring: 'All NFT transactions tracked regardless of payment method - both HBAR and HTS tokens fully supported',
+            testTitle: '✅ New Test Command',
+            test: '`/test type:Recent HTS Payment Listing` added for manual HTS listing verification',
+            coverageTitle: '✅ Complete Coverage',
+            coverage: 'Both sales and listings with HTS tokens automatically monitored and posted with proper token indicators (🐾 for PAWS, etc.)',
+            meaningTitle: '🎯 What This Means',
+            meaning: 'Wild Tigers sold for 55,000 PAWS tokens are now properly detected and posted. No more missed HTS token transactions across any tracked collections.',
+            statusTitle: '🚀 Status',
+            status: 'Bot updated and HTS token monitoring active immediately across all servers.',
+            footer: 'Enhanced for the Hedera NFT community by Migos World Labs'
+        }
+    }
+};
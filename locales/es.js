@@ -0,0 +1,884 @@
+/**
+ * Spanish message catalog
+ * Mirrors locales/en.js; anything missing here falls back to English.
+ * `commands` holds the slash command descriptions and choice names registered with Discord.
+ */
+
+module.exports = {
+    common: {
+        unknown: 'Desconocido',
+        unknownCollection: 'Colección desconocida',
+        unknownNft: 'NFT desconocido',
+        nftCollection: 'Colección NFT',
+        mainChannel: 'el canal principal de ventas'
+    },
+
+    rarityTiers: {
+        legendary: 'Legendario',
+        epic: 'Épico',
+        rare: 'Raro',
+        uncommon: 'Poco común',
+        common: 'Común'
+    },
+
+    collectorTiers: {
+        whale: 'Ballena',
+        dolphin: 'Delfín',
+        fish: 'Pez',
+        shrimp: 'Camarón',
+        plankton: 'Plancton',
+        holder: 'Holder'
+    },
+
+    embeds: {
+        collectionTitle: 'Colección {collection}',
+        floor: 'Piso: {price} HBAR',
+        vsFloor: '{change}% vs. piso',
+        collectionLine: '📦 **Colección:** {collection}',
+        marketplaceLine: '🏪 **Marketplace:** {marketplace}',
+        serialLine: '🔢 **NFT n.º:** {serial}',
+        rankLine: '🏆 **Rango:** #{rank} en la colección',
+        rarityLine: '✨ **Rareza:** {tier} ({percent} %)',
+        rarityTitle: '🌟 Rareza',
+        raritySource: 'ℹ️ *Datos de rareza de {source}*',
+        collectorLabel: 'Coleccionista {tier}',
+        owns: { one: '(tiene {count} NFT)', other: '(tiene {count} NFT)' },
+        accountLine: '*Cuenta:* {account}',
+        collectionIdLine: '🆔 **ID de colección:** `{tokenId}`',
+        technicalTitle: '🔧 Detalles técnicos',
+        tokenIdFooter: 'ID del token: {tokenId}'
+    },
+
+    sale: {
+        actionSold: 'se acaba de vender',
+        actionOrderFilled: 'orden completada',
+        description: 'Nueva venta en {marketplace} por **{price}**{fiat}',
+        descriptionOrderFill: 'Nueva orden completada en {marketplace} por **{price}**{fiat}',
+        priceLine: '💰 **Precio de venta:** {price}',
+        detailsTitle: '📊 Detalles de la venta',
+        buyer: '🛒 Comprador',
+        newBuyer: '🛒 Nuevo comprador',
+        seller: '🏪 Vendedor',
+        boughtBy: '**Comprado por:** {label}',
+        soldBy: '**Vendido por:** {label}',
+        tradersTitle: '👥 Partes',
+        transactionLine: '🔗 **Transacción:** [Ver en HashScan]({url})'
+    },
+
+    listing: {
+        actionListed: 'a la venta',
+        actionAuction: 'subasta iniciada',
+        description: 'Nuevo listado en {marketplace} por **{price}**{fiat}',
+        descriptionAuction: 'Nueva subasta en {marketplace} por **{price}**{fiat}',
+        priceLine: '💰 **Precio pedido:** {price}',
+        detailsTitle: '📊 Detalles del listado',
+        sellerTitle: '👤 Vendedor',
+        listedBy: '**Listado por:** {label}',
+        holdingsLine: { one: '*Tenencia:* {count} NFT de esta colección', other: '*Tenencia:* {count} NFT de esta colección' },
+        viewListingLine: '🔗 **Ver listado:** [Abrir en SentX]({url})'
+    },
+
+    snipe: {
+        titlePrefix: 'OPORTUNIDAD',
+        reasonsTitle: '🎯 Por qué es una oportunidad',
+        underFloor: '💥 **{percent} % bajo el piso** ({floor} HBAR)',
+        rareUnder: '💎 **Rango #{rank}**: top {percentile} % de la colección, listado {percent} % bajo el piso',
+        rareOver: '💎 **Rango #{rank}**: top {percentile} % de la colección, listado {percent} % sobre el piso'
+    },
+
+    stats: {
+        title: '📊 Estadísticas de {collection}',
+        period: '**Periodo:** {period}',
+        periods: {
+            '24h': 'Últimas 24 horas',
+            '7d': 'Últimos 7 días',
+            '30d': 'Últimos 30 días',
+            all: 'Todo el historial'
+        },
+        footer: 'ID del token: {tokenId} • Datos de SentX',
+        noSalesTitle: '📭 Sin ventas',
+        noSales: 'No se encontraron ventas completadas en este periodo.',
+        sales: '🔢 Ventas',
+        volume: '💎 Volumen',
+        averagePrice: '📊 Precio medio',
+        traders: '👥 Traders',
+        tradersValue: '{buyers} compradores • {sellers} vendedores',
+        activity: '⚡ Actividad',
+        activityValue: '{velocity} ventas/día\n🐋 Ballenas: {whales} % de las compras',
+        volatility: '🌊 Volatilidad',
+        priceDistribution: '💰 Distribución de precios',
+        marketHealth: '🩺 Salud del mercado',
+        trend: 'Tendencia: **{trend}** ({momentum} %)',
+        trends: { up: 'Al alza', down: 'A la baja', stable: 'Estable' },
+        liquidity: '💧 Liquidez: **{percent} %**',
+        diversity: '🌐 Diversidad: **{percent} %**',
+        quickBuy: '💡 Compra rápida',
+        quickBuyFloor: 'Piso **{floor}** vs. media **{avg}**',
+        quickBuyNoFloor: 'Media **{avg}** (sin piso listado)',
+        quickBuyScore: 'Puntuación: **{score}/100**',
+        notTracked: '❌ La colección **{tokenId}** no se sigue en este servidor. Usa `/add` primero.',
+        loadFailed: '❌ No se pudieron cargar las estadísticas de SentX. Inténtalo más tarde.',
+        error: '❌ Error al cargar las estadísticas de la colección. Inténtalo de nuevo.'
+    },
+
+    market: {
+        title: '🌐 Resumen completo del mercado',
+        description: '*Panorama en tiempo real de todo el mercado NFT*\n**Estado del mercado:** {status}',
+        trends: { bullish: 'Alcista', bearish: 'Bajista', neutral: 'Neutral', insufficient_data: 'Datos insuficientes' },
+        volume: '💰 Volumen total negociado',
+        volumeValue: '**{volume} HBAR**\n*{fiat}*\n📊 Actividad de todos los marketplaces',
+        sales: '🔢 Ventas completadas',
+        salesValue: { one: '**{sales}** transacción\n*Operaciones exitosas*\n🎯 Día de actividad', other: '**{sales}** transacciones\n*Operaciones exitosas*\n🎯 Día de actividad' },
+        averagePrice: '📊 Precio medio de venta',
+        averagePriceValue: '**{price} HBAR**\n*{fiat}*\n💹 Media del mercado',
+        listings: '📝 Nuevos listados',
+        listingsValue: { one: '**{listings}** nuevo listado\n*Inventario nuevo*\n🆕 Disponible para comprar', other: '**{listings}** nuevos listados\n*Inventario nuevo*\n🆕 Disponibles para comprar' },
+        sentiment: '📈 Sentimiento del mercado',
+        sentiments: {
+            bullish: 'Precios al alza',
+            bearish: 'Precios a la baja',
+            neutral: 'Precios estables',
+            insufficient_data: 'Datos insuficientes'
+        },
+        activity: '🚀 Actividad del mercado',
+        activityLevels: {
+            veryActive: '🔥 **Muy activo**',
+            active: '📈 **Activo**',
+            moderate: '💫 **Moderado**',
+            quiet: '💤 **Tranquilo**'
+        },
+        activityNote: 'Según el volumen de ventas',
+        topCollections: '🏆 Colecciones destacadas',
+        topCollectionLine: { one: '💰 {volume} HBAR • 🔢 {count} venta', other: '💰 {volume} HBAR • 🔢 {count} ventas' },
+        noActivity: '📊 **Sin actividad reciente**\n*Vuelve más tarde para ver las colecciones en tendencia*',
+        footer: '🌐 Datos de SentX • Se actualiza cada 5 minutos',
+        loadFailed: '❌ No se pudo cargar el resumen del mercado de SentX. Inténtalo más tarde.',
+        error: '❌ Error al cargar el resumen del mercado. Inténtalo de nuevo.'
+    },
+
+    mint: {
+        free: 'Gratis',
+        title: '🌱 ¡{nft} acuñado!',
+        description: 'Acuñado en el launchpad de SentX por **{cost}**',
+        author: 'Acuñación de {collection}',
+        minter: '👤 Acuñador',
+        serial: '🔢 Serial',
+        rarityRank: '🌟 Rango de rareza'
+    },
+
+    milestone: {
+        soldOut: '¡{collection} se ha AGOTADO!',
+        percent: '¡{collection} lleva el {percent} % acuñado!',
+        count: '¡{collection} alcanzó {count} acuñaciones!',
+        noMaxSupply: '**{minted}** acuñados (sin suministro máximo)',
+        velocity: '⚡ Ritmo de acuñación',
+        velocityValue: '{velocity} acuñaciones/hora',
+        velocityUnknown: 'No hay suficientes acuñaciones recientes',
+        remaining: '📦 Restantes',
+        sellOut: '⏳ Agotado estimado',
+        sellOutUnknown: 'Desconocido al ritmo actual'
+    },
+
+    floorAlert: {
+        titleUp: 'El piso de {collection} sube {change}',
+        titleDown: 'El piso de {collection} baja {change}',
+        description: 'El piso se movió **{change}** en las últimas **{window}**',
+        previous: '⏮️ Piso anterior',
+        current: '💎 Piso actual',
+        source: '🏪 Fuente',
+        empty: 'No hay alertas de piso en este servidor. Usa `/floor-alert set` para añadir una.',
+        listTitle: '📊 Alertas de piso (este servidor)',
+        threshold: '📏 Umbral: **±{threshold} %** en **{hours} h**',
+        channel: '📍 Canal: {channel}',
+        currentFloor: '💎 Piso actual: **{price} HBAR**',
+        listFooter: { one: 'Total: {count} alerta', other: 'Total: {count} alertas' },
+        removed: '✅ Alertas de piso de **{tokenId}** eliminadas.',
+        notFound: '❌ No hay ninguna alerta de piso para **{tokenId}**.',
+        purpose: 'las alertas de piso',
+        set: '✅ Alerta de piso configurada para **{tokenId}**: avisaré cuando el piso se mueva más de **±{threshold} %** en **{hours} h** en {channel}.',
+        failed: '❌ No se pudo guardar la alerta de piso. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar las alertas de piso. Inténtalo de nuevo.'
+    },
+
+    history: {
+        titleSales: '🧾 Historial de ventas: {collection}',
+        titleListings: '📋 Historial de listados: {collection}',
+        rank: 'Rango {rank}',
+        by: 'por {account}',
+        emptySales: 'Todavía no hay ventas registradas con estos filtros.',
+        emptyListings: 'Todavía no hay listados registrados con estos filtros.',
+        footer: 'Página {page}/{pages} • {total} en total • ID del token: {tokenId}',
+        filters: '🔎 Filtros',
+        serialFilter: 'Serie: **#{serial}**',
+        buyerFilter: 'Comprador: **{account}**',
+        sellerFilter: 'Vendedor: **{account}**',
+        listingsNoBuyer: '❌ Los listados no tienen comprador: usa `seller` para filtrar listados.',
+        previous: '◀ Anterior',
+        next: 'Siguiente ▶',
+        error: '❌ Error al cargar el historial. Inténtalo de nuevo.'
+    },
+
+    digest: {
+        titleDaily: '📰 Resumen diario',
+        titleWeekly: '📰 Resumen semanal',
+        description: 'Actividad de tus colecciones seguidas del {from} al {to}',
+        volume: '💎 Volumen',
+        sales: '🔢 Ventas',
+        paidInTokens: '({count} pagadas con tokens)',
+        listings: '📝 Nuevos listados',
+        topSale: '🏆 Venta principal',
+        topSaleValue: '**{nft}** por **{price} HBAR** en {marketplace}',
+        mostActive: '👥 Más activos',
+        activeBuyer: { one: '🛒 Comprador: `{account}` ({count} compra)', other: '🛒 Comprador: `{account}` ({count} compras)' },
+        activeSeller: { one: '💼 Vendedor: `{account}` ({count} venta)', other: '💼 Vendedor: `{account}` ({count} ventas)' },
+        floorMovement: '📊 Movimiento del piso',
+        belowFloor: '🎯 Listados bajo el piso',
+        belowFloorValue: '{price} HBAR ({percent} % bajo {floor})',
+        quietTitle: '💤 Periodo tranquilo',
+        quiet: 'No hubo ventas ni listados en tus colecciones seguidas en este periodo.',
+        notEnabled: '❌ Los resúmenes no están activados en este servidor.',
+        disabled: '✅ Resúmenes programados desactivados. Tu horario se conserva si vuelves a activarlos.',
+        purpose: 'los resúmenes',
+        unknownTimezone: '❌ Zona horaria desconocida: **{timezone}**. Usa un nombre como `UTC`, `Europe/Madrid` o `America/Mexico_City`.',
+        scheduleDaily: 'cada día a las **{time}**',
+        scheduleWeekly: 'cada **{day}** a las **{time}**',
+        enabled: '✅ Los resúmenes se publicarán {when} en {channel}.',
+        saved: '✅ Horario de resúmenes guardado ({when}). Usa `/digest enable` para activar los resúmenes.',
+        failed: '❌ No se pudo guardar la configuración de resúmenes. Inténtalo de nuevo.',
+        previewError: '❌ Error al generar el resumen. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar la configuración de resúmenes. Inténtalo de nuevo.'
+    },
+
+    userAlerts: {
+        matched: {
+            sale: '🔔 Tu alerta de **{collection}** coincidió con una nueva venta',
+            listing: '🔔 Tu alerta de **{collection}** coincidió con un nuevo listado'
+        }
+    },
+
+    wallet: {
+        author: '👀 Billetera vigilada: {wallet}',
+        actions: {
+            bought: '{wallet} compró {nft}',
+            sold: '{wallet} vendió {nft}',
+            listed: '{wallet} listó {nft}'
+        },
+        description: '**{price}**{fiat} en {marketplace}',
+        collection: '🗂️ Colección',
+        from: '💼 De',
+        to: '🛒 Para',
+        rank: '🌟 Rango',
+        footer: 'Billeteras vigiladas'
+    },
+
+    errors: {
+        command: 'Se produjo un error al procesar el comando.',
+        unknownCommand: 'Comando desconocido',
+        notConfigured: 'Asegúrate de que el bot esté configurado correctamente en este servidor.',
+        textChannel: '❌ Selecciona un canal de texto para {purpose}.',
+        channelPermissions: '❌ Necesito los permisos "Enviar mensajes" e "Insertar enlaces" en ese canal.',
+        invalidTokenId: '❌ Formato de ID de token no válido. Usa el formato: 0.0.123456',
+        invalidAccountId: '❌ Formato de ID de cuenta no válido. Usa el formato: 0.0.123456'
+    },
+
+    about: {
+        commandsTitle: '📚 Comandos disponibles',
+        commands: '• `/add` - Añadir una colección NFT para seguir\n• `/remove` - Dejar de seguir una colección\n• `/remove-all` - Quitar TODAS las colecciones (con confirmación)\n• `/list` - Ver todas las colecciones seguidas\n• `/status` - Ver el estado y las estadísticas del bot\n• `/set-listings-channel` - Canal aparte para listados\n• `/set-mint-channel` - Canal aparte para Forever Mint\n• `/language` - Elegir el idioma del bot en este servidor\n• `/test` - Probar el funcionamiento del bot\n• `/support` - Ayuda y soporte',
+        marketplacesTitle: '🏪 Marketplaces compatibles',
+        marketplaces: '• **SentX** - Ventas y listados completos\n• **Kabila** - Ventas y listados completos\n• Rareza combinada entre marketplaces\n• Conversión de precios en tiempo real (de HBAR a la moneda del servidor)',
+        featuresTitle: '✨ Funciones principales',
+        features: '• Avisos de ventas y listados en tiempo real\n• Canales separados para ventas y listados\n• Imágenes NFT con soporte para Hashinals\n• Niveles de coleccionista de compradores y vendedores\n• Seguimiento por colección\n• Datos combinados entre marketplaces',
+        footer: 'Hecho para la comunidad NFT de Hedera por Migos World Labs'
+    },
+
+    welcome: {
+        title: '🤖 ¡NFT Sales Bot añadido!',
+        description: '¡Gracias por añadir NFT Sales Bot a **{server}**!',
+        whatTitle: '📈 Qué hago',
+        what: 'Sigo en tiempo real las ventas de NFT de los marketplaces SentX y Kabila en Hedera y publico avisos detallados aquí.',
+        setupTitle: '⚙️ Configuración rápida',
+        setup: '1. Usa `/add` para añadir colecciones NFT\n2. Usa `/list` para ver tus colecciones seguidas\n3. Opcional: usa `/set-listings-channel` para separar los listados\n4. Usa `/language` para cambiar el idioma del bot\n5. ¡Usa `/test` para comprobar que todo funciona!',
+        helpTitle: '🛟 ¿Necesitas ayuda?',
+        help: '[Únete a nuestro servidor de soporte en Discord](https://discord.gg/fkKEgckbYH)\n\n¡Contacta con **Mauii** o **Wise Whale** para ayuda con la configuración y dudas!',
+        footer: '¡Listo para seguir tus colecciones NFT favoritas!'
+    },
+
+    support: {
+        title: '🛟 Soporte y ayuda',
+        description: '¿Necesitas ayuda con NFT Sales Bot? ¡Únete a nuestro servidor de soporte!',
+        joinTitle: '🎮 Únete al Discord de Migos World Labs',
+        join: '[Haz clic aquí para unirte a nuestro servidor de soporte](https://discord.gg/fkKEgckbYH)\n\nContacta con **Mauii** o **Wise Whale** para ayuda con la configuración\n\nTe ayudamos con:\n• Instalación y configuración del bot\n• Añadir colecciones NFT\n• Resolver problemas\n• Sugerencias y comentarios',
+        helpTitle: '🔧 ¿Necesitas ayuda?',
+        help: 'Contacta con **Mauii** o **Wise Whale** en el Discord de Migos World Labs para:\n• Configurar el bot en tu servidor\n• Configurar colecciones y canales\n• Resolver dudas sobre las funciones\n• Solucionar problemas técnicos',
+        error: '❌ Error al mostrar la información de soporte. Únete directamente a nuestro servidor: https://discord.gg/fkKEgckbYH'
+    },
+
+    add: {
+        invalidTokenId: '❌ Formato de ID de token no válido. Usa el formato: 0.0.123456',
+        added: '✅ ¡**{name}** ({tokenId}) añadida a la lista de seguimiento de este servidor!',
+        alreadyTracked: '❌ Esta colección ya se sigue en este servidor.',
+        error: '❌ Error al añadir la colección. Inténtalo de nuevo.'
+    },
+
+    remove: {
+        removed: '✅ Colección **{tokenId}** quitada de la lista de seguimiento de este servidor.',
+        notFound: '❌ La colección **{tokenId}** no está en la lista de seguimiento de este servidor.',
+        error: '❌ Error al quitar la colección. Inténtalo de nuevo.'
+    },
+
+    removeAll: {
+        none: '❌ No se sigue ninguna colección en este servidor.',
+        confirmTitle: '⚠️ Quitar todas las colecciones - Se requiere confirmación',
+        confirmDescription: '¿Seguro que quieres quitar TODAS las colecciones seguidas de este servidor?\n\n**Colecciones seguidas:**\n{collections}\n\n**Esta acción no se puede deshacer.**',
+        confirmFooter: 'Usa los botones de abajo para confirmar o cancelar',
+        confirmButton: 'Sí, quitar todas',
+        cancelButton: 'Cancelar',
+        doneTitle: '✅ Todas las colecciones quitadas',
+        done: { one: 'Se quitó **{count}** colección del seguimiento en este servidor.', other: 'Se quitaron **{count}** colecciones del seguimiento en este servidor.' },
+        cancelledTitle: '❌ Acción cancelada',
+        cancelled: 'Se canceló la operación. Todas las colecciones se siguen igual.',
+        timeoutTitle: '⏰ Tiempo de confirmación agotado',
+        timeout: 'La confirmación caducó tras 60 segundos. No se hizo ningún cambio.\n\nVuelve a usar el comando y pulsa un botón en menos de 60 segundos.',
+        error: '❌ Error al procesar el comando. Inténtalo de nuevo.'
+    },
+
+    list: {
+        empty: 'No se sigue ninguna colección en este servidor. Usa `/add` para añadir una.',
+        title: '📋 Colecciones NFT seguidas (este servidor)',
+        footer: { one: 'Total: {count} colección', other: 'Total: {count} colecciones' },
+        enabled: '✅ Activada',
+        disabled: '❌ Desactivada',
+        entry: 'ID del token: `{tokenId}`\nEstado: {status}',
+        error: '❌ Error al cargar las colecciones. Inténtalo de nuevo.'
+    },
+
+    status: {
+        title: '🤖 Estado del bot',
+        monitoringTitle: '📊 Estado de la monitorización',
+        active: '✅ Activa',
+        inactive: '❌ Inactiva',
+        hbarRateTitle: '🏦 Cotización de HBAR',
+        serversTitle: '🌐 Servidores conectados',
+        servers: { one: '{count} servidor', other: '{count} servidores' },
+        marketplacesTitle: '🏪 Marketplaces compatibles',
+        onChain: 'On-chain (Mirror Node)',
+        error: '❌ Error al cargar el estado. Inténtalo de nuevo.'
+    },
+
+    // Sugerencias al escribir una opción de colección
+    autocomplete: {
+        noMintTracking: 'No hay seguimiento de minteos - Usa primero /mint-tracking setup',
+        noCollections: 'No se sigue ninguna colección - Usa primero /add para seguir colecciones',
+        noMatches: 'No se encontraron colecciones válidas - Revisa /list para ver las colecciones seguidas',
+        allCollections: 'Todas las colecciones (predeterminado del servidor)',
+        unknownOption: 'Opción desconocida'
+    },
+
+    setListings: {
+        purpose: 'los avisos de listados',
+        done: '✅ ¡Canal de listados configurado: {channel}!\n\n📝 Los **nuevos listados** se publicarán en {channel}\n🔥 Los **avisos de ventas** seguirán en tu canal principal\n\nUsa el mismo comando para cambiar el canal de listados.',
+        failed: '❌ No se pudo configurar el canal de listados. {hint}',
+        error: '❌ Se produjo un error al configurar el canal de listados. Inténtalo de nuevo.'
+    },
+
+    setSnipes: {
+        purpose: 'las alertas de oportunidades',
+        off: '✅ Alertas de oportunidades desactivadas. Los listados solo se publicarán en el canal habitual.',
+        offFailed: '❌ No se pudieron actualizar las alertas de oportunidades. {hint}',
+        done: '✅ ¡Canal de oportunidades configurado: {channel}!\n\n🎯 Los listados **{discount} %+ bajo el piso** se destacarán en {channel}\n💎 También cuentan los NFT del **top {rare} %** de rareza listados cerca del piso\n📝 Todos los listados se siguen publicando en tu canal de listados\n\nUsa el comando sin canal para desactivar las alertas de oportunidades.',
+        failed: '❌ No se pudo configurar el canal de oportunidades. {hint}',
+        error: '❌ Se produjo un error al configurar el canal de oportunidades. Inténtalo de nuevo.'
+    },
+
+    setMint: {
+        purpose: 'los avisos de Forever Mint',
+        done: '✅ ¡Canal de Forever Mint configurado: {channel}!\n\n🌟 Los **avisos de Forever Mint de Wild Tigers** se publicarán en {channel}\n🔥 Las **ventas y otros avisos** seguirán en tus canales principales\n\nUsa el mismo comando para cambiar el canal, o elige tu canal principal de ventas para desactivarlo.',
+        failed: '❌ No se pudo configurar el canal de acuñaciones. {hint}',
+        error: '❌ Se produjo un error al configurar el canal de acuñaciones. Inténtalo de nuevo.'
+    },
+
+    setCurrency: {
+        failed: '❌ No se pudo configurar la moneda. {hint}',
+        done: '✅ Los precios de este servidor se convertirán a **{currency}** ({name}).\n\n💱 1 HBAR ≈ {rate}',
+        fallback: '⚠️ Ahora mismo no hay tipo de cambio para {currency}, así que los precios se mostrarán en USD hasta que lo haya.',
+        error: '❌ Se produjo un error al configurar la moneda. Inténtalo de nuevo.'
+    },
+
+    language: {
+        done: '✅ Este servidor ahora usa **{language}** para avisos y respuestas.',
+        reset: '✅ Idioma restablecido. Este servidor seguirá el idioma de Discord (**{language}**).',
+        failed: '❌ No se pudo configurar el idioma. {hint}',
+        error: '❌ Se produjo un error al configurar el idioma. Inténtalo de nuevo.'
+    },
+
+    setCatchUp: {
+        done: {
+            post: '✅ Tras un reinicio se publicarán las ventas y los listados perdidos mientras el bot estaba desconectado (hasta {hours} horas atrás), marcados como retrasados.',
+            summary: '✅ Tras un reinicio se publicará un resumen de las ventas y los listados perdidos mientras el bot estaba desconectado (hasta {hours} horas atrás).',
+            off: '✅ No se publicará la actividad perdida mientras el bot estaba desconectado.'
+        },
+        failed: '❌ No se pudo configurar el modo de recuperación. {hint}',
+        error: '❌ Se produjo un error al configurar el modo de recuperación. Inténtalo de nuevo.'
+    },
+
+    catchUp: {
+        delayed: '⏪ Con retraso: esto ocurrió {time} mientras el bot estaba desconectado',
+        summaryTitle: '⏪ Mientras estaba desconectado',
+        period: 'Actividad de tus colecciones seguidas del {from} al {to}',
+        volume: '💎 Volumen',
+        sales: '🔢 Ventas',
+        listings: '📝 Nuevos listados',
+        topSales: '🏆 Mejores ventas',
+        topSaleValue: '**{nft}** por **{price} HBAR** en {marketplace}',
+        incomplete: 'El historial de {marketplaces} no cubre todo el periodo, así que puede faltar actividad'
+    },
+
+    permissions: {
+        denied: {
+            manager: '🔒 Solo los administradores del servidor y quienes tengan el rol de gestor del bot pueden usar este comando.',
+            admin: '🔒 Solo quienes tengan el permiso Administrador o Gestionar servidor pueden usar este comando.',
+            administrator: '❌ Necesitas permisos de Administrador para usar este comando.'
+        }
+    },
+
+    managerRole: {
+        done: '✅ Quienes tengan {role} ahora pueden gestionar el bot en este servidor.\n\nLos administradores del servidor conservan acceso total. Los intentos denegados aparecen en `/audit`.',
+        cleared: '✅ Rol de gestor del bot eliminado. Ahora solo los administradores del servidor pueden gestionar el bot.',
+        everyone: '❌ Elige un rol concreto: con @everyone cualquier miembro podría gestionar el bot.',
+        failed: '❌ No se pudo configurar el rol de gestor del bot. {hint}',
+        error: '❌ Se produjo un error al configurar el rol de gestor del bot. Inténtalo de nuevo.'
+    },
+
+    audit: {
+        title: '🔒 Registro de auditoría de gestión del bot',
+        empty: 'Todavía no hay nada registrado en este servidor.',
+        managerRole: 'Rol de gestor del bot: {role}',
+        noManagerRole: 'Sin rol de gestor del bot: solo los administradores del servidor pueden gestionarlo',
+        entry: '{time} {outcome} `/{command}` por <@{user}>',
+        outcomes: {
+            denied: '⛔ Denegado',
+            granted: '🔑 Rol asignado',
+            revoked: '🗑️ Rol eliminado'
+        },
+        error: '❌ Error al cargar el registro de auditoría. Inténtalo de nuevo.'
+    },
+
+    webhook: {
+        url: {
+            invalid: '❌ Esa URL no es válida.',
+            https: '❌ Los endpoints de webhook deben usar `https://`.',
+            private: '❌ Los endpoints de webhook deben ser accesibles desde internet (sin localhost ni direcciones de red privada).'
+        },
+        invalidCollection: '❌ ID de token de colección no válido. Usa el formato: 0.0.123456',
+        limit: '❌ Este servidor ya tiene {max} endpoints de webhook. Quita uno con `/webhook remove` primero.',
+        added: '✅ Webhook **#{id}** añadido: {url}\nEventos: {events} - {scope}\n\n🔑 **Secreto de firma** (solo se muestra una vez, guárdalo ahora):\n```{secret}```\nCada petición lleva la cabecera `X-Webhook-Signature: sha256=...`: el HMAC-SHA256 de `X-Webhook-Timestamp`, un punto y el cuerpo sin modificar, con este secreto como clave. Pruébalo con `/webhook test id:{id}`.',
+        removed: '✅ Webhook #{id} eliminado ({url}).',
+        notFound: '❌ No hay ningún webhook #{id} en este servidor. Usa `/webhook list` para ver los IDs.',
+        empty: 'Todavía no hay endpoints de webhook en este servidor. Añade uno con `/webhook add`.',
+        listTitle: '🪝 Endpoints de webhook (este servidor)',
+        disabled: 'desactivado',
+        eventsLine: 'Eventos: {events}',
+        events: {
+            sale: 'Ventas',
+            listing: 'Listados',
+            mint: 'Minteos'
+        },
+        allCollections: 'todas las colecciones que sigue este servidor',
+        collectionOnly: 'solo `{tokenId}`',
+        lastDelivery: 'Última entrega {time}: {status}',
+        delivered: '✅ entregado',
+        neverDelivered: 'Todavía no se ha entregado nada',
+        failuresTitle: '🪦 Entregas de webhook fallidas',
+        failureEntry: '{time} #{id} {event} - {attempts} intentos, último error: `{error}`',
+        noFailures: 'No ha fallado ninguna entrega en los últimos 30 días.',
+        testDelivered: '✅ Evento de prueba entregado al webhook #{id} (HTTP {status}).',
+        testFailed: '❌ El evento de prueba al webhook #{id} falló: `{error}`. El endpoint debe responder con un estado 2xx en menos de {seconds} segundos.',
+        failed: '❌ No se pudo guardar el webhook. Inténtalo de nuevo.',
+        error: '❌ Error al gestionar los webhooks. Inténtalo de nuevo.'
+    },
+
+    filter: {
+        empty: 'No hay filtros en este servidor: se publican todas las ventas y listados seguidos. Usa `/filter set` para añadir uno.',
+        listTitle: '🔎 Filtros de avisos (este servidor)',
+        allCollections: 'Todas las colecciones (predeterminado)',
+        listFooter: 'Los filtros de una colección sustituyen al predeterminado del servidor',
+        invalidCollection: '❌ Colección no válida. Usa el ID de un token seguido (p. ej. 0.0.123456) o "all".',
+        everyCollection: 'todas las colecciones',
+        removed: '✅ Reglas de filtro eliminadas para **{target}**.',
+        notFound: '❌ No hay reglas de filtro para **{target}**.',
+        updated: '✅ Filtro actualizado para **{target}**:\n{rules}',
+        failed: '❌ No se pudo guardar el filtro. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar los filtros. Inténtalo de nuevo.',
+        rules: {
+            minPrice: '💰 Precio mínimo: **{price} HBAR**',
+            maxPrice: '💰 Precio máximo: **{price} HBAR**',
+            rank: '🌟 Rango: **top {rank}**',
+            marketplaces: '🏪 Marketplaces: **{marketplaces}**',
+            payment: '🪙 Pago: **{tokens}**',
+            events: '📣 Eventos: **{events}**',
+            none: 'Sin restricciones'
+        },
+        invalid: {
+            numbers: 'Los precios y rangos deben ser números.',
+            marketplaces: 'Marketplace(s) desconocido(s): {unknown}. Compatibles: {supported}',
+            events: 'Tipo(s) de evento desconocido(s): {unknown}. Usa: sales, listings, orders',
+            empty: 'Indica al menos una regla (min_price, max_price, max_rank, marketplaces, payment_tokens o events).',
+            priceRange: 'El precio mínimo no puede ser mayor que el máximo.'
+        }
+    },
+
+    alert: {
+        deleted: '✅ Alerta **#{id}** eliminada.',
+        notFound: '❌ No tienes ninguna alerta con el ID **#{id}**.',
+        empty: 'No tienes alertas personales. Usa `/alert me` para crear una.',
+        listTitle: '🔔 Tus alertas personales',
+        listFooter: '{count}/{max} alertas • Elimina una con /alert mine delete:<id>',
+        notTracked: '❌ La colección **{tokenId}** no se sigue en este servidor. Pide a un administrador que la añada con `/add`.',
+        limit: '❌ Ya tienes {count} alertas (el máximo). Elimina una con `/alert mine delete:<id>` primero.',
+        created: '✅ Alerta **#{id}** creada para **{tokenId}**. Te enviaré un MD cuando algo coincida:\n{rules}\n\nAsegúrate de tener abiertos los MD de miembros del servidor. Recibirás como máximo {max} MD de alertas por hora.',
+        failed: '❌ No se pudo guardar la alerta. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar tus alertas. Inténtalo de nuevo.'
+    },
+
+    watch: {
+        empty: 'No se vigila ninguna billetera en este servidor. Usa `/watch wallet add` para seguir una.',
+        listTitle: '👀 Billeteras vigiladas (este servidor)',
+        entry: '• **{label}** - `{account}` → {channel}',
+        unlabelled: 'Sin etiqueta',
+        listFooter: { one: 'Total: {count} billetera', other: 'Total: {count} billeteras' },
+        removed: '✅ Ya no se vigila **{account}**.',
+        notFound: '❌ **{account}** no se vigila en este servidor.',
+        purpose: 'los avisos de billeteras',
+        limit: '❌ Este servidor ya vigila {max} billeteras. Quita una con `/watch wallet remove` primero.',
+        added: '✅ Vigilando **{wallet}**. Sus compras, ventas y listados en cualquier colección se publicarán en {channel}.',
+        failed: '❌ No se pudo guardar la billetera vigilada. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar las billeteras vigiladas. Inténtalo de nuevo.'
+    },
+
+    mintTracking: {
+        empty: 'Ninguna colección tiene seguimiento de minteo en este servidor. Usa `/mint-tracking setup` para añadir una.',
+        listTitle: '🌱 Seguimiento de minteo (este servidor)',
+        channel: '📍 Canal: {channel}',
+        milestones: '🏁 Hitos: {milestones}',
+        active: '🟢 Activo',
+        paused: '⏸️ En pausa',
+        listFooter: { one: 'Total: {count} colección', other: 'Total: {count} colecciones' },
+        removed: '✅ Seguimiento de minteo de **{tokenId}** eliminado.',
+        notSetUp: '❌ El seguimiento de minteo no está configurado para **{tokenId}**.',
+        notSetUpHint: '❌ El seguimiento de minteo no está configurado para **{tokenId}**. Usa `/mint-tracking setup` primero.',
+        toggled: {
+            on: '✅ Avisos de minteo de **{name}** reanudados.',
+            off: '✅ Avisos de minteo de **{name}** en pausa.'
+        },
+        updateFailed: '❌ No se pudo actualizar el seguimiento de minteo. Inténtalo de nuevo.',
+        milestonesMissing: '❌ Indica `percents`, `every` o ambos.',
+        invalidPercents: '❌ Los porcentajes deben ser números entre 1 y 100, p. ej. `25,50,75,90,100`.',
+        milestonesSet: '✅ Hitos de **{name}**: {milestones}',
+        everyMints: 'cada {count} minteos',
+        milestonesOff: 'Desactivados',
+        purpose: 'los avisos de minteo',
+        tokenNotFound: '❌ No se encontró el token **{tokenId}** en Hedera. Comprueba el ID del token.',
+        notNft: '❌ **{tokenId}** no es una colección NFT.',
+        setUp: '✅ Siguiendo los minteos del launchpad de **{name}** ({tokenId}) en {channel}.',
+        failed: '❌ No se pudo guardar el seguimiento de minteo. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar el seguimiento de minteo. Inténtalo de nuevo.'
+    },
+
+    theme: {
+        layoutSet: 'Diseño cambiado a **{layout}**.',
+        titleSet: {
+            sale: 'Título de ventas cambiado a `{template}`.',
+            listing: 'Título de listados cambiado a `{template}`.'
+        },
+        titleReset: {
+            sale: 'Título de ventas restablecido al predeterminado.',
+            listing: 'Título de listados restablecido al predeterminado.'
+        },
+        reactionOff: {
+            sale: 'Los avisos de ventas ya no recibirán una reacción.',
+            listing: 'Los avisos de listados ya no recibirán una reacción.'
+        },
+        reactionSet: {
+            sale: 'Reacción de ventas cambiada a {reaction}.',
+            listing: 'Reacción de listados cambiada a {reaction}.'
+        },
+        reactionReset: {
+            sale: 'Reacción de ventas restablecida a la predeterminada.',
+            listing: 'Reacción de listados restablecida a la predeterminada.'
+        },
+        invalidColor: '❌ Color no válido. Usa un color hexadecimal como `#FF8800`, o `reset`.',
+        allMarketplaces: 'todos los marketplaces',
+        colorSet: 'Color de {target} cambiado a **{color}**.',
+        colorReset: 'Color de {target} restablecido al predeterminado.',
+        fieldsEmpty: '❌ Elige al menos un campo para mostrar u ocultar: rarity, holders, floor o usd.',
+        fieldDefault: '{field} según el diseño',
+        fieldOn: '{field} visible',
+        fieldOff: '{field} oculto',
+        fieldsUpdated: 'Campos actualizados: {fields}.',
+        footerSet: 'Pie actualizado.',
+        footerReset: 'Pie restablecido al predeterminado.',
+        reset: 'Tema restablecido a los valores predeterminados.',
+        saveError: '❌ Error al guardar el tema. Inténtalo de nuevo.',
+        preview: {
+            sale: '👇 **Vista previa** (venta en {marketplace}, datos de ejemplo)',
+            listing: '👇 **Vista previa** (listado en {marketplace}, datos de ejemplo)'
+        },
+        summary: {
+            layout: '🎨 **Diseño:** {layout}',
+            titles: '📝 **Títulos:** ventas `{sale}` • listados `{listing}`',
+            colors: '🌈 **Colores:** {colors}',
+            fields: '🧩 **Campos:** {fields}',
+            reactions: '😀 **Reacciones:** ventas {sale} • listados {listing}',
+            footer: '🏷️ **Pie:** {footer}',
+            all: 'Todos',
+            default: 'Predeterminados',
+            none: 'ninguna'
+        },
+        invalid: {
+            titleLength: 'Los títulos deben tener entre 1 y 200 caracteres.',
+            placeholders: { one: 'Marcador desconocido: {unknown}. Disponibles: {available}', other: 'Marcadores desconocidos: {unknown}. Disponibles: {available}' },
+            reaction: 'Las reacciones deben ser un solo emoji (o un emoji personalizado de este servidor), "none" o "reset".'
+        },
+        previewError: '❌ Error al generar la vista previa del tema. Inténtalo de nuevo.',
+        error: '❌ Error al actualizar el tema. Inténtalo de nuevo.'
+    },
+
+    announce: {
+        permissions: '❌ Necesito los permisos "Enviar mensajes" e "Insertar enlaces" en {channel}.',
+        customMissing: '❌ Escribe un mensaje al usar el tipo de anuncio personalizado.',
+        broadcasting: '🔄 Enviando el anuncio a todos los servidores...',
+        broadcastDone: '📢 ¡Envío completado! Enviado a {sent}/{total} servidores.',
+        sent: '✅ ¡Anuncio enviado a {channel}!',
+        failed: '❌ No se pudo enviar el anuncio. Revisa los permisos del bot e inténtalo de nuevo.',
+        customTitle: '📢 Anuncio del bot',
+        customFooter: 'NFT Sales Bot de Migos World Labs',
+        htsUpdate: {
+            title: '🪙 Actualización de pagos con tokens HTS - agosto de 2025',
+            description: '**Gran mejora: soporte completo para tokens HTS**',
+            fixedTitle: '✅ Error crítico corregido',
+            fixed: 'Las ventas de NFT pagadas con tokens HTS (PAWS, SAUCE, KARATE) ahora se detectan y publican correctamente',
+            monitoringTitle: '✅ Seguimiento mejorado',
+            monitoring: 'Se siguen todas las transacciones de NFT sea cual sea el método de pago: HBAR y tokens HTS totalmente compatibles',
+            testTitle: '✅ Nuevo comando de prueba',
+            test: 'Se añadió `/test type:Recent HTS Payment Listing` para comprobar manualmente los listados con HTS',
+            coverageTitle: '✅ Cobertura completa',
+            coverage: 'Las ventas y los listados con tokens HTS se siguen y publican automáticamente con su indicador de token (🐾 para PAWS, etc.)',
+            meaningTitle: '🎯 Qué significa',
+            meaning: 'Los Wild Tigers vendidos por 55.000 tokens PAWS ahora se detectan y publican correctamente. Ya no se pierden transacciones con tokens HTS en ninguna colección seguida.',
+            statusTitle: '🚀 Estado',
+            status: 'Bot actualizado y seguimiento de tokens HTS activo de inmediato en todos los servidores.',
+            footer: 'Mejorado para la comunidad NFT de Hedera por Migos World Labs'
+        }
+    },
+
+    // Slash command descriptions and choice names ('command.option#choice'), max 100 characters
+    commands: {
+        'add': 'Añadir una colección NFT para seguir',
+        'add.token_id': 'ID de token de la colección (p. ej., 0.0.878200)',
+        'add.name': 'Nombre de la colección',
+        'remove': 'Dejar de seguir una colección NFT',
+        'remove.token_id': 'ID de token de la colección que quieres quitar',
+        'remove-all': 'Quitar TODAS las colecciones seguidas de este servidor (pide confirmación)',
+        'list': 'Ver todas las colecciones NFT seguidas',
+        'status': 'Ver el estado del bot y la información de monitoreo',
+        'set-listings-channel': 'Usar un canal aparte para los avisos de listados NFT',
+        'set-listings-channel.channel': 'Canal donde se enviarán los avisos de listados',
+        'set-mint-channel': 'Usar un canal aparte para los avisos de Forever Mint (Wild Tigers)',
+        'set-mint-channel.channel': 'Canal donde se enviarán los avisos de Forever Mint',
+        'set-snipes-channel': 'Publicar listados muy por debajo del piso (o raros y baratos) en un canal propio',
+        'set-snipes-channel.channel': 'Canal para alertas de oportunidades (vacío para desactivarlas)',
+        'set-snipes-channel.under_floor_percent': 'Cuánto por debajo del piso debe estar un listado (por defecto 20 %)',
+        'set-snipes-channel.rare_top_percent': 'Un rango dentro de este top % del suministro cuenta como raro (por defecto 10 %)',
+        'set-currency': 'Elegir la moneda a la que se convierten los precios en este servidor',
+        'set-currency.currency': 'Moneda para los valores en fiat',
+        'set-currency.currency#USD': 'USD - Dólar estadounidense',
+        'set-currency.currency#EUR': 'EUR - Euro',
+        'set-currency.currency#GBP': 'GBP - Libra esterlina',
+        'set-currency.currency#BRL': 'BRL - Real brasileño',
+        'set-currency.currency#MXN': 'MXN - Peso mexicano',
+        'set-currency.currency#ARS': 'ARS - Peso argentino',
+        'set-currency.currency#CLP': 'CLP - Peso chileno',
+        'set-currency.currency#CAD': 'CAD - Dólar canadiense',
+        'set-currency.currency#AUD': 'AUD - Dólar australiano',
+        'set-currency.currency#CHF': 'CHF - Franco suizo',
+        'set-currency.currency#JPY': 'JPY - Yen japonés',
+        'language': 'Elegir el idioma del bot en este servidor',
+        'language.language': 'Idioma de los avisos y las respuestas',
+        'language.language#auto': 'Idioma de Discord del servidor',
+        'set-catch-up': 'Elegir qué publica el bot sobre la actividad perdida mientras estaba desconectado',
+        'set-catch-up.mode': 'Qué hacer con las ventas y los listados perdidos tras un reinicio',
+        'set-catch-up.mode#post': 'Publicarlos, marcados como retrasados',
+        'set-catch-up.mode#summary': 'Publicar un resumen',
+        'set-catch-up.mode#off': 'Nada',
+        'set-manager-role': 'Elegir el rol que puede gestionar el bot (solo administradores)',
+        'set-manager-role.role': 'Rol de gestor del bot (déjalo vacío para quitarlo)',
+        'audit': 'Ver los intentos denegados y los cambios de permisos del bot',
+        'webhook': 'Enviar eventos firmados de ventas, listados y minteos a tus propios endpoints HTTPS',
+        'webhook.add': 'Registrar un endpoint HTTPS (el secreto de firma se muestra una vez)',
+        'webhook.add.url': 'URL HTTPS que recibe las peticiones POST',
+        'webhook.add.events': 'Qué eventos enviar',
+        'webhook.add.events#all': 'Todos los eventos',
+        'webhook.add.events#sale': 'Ventas',
+        'webhook.add.events#listing': 'Listados',
+        'webhook.add.events#mint': 'Minteos',
+        'webhook.add.collection': 'Solo eventos de este ID de token (por defecto, todas las colecciones del servidor)',
+        'webhook.remove': 'Eliminar un endpoint de webhook',
+        'webhook.remove.id': 'ID del endpoint (aparece en /webhook list)',
+        'webhook.list': 'Ver los endpoints de webhook de este servidor',
+        'webhook.test': 'Enviar ahora un evento de prueba firmado a un endpoint',
+        'webhook.test.id': 'ID del endpoint (aparece en /webhook list)',
+        'webhook.failures': 'Ver las entregas que fallaron tras todos los reintentos',
+        'support': 'Obtener soporte y ayuda con el bot',
+        'alert': 'Alertas personales enviadas por mensaje directo',
+        'alert.me': 'Avisarme por MD cuando una venta o listado de una colección cumpla mis reglas',
+        'alert.me.collection': 'ID de token de una colección seguida en este servidor',
+        'alert.me.max_price': 'Solo avisar a este precio en HBAR o menos',
+        'alert.me.max_rank': 'Solo avisar de NFT con este rango de rareza o mejor',
+        'alert.me.events': 'Sobre qué avisar (por defecto: listados)',
+        'alert.me.events#listings': 'Listados',
+        'alert.me.events#sales': 'Ventas',
+        'alert.me.events#all': 'Listados y ventas',
+        'alert.mine': 'Ver tus alertas personales o borrar una',
+        'alert.mine.delete': 'ID de la alerta que quieres borrar (aparece en la lista)',
+        'watch': 'Seguir cuentas de Hedera concretas en todas las colecciones',
+        'watch.wallet': 'Gestionar billeteras vigiladas',
+        'watch.wallet.add': 'Recibir un aviso cuando una cuenta compre, venda o liste cualquier NFT',
+        'watch.wallet.add.account': 'ID de cuenta de Hedera (p. ej., 0.0.123456)',
+        'watch.wallet.add.label': 'Nombre que se mostrará en los avisos (p. ej., Tesorería)',
+        'watch.wallet.add.channel': 'Canal para esta billetera (por defecto, el canal principal de ventas)',
+        'watch.wallet.remove': 'Dejar de vigilar una cuenta',
+        'watch.wallet.remove.account': 'ID de cuenta de Hedera (p. ej., 0.0.123456)',
+        'watch.wallet.list': 'Ver las billeteras vigiladas en este servidor',
+        'digest': 'Resúmenes diarios o semanales de este servidor',
+        'digest.enable': 'Activar los resúmenes programados',
+        'digest.enable.channel': 'Canal para los resúmenes (por defecto, el canal principal de ventas)',
+        'digest.disable': 'Desactivar los resúmenes programados',
+        'digest.schedule': 'Elegir cada cuánto y cuándo se publican los resúmenes',
+        'digest.schedule.frequency': 'Diario o semanal',
+        'digest.schedule.frequency#daily': 'Diario',
+        'digest.schedule.frequency#weekly': 'Semanal',
+        'digest.schedule.hour': 'Hora local de publicación (0-23)',
+        'digest.schedule.timezone': 'Zona horaria, p. ej., America/Mexico_City (por defecto UTC)',
+        'digest.schedule.day': 'Día de la semana para los resúmenes semanales (por defecto lunes)',
+        'digest.schedule.day#0': 'Domingo',
+        'digest.schedule.day#1': 'Lunes',
+        'digest.schedule.day#2': 'Martes',
+        'digest.schedule.day#3': 'Miércoles',
+        'digest.schedule.day#4': 'Jueves',
+        'digest.schedule.day#5': 'Viernes',
+        'digest.schedule.day#6': 'Sábado',
+        'digest.preview': 'Ver ahora el resumen del periodo actual',
+        'digest.preview.frequency': 'Periodo que quieres ver (por defecto, la frecuencia configurada)',
+        'digest.preview.frequency#daily': 'Diario',
+        'digest.preview.frequency#weekly': 'Semanal',
+        'stats': 'Ver estadísticas de ventas de una colección seguida',
+        'stats.collection': 'ID de token de una colección seguida',
+        'stats.period': 'Periodo que quieres analizar (por defecto: 7d)',
+        'stats.period#24h': 'Últimas 24 horas',
+        'stats.period#7d': 'Últimos 7 días',
+        'stats.period#30d': 'Últimos 30 días',
+        'stats.period#all': 'Todo el historial',
+        'market': 'Ver un resumen de 24 h del mercado NFT de Hedera',
+        'history': 'Consultar ventas o listados publicados de una colección',
+        'history.collection': 'ID de token de la colección',
+        'history.type': 'Ventas o listados (por defecto: ventas)',
+        'history.type#sales': 'Ventas',
+        'history.type#listings': 'Listados',
+        'history.serial': 'Mostrar solo un número de serie de NFT',
+        'history.buyer': 'Mostrar solo compras de esta cuenta (p. ej., 0.0.123456)',
+        'history.seller': 'Mostrar solo ventas o listados de esta cuenta (p. ej., 0.0.123456)',
+        'floor-alert': 'Recibir alertas cuando se mueva el precio piso de una colección',
+        'floor-alert.set': 'Avisar cuando el piso cambie más de un porcentaje en un periodo',
+        'floor-alert.set.collection': 'ID de token de una colección seguida',
+        'floor-alert.set.threshold': 'Cambio porcentual que dispara la alerta (p. ej., 10)',
+        'floor-alert.set.window_hours': 'Periodo en el que se mide el cambio (por defecto 1 hora)',
+        'floor-alert.set.channel': 'Canal para las alertas de piso (por defecto, el canal principal de ventas)',
+        'floor-alert.remove': 'Desactivar las alertas de piso de una colección',
+        'floor-alert.remove.collection': 'ID de token de la colección',
+        'floor-alert.list': 'Ver las alertas de piso de este servidor',
+        'mint-tracking': 'Publicar acuñaciones del launchpad de cualquier colección',
+        'mint-tracking.setup': 'Empezar a publicar acuñaciones del launchpad de una colección en un canal',
+        'mint-tracking.setup.collection': 'ID de token de la colección (p. ej., 0.0.123456)',
+        'mint-tracking.setup.channel': 'Canal para los avisos de acuñación',
+        'mint-tracking.setup.name': 'Nombre que se mostrará en los avisos (por defecto, el nombre del token)',
+        'mint-tracking.remove': 'Dejar de seguir las acuñaciones de una colección',
+        'mint-tracking.remove.collection': 'ID de token de la colección',
+        'mint-tracking.list': 'Ver las colecciones con seguimiento de acuñaciones en este servidor',
+        'mint-tracking.toggle': 'Pausar o reanudar los avisos de acuñación sin borrar la configuración',
+        'mint-tracking.toggle.collection': 'ID de token de la colección',
+        'mint-tracking.toggle.state': 'Activar o desactivar los avisos (si se omite, cambia el estado actual)',
+        'mint-tracking.toggle.state#on': 'Activado',
+        'mint-tracking.toggle.state#off': 'Desactivado',
+        'mint-tracking.milestones': 'Elegir qué hitos de suministro se anuncian para una colección',
+        'mint-tracking.milestones.collection': 'ID de token de la colección',
+        'mint-tracking.milestones.percents': 'Porcentajes separados por comas (p. ej., 25,50,75,90,100), "default" u "off"',
+        'mint-tracking.milestones.every': 'Anunciar también cada N acuñaciones (0 para desactivar)',
+        'theme': 'Personalizar el aspecto de los avisos de ventas y listados en este servidor',
+        'theme.view': 'Ver el tema actual con una vista previa',
+        'theme.view.type': 'Vista previa de una venta o un listado (por defecto, una venta)',
+        'theme.view.type#sale': 'Venta',
+        'theme.view.type#listing': 'Listado',
+        'theme.layout': 'Elegir cuánto detalle muestran los avisos',
+        'theme.layout.style': 'Estilo de diseño',
+        'theme.layout.style#minimal': 'Mínimo: título, precio e imagen',
+        'theme.layout.style#standard': 'Estándar: el diseño por defecto',
+        'theme.layout.style#rich': 'Completo: estándar más enlaces a HashScan y precio vs. piso',
+        'theme.title': 'Definir el formato del título, p. ej., "{emoji} {nft_name} {action}!"',
+        'theme.title.type': 'Qué avisos cambiar',
+        'theme.title.type#sale': 'Ventas',
+        'theme.title.type#listing': 'Listados',
+        'theme.title.format': 'Plantilla del título, p. ej. {emoji} {nft_name} {action}; "reset" para el predeterminado',
+        'theme.color': 'Definir el color del embed para un marketplace o para todos',
+        'theme.color.color': 'Color hexadecimal, p. ej., #FF8800 ("reset" para el valor por defecto)',
+        'theme.color.marketplace': 'Marketplace que quieres colorear (por defecto, todos)',
+        'theme.color.marketplace#default': 'Todos los marketplaces',
+        'theme.color.marketplace#On-chain': 'On-chain',
+        'theme.fields': 'Mostrar u ocultar partes de los avisos',
+        'theme.fields.rarity': 'Rango y porcentaje de rareza',
+        'theme.fields.rarity#on': 'Activado',
+        'theme.fields.rarity#off': 'Desactivado',
+        'theme.fields.rarity#default': 'Según el diseño',
+        'theme.fields.holders': 'Niveles de coleccionista y tenencias de compradores y vendedores',
+        'theme.fields.holders#on': 'Activado',
+        'theme.fields.holders#off': 'Desactivado',
+        'theme.fields.holders#default': 'Según el diseño',
+        'theme.fields.floor': 'Precio piso de la colección',
+        'theme.fields.floor#on': 'Activado',
+        'theme.fields.floor#off': 'Desactivado',
+        'theme.fields.floor#default': 'Según el diseño',
+        'theme.fields.usd': 'Valores en fiat (en la moneda de /set-currency) junto a los precios',
+        'theme.fields.usd#on': 'Activado',
+        'theme.fields.usd#off': 'Desactivado',
+        'theme.fields.usd#default': 'Según el diseño',
+        'theme.reaction': 'Definir la reacción que se añade bajo los avisos',
+        'theme.reaction.type': 'Qué avisos cambiar',
+        'theme.reaction.type#sale': 'Ventas',
+        'theme.reaction.type#listing': 'Listados',
+        'theme.reaction.emoji': 'Un emoji, "none" para ninguna reacción o "reset" para la de por defecto',
+        'theme.footer': 'Definir el texto del pie (la hora de publicación se añade siempre)',
+        'theme.footer.text': 'Texto del pie ("reset" para el valor por defecto)',
+        'theme.reset': 'Volver al tema por defecto',
+        'filter': 'Filtrar qué ventas y listados se publican en este servidor',
+        'filter.set': 'Definir filtros para una colección (o "all" para todo el servidor)',
+        'filter.set.collection': 'ID de token de una colección seguida, o "all"',
+        'filter.set.min_price': 'Precio mínimo en HBAR (0 para quitarlo)',
+        'filter.set.max_price': 'Precio máximo en HBAR (0 para quitarlo)',
+        'filter.set.max_rank': 'Publicar solo NFT con este rango de rareza o mejor (0 para quitarlo)',
+        'filter.set.marketplaces': 'Marketplaces separados por comas, p. ej., SentX,Kabila ("any" para quitarlo)',
+        'filter.set.payment_tokens': 'Símbolos o IDs de token de pago separados por comas, p. ej., HBAR,PAWS ("any")',
+        'filter.set.events': 'Separados por comas: sales, listings, orders ("any" para quitarlo)',
+        'filter.remove': 'Quitar todos los filtros de una colección (o "all")',
+        'filter.remove.collection': 'ID de token de la colección, o "all"',
+        'filter.list': 'Ver los filtros de este servidor',
+        'test': 'Probar el funcionamiento del bot',
+        'test.type': 'Tipo de prueba',
+        'test.type#recent-sentx-sale': 'Venta reciente en SentX',
+        'test.type#recent-sentx-listing': 'Listado reciente en SentX',
+        'test.type#recent-kabila-sale': 'Venta reciente en Kabila',
+        'test.type#recent-kabila-listing': 'Listado reciente en Kabila',
+        'test.type#recent-hts-sale': 'Venta reciente pagada con token HTS',
+        'test.type#recent-hts-listing': 'Listado reciente pagado con token HTS',
+        'test.type#forever-mint': 'Forever Mint de Wild Tigers',
+        'test.collection': 'ID de token de la colección a probar (opcional; muestra las colecciones seguidas)'
+    }
+};
@@ -0,0 +1,62 @@
+/**
+ * Inbound marketplace push receiver
+ * Marketplaces that support activity callbacks POST them to {WEBHOOK_PATH}/{marketplace}.
+ * Each callback is verified with that marketplace's secret, normalized by its adapter and
+ * handed to the bot straight away. Polling keeps running as a slower reconciling fallback.
+ * Served by the bot process when ENABLE_WEBHOOKS=true.
+ */
+
+const express = require('express');
+const config = require('./config');
+const marketplaces = require('./services/marketplaces');
+
+function sendError(res, status, code, message) {
+    return res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Build the push receiver router
+ * @param {NFTSalesBot} bot - Bot that processes the pushed events (handlePushedEvents)
+ * @returns {express.Router} Router
+ */
+function createPushReceiver(bot) {
+    const router = express.Router();
+
+    // Signatures cover the exact bytes received, so keep the raw body
+    router.post('/:marketplace', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => {
+        const adapter = marketplaces.get(req.params.marketplace);
+        const secret = adapter ? config.WEBHOOK_SECRETS[adapter.name.toLowerCase()] : null;
+        if (!adapter || !secret) {
+            return sendError(res, 404, 'unknown_marketplace', 'No push receiver is configured for this marketplace');
+        }
+
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (!adapter.verifyCallback(rawBody, req.headers, secret)) {
+            console.log(`🔒 Rejected ${adapter.name} push callback with an invalid signature`);
+            return sendError(res, 401, 'invalid_signature', 'Signature or timestamp check failed');
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return sendError(res, 400, 'invalid_body', 'Body must be JSON');
+        }
+
+        const events = adapter.getPushedEvents(body);
+        if (!events) {
+            return sendError(res, 404, 'push_not_supported', `${adapter.name} callbacks are not supported`);
+        }
+
+        // Acknowledge first - posting to Discord can take longer than the marketplace waits
+        res.status(202).json({ received: { sales: events.sales.length, listings: events.listings.length } });
+
+        bot.handlePushedEvents(adapter.name, events).catch(error => {
+            console.error(`Error handling ${adapter.name} push callback:`, error);
+        });
+    });
+
+    return router;
+}
+
+module.exports = createPushReceiver;
@@ -1,4 +1,4 @@
-const { pgTable, text, boolean, timestamp, integer, jsonb } = require('drizzle-orm/pg-core');
+const { pgTable, text, boolean, timestamp, integer, jsonb, doublePrecision, unique } = require('drizzle-orm/pg-core');
 
 // Collections table - now per server, supports both NFT collections and HTS tokens
 const collections = pgTable('collections', {
@@ -19,6 +19,13 @@ const serverConfigs = pgTable('server_configs', {
   channelId: text('channel_id').notNull(),
   listingsChannelId: text('listings_channel_id'), // Optional separate channel for listings
   mintChannelId: text('mint_channel_id'), // Optional separate channel for Forever Mint notifications
+  snipesChannelId: text('snipes_channel_id'), // Optional channel for listings well below floor
+  snipeDiscountPercent: doublePrecision('snipe_discount_percent').notNull().default(20), // % under floor that counts as a snipe
+  snipeRarePercent: doublePrecision('snipe_rare_percent').notNull().default(10), // Top % of supply that counts as rare
+  currency: text('currency'), // Display currency for fiat values (null uses DEFAULT_CURRENCY)
+  locale: text('locale'), // Language set with /language (null follows the guild's Discord language)
+  managerRoleId: text('manager_role_id'), // Role allowed to run bot management commands besides server admins
+  catchUpMode: text('catch_up_mode').notNull().default('summary'), // Activity missed during downtime: 'post', 'summary' or 'off'
   guildName: text('guild_name').notNull(),
   enabled: boolean('enabled').notNull().default(true),
   addedDate: timestamp('added_date').defaultNow().notNull(),
@@ -49,10 +56,258 @@ const processedMints = pgTable('processed_mints', {
   processedAt: timestamp('processed_at').defaultNow().notNull()
 });
 
+// Per-server notification filters - tokenId '*' is the server-wide default
+const notificationFilters = pgTable('notification_filters', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull(),
+  tokenId: text('token_id').notNull(),
+  minPriceHbar: doublePrecision('min_price_hbar'),
+  maxPriceHbar: doublePrecision('max_price_hbar'),
+  maxRank: integer('max_rank'),
+  marketplaces: jsonb('marketplaces'), // e.g. ["SentX", "Kabila"] - null means all
+  paymentTokens: jsonb('payment_tokens'), // symbols or token IDs - null means all
+  eventTypes: jsonb('event_types'), // subset of ["sales", "listings", "orders"] - null means all
+  createdBy: text('created_by'),
+  addedDate: timestamp('added_date').defaultNow().notNull(),
+  lastUpdated: timestamp('last_updated').defaultNow().notNull()
+}, (table) => [
+  unique('notification_filters_guild_token_unique').on(table.guildId, table.tokenId)
+]);
+
+// Floor price history - one row per snapshot taken by the monitoring loop
+const floorPriceSnapshots = pgTable('floor_price_snapshots', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  tokenId: text('token_id').notNull(),
+  marketplace: text('marketplace'),
+  priceHbar: doublePrecision('price_hbar').notNull(),
+  recordedAt: timestamp('recorded_at').defaultNow().notNull()
+});
+
+// Floor price alert thresholds per server and collection
+const floorAlerts = pgTable('floor_alerts', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull(),
+  tokenId: text('token_id').notNull(),
+  thresholdPercent: doublePrecision('threshold_percent').notNull(),
+  windowMinutes: integer('window_minutes').notNull().default(60),
+  channelId: text('channel_id'), // Falls back to the server's main channel
+  lastAlertAt: timestamp('last_alert_at'),
+  createdBy: text('created_by'),
+  addedDate: timestamp('added_date').defaultNow().notNull(),
+  lastUpdated: timestamp('last_updated').defaultNow().notNull()
+}, (table) => [
+  unique('floor_alerts_guild_token_unique').on(table.guildId, table.tokenId)
+]);
+
+// Every processed sale of a tracked collection, posted or filtered out - processed_sales only keeps IDs for three days
+const saleHistory = pgTable('sale_history', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  saleId: text('sale_id').notNull().unique(), // Same ID used in processed_sales
+  tokenId: text('token_id').notNull(),
+  serialNumber: integer('serial_number'),
+  nftName: text('nft_name'),
+  collectionName: text('collection_name'),
+  marketplace: text('marketplace').notNull(),
+  saleType: text('sale_type'), // 'Sale', 'Order', 'OrderFill'
+  price: doublePrecision('price').notNull(), // In the payment token
+  paymentSymbol: text('payment_symbol').notNull().default('HBAR'),
+  paymentTokenId: text('payment_token_id'),
+  usdValue: doublePrecision('usd_value'), // At the time of the sale, null when unknown
+  buyer: text('buyer'),
+  seller: text('seller'),
+  rarityRank: integer('rarity_rank'),
+  transactionId: text('transaction_id'),
+  soldAt: timestamp('sold_at').notNull(),
+  recordedAt: timestamp('recorded_at').defaultNow().notNull()
+});
+
+// Every processed listing of a tracked collection, posted or filtered out
+const listingHistory = pgTable('listing_history', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  listingId: text('listing_id').notNull().unique(), // Same ID used in processed_sales (without the listing_ prefix)
+  tokenId: text('token_id').notNull(),
+  serialNumber: integer('serial_number'),
+  nftName: text('nft_name'),
+  collectionName: text('collection_name'),
+  marketplace: text('marketplace').notNull(),
+  saleType: text('sale_type'), // 'Listing', 'Auction'
+  price: doublePrecision('price').notNull(),
+  paymentSymbol: text('payment_symbol').notNull().default('HBAR'),
+  paymentTokenId: text('payment_token_id'),
+  usdValue: doublePrecision('usd_value'),
+  seller: text('seller'),
+  rarityRank: integer('rarity_rank'),
+  listedAt: timestamp('listed_at').notNull(),
+  recordedAt: timestamp('recorded_at').defaultNow().notNull()
+});
+
+// Every mint the bot announced (launchpad tracking and Forever Mints) - processed_mints only keeps IDs
+const mintHistory = pgTable('mint_history', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  mintId: text('mint_id').notNull().unique(), // Same ID used in processed_mints
+  tokenId: text('token_id').notNull(),
+  serialNumber: integer('serial_number'),
+  nftName: text('nft_name'),
+  collectionName: text('collection_name'),
+  minter: text('minter'),
+  price: doublePrecision('price'), // Mint cost in the payment token, 0 for free mints
+  paymentSymbol: text('payment_symbol').notNull().default('HBAR'),
+  transactionId: text('transaction_id'),
+  mintedAt: timestamp('minted_at').notNull(),
+  recordedAt: timestamp('recorded_at').defaultNow().notNull()
+});
+
+// Scheduled digest reports per server
+const digestConfigs = pgTable('digest_configs', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull().unique(),
+  enabled: boolean('enabled').notNull().default(true),
+  frequency: text('frequency').notNull().default('daily'), // 'daily' or 'weekly'
+  hour: integer('hour').notNull().default(9), // Local hour (0-23) in `timezone`
+  dayOfWeek: integer('day_of_week').notNull().default(1), // Weekly digests only, 0 = Sunday
+  timezone: text('timezone').notNull().default('UTC'), // IANA name, e.g. 'America/New_York'
+  channelId: text('channel_id'), // Falls back to the server's main channel
+  lastSentAt: timestamp('last_sent_at'),
+  createdBy: text('created_by'),
+  addedDate: timestamp('added_date').defaultNow().notNull(),
+  lastUpdated: timestamp('last_updated').defaultNow().notNull()
+});
+
+// Hedera accounts a server follows across every collection
+const watchedWallets = pgTable('watched_wallets', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull(),
+  accountId: text('account_id').notNull(), // 0.0.x
+  label: text('label'), // e.g. 'Treasury', 'Team wallet'
+  channelId: text('channel_id'), // Falls back to the server's main channel
+  createdBy: text('created_by'),
+  addedDate: timestamp('added_date').defaultNow().notNull()
+}, (table) => [
+  unique('watched_wallets_guild_account_unique').on(table.guildId, table.accountId)
+]);
+
+// Personal alert subscriptions - matching sales/listings are sent to the user by DM
+const userAlerts = pgTable('user_alerts', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  userId: text('user_id').notNull(),
+  guildId: text('guild_id').notNull(), // Server the alert was created in
+  tokenId: text('token_id').notNull(),
+  maxPriceHbar: doublePrecision('max_price_hbar'),
+  maxRank: integer('max_rank'),
+  eventTypes: jsonb('event_types'), // subset of ["sales", "listings", "orders"] - null means all
+  lastTriggeredAt: timestamp('last_triggered_at'),
+  addedDate: timestamp('added_date').defaultNow().notNull()
+});
+
+// Launchpad mint tracking - any server can follow mints for any token
+const mintTrackingConfigs = pgTable('mint_tracking_configs', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull(),
+  tokenId: text('token_id').notNull(),
+  channelId: text('channel_id').notNull(),
+  collectionName: text('collection_name'),
+  enabled: boolean('enabled').default(true).notNull(),
+  milestonePercents: jsonb('milestone_percents'), // null means the default 25/50/75/90/100, [] turns them off
+  milestoneEvery: integer('milestone_every'), // Also announce every Nth mint
+  lastMilestonePercent: doublePrecision('last_milestone_percent'), // null until the starting progress is recorded
+  lastMilestoneCount: integer('last_milestone_count'),
+  createdBy: text('created_by'),
+  createdAt: timestamp('created_at').defaultNow().notNull()
+}, (table) => [
+  unique('mint_tracking_configs_guild_token_unique').on(table.guildId, table.tokenId)
+]);
+
+// Per-server look of sale and listing notifications (/theme)
+const embedThemes = pgTable('embed_themes', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull().unique(),
+  layout: text('layout').notNull().default('standard'), // 'minimal', 'standard' or 'rich'
+  saleTitle: text('sale_title'), // Title template, null for the built-in one
+  listingTitle: text('listing_title'),
+  colors: jsonb('colors'), // { SentX: '#hex', Kabila: '#hex', default: '#hex' }
+  fields: jsonb('fields'), // { rarity, holders, floor, usd } overrides of the layout's defaults
+  saleReaction: text('sale_reaction'), // Emoji, 'none' for no reaction, null for the default
+  listingReaction: text('listing_reaction'),
+  footer: text('footer'),
+  updatedBy: text('updated_by'),
+  addedDate: timestamp('added_date').defaultNow().notNull(),
+  lastUpdated: timestamp('last_updated').defaultNow().notNull()
+});
+
+// Bot management attempts worth reviewing with /audit (e.g. commands denied by the permission guard)
+const auditLog = pgTable('audit_log', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull(),
+  userId: text('user_id').notNull(),
+  userTag: text('user_tag'),
+  command: text('command').notNull(), // e.g. 'filter set'
+  outcome: text('outcome').notNull(), // 'denied', or 'granted'/'revoked' for manager role changes
+  detail: text('detail'),
+  createdAt: timestamp('created_at').defaultNow().notNull()
+});
+
+// Keys for the public REST API (/api/v1) - only a hash of each key is stored
+const apiKeys = pgTable('api_keys', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  name: text('name').notNull(), // Who the key was issued to
+  keyHash: text('key_hash').notNull().unique(), // SHA-256 of the key
+  keyPrefix: text('key_prefix').notNull(), // First characters, to recognise a key in listings
+  rateLimitPerMinute: integer('rate_limit_per_minute'), // null uses API_RATE_LIMIT_PER_MINUTE
+  enabled: boolean('enabled').notNull().default(true),
+  lastUsedAt: timestamp('last_used_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull()
+});
+
+// HTTPS endpoints a server registered with /webhook add
+const webhookEndpoints = pgTable('webhook_endpoints', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  guildId: text('guild_id').notNull(),
+  url: text('url').notNull(),
+  secret: text('secret').notNull(), // HMAC-SHA256 signing secret, shown once when the endpoint is added
+  events: jsonb('events').notNull(), // ['sale', 'listing', 'mint']
+  tokenId: text('token_id'), // Only events for this collection, null for every collection the server tracks
+  enabled: boolean('enabled').notNull().default(true),
+  createdBy: text('created_by'),
+  lastDeliveryAt: timestamp('last_delivery_at'),
+  lastStatus: text('last_status'), // 'delivered' or the last error
+  createdAt: timestamp('created_at').defaultNow().notNull()
+});
+
+// Webhook delivery queue - 'pending' deliveries are retried with backoff, 'failed' ones form the dead-letter log
+const webhookDeliveries = pgTable('webhook_deliveries', {
+  id: integer('id').primaryKey().generatedAlwaysAsIdentity(),
+  deliveryId: text('delivery_id').notNull().unique(), // Sent as X-Webhook-Delivery so receivers can de-duplicate
+  endpointId: integer('endpoint_id').notNull(),
+  guildId: text('guild_id').notNull(),
+  event: text('event').notNull(), // 'sale', 'listing' or 'mint'
+  payload: jsonb('payload').notNull(),
+  status: text('status').notNull().default('pending'), // 'pending', 'delivered' or 'failed'
+  attempts: integer('attempts').notNull().default(0),
+  lastError: text('last_error'),
+  nextAttemptAt: timestamp('next_attempt_at').defaultNow().notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  completedAt: timestamp('completed_at')
+});
+
 module.exports = {
   collections,
   serverConfigs,
   botState,
   processedSales,
-  processedMints
+  processedMints,
+  notificationFilters,
+  floorPriceSnapshots,
+  floorAlerts,
+  saleHistory,
+  listingHistory,
+  mintHistory,
+  digestConfigs,
+  watchedWallets,
+  userAlerts,
+  mintTrackingConfigs,
+  embedThemes,
+  auditLog,
+  apiKeys,
+  webhookEndpoints,
+  webhookDeliveries
 };
\ No newline at end of file
@@ -1,12 +1,28 @@
 /**
- * Currency conversion service for HBAR to USD rates
+ * Currency conversion service for HBAR fiat rates and HTS payment token prices
  */
 
 const axios = require('axios');
+const config = require('../config');
+
+// Display currencies servers can pick with /set-currency (all quoted by CoinGecko)
+const SUPPORTED_CURRENCIES = {
+    USD: 'US Dollar',
+    EUR: 'Euro',
+    GBP: 'British Pound',
+    BRL: 'Brazilian Real',
+    MXN: 'Mexican Peso',
+    ARS: 'Argentine Peso',
+    CLP: 'Chilean Peso',
+    CAD: 'Canadian Dollar',
+    AUD: 'Australian Dollar',
+    CHF: 'Swiss Franc',
+    JPY: 'Japanese Yen'
+};
 
 class CurrencyService {
     constructor() {
-        this.cachedRate = null;
+        this.cachedRates = null; // { USD: 0.05, EUR: 0.046, ... }
         this.lastFetch = 0;
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
         
@@ -16,6 +32,17 @@ class CurrencyService {
                 'User-Agent': 'Discord-NFT-Bot/1.0'
             }
         });
+
+        // HTS token prices in HBAR, keyed by token ID (or symbol when the ID is unknown)
+        this.tokenPriceCache = new Map();
+        this.tokenPriceTimeout = config.HTS_PRICE_CACHE_DURATION * 1000;
+        this.saucerSwapPools = null;
+        this.saucerSwapPoolsFetch = 0;
+
+        // Price sources by name; HTS_PRICE_PROVIDERS picks which run and in what order
+        this.tokenPriceProviders = new Map();
+        this.registerTokenPriceProvider('static', token => this.getStaticTokenPrice(token));
+        this.registerTokenPriceProvider('saucerswap', token => this.fetchFromSaucerSwap(token));
     }
 
     /**
@@ -23,61 +50,92 @@ class CurrencyService {
      * @returns {number} Current HBAR/USD rate
      */
     async getHbarToUsdRate() {
+        const rates = await this.getHbarRates();
+        return rates.USD;
+    }
+
+    /**
+     * Get the current HBAR price in every supported currency (USD is always present)
+     * @returns {Object} Rates keyed by currency code
+     */
+    async getHbarRates() {
         const now = Date.now();
         
-        // Return cached rate if still valid
-        if (this.cachedRate && (now - this.lastFetch) < this.cacheTimeout) {
-            return this.cachedRate;
+        // Return cached rates if still valid
+        if (this.cachedRates && (now - this.lastFetch) < this.cacheTimeout) {
+            return this.cachedRates;
         }
 
         try {
-            // Try CoinGecko API first
-            const rate = await this.fetchFromCoinGecko();
-            if (rate) {
-                this.cachedRate = rate;
+            // Try CoinGecko API first - one request covers every supported currency
+            const rates = await this.fetchFromCoinGecko();
+            if (rates) {
+                this.cachedRates = rates;
                 this.lastFetch = now;
-                return rate;
+                return rates;
             }
         } catch (error) {
             console.error('CoinGecko API failed:', error.message);
         }
 
         try {
-            // Fallback to CoinMarketCap
+            // Fallback to CoinMarketCap (USD only, other currencies fall back to USD)
             const rate = await this.fetchFromCoinMarketCap();
             if (rate) {
-                this.cachedRate = rate;
+                this.cachedRates = { USD: rate };
                 this.lastFetch = now;
-                return rate;
+                return this.cachedRates;
             }
         } catch (error) {
             console.error('CoinMarketCap API failed:', error.message);
         }
 
-        // If all APIs fail, return cached rate or default
-        if (this.cachedRate) {
+        // If all APIs fail, return cached rates or default
+        if (this.cachedRates) {
             console.warn('Using cached HBAR rate due to API failures');
-            return this.cachedRate;
+            return this.cachedRates;
         }
 
         console.warn('All currency APIs failed, using default rate');
-        return 0.05; // Default fallback rate
+        return { USD: 0.05 }; // Default fallback rate
     }
 
     /**
-     * Fetch HBAR rate from CoinGecko
-     * @returns {number|null} HBAR/USD rate or null if failed
+     * Get the rate used to show fiat values in a server's display currency
+     * @param {string|null} currency - Currency code (defaults to DEFAULT_CURRENCY)
+     * @returns {Object} { code, rate, usdRate } - HBAR price in that currency and in USD.
+     *   Falls back to USD when no rate is available for the requested currency.
+     */
+    async getFiatRate(currency = null) {
+        const rates = await this.getHbarRates();
+        const code = (currency || config.DEFAULT_CURRENCY).toUpperCase();
+
+        if (rates[code]) {
+            return { code, rate: rates[code], usdRate: rates.USD };
+        }
+        return { code: 'USD', rate: rates.USD, usdRate: rates.USD };
+    }
+
+    /**
+     * Fetch HBAR rates from CoinGecko
+     * @returns {Object|null} Rates keyed by currency code, or null if failed
      */
     async fetchFromCoinGecko() {
         try {
+            const vsCurrencies = Object.keys(SUPPORTED_CURRENCIES).join(',').toLowerCase();
             const response = await this.axiosInstance.get(
-                'https://api.coingecko.com/api/v3/simple/price?ids=hedera-hashgraph&vs_currencies=usd'
+                `https://api.coingecko.com/api/v3/simple/price?ids=hedera-hashgraph&vs_currencies=${vsCurrencies}`
             );
 
-            if (response.data && response.data['hedera-hashgraph'] && response.data['hedera-hashgraph'].usd) {
-                const rate = parseFloat(response.data['hedera-hashgraph'].usd);
-                console.log(`Fetched HBAR rate from CoinGecko: $${rate}`);
-                return rate;
+            const prices = response.data && response.data['hedera-hashgraph'];
+            if (prices && prices.usd) {
+                const rates = {};
+                for (const code of Object.keys(SUPPORTED_CURRENCIES)) {
+                    const rate = parseFloat(prices[code.toLowerCase()]);
+                    if (rate > 0) rates[code] = rate;
+                }
+                console.log(`Fetched HBAR rate from CoinGecko: $${rates.USD} (${Object.keys(rates).length} currencies)`);
+                return rates;
             }
 
             return null;
@@ -123,6 +181,16 @@ class CurrencyService {
         }
     }
 
+    /**
+     * Convert a recorded USD value into a display currency
+     * @param {number} usdAmount - Amount in USD
+     * @param {Object} fiat - { code, rate, usdRate } from getFiatRate
+     * @returns {number} Amount in fiat.code
+     */
+    convertUsd(usdAmount, fiat) {
+        return fiat.code === 'USD' ? usdAmount : usdAmount * (fiat.rate / fiat.usdRate);
+    }
+
     /**
      * Convert HBAR amount to USD
      * @param {number} hbarAmount - Amount in HBAR
@@ -137,22 +205,193 @@ class CurrencyService {
         return hbarAmount * rate;
     }
 
+    /**
+     * Add a source of HTS token prices
+     * @param {string} name - Name used in HTS_PRICE_PROVIDERS
+     * @param {Function} provider - async ({ tokenId, symbol }) => HBAR per token, or null if unknown
+     */
+    registerTokenPriceProvider(name, provider) {
+        this.tokenPriceProviders.set(name.toLowerCase(), provider);
+    }
+
+    /**
+     * Get the HBAR price of one unit of an HTS token
+     * @param {Object} token - { tokenId, symbol }
+     * @returns {number|null} HBAR per token, or null if no provider knows it
+     */
+    async getTokenPriceInHbar(token) {
+        const key = token.tokenId || (token.symbol || '').toUpperCase();
+        if (!key) return null;
+
+        const cached = this.tokenPriceCache.get(key);
+        if (cached && (Date.now() - cached.fetchedAt) < this.tokenPriceTimeout) {
+            return cached.price;
+        }
+
+        let price = null;
+        for (const name of config.HTS_PRICE_PROVIDERS) {
+            const provider = this.tokenPriceProviders.get(name.toLowerCase());
+            if (!provider) continue;
+
+            try {
+                price = await provider(token);
+            } catch (error) {
+                console.error(`${name} token price lookup failed for ${key}:`, error.message);
+            }
+            if (price) {
+                console.log(`Fetched ${token.symbol || key} price from ${name}: ${price} HBAR`);
+                break;
+            }
+        }
+
+        // Misses are cached too so unpriced tokens don't hit the providers on every post
+        if (!price && cached && cached.price) {
+            console.warn(`Using cached ${token.symbol || key} price due to provider failures`);
+            price = cached.price;
+        }
+        this.tokenPriceCache.set(key, { price: price || null, fetchedAt: Date.now() });
+        return price || null;
+    }
+
+    /**
+     * Fixed prices from HTS_TOKEN_PRICES, by token ID or symbol
+     * @param {Object} token - { tokenId, symbol }
+     * @returns {number|null} HBAR per token
+     */
+    getStaticTokenPrice(token) {
+        const prices = config.HTS_TOKEN_PRICES;
+        return prices[(token.tokenId || '').toUpperCase()] || prices[(token.symbol || '').toUpperCase()] || null;
+    }
+
+    /**
+     * Price a token from its deepest WHBAR pool on SaucerSwap (HBAR reserve / token reserve)
+     * @param {Object} token - { tokenId, symbol }
+     * @returns {number|null} HBAR per token or null if there is no usable pool
+     */
+    async fetchFromSaucerSwap(token) {
+        const pools = await this.getSaucerSwapPools();
+        const symbol = (token.symbol || '').toUpperCase();
+        const matches = other => (token.tokenId ? other.id === token.tokenId : (other.symbol || '').toUpperCase() === symbol);
+
+        let best = null;
+        for (const pool of pools) {
+            const sides = [
+                { info: pool.tokenA, reserve: pool.tokenReserveA },
+                { info: pool.tokenB, reserve: pool.tokenReserveB }
+            ];
+            const hbarSide = sides.find(side => side.info?.id === config.WHBAR_TOKEN_ID);
+            const tokenSide = sides.find(side => side !== hbarSide && side.info && matches(side.info));
+            if (!hbarSide || !tokenSide) continue;
+
+            const hbarReserve = Number(hbarSide.reserve) / Math.pow(10, hbarSide.info.decimals ?? 8);
+            const tokenReserve = Number(tokenSide.reserve) / Math.pow(10, tokenSide.info.decimals ?? 0);
+            if (!(hbarReserve >= config.SAUCERSWAP_MIN_LIQUIDITY_HBAR) || !(tokenReserve > 0)) continue;
+
+            if (!best || hbarReserve > best.hbarReserve) {
+                best = { hbarReserve, price: hbarReserve / tokenReserve };
+            }
+        }
+
+        return best ? best.price : null;
+    }
+
+    /**
+     * SaucerSwap pool list with reserves (cached alongside the token prices)
+     * @returns {Array} Pools
+     */
+    async getSaucerSwapPools() {
+        if (this.saucerSwapPools && (Date.now() - this.saucerSwapPoolsFetch) < this.tokenPriceTimeout) {
+            return this.saucerSwapPools;
+        }
+
+        try {
+            const response = await this.axiosInstance.get(`${config.SAUCERSWAP_API_URL}/pools`, {
+                headers: config.SAUCERSWAP_API_KEY ? { 'x-api-key': config.SAUCERSWAP_API_KEY } : {}
+            });
+
+            if (Array.isArray(response.data)) {
+                this.saucerSwapPools = response.data;
+                this.saucerSwapPoolsFetch = Date.now();
+                return this.saucerSwapPools;
+            }
+
+            return this.saucerSwapPools || [];
+        } catch (error) {
+            if (this.saucerSwapPools) return this.saucerSwapPools;
+            throw new Error(`SaucerSwap API error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert an amount of any payment token to HBAR and a fiat currency
+     * @param {number} amount - Amount in the payment token
+     * @param {Object} token - { tokenId, symbol }; HBAR when symbol is 'HBAR' or missing
+     * @param {Object} fiat - { code, rate } from getFiatRate (optional, will fetch the default currency if not provided)
+     * @returns {Object|null} { hbar, value } with value in fiat.code, or null if the token can't be priced
+     */
+    async convertTokenAmount(amount, token, fiat = null) {
+        const value = Number(amount);
+        if (!value) return null;
+
+        let hbar = value;
+        if (token.symbol && token.symbol !== 'HBAR') {
+            const price = await this.getTokenPriceInHbar(token);
+            if (!price) return null;
+            hbar = value * price;
+        }
+
+        const { rate } = fiat || await this.getFiatRate();
+        return { hbar, value: hbar * rate };
+    }
+
+    /**
+     * Convert a normalized sale or listing price to HBAR and a fiat currency
+     * @param {Object} event - Sale or listing with price_hbar, payment_symbol and payment_token_id
+     * @param {Object} fiat - { code, rate } from getFiatRate (optional)
+     * @returns {Object|null} { hbar, value }, or null if the payment token can't be priced
+     */
+    async convertEventPrice(event, fiat = null) {
+        return this.convertTokenAmount(event.price_hbar, {
+            tokenId: event.payment_token_id || null,
+            symbol: event.payment_symbol || 'HBAR'
+        }, fiat);
+    }
+
+    /**
+     * USD value of a sale or listing, for recording alongside it
+     * @param {Object} event - Sale or listing with price_hbar, payment_symbol and payment_token_id
+     * @param {number} hbarRate - HBAR to USD rate at the time of the event
+     * @returns {Promise<number|null>} USD value, or null if there is no rate or the payment token can't be priced
+     */
+    async getEventUsdValue(event, hbarRate) {
+        if (!hbarRate) return null;
+        try {
+            const converted = await this.convertEventPrice(event, { code: 'USD', rate: hbarRate });
+            return converted ? converted.value : null;
+        } catch (error) {
+            console.error('Error pricing event in USD:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Format currency amount for display
      * @param {number} amount - Amount to format
-     * @param {string} currency - Currency code (USD, HBAR)
-     * @returns {string} Formatted currency string
+     * @param {string} currency - Currency code (HBAR or one of SUPPORTED_CURRENCIES)
+     * @param {number|null} decimals - Fixed fraction digits for fiat (defaults to the currency's own, e.g. 2 for USD, 0 for JPY)
+     * @param {string} intlLocale - BCP 47 tag for separators and symbol placement (e.g. 'es-ES' gives '12,34 €')
+     * @returns {string} Formatted currency string, e.g. '$12.34', '€12.34', 'R$12.34'
      */
-    formatCurrency(amount, currency = 'USD') {
-        if (currency === 'USD') {
-            return new Intl.NumberFormat('en-US', {
+    formatCurrency(amount, currency = 'USD', decimals = null, intlLocale = 'en-US') {
+        if (SUPPORTED_CURRENCIES[currency]) {
+            const digits = decimals === null ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+            return new Intl.NumberFormat(intlLocale, {
                 style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
+                currency,
+                ...digits
             }).format(amount);
         } else if (currency === 'HBAR') {
-            return `${amount.toLocaleString('en-US', {
+            return `${amount.toLocaleString(intlLocale, {
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 6
             })} ℏ`;
@@ -161,18 +400,36 @@ class CurrencyService {
         return amount.toString();
     }
 
+    /**
+     * Format a fiat amount with its currency code, e.g. '$12.34 USD' or 'MX$250.00 MXN'
+     * @param {number} amount - Amount in the currency
+     * @param {string} currency - Currency code
+     * @param {number|null} decimals - Fixed fraction digits (optional)
+     * @param {string} intlLocale - BCP 47 tag used for number formatting
+     * @returns {string} Formatted amount
+     */
+    formatFiat(amount, currency, decimals = null, intlLocale = 'en-US') {
+        const text = this.formatCurrency(amount, currency, decimals, intlLocale);
+        return text.includes(currency) ? text : `${text} ${currency}`;
+    }
+
     /**
      * Get cached rate info for debugging
      * @returns {Object} Cache information
      */
     getCacheInfo() {
         return {
-            cachedRate: this.cachedRate,
+            cachedRate: this.cachedRates ? this.cachedRates.USD : null,
+            cachedRates: this.cachedRates,
             lastFetch: new Date(this.lastFetch),
             cacheAge: Date.now() - this.lastFetch,
-            cacheValid: (Date.now() - this.lastFetch) < this.cacheTimeout
+            cacheValid: (Date.now() - this.lastFetch) < this.cacheTimeout,
+            tokenPrices: Object.fromEntries(
+                Array.from(this.tokenPriceCache.entries()).map(([key, entry]) => [key, entry.price])
+            )
         };
     }
 }
 
 module.exports = new CurrencyService();
+module.exports.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
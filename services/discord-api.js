@@ -0,0 +1,147 @@
+/**
+ * Discord REST service for the web dashboard
+ * Handles the OAuth2 login (authorization code flow) and the few bot-token lookups the
+ * dashboard needs outside the gateway connection: a guild's channels and a member's roles
+ */
+
+const axios = require('axios');
+const config = require('../config');
+
+const API_BASE = 'https://discord.com/api/v10';
+const OAUTH_SCOPES = ['identify', 'guilds'];
+
+class DiscordApiService {
+    constructor() {
+        this.cache = new Map();
+        this.cacheTimeout = 60 * 1000; // Channels and roles - short so dashboard changes show up quickly
+    }
+
+    /**
+     * Whether the OAuth client is configured
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(config.DISCORD_CLIENT_ID && config.DISCORD_CLIENT_SECRET);
+    }
+
+    /**
+     * OAuth2 redirect URI registered for the dashboard
+     * @returns {string} e.g. https://bot.example.com/auth/callback
+     */
+    getRedirectUri() {
+        return `${config.DASHBOARD_URL}/auth/callback`;
+    }
+
+    /**
+     * Discord authorize URL to send a visitor to
+     * @param {string} state - Random value checked again in the callback
+     * @returns {string} URL
+     */
+    getAuthorizeUrl(state) {
+        const params = new URLSearchParams({
+            client_id: config.DISCORD_CLIENT_ID,
+            redirect_uri: this.getRedirectUri(),
+            response_type: 'code',
+            scope: OAUTH_SCOPES.join(' '),
+            state,
+            prompt: 'none'
+        });
+        return `https://discord.com/oauth2/authorize?${params.toString()}`;
+    }
+
+    /**
+     * Exchange an authorization code for an access token
+     * @param {string} code - Code from the OAuth callback
+     * @returns {Object} { access_token, expires_in, ... }
+     */
+    async exchangeCode(code) {
+        const response = await axios.post(`${API_BASE}/oauth2/token`, new URLSearchParams({
+            client_id: config.DISCORD_CLIENT_ID,
+            client_secret: config.DISCORD_CLIENT_SECRET,
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.getRedirectUri()
+        }).toString(), {
+            timeout: config.REQUEST_TIMEOUT,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        return response.data;
+    }
+
+    /**
+     * Logged-in user
+     * @param {string} accessToken - OAuth access token
+     * @returns {Object} Discord user
+     */
+    async getUser(accessToken) {
+        const response = await axios.get(`${API_BASE}/users/@me`, {
+            timeout: config.REQUEST_TIMEOUT,
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        return response.data;
+    }
+
+    /**
+     * Guilds the logged-in user is in, with their permission bits in each
+     * @param {string} accessToken - OAuth access token
+     * @returns {Array<Object>} Partial guilds ({ id, name, icon, owner, permissions })
+     */
+    async getUserGuilds(accessToken) {
+        const response = await axios.get(`${API_BASE}/users/@me/guilds`, {
+            timeout: config.REQUEST_TIMEOUT,
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        return response.data;
+    }
+
+    /**
+     * Text channels of a guild the bot is in
+     * @param {string} guildId - Discord guild ID
+     * @returns {Array<Object>} [{ id, name, position }] sorted like the Discord sidebar
+     */
+    async getGuildTextChannels(guildId) {
+        const channels = await this.botGet(`/guilds/${guildId}/channels`);
+        return channels
+            .filter(channel => channel.type === 0) // GUILD_TEXT, same as the slash commands accept
+            .map(channel => ({ id: channel.id, name: channel.name, position: channel.position }))
+            .sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Role IDs of a guild member
+     * @param {string} guildId - Discord guild ID
+     * @param {string} userId - Discord user ID
+     * @returns {Array<string>} Role IDs (empty if the user isn't a member)
+     */
+    async getMemberRoleIds(guildId, userId) {
+        try {
+            const member = await this.botGet(`/guilds/${guildId}/members/${userId}`);
+            return member.roles || [];
+        } catch (error) {
+            if (error.response && error.response.status === 404) return [];
+            throw error;
+        }
+    }
+
+    /**
+     * GET a Discord API path with the bot token, cached briefly
+     * @param {string} path - API path, e.g. /guilds/123/channels
+     * @returns {*} Response body
+     */
+    async botGet(path) {
+        const cached = this.cache.get(path);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.data;
+        }
+
+        const response = await axios.get(`${API_BASE}${path}`, {
+            timeout: config.REQUEST_TIMEOUT,
+            headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` }
+        });
+
+        this.cache.set(path, { data: response.data, timestamp: Date.now() });
+        return response.data;
+    }
+}
+
+module.exports = new DiscordApiService();
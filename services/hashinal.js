@@ -4,12 +4,19 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Decompress: ZstdDecompress } = require('fzstd');
+const config = require('../config');
 
 class HashinalService {
     constructor() {
         this.mirrorNodeUrl = process.env.HEDERA_MIRROR_NODE || 'https://mainnet-public.mirrornode.hedera.com';
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+        this.hcs1CacheDir = path.resolve(__dirname, '..', config.HCS1_CACHE_DIR);
     }
 
     /**
@@ -18,12 +25,15 @@ class HashinalService {
      * @returns {boolean} True if this appears to be a Hashinal
      */
     isHashinal(nft) {
-        const knownHashinalTokens = ['0.0.5552189', '0.0.2173899', '0.0.789064', '0.0.1097228'];
+        const knownHashinalTokens = ['0.0.5552189', '0.0.2173899', '0.0.789064', '0.0.1097228', '0.0.8293984'];
+        const collectionName = (nft.collection_name || '').toLowerCase();
         
-        return nft.collection_name && (
-            nft.collection_name.toLowerCase().includes('hashinal') ||
-            nft.collection_name.toLowerCase().includes('hcs-') ||
+        return Boolean(
+            collectionName.includes('hashinal') ||
+            collectionName.includes('hcs-') ||
+            collectionName.includes('inscription') ||
             nft.nft_name?.toLowerCase().includes('hashinal') ||
+            nft.description?.toLowerCase().includes('hashinal') ||
             knownHashinalTokens.includes(nft.token_id) ||
             (nft.metadata && nft.metadata.p === 'hcs-5') ||
             this.isHRLFormat(nft.image_url)
@@ -215,6 +225,243 @@ class HashinalService {
         }
     }
 
+    /**
+     * Read a complete HCS-1 file from its topic.
+     * The topic memo declares "<sha256>,<compression>,<encoding>" and each message is a JSON chunk
+     * { o: order, c: content }; the ordered contents form a data URI of the compressed file.
+     * Inscriptions never change, so rebuilt files are cached on disk without expiry.
+     * @param {string} topicId - HCS topic ID
+     * @returns {Promise<Object|null>} { buffer, mimeType, hash } or null
+     */
+    async readHCS1File(topicId) {
+        const cached = this.readHCS1Cache(topicId);
+        if (cached) return cached;
+
+        // Don't re-page a topic that just failed on every embed that references it
+        const failedKey = `hcs1_failed_${topicId}`;
+        const failed = this.cache.get(failedKey);
+        if (failed && Date.now() - failed.timestamp < this.cacheTimeout) return null;
+
+        try {
+            const topic = await axios.get(`${this.mirrorNodeUrl}/api/v1/topics/${topicId}`, { timeout: 10000 });
+            const [hash, compression, encoding] = (topic.data?.memo || '').split(',').map(part => part.trim().toLowerCase());
+            if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+                throw new Error(`topic memo "${topic.data?.memo || ''}" is not an HCS-1 memo`);
+            }
+            if (encoding && encoding !== 'base64') {
+                throw new Error(`unsupported encoding ${encoding}`);
+            }
+
+            const messages = await this.fetchTopicMessages(topicId);
+            const dataUri = this.assembleHCS1Chunks(messages);
+            const match = dataUri.match(/^data:([^;,]+)(?:;[^,]*)?,(.*)$/s);
+            if (!match) {
+                throw new Error('reassembled content is not a data URI');
+            }
+
+            const buffer = this.decompressHCS1(Buffer.from(match[2], 'base64'), compression || 'zstd');
+            if (buffer.length > config.HCS1_MAX_FILE_BYTES) {
+                throw new Error(`file is ${buffer.length} bytes (limit ${config.HCS1_MAX_FILE_BYTES})`);
+            }
+
+            const actualHash = crypto.createHash('sha256').update(buffer).digest('hex');
+            if (actualHash !== hash) {
+                throw new Error(`hash mismatch (memo ${hash}, file ${actualHash})`);
+            }
+
+            const file = { buffer, mimeType: match[1], hash };
+            this.writeHCS1Cache(topicId, file);
+            console.log(`✅ [HCS-1] Rebuilt ${topicId}: ${match[1]}, ${buffer.length} bytes from ${messages.length} messages`);
+            return file;
+        } catch (error) {
+            console.log(`❌ [HCS-1] Could not read ${topicId}: ${error.message}`);
+            this.cache.set(failedKey, { data: null, timestamp: Date.now() });
+            return null;
+        }
+    }
+
+    /**
+     * Page through every message on a topic in consensus order
+     * @param {string} topicId - HCS topic ID
+     * @returns {Promise<Array>} Mirror Node topic messages
+     */
+    async fetchTopicMessages(topicId) {
+        const messages = [];
+        let next = `/api/v1/topics/${topicId}/messages?limit=100&order=asc`;
+
+        for (let page = 0; next && page < config.HCS1_MAX_PAGES; page++) {
+            const response = await axios.get(`${this.mirrorNodeUrl}${next}`, { timeout: 15000 });
+            messages.push(...(response.data?.messages || []));
+            next = response.data?.links?.next || null;
+        }
+
+        if (next) {
+            throw new Error(`topic has more than ${config.HCS1_MAX_PAGES} pages of messages`);
+        }
+        return messages;
+    }
+
+    /**
+     * Join HCS-1 chunks into the file's data URI.
+     * Messages over the HCS size limit arrive split by chunk_info, so those are rejoined first.
+     * @param {Array} messages - Mirror Node topic messages
+     * @returns {string} Data URI
+     */
+    assembleHCS1Chunks(messages) {
+        const payloads = [];
+        const partial = new Map();
+        for (const message of messages) {
+            const info = message.chunk_info;
+            if (!info || !info.total || info.total <= 1) {
+                payloads.push(Buffer.from(message.message, 'base64'));
+                continue;
+            }
+
+            const key = JSON.stringify(info.initial_transaction_id);
+            if (!partial.has(key)) partial.set(key, []);
+            const parts = partial.get(key);
+            parts[info.number - 1] = Buffer.from(message.message, 'base64');
+            if (parts.filter(Boolean).length === info.total) {
+                payloads.push(Buffer.concat(parts));
+                partial.delete(key);
+            }
+        }
+
+        const chunks = new Map();
+        for (const payload of payloads) {
+            try {
+                const chunk = JSON.parse(payload.toString('utf8'));
+                // The first message for an index wins; later duplicates can't overwrite it
+                if (Number.isInteger(chunk.o) && typeof chunk.c === 'string' && !chunks.has(chunk.o)) {
+                    chunks.set(chunk.o, chunk.c);
+                }
+            } catch (error) {
+                // Not an HCS-1 chunk - ignore
+            }
+        }
+
+        if (chunks.size === 0) {
+            throw new Error('no HCS-1 chunks found');
+        }
+        for (let index = 0; index < chunks.size; index++) {
+            if (!chunks.has(index)) {
+                throw new Error(`missing chunk ${index} of ${chunks.size}`);
+            }
+        }
+
+        return Array.from({ length: chunks.size }, (_, index) => chunks.get(index)).join('');
+    }
+
+    /**
+     * Decompress an HCS-1 payload with the algorithm declared in the topic memo.
+     * Output is capped at HCS1_MAX_FILE_BYTES while decompressing, so a small payload can't expand without bound.
+     * @param {Buffer} data - Compressed bytes
+     * @param {string} compression - 'zstd', 'brotli', 'gzip', 'deflate' or 'none'
+     * @returns {Buffer} File bytes
+     */
+    decompressHCS1(data, compression) {
+        const limit = config.HCS1_MAX_FILE_BYTES;
+        try {
+            switch (compression) {
+                case 'zstd':
+                    return this.decompressZstd(data, limit);
+                case 'brotli':
+                    return zlib.brotliDecompressSync(data, { maxOutputLength: limit });
+                case 'gzip':
+                    return zlib.gunzipSync(data, { maxOutputLength: limit });
+                case 'deflate':
+                    return zlib.inflateSync(data, { maxOutputLength: limit });
+                case 'none':
+                    return data;
+                default:
+                    throw new Error(`unsupported compression ${compression}`);
+            }
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                throw new Error(`file is over the ${limit} byte limit`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Stream-decompress zstd data, stopping as soon as the output passes a limit
+     * @param {Buffer} data - Compressed bytes
+     * @param {number} limit - Maximum output bytes
+     * @returns {Buffer} Decompressed bytes
+     */
+    decompressZstd(data, limit) {
+        const chunks = [];
+        let size = 0;
+        const stream = new ZstdDecompress((chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                throw new Error(`file is over the ${limit} byte limit`);
+            }
+            chunks.push(Buffer.from(chunk));
+        });
+
+        // Feed small pieces so each callback only sees a block or two of output
+        const pieceSize = 64 * 1024;
+        for (let offset = 0; offset < data.length; offset += pieceSize) {
+            stream.push(new Uint8Array(data.subarray(offset, offset + pieceSize)), offset + pieceSize >= data.length);
+        }
+        return Buffer.concat(chunks, size);
+    }
+
+    /**
+     * Load a rebuilt HCS-1 file from the disk cache
+     * @param {string} topicId - HCS topic ID
+     * @returns {Object|null} { buffer, mimeType, hash } or null
+     */
+    readHCS1Cache(topicId) {
+        try {
+            const metaPath = path.join(this.hcs1CacheDir, `${topicId}.json`);
+            if (!fs.existsSync(metaPath)) return null;
+
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            const buffer = fs.readFileSync(path.join(this.hcs1CacheDir, `${topicId}.bin`));
+            return { buffer, mimeType: meta.mimeType, hash: meta.hash };
+        } catch (error) {
+            console.log(`⚠️ [HCS-1] Ignoring unreadable cache for ${topicId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save a rebuilt HCS-1 file to the disk cache (the file is written before its metadata)
+     * @param {string} topicId - HCS topic ID
+     * @param {Object} file - { buffer, mimeType, hash }
+     */
+    writeHCS1Cache(topicId, file) {
+        try {
+            fs.mkdirSync(this.hcs1CacheDir, { recursive: true });
+            fs.writeFileSync(path.join(this.hcs1CacheDir, `${topicId}.bin`), file.buffer);
+            fs.writeFileSync(path.join(this.hcs1CacheDir, `${topicId}.json`), JSON.stringify({
+                mimeType: file.mimeType,
+                hash: file.hash,
+                size: file.buffer.length,
+                cachedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.log(`⚠️ [HCS-1] Could not cache ${topicId} on disk: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the HCS-1 topic an NFT's image points at
+     * @param {Object} nft - NFT/sale object with image fields
+     * @returns {string|null} Topic ID or null
+     */
+    getHCS1TopicId(nft) {
+        const fields = [nft.image_url, nft.nftImage, nft.imagecid, nft.image, nft.imageFile, nft.metadata?.image];
+        for (const field of fields) {
+            const match = typeof field === 'string' && field.match(/^hcs:\/\/1\/(0\.0\.\d+)/);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
     /**
      * Fetch image data from HCS URL
      * @param {string} hcsUrl - HCS URL (hcs://1/topicId)
@@ -234,6 +481,14 @@ class HashinalService {
             const topicId = topicMatch[1];
             console.log(`📋 [HCS] Topic ID extracted: ${topicId}`);
             
+            // Proper HCS-1 inscriptions are rebuilt from every chunk on the topic
+            const file = await this.readHCS1File(topicId);
+            if (file && file.mimeType.startsWith('image/')) {
+                return `data:${file.mimeType};base64,${file.buffer.toString('base64')}`;
+            }
+            
+            // Otherwise look for an image in the latest messages (older, non-chunked topics)
+            
             // Try to fetch HCS topic data from Mirror Node
             const url = `${this.mirrorNodeUrl}/api/v1/topics/${topicId}/messages`;
             console.log(`🔍 [HCS] Fetching topic messages from: ${url}`);
@@ -6,9 +6,12 @@ const axios = require('axios');
 
 class HederaService {
     constructor() {
-        this.baseUrl = 'https://mainnet-public.mirrornode.hedera.com/api/v1';
+        this.mirrorNodeUrl = 'https://mainnet-public.mirrornode.hedera.com';
+        this.baseUrl = `${this.mirrorNodeUrl}/api/v1`;
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+        this.tokenInfoCache = new Map(); // Token name/symbol/decimals rarely change
+        this.unfollowableTokens = new Set(); // Tokens already reported as having no royalty collector
     }
 
     /**
@@ -64,6 +67,371 @@ class HederaService {
         }
     }
 
+    /**
+     * Detect NFT sales for tracked tokens directly from Mirror Node transactions.
+     * A sale is a successful CRYPTOTRANSFER that moves a tracked NFT from one account
+     * to another while the receiver pays HBAR or an HTS token in the same transaction.
+     * The Mirror Node cannot filter transactions by token, so each tracked token is read
+     * through its royalty fee collectors: the network pays them on every transfer that
+     * exchanges value for the NFT, so their transaction history holds every sale.
+     * Tokens without a royalty fee cannot be followed this way and are skipped.
+     * Marketplace contract sales are CONTRACTCALL transactions and are not picked up here.
+     * @param {Array<string>} tokenIds - Tracked token IDs
+     * @param {Object} cursors - Last consensus timestamp read per collector account ("seconds.nanos")
+     * @param {number} maxPages - Maximum pages of 100 transactions to read per collector per call
+     * @param {number|null} earliest - Oldest sale time worth reading (ms); older transactions are skipped
+     * @returns {Object} { sales, cursors } where cursors only moves past transactions that were read or skipped
+     */
+    async getOnChainSales(tokenIds, cursors = {}, maxPages = 5, earliest = null) {
+        const tokenSet = new Set(tokenIds || []);
+        const nextCursors = {};
+        const sales = [];
+
+        if (tokenSet.size === 0) {
+            return { sales, cursors: nextCursors };
+        }
+
+        const collectors = await this.getRoyaltyCollectors([...tokenSet]);
+
+        for (const accountId of collectors) {
+            // Start one minute back for a collector we have not read yet
+            let cursor = cursors[accountId] || this.toConsensusTimestamp(Date.now() - 60 * 1000);
+
+            // After downtime, skip what could no longer be posted instead of crawling through it
+            if (earliest && parseFloat(cursor) < earliest / 1000) {
+                if (cursors[accountId]) {
+                    console.log(`⛓️ Royalty collector ${accountId} cursor is older than ${new Date(earliest).toISOString()} - skipping ahead`);
+                }
+                cursor = this.toConsensusTimestamp(earliest);
+            }
+
+            try {
+                let url = `${this.baseUrl}/transactions`;
+                let params = {
+                    'account.id': accountId,
+                    transactiontype: 'CRYPTOTRANSFER',
+                    result: 'success',
+                    order: 'asc',
+                    limit: 100,
+                    timestamp: `gt:${cursor}`
+                };
+
+                for (let page = 0; page < maxPages && url; page++) {
+                    const response = await axios.get(url, {
+                        timeout: 10000,
+                        headers: { 'Accept': 'application/json' },
+                        params
+                    });
+
+                    for (const tx of response.data?.transactions || []) {
+                        if (tx.nft_transfers && tx.nft_transfers.length > 0) {
+                            sales.push(...this.classifyNFTSale(tx, tokenSet));
+                        }
+                        cursor = tx.consensus_timestamp;
+                    }
+
+                    // Mirror Node returns a relative link to the next page
+                    const next = response.data?.links?.next;
+                    url = next ? `${this.mirrorNodeUrl}${next}` : null;
+                    params = undefined;
+                }
+
+                if (url) {
+                    console.log(`⛓️ Royalty collector ${accountId} has more transactions than ${maxPages} page(s) - continuing next cycle`);
+                }
+            } catch (error) {
+                console.error(`Error reading on-chain sales for royalty collector ${accountId}:`, error.message);
+            }
+
+            nextCursors[accountId] = cursor;
+        }
+
+        // Names, payment decimals and images are looked up once the scan is done
+        const described = await this.describeOnChainSales(sales);
+
+        if (described.length > 0) {
+            console.log(`⛓️ Mirror Node detected ${described.length} on-chain sale(s) for tracked collections`);
+        }
+
+        return { sales: described, cursors: nextCursors };
+    }
+
+    /**
+     * Get the accounts that collect royalties for a set of tokens
+     * @param {Array<string>} tokenIds - Token IDs
+     * @returns {Array<string>} Unique collector account IDs
+     */
+    async getRoyaltyCollectors(tokenIds) {
+        const collectors = new Set();
+
+        for (const tokenId of tokenIds) {
+            const tokenInfo = await this.getTokenInfo(tokenId);
+            const tokenCollectors = tokenInfo?.royalty_collectors || [];
+            if (tokenInfo && tokenCollectors.length === 0 && !this.unfollowableTokens.has(tokenId)) {
+                this.unfollowableTokens.add(tokenId);
+                console.log(`⚠️ ${tokenId} has no royalty fee collector - on-chain sales cannot be followed for it`);
+            }
+            tokenCollectors.forEach(accountId => collectors.add(accountId));
+        }
+
+        return [...collectors];
+    }
+
+    /**
+     * Turn a Mirror Node transaction into sale objects if it pays for a tracked NFT.
+     * Does no lookups - describeOnChainSales() fills in names, HTS prices and images.
+     * @param {Object} tx - Mirror Node transaction
+     * @param {Set<string>} tokenSet - Tracked token IDs
+     * @returns {Array} Sale objects in the same shape the marketplace services return
+     */
+    classifyNFTSale(tx, tokenSet) {
+        // Ignore mints/burns (no sender or receiver) and self transfers
+        const nftTransfers = tx.nft_transfers.filter(transfer =>
+            tokenSet.has(transfer.token_id) &&
+            transfer.sender_account_id &&
+            transfer.receiver_account_id &&
+            transfer.sender_account_id !== transfer.receiver_account_id
+        );
+
+        if (nftTransfers.length === 0) return [];
+
+        const payer = (tx.transaction_id || '').split('-')[0];
+        const results = [];
+
+        // Group NFTs by buyer/seller pair so bundle purchases split the price evenly
+        const groups = new Map();
+        for (const transfer of nftTransfers) {
+            const key = `${transfer.receiver_account_id}|${transfer.sender_account_id}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(transfer);
+        }
+
+        for (const [key, transfers] of groups) {
+            const [buyer, seller] = key.split('|');
+            const payment = this.getBuyerPayment(tx, buyer, payer);
+            if (!payment) continue; // NFT moved without payment - gift or wallet move
+
+            const timestamp = new Date(parseFloat(tx.consensus_timestamp) * 1000).toISOString();
+
+            for (const transfer of transfers) {
+                results.push({
+                    id: `${transfer.token_id}-${transfer.serial_number}-${tx.consensus_timestamp}`,
+                    token_id: transfer.token_id,
+                    serial_id: transfer.serial_number,
+                    serial_number: transfer.serial_number,
+                    price_hbar: payment.amount / transfers.length,
+                    payment_token_id: payment.tokenId,
+                    buyer,
+                    seller,
+                    timestamp,
+                    rarity: null,
+                    rank: null,
+                    marketplace: 'On-chain',
+                    transaction_id: tx.transaction_id,
+                    transaction_hash: tx.transaction_hash || null,
+                    sale_type: 'Sale',
+                    collection_url: `https://hashscan.io/mainnet/token/${transfer.token_id}`,
+                    listing_url: `https://hashscan.io/mainnet/transaction/${tx.consensus_timestamp}`
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Fill in collection names, HTS payment amounts and images for detected sales
+     * @param {Array} sales - Sales from classifyNFTSale()
+     * @returns {Array} The same sales, ready to post
+     */
+    async describeOnChainSales(sales) {
+        for (const sale of sales) {
+            const tokenInfo = await this.getTokenInfo(sale.token_id);
+            const collectionName = tokenInfo?.name || 'Unknown Collection';
+            sale.nft_name = `${collectionName} #${sale.serial_number}`;
+            sale.collection_name = collectionName;
+
+            // HTS payments come back in the token's smallest unit
+            let amount = sale.price_hbar;
+            sale.payment_symbol = 'HBAR';
+            if (sale.payment_token_id) {
+                const paymentInfo = await this.getTokenInfo(sale.payment_token_id);
+                amount = amount / Math.pow(10, parseInt(paymentInfo?.decimals || '0'));
+                sale.payment_symbol = paymentInfo?.symbol || sale.payment_token_id;
+            }
+            sale.price_hbar = Math.round(amount * 100) / 100;
+
+            const image = await this.getNFTImage(sale.token_id, sale.serial_number);
+            sale.image_url = image;
+            sale.imageUrl = image;
+        }
+
+        return sales;
+    }
+
+    /**
+     * Work out what the NFT receiver paid in a transaction
+     * @param {Object} tx - Mirror Node transaction
+     * @param {string} buyer - Receiving account ID
+     * @param {string} payer - Account that paid the network fee
+     * @returns {Object|null} { amount, tokenId } (HBAR, or the HTS token's smallest unit) or null if nothing was paid
+     */
+    getBuyerPayment(tx, buyer, payer) {
+        // HBAR: net outflow from the buyer, excluding the network fee if they paid it
+        const hbarNet = (tx.transfers || [])
+            .filter(transfer => transfer.account === buyer)
+            .reduce((sum, transfer) => sum + transfer.amount, 0);
+        const feeAdjustment = buyer === payer ? (tx.charged_tx_fee || 0) : 0;
+        const hbarPaid = -(hbarNet + feeAdjustment);
+
+        if (hbarPaid > 0) {
+            return { amount: this.parseHbarBalance(hbarPaid), tokenId: null };
+        }
+
+        // HTS: the first fungible token the buyer sent out
+        const tokenNet = new Map();
+        for (const transfer of tx.token_transfers || []) {
+            if (transfer.account !== buyer) continue;
+            tokenNet.set(transfer.token_id, (tokenNet.get(transfer.token_id) || 0) + transfer.amount);
+        }
+
+        for (const [tokenId, net] of tokenNet) {
+            if (net >= 0) continue;
+            return { amount: -net, tokenId };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get token name, symbol, decimals and royalty collectors (cached without expiry)
+     * @param {string} tokenId - Token ID
+     * @returns {Object|null} Token info or null
+     */
+    async getTokenInfo(tokenId) {
+        if (this.tokenInfoCache.has(tokenId)) {
+            return this.tokenInfoCache.get(tokenId);
+        }
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/tokens/${tokenId}`, { timeout: 10000 });
+            const info = {
+                token_id: tokenId,
+                name: response.data.name,
+                symbol: response.data.symbol,
+                decimals: response.data.decimals,
+                type: response.data.type,
+                total_supply: response.data.total_supply,
+                max_supply: response.data.max_supply,
+                supply_type: response.data.supply_type,
+                treasury_account_id: response.data.treasury_account_id,
+                royalty_collectors: [...new Set((response.data.custom_fees?.royalty_fees || [])
+                    .map(fee => fee.collector_account_id)
+                    .filter(Boolean))]
+            };
+            this.tokenInfoCache.set(tokenId, info);
+            return info;
+        } catch (error) {
+            console.error(`Error fetching token info for ${tokenId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get how many units of a token an account holds (no caching - used for live supply counts)
+     * @param {string} tokenId - Token ID
+     * @param {string} accountId - Account to check, e.g. a collection treasury
+     * @returns {number|null} Balance or null on error
+     */
+    async getTokenBalance(tokenId, accountId) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/tokens/${tokenId}/balances`, {
+                timeout: 10000,
+                params: { 'account.id': accountId }
+            });
+            const entry = (response.data?.balances || []).find(balance => balance.account === accountId);
+            return entry ? entry.balance : 0;
+        } catch (error) {
+            console.error(`Error fetching ${tokenId} balance for ${accountId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get how far a collection's mint has progressed (no caching - supply changes with every mint).
+     * Pre-minted collections sit in the treasury, so for those minted means "left the treasury".
+     * @param {string} tokenId - Token ID
+     * @returns {Object|null} { minted, maxSupply, percent } (maxSupply/percent are null for infinite supply)
+     */
+    async getMintProgress(tokenId) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/tokens/${tokenId}`, { timeout: 10000 });
+            const totalSupply = Number(response.data.total_supply) || 0;
+            const maxSupply = response.data.supply_type === 'FINITE' ? Number(response.data.max_supply) || 0 : 0;
+
+            let minted = totalSupply;
+            if (maxSupply > 0 && totalSupply >= maxSupply && response.data.treasury_account_id) {
+                const held = await this.getTokenBalance(tokenId, response.data.treasury_account_id);
+                if (held !== null) minted = maxSupply - held;
+            }
+
+            return {
+                minted,
+                maxSupply: maxSupply || null,
+                percent: maxSupply > 0 ? Math.min(100, (minted / maxSupply) * 100) : null
+            };
+        } catch (error) {
+            console.error(`Error fetching mint progress for ${tokenId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve an NFT image from its on-chain metadata pointer
+     * @param {string} tokenId - Token ID
+     * @param {number} serial - Serial number
+     * @returns {string|null} Image URL (may be ipfs://) or null
+     */
+    async getNFTImage(tokenId, serial) {
+        const cacheKey = `nft_image_${tokenId}_${serial}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.data;
+        }
+
+        let image = null;
+        try {
+            const response = await axios.get(`${this.baseUrl}/tokens/${tokenId}/nfts/${serial}`, { timeout: 10000 });
+            const pointer = Buffer.from(response.data?.metadata || '', 'base64').toString('utf8').trim();
+
+            if (pointer.startsWith('ipfs://') || pointer.startsWith('http')) {
+                const metadataUrl = pointer.startsWith('ipfs://')
+                    ? `https://ipfs.io/ipfs/${pointer.replace('ipfs://', '')}`
+                    : pointer;
+                const metadata = await axios.get(metadataUrl, { timeout: 10000 });
+                image = metadata.data?.image || null;
+            } else if (pointer.startsWith('hcs://')) {
+                image = pointer;
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not resolve image for ${tokenId}/${serial}: ${error.message}`);
+        }
+
+        this.cache.set(cacheKey, { data: image, timestamp: Date.now() });
+        return image;
+    }
+
+    /**
+     * Convert a millisecond timestamp to Mirror Node consensus format
+     * @param {number} ms - Milliseconds since epoch
+     * @returns {string} "seconds.nanos" timestamp
+     */
+    toConsensusTimestamp(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const nanos = String((ms % 1000) * 1000000).padStart(9, '0');
+        return `${seconds}.${nanos}`;
+    }
+
     /**
      * Parse HBAR balance from tinybars
      * @param {string|number} tinybars - Balance in tinybars
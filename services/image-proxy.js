@@ -0,0 +1,397 @@
+/**
+ * Image proxy service for NFT artwork
+ * Resolves IPFS, Arweave and HCS image references through configurable gateways, checks that what comes back
+ * is really an image, downsizes large files and caches the result on disk so posts can attach the artwork
+ * instead of linking URLs Discord fails to render
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config');
+const HashinalService = require('./hashinal');
+
+// Formats Discord renders in embeds, and the file extension used for each
+const DISCORD_IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|baf[a-z0-9]{20,})(\/.*)?$/;
+const MAX_ATTEMPTS = 8; // gateway requests per image before giving up
+
+class ImageProxyService {
+    constructor() {
+        this.mode = config.IMAGE_PROXY_MODE;
+        this.cacheDir = path.resolve(__dirname, '..', config.IMAGE_CACHE_DIR);
+        this.cacheMaxAge = config.IMAGE_CACHE_MAX_AGE_HOURS * 60 * 60 * 1000;
+        this.lastPrune = 0;
+        this.failures = new Map(); // cache key -> when resolution last failed
+        this.failureTimeout = 10 * 60 * 1000; // 10 minutes
+        this.hashinalService = new HashinalService();
+
+        this.axiosInstance = axios.create({
+            timeout: config.IMAGE_FETCH_TIMEOUT,
+            maxContentLength: config.IMAGE_MAX_DOWNLOAD_BYTES,
+            responseType: 'arraybuffer',
+            headers: {
+                'User-Agent': 'Discord-NFT-Bot/1.0',
+                'Accept': 'image/*,*/*;q=0.8'
+            }
+        });
+    }
+
+    /**
+     * Work out how an embed should show an NFT's image
+     * @param {Object} nft - Sale, listing or mint object with image fields
+     * @returns {Promise<Object|null>} { url } to link, { attachment: { buffer, fileName } } to attach, or null
+     */
+    async getEmbedImage(nft) {
+        if (this.mode === 'off') {
+            const url = this.getDirectUrl(nft);
+            return url ? { url } : null;
+        }
+
+        const image = await this.resolve(nft);
+        if (!image) return null;
+
+        // A direct URL that answered with a Discord-sized image is left for Discord to load
+        const linkable = image.sourceUrl && image.direct && !image.resized;
+        if ((this.mode === 'auto' && linkable) || !image.attachable) {
+            return image.sourceUrl ? { url: image.sourceUrl } : null;
+        }
+
+        return { attachment: { buffer: image.buffer, fileName: image.fileName } };
+    }
+
+    /**
+     * First gateway URL for an NFT's image, without fetching it
+     * @param {Object} nft - NFT object with image fields
+     * @returns {string|null} HTTP URL or null
+     */
+    getDirectUrl(nft) {
+        for (const source of this.getImageSources(nft)) {
+            const candidate = this.getCandidates(source).find(item => item.url);
+            if (candidate) return candidate.url;
+        }
+        return null;
+    }
+
+    /**
+     * Collect an NFT's image references in priority order
+     * @param {Object} nft - NFT object with image fields
+     * @returns {Array<string>} Image references (URLs, ipfs://, ar://, hcs://, bare CIDs or data URIs)
+     */
+    getImageSources(nft) {
+        const sources = [];
+
+        // Inscriptions render best from HashPack's inscription CDN
+        if (this.hashinalService.isHashinal(nft) && nft.token_id && nft.serial_number) {
+            sources.push(`https://hashpack-hashinal.b-cdn.net/api/inscription-cdn/${nft.token_id}/${nft.serial_number}?network=mainnet`);
+        }
+
+        const fields = [
+            nft.imageCDN,
+            nft.image_cdn,
+            nft.nftImage,
+            nft.image_url,
+            nft.imageUrl,
+            nft.imageFile,
+            nft.image,
+            nft.nft_image,
+            nft.imageData,
+            nft.imagecid,
+            nft.metadata?.image,
+            nft.media?.image,
+            nft.data?.image,
+            nft.nft_data?.imageCDN,
+            nft.nft_data?.image_url,
+            nft.nft_data?.image,
+            nft.nft_data?.metadata?.image
+        ];
+
+        for (const field of fields) {
+            const source = typeof field === 'string' ? field.trim() : '';
+            if (source && !sources.includes(source)) sources.push(source);
+        }
+
+        return sources;
+    }
+
+    /**
+     * Expand one image reference into the places it can be fetched from
+     * @param {string} source - Image reference
+     * @returns {Array<Object>} Candidates: { url }, { hcs1: topicId } or { dataUri }
+     */
+    getCandidates(source) {
+        if (source.startsWith('data:image/')) {
+            return [{ dataUri: source }];
+        }
+
+        const hcsMatch = source.match(/^hcs:\/\/1\/(0\.0\.\d+)/);
+        if (hcsMatch) {
+            // Gateways first; rebuilding the file from the topic is slow but always possible
+            return [...this.fillGateways(config.IMAGE_HCS_GATEWAYS, hcsMatch[1]), { hcs1: hcsMatch[1] }];
+        }
+
+        if (source.startsWith('ipfs://')) {
+            return this.fillGateways(config.IMAGE_IPFS_GATEWAYS, source.slice('ipfs://'.length).replace(/^ipfs\//, ''));
+        }
+        if (CID_PATTERN.test(source)) {
+            return this.fillGateways(config.IMAGE_IPFS_GATEWAYS, source);
+        }
+        if (source.startsWith('ar://')) {
+            return this.fillGateways(config.IMAGE_ARWEAVE_GATEWAYS, source.slice('ar://'.length));
+        }
+
+        if (/^https?:\/\//.test(source)) {
+            // Try the URL as given, then the same content through the configured gateways
+            const ipfsPath = source.match(/\/ipfs\/([^?#]+)/);
+            const arweavePath = source.match(/^https?:\/\/(?:www\.)?arweave\.net\/([^?#]+)/);
+            const alternatives = ipfsPath
+                ? this.fillGateways(config.IMAGE_IPFS_GATEWAYS, ipfsPath[1])
+                : arweavePath
+                    ? this.fillGateways(config.IMAGE_ARWEAVE_GATEWAYS, arweavePath[1])
+                    : [];
+            return [{ url: source }, ...alternatives.filter(candidate => candidate.url !== source)];
+        }
+
+        return [];
+    }
+
+    /**
+     * Build gateway URLs for a content path
+     * @param {Array<string>} gateways - URL templates containing {path}
+     * @param {string} resourcePath - CID (with optional sub-path), Arweave ID or topic ID
+     * @returns {Array<Object>} { url } candidates
+     */
+    fillGateways(gateways, resourcePath) {
+        return gateways.map(gateway => ({ url: gateway.replace('{path}', resourcePath) }));
+    }
+
+    /**
+     * Fetch an NFT's image through its sources and gateways, using the disk cache when possible
+     * @param {Object} nft - NFT object with image fields
+     * @returns {Promise<Object|null>} { buffer, contentType, fileName, sourceUrl, direct, resized, attachable } or null
+     */
+    async resolve(nft) {
+        const sources = this.getImageSources(nft);
+        if (sources.length === 0) return null;
+
+        const key = crypto.createHash('sha1').update(sources[0]).digest('hex');
+        const cached = this.readCache(key);
+        if (cached) return cached;
+
+        const failedAt = this.failures.get(key);
+        if (failedAt && Date.now() - failedAt < this.failureTimeout) return null;
+
+        const label = nft.nft_name || `${nft.token_id}/${nft.serial_number || nft.serial_id}`;
+        let attempts = 0;
+        for (const source of sources) {
+            for (const candidate of this.getCandidates(source)) {
+                if (attempts >= MAX_ATTEMPTS) break;
+                const direct = attempts === 0;
+                attempts++;
+
+                const image = await this.fetchCandidate(candidate);
+                if (!image) continue;
+
+                const prepared = await this.prepare(image);
+                if (!prepared) continue;
+
+                const result = {
+                    ...prepared,
+                    fileName: `nft-${key.slice(0, 16)}.${DISCORD_IMAGE_TYPES[prepared.contentType] || 'png'}`,
+                    sourceUrl: candidate.url || null,
+                    direct
+                };
+                this.writeCache(key, result);
+                console.log(`🖼️ [IMAGE] Resolved ${label} via ${candidate.url || (candidate.hcs1 ? `HCS-1 topic ${candidate.hcs1}` : 'data URI')}${result.resized ? ' (downsized)' : ''}`);
+                return result;
+            }
+        }
+
+        console.log(`⚠️ [IMAGE] No usable image for ${label} after ${attempts} attempts`);
+        this.failures.set(key, Date.now());
+        return null;
+    }
+
+    /**
+     * Download one candidate and make sure it is an image
+     * @param {Object} candidate - { url }, { hcs1 } or { dataUri }
+     * @returns {Promise<Object|null>} { buffer, contentType } or null
+     */
+    async fetchCandidate(candidate) {
+        try {
+            if (candidate.dataUri) {
+                const match = candidate.dataUri.match(/^data:(image\/[\w.+-]+);base64,(.+)$/s);
+                if (!match) return null;
+                const buffer = Buffer.from(match[2], 'base64');
+                const contentType = this.detectImageType(buffer, match[1]);
+                return contentType ? { buffer, contentType } : null;
+            }
+
+            if (candidate.hcs1) {
+                const file = await this.hashinalService.readHCS1File(candidate.hcs1);
+                if (!file) return null;
+                const contentType = this.detectImageType(file.buffer, file.mimeType);
+                return contentType ? { buffer: file.buffer, contentType } : null;
+            }
+
+            const response = await this.axiosInstance.get(candidate.url);
+            const buffer = Buffer.from(response.data);
+            const contentType = this.detectImageType(buffer, response.headers['content-type']);
+            if (!contentType) {
+                console.log(`⚠️ [IMAGE] ${candidate.url} did not return an image (${response.headers['content-type'] || 'no content type'})`);
+                return null;
+            }
+            return { buffer, contentType };
+        } catch (error) {
+            console.log(`⚠️ [IMAGE] ${candidate.url || `HCS-1 topic ${candidate.hcs1}`} failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Identify an image from its bytes, falling back to the declared type.
+     * Gateways often serve IPFS content as application/octet-stream, and error pages as text/html.
+     * @param {Buffer} buffer - File bytes
+     * @param {string} declaredType - Content-Type header or MIME type
+     * @returns {string|null} Image MIME type or null if this isn't an image
+     */
+    detectImageType(buffer, declaredType = '') {
+        if (buffer.length < 12) return null;
+
+        if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+        if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+        if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+        if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+
+        const head = buffer.toString('utf8', 0, 512).trimStart().toLowerCase();
+        if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'image/svg+xml';
+
+        const type = (declaredType || '').split(';')[0].trim().toLowerCase();
+        return type.startsWith('image/') ? type : null;
+    }
+
+    /**
+     * Convert an image into something Discord displays, no larger than the configured limits
+     * @param {Object} image - { buffer, contentType }
+     * @returns {Promise<Object|null>} { buffer, contentType, resized, attachable } or null if unusable
+     */
+    async prepare(image) {
+        let { buffer, contentType } = image;
+        let resized = false;
+        const supported = Boolean(DISCORD_IMAGE_TYPES[contentType]);
+
+        try {
+            const animated = contentType === 'image/gif' || contentType === 'image/webp';
+            const metadata = await sharp(buffer, { animated }).metadata();
+            const width = metadata.width || 0;
+            const height = metadata.pageHeight || metadata.height || 0;
+            const oversized = Math.max(width, height) > config.IMAGE_MAX_DIMENSION ||
+                buffer.length > config.IMAGE_MAX_ATTACHMENT_BYTES;
+
+            if (oversized || !supported) {
+                // SVG, AVIF and friends are rasterized to PNG; everything else keeps its format
+                const format = supported ? metadata.format : 'png';
+                buffer = await sharp(buffer, { animated })
+                    .resize({
+                        width: config.IMAGE_MAX_DIMENSION,
+                        height: config.IMAGE_MAX_DIMENSION,
+                        fit: 'inside',
+                        withoutEnlargement: true
+                    })
+                    .toFormat(format)
+                    .toBuffer();
+                contentType = supported ? contentType : 'image/png';
+                resized = true;
+            }
+        } catch (error) {
+            console.log(`⚠️ [IMAGE] Could not process ${contentType} image: ${error.message}`);
+            if (!supported) return null;
+        }
+
+        return {
+            buffer,
+            contentType,
+            resized,
+            attachable: buffer.length <= config.IMAGE_MAX_ATTACHMENT_BYTES
+        };
+    }
+
+    /**
+     * Load a resolved image from the disk cache
+     * @param {string} key - Cache key
+     * @returns {Object|null} Cached result or null if missing or expired
+     */
+    readCache(key) {
+        try {
+            const metaPath = path.join(this.cacheDir, `${key}.json`);
+            if (!fs.existsSync(metaPath)) return null;
+
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            if (Date.now() - new Date(meta.cachedAt).getTime() > this.cacheMaxAge) return null;
+
+            const buffer = fs.readFileSync(path.join(this.cacheDir, meta.fileName));
+            return { ...meta, buffer };
+        } catch (error) {
+            console.log(`⚠️ [IMAGE] Ignoring unreadable cache entry ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save a resolved image to the disk cache (the file is written before its metadata)
+     * @param {string} key - Cache key
+     * @param {Object} result - Resolved image
+     */
+    writeCache(key, result) {
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            const { buffer, ...meta } = result;
+            fs.writeFileSync(path.join(this.cacheDir, result.fileName), buffer);
+            fs.writeFileSync(path.join(this.cacheDir, `${key}.json`), JSON.stringify({
+                ...meta,
+                cachedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.log(`⚠️ [IMAGE] Could not cache image on disk: ${error.message}`);
+        }
+
+        if (Date.now() - this.lastPrune > 60 * 60 * 1000) {
+            this.pruneCache();
+        }
+    }
+
+    /**
+     * Delete cached images older than the configured maximum age
+     */
+    pruneCache() {
+        this.lastPrune = Date.now();
+        try {
+            let removed = 0;
+            for (const name of fs.readdirSync(this.cacheDir)) {
+                const filePath = path.join(this.cacheDir, name);
+                if (Date.now() - fs.statSync(filePath).mtimeMs > this.cacheMaxAge) {
+                    fs.unlinkSync(filePath);
+                    removed++;
+                }
+            }
+            if (removed > 0) {
+                console.log(`🧹 [IMAGE] Removed ${removed} expired cache files`);
+            }
+        } catch (error) {
+            console.log(`⚠️ [IMAGE] Cache cleanup failed: ${error.message}`);
+        }
+
+        for (const [key, failedAt] of this.failures.entries()) {
+            if (Date.now() - failedAt > this.failureTimeout) this.failures.delete(key);
+        }
+    }
+}
+
+module.exports = new ImageProxyService();
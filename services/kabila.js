@@ -65,16 +65,7 @@ class KabilaService {
             }
             
             // Filter only actual completed sales (must have buyer and price)
-            const salesOnly = activities.filter(activity => {
-                const hasCompletedSale = activity.buyerId && 
-                    activity.buyerId !== null && 
-                    activity.buyerId !== '' &&
-                    activity.price && 
-                    activity.price > 0 &&
-                    (activity.activityType === 'SALE' || activity.activityType === 'LAUNCHPAD_SALE');
-                
-                return hasCompletedSale;
-            });
+            const salesOnly = activities.filter(activity => this.isCompletedSale(activity));
             
             const formattedData = this.formatSalesData(salesOnly);
             
@@ -138,14 +129,7 @@ class KabilaService {
             // }
             
             // Filter only active listings (no buyer, has price)
-            const listingsOnly = activities.filter(activity => {
-                const isActiveListing = (!activity.buyerId || activity.buyerId === '') && 
-                    activity.price && 
-                    activity.price > 0 &&
-                    activity.activityType === 'LISTING';
-                
-                return isActiveListing;
-            });
+            const listingsOnly = activities.filter(activity => this.isActiveListing(activity));
             
             return this.formatListingsData(listingsOnly);
 
@@ -168,6 +152,66 @@ class KabilaService {
         }
     }
 
+    /**
+     * Whether an activity entry is a completed sale (has a buyer and a price)
+     * @param {Object} activity - Raw activity entry
+     * @returns {boolean}
+     */
+    isCompletedSale(activity) {
+        return Boolean(activity.buyerId &&
+            activity.price &&
+            activity.price > 0 &&
+            (activity.activityType === 'SALE' || activity.activityType === 'LAUNCHPAD_SALE'));
+    }
+
+    /**
+     * Whether an activity entry is an active listing (no buyer, has a price)
+     * @param {Object} activity - Raw activity entry
+     * @returns {boolean}
+     */
+    isActiveListing(activity) {
+        return Boolean(!activity.buyerId &&
+            activity.price &&
+            activity.price > 0 &&
+            activity.activityType === 'LISTING');
+    }
+
+    /**
+     * Get one page of the last week's activity, newest first, for catching up after downtime
+     * @param {number} page - 1-based page number
+     * @param {number} limit - Entries per page
+     * @returns {Object|null} { sales, listings, count, oldest } - formatted events, raw entry count and
+     *   oldest entry time in ms; null if the request failed
+     */
+    async getActivityPage(page = 1, limit = 100) {
+        try {
+            const response = await this.axiosInstance.get('/activity', {
+                params: {
+                    timeRange: '7d',
+                    skip: (page - 1) * limit,
+                    limit,
+                    fields: 'tokenId,serialNumber,name,imageCid,imageType,activityType,subactivityType,price,currency,buyerId,sellerId,createdAt,rank'
+                }
+            });
+
+            if (!response.data) {
+                return null;
+            }
+
+            const activities = response.data.data || [];
+            const times = activities.map(activity => new Date(activity.createdAt).getTime()).filter(time => !isNaN(time));
+            return {
+                sales: this.formatSalesData(activities.filter(activity => this.isCompletedSale(activity))),
+                listings: this.formatListingsData(activities.filter(activity => this.isActiveListing(activity))),
+                count: activities.length,
+                oldest: times.length > 0 ? Math.min(...times) : null
+            };
+        } catch (error) {
+            console.error(`Kabila activity page ${page} failed:`, error.response ? error.response.status : error.message);
+            return null;
+        }
+    }
+
     /**
      * Get collection floor price from Kabila marketplace
      * @param {string} tokenId - Token ID of the collection
@@ -0,0 +1,253 @@
+/**
+ * Base marketplace adapter contract
+ * Every marketplace the bot monitors is wrapped in a subclass of this adapter
+ * so the monitoring loop can treat all of them the same way
+ */
+
+const crypto = require('crypto');
+
+const CALLBACK_TOLERANCE_SECONDS = 5 * 60;
+
+class MarketplaceAdapter {
+    /**
+     * @param {string} name - Display name used as the `marketplace` field on events
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Fetch recent completed sales
+     * @param {number} limit - Number of sales to fetch
+     * @returns {Promise<Array>} Raw sale objects from the marketplace service
+     */
+    async fetchSales(limit) {
+        throw new Error(`${this.name} adapter does not implement fetchSales`);
+    }
+
+    /**
+     * Fetch recent listings
+     * @param {number} limit - Number of listings to fetch
+     * @returns {Promise<Array>} Raw listing objects from the marketplace service
+     */
+    async fetchListings(limit) {
+        throw new Error(`${this.name} adapter does not implement fetchListings`);
+    }
+
+    /**
+     * Fetch one page of past activity, newest first (used to catch up after downtime)
+     * @param {number} page - 1-based page number
+     * @param {number} pageSize - Entries per page
+     * @returns {Promise<Object|null>} { sales, listings, count, oldest } with raw events, the page's entry
+     *   count and its oldest entry time in ms - or null when history isn't available
+     */
+    async fetchActivityPage(page, pageSize) {
+        return null;
+    }
+
+    /**
+     * Fetch the raw floor price for a collection
+     * @param {string} tokenId - Collection token ID
+     * @returns {Promise<number|null>} Floor price in HBAR or null if unavailable
+     */
+    async fetchFloorPrice(tokenId) {
+        return null;
+    }
+
+    /**
+     * Check whether the marketplace API is reachable
+     * @returns {Promise<boolean>} True if healthy
+     */
+    async healthCheck() {
+        return false;
+    }
+
+    /**
+     * Hook for adding data from other sources (e.g. rarity) before posting
+     * @param {Array} events - Normalized events from this marketplace
+     * @returns {Promise<Array>} Enriched events
+     */
+    async enrichEvents(events) {
+        return events;
+    }
+
+    /**
+     * Turn a push callback body into raw sales and listings (the shape fetchSales/fetchListings return).
+     * Marketplaces that can push activity override this; the default means "no push support".
+     * @param {Object} body - Parsed JSON body of the callback
+     * @returns {Object|null} { sales, listings } or null
+     */
+    parseCallback(body) {
+        return null;
+    }
+
+    /**
+     * Check a push callback's signature. By default X-Signature must be the hex HMAC-SHA256
+     * (optionally prefixed with "sha256=") of "{X-Timestamp}.{raw body}", keyed with the
+     * marketplace's secret, and X-Timestamp must be within 5 minutes of now
+     * @param {Buffer} rawBody - Request body exactly as received
+     * @param {Object} headers - Request headers (lower-case names)
+     * @param {string} secret - Shared secret for this marketplace
+     * @returns {boolean} True if the callback is authentic
+     */
+    verifyCallback(rawBody, headers, secret) {
+        const timestamp = Number(headers['x-timestamp']);
+        const signature = String(headers['x-signature'] || '').replace(/^sha256=/, '');
+        if (!secret || !signature || !Number.isFinite(timestamp)) return false;
+        if (Math.abs(Date.now() / 1000 - timestamp) > CALLBACK_TOLERANCE_SECONDS) return false;
+
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${headers['x-timestamp']}.`)
+            .update(rawBody)
+            .digest('hex');
+        return signature.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    }
+
+    /**
+     * Get the events in a push callback in the normalized event shape
+     * @param {Object} body - Parsed JSON body of the callback
+     * @returns {Object|null} { sales, listings } of normalized events, or null without push support
+     */
+    getPushedEvents(body) {
+        const parsed = this.parseCallback(body);
+        if (!parsed) return null;
+
+        return {
+            sales: (parsed.sales || []).map(sale => this.normalizeEvent(sale, 'sale')),
+            listings: (parsed.listings || []).map(listing => this.normalizeEvent(listing, 'listing'))
+        };
+    }
+
+    /**
+     * Build the collection page URL for an event on this marketplace
+     * @param {Object} event - Normalized event
+     * @returns {string|null} Collection URL
+     */
+    getCollectionUrl(event) {
+        return event.collection_url || null;
+    }
+
+    /**
+     * Rarity for an event that is safe to show and filter on
+     * @param {Object} event - Normalized event
+     * @returns {Object|null} { rank, rarity, source } - source names the marketplace the data was
+     *   borrowed from (null for this marketplace's own) - or null when there is none to trust
+     */
+    getTrustedRarity(event) {
+        if (!event.rank && !event.rarity) return null;
+        return { rank: event.rank || null, rarity: event.rarity || null, source: null };
+    }
+
+    /**
+     * Rarity rank for an event that is safe to show and filter on
+     * @param {Object} event - Normalized event
+     * @returns {number|null} Rank, or null when there is none to trust
+     */
+    getTrustedRank(event) {
+        const trusted = this.getTrustedRarity(event);
+        const rank = trusted ? parseInt(trusted.rank, 10) : NaN;
+        return Number.isNaN(rank) ? null : rank;
+    }
+
+    /**
+     * Get recent sales in the normalized event shape
+     * @param {number} limit - Number of sales to fetch
+     * @returns {Promise<Array>} Normalized sale events
+     */
+    async getRecentSales(limit = 50) {
+        const sales = await this.fetchSales(limit);
+        return (sales || []).map(sale => this.normalizeEvent(sale, 'sale'));
+    }
+
+    /**
+     * Get recent listings in the normalized event shape
+     * @param {number} limit - Number of listings to fetch
+     * @returns {Promise<Array>} Normalized listing events
+     */
+    async getRecentListings(limit = 50) {
+        const listings = await this.fetchListings(limit);
+        return (listings || []).map(listing => this.normalizeEvent(listing, 'listing'));
+    }
+
+    /**
+     * Page back through activity until a point in time, in the normalized event shape
+     * @param {number} since - Time in ms; only events after it are returned
+     * @param {Object} options - { pageSize, maxPages }
+     * @returns {Promise<Object>} { sales, listings, complete } - complete is false when history
+     *   ran out (or isn't available) before reaching `since`
+     */
+    async getActivitySince(since, { pageSize = 100, maxPages = 10 } = {}) {
+        const sales = [];
+        const listings = [];
+        const isAfter = event => new Date(event.timestamp).getTime() > since;
+
+        for (let page = 1; page <= maxPages; page++) {
+            const result = await this.fetchActivityPage(page, pageSize);
+            if (!result) return { sales, listings, complete: false };
+
+            sales.push(...(result.sales || []).map(sale => this.normalizeEvent(sale, 'sale')).filter(isAfter));
+            listings.push(...(result.listings || []).map(listing => this.normalizeEvent(listing, 'listing')).filter(isAfter));
+
+            if (result.count < pageSize || !result.oldest || result.oldest <= since) {
+                return { sales, listings, complete: true };
+            }
+        }
+        return { sales, listings, complete: false };
+    }
+
+    /**
+     * Get the floor price for a collection in the normalized shape
+     * @param {string} tokenId - Collection token ID
+     * @returns {Promise<Object|null>} { price_hbar, listing_count, last_updated, marketplace } or null
+     */
+    async getFloorPrice(tokenId) {
+        const result = await this.fetchFloorPrice(tokenId);
+        if (!result || !result.price_hbar || result.price_hbar <= 0) {
+            return null;
+        }
+
+        return {
+            price_hbar: result.price_hbar,
+            listing_count: result.listing_count ?? null,
+            last_updated: result.last_updated || new Date(),
+            marketplace: this.name
+        };
+    }
+
+    /**
+     * Convert a marketplace-specific object into the shared event shape.
+     * Original fields are kept so existing embed code keeps working.
+     * @param {Object} event - Raw sale or listing object
+     * @param {string} eventType - 'sale' or 'listing'
+     * @returns {Object} Normalized event
+     */
+    normalizeEvent(event, eventType) {
+        const tokenId = event.token_id || event.tokenId || null;
+        const serial = event.serial_number ?? event.serial_id ?? event.serialNumber ?? null;
+
+        const normalized = {
+            ...event,
+            event_type: eventType,
+            marketplace: event.marketplace || this.name,
+            token_id: tokenId,
+            serial_id: serial,
+            serial_number: serial,
+            nft_name: event.nft_name || event.nftName || (serial !== null ? `NFT #${serial}` : 'Unknown NFT'),
+            collection_name: event.collection_name || event.collectionName || 'Unknown Collection',
+            price_hbar: Number(event.price_hbar) || 0,
+            payment_symbol: event.payment_symbol || 'HBAR',
+            payment_token_id: event.payment_token_id || null,
+            seller: event.seller || null,
+            timestamp: event.timestamp || event.created_at || null
+        };
+
+        if (eventType === 'sale') {
+            normalized.buyer = event.buyer || null;
+        }
+
+        return normalized;
+    }
+}
+
+module.exports = MarketplaceAdapter;
@@ -0,0 +1,247 @@
+/**
+ * Marketplace registry
+ * Holds every marketplace adapter the monitoring loop should poll.
+ * To support a new marketplace, add an adapter module and register it below.
+ */
+
+const MarketplaceAdapter = require('./adapter');
+const SentXAdapter = require('./sentx');
+const KabilaAdapter = require('./kabila');
+
+class MarketplaceRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    /**
+     * Register a marketplace adapter
+     * @param {MarketplaceAdapter} adapter - Adapter instance
+     */
+    register(adapter) {
+        if (!(adapter instanceof MarketplaceAdapter)) {
+            throw new Error('Marketplace adapters must extend MarketplaceAdapter');
+        }
+        this.adapters.set(adapter.name.toLowerCase(), adapter);
+        console.log(`🏪 Registered marketplace adapter: ${adapter.name}`);
+    }
+
+    /**
+     * Remove a marketplace adapter
+     * @param {string} name - Marketplace name
+     * @returns {boolean} True if an adapter was removed
+     */
+    unregister(name) {
+        return this.adapters.delete((name || '').toLowerCase());
+    }
+
+    /**
+     * Get an adapter by marketplace name (case-insensitive)
+     * @param {string} name - Marketplace name
+     * @returns {MarketplaceAdapter|null} Adapter or null
+     */
+    get(name) {
+        return this.adapters.get((name || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Get all registered adapters in registration order
+     * @returns {Array<MarketplaceAdapter>} Adapters
+     */
+    getAll() {
+        return Array.from(this.adapters.values());
+    }
+
+    /**
+     * Get names of all registered marketplaces
+     * @returns {Array<string>} Marketplace names
+     */
+    getNames() {
+        return this.getAll().map(adapter => adapter.name);
+    }
+
+    /**
+     * Fetch recent sales from every registered marketplace
+     * @param {number} limit - Number of sales to fetch per marketplace
+     * @param {Array<string>} skip - Marketplace names not to poll this time
+     * @returns {Promise<Array>} Normalized sale events from all marketplaces
+     */
+    async getRecentSales(limit = 50, skip = []) {
+        return this.collect(adapter => adapter.getRecentSales(limit), 'sales', skip);
+    }
+
+    /**
+     * Fetch recent listings from every registered marketplace
+     * @param {number} limit - Number of listings to fetch per marketplace
+     * @param {Array<string>} skip - Marketplace names not to poll this time
+     * @returns {Promise<Array>} Normalized listing events from all marketplaces
+     */
+    async getRecentListings(limit = 50, skip = []) {
+        return this.collect(adapter => adapter.getRecentListings(limit), 'listings', skip);
+    }
+
+    /**
+     * Page back through every marketplace's activity until a point in time
+     * @param {number} since - Time in ms; only events after it are returned
+     * @param {Object} options - { pageSize, maxPages } per marketplace
+     * @returns {Promise<Object>} { sales, listings, incomplete } - incomplete lists marketplaces
+     *   whose history didn't reach back to `since`
+     */
+    async getActivitySince(since, options = {}) {
+        const sales = [];
+        const listings = [];
+        const incomplete = [];
+        for (const adapter of this.getAll()) {
+            try {
+                const result = await adapter.getActivitySince(since, options);
+                sales.push(...result.sales);
+                listings.push(...result.listings);
+                if (!result.complete) incomplete.push(adapter.name);
+            } catch (error) {
+                console.error(`Error fetching activity history from ${adapter.name}:`, error.message);
+                incomplete.push(adapter.name);
+            }
+        }
+        return { sales, listings, incomplete };
+    }
+
+    /**
+     * Run each adapter's enrichment hook on its own events
+     * @param {Array} events - Normalized events from any marketplace
+     * @returns {Promise<Array>} Enriched events
+     */
+    async enrichEvents(events) {
+        const groups = new Map();
+        for (const event of events) {
+            const key = (event.marketplace || '').toLowerCase();
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(event);
+        }
+
+        const enriched = [];
+        for (const [key, group] of groups) {
+            const adapter = this.adapters.get(key);
+            enriched.push(...(adapter ? await adapter.enrichEvents(group) : group));
+        }
+        return enriched;
+    }
+
+    /**
+     * Get the collection page URL for an event from the marketplace it came from
+     * @param {Object} event - Normalized event
+     * @returns {string|null} Collection URL
+     */
+    getCollectionUrl(event) {
+        const adapter = this.get(event.marketplace);
+        return adapter ? adapter.getCollectionUrl(event) : (event.collection_url || null);
+    }
+
+    /**
+     * Get the rarity an event's marketplace vouches for
+     * @param {Object} event - Normalized event
+     * @returns {Object|null} { rank, rarity, source } or null (also for events from no registered marketplace)
+     */
+    getTrustedRarity(event) {
+        const adapter = this.get(event.marketplace);
+        return adapter ? adapter.getTrustedRarity(event) : null;
+    }
+
+    /**
+     * Get the rarity rank an event's marketplace vouches for
+     * @param {Object} event - Normalized event
+     * @returns {number|null} Rank or null
+     */
+    getTrustedRank(event) {
+        const adapter = this.get(event.marketplace);
+        return adapter ? adapter.getTrustedRank(event) : null;
+    }
+
+    /**
+     * Get a collection's floor price, trying marketplaces in registration order
+     * @param {string} tokenId - Collection token ID
+     * @param {string} marketplace - Optional marketplace to try first
+     * @returns {Promise<Object|null>} Normalized floor price or null
+     */
+    async getFloorPrice(tokenId, marketplace = null) {
+        const preferred = this.get(marketplace);
+        const adapters = preferred
+            ? [preferred, ...this.getAll().filter(adapter => adapter !== preferred)]
+            : this.getAll();
+
+        for (const adapter of adapters) {
+            try {
+                const floor = await adapter.getFloorPrice(tokenId);
+                if (floor) return floor;
+            } catch (error) {
+                console.error(`Error fetching ${adapter.name} floor price for ${tokenId}:`, error.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get floor prices from every marketplace for a collection
+     * @param {string} tokenId - Collection token ID
+     * @returns {Promise<Array>} Normalized floor prices (marketplaces without a floor are omitted)
+     */
+    async getFloorPrices(tokenId) {
+        const floors = [];
+        for (const adapter of this.getAll()) {
+            try {
+                const floor = await adapter.getFloorPrice(tokenId);
+                if (floor) floors.push(floor);
+            } catch (error) {
+                console.error(`Error fetching ${adapter.name} floor price for ${tokenId}:`, error.message);
+            }
+        }
+        return floors;
+    }
+
+    /**
+     * Check health of every marketplace
+     * @returns {Promise<Object>} Map of marketplace name to health boolean
+     */
+    async healthCheck() {
+        const results = {};
+        for (const adapter of this.getAll()) {
+            try {
+                results[adapter.name] = await adapter.healthCheck();
+            } catch (error) {
+                results[adapter.name] = false;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Call an adapter method on every marketplace in sequence and merge the results.
+     * Calls are sequential to stay friendly with marketplace rate limits.
+     * @param {Function} fetcher - Function receiving an adapter and returning a promise of events
+     * @param {string} label - Label for log messages
+     * @param {Array<string>} skip - Marketplace names to leave out
+     * @returns {Promise<Array>} Merged events
+     */
+    async collect(fetcher, label, skip = []) {
+        const results = [];
+        for (const adapter of this.getAll()) {
+            if (skip.includes(adapter.name)) continue;
+            try {
+                const events = await fetcher(adapter);
+                results.push(...(events || []));
+            } catch (error) {
+                // Let rate limit errors reach the monitoring loop so it can back off
+                if (error.message && error.message.includes('429')) {
+                    throw error;
+                }
+                console.error(`Error fetching ${label} from ${adapter.name}:`, error.message);
+            }
+        }
+        return results;
+    }
+}
+
+const registry = new MarketplaceRegistry();
+registry.register(new SentXAdapter());
+registry.register(new KabilaAdapter());
+
+module.exports = registry;
+module.exports.MarketplaceAdapter = MarketplaceAdapter;
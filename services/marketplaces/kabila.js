@@ -0,0 +1,80 @@
+/**
+ * Kabila marketplace adapter
+ */
+
+const MarketplaceAdapter = require('./adapter');
+const kabilaService = require('../kabila');
+
+class KabilaAdapter extends MarketplaceAdapter {
+    constructor(service = kabilaService) {
+        super('Kabila');
+        this.service = service;
+    }
+
+    async fetchSales(limit) {
+        return this.service.getRecentSales(limit);
+    }
+
+    async fetchListings(limit) {
+        return this.service.getRecentListings(limit);
+    }
+
+    async fetchActivityPage(page, pageSize) {
+        return this.service.getActivityPage(page, pageSize);
+    }
+
+    async fetchFloorPrice(tokenId) {
+        // Kabila returns { floor_price, currency } - map it to the shared shape
+        const result = await this.service.getCollectionFloorPrice(tokenId);
+        if (!result || !result.floor_price) {
+            return null;
+        }
+
+        return {
+            price_hbar: result.floor_price,
+            listing_count: null,
+            last_updated: new Date()
+        };
+    }
+
+    async healthCheck() {
+        return Boolean(await this.service.healthCheck());
+    }
+
+    /**
+     * Kabila ranks don't match SentX rarity rankings, so pull SentX rarity in
+     * @param {Array} events - Normalized Kabila events
+     * @returns {Promise<Array>} Events with sentx_rank/rarity where available
+     */
+    async enrichEvents(events) {
+        if (!events || events.length === 0) return events;
+
+        try {
+            console.log(`🔄 Enriching ${events.length} Kabila events with SentX rarity data...`);
+            const enriched = await this.service.enrichWithSentXRarity(events);
+            const enrichedCount = enriched.filter(event => event.sentx_enriched && (event.rarity || event.sentx_rank)).length;
+            if (enrichedCount > 0) {
+                console.log(`✅ Successfully enriched ${enrichedCount}/${events.length} Kabila events with SentX rarity`);
+            } else {
+                console.log(`⚠️ No Kabila events were enriched with SentX rarity data`);
+            }
+            return enriched;
+        } catch (error) {
+            console.log(`❌ Failed to enrich Kabila events with SentX rarity: ${error.message}`);
+            return events; // Use original data if enrichment fails
+        }
+    }
+
+    getCollectionUrl(event) {
+        const tokenId = event.token_id || event.tokenId;
+        return tokenId ? this.service.getCollectionUrl(tokenId) : null;
+    }
+
+    // Kabila's own ranks use a different scale, so only the SentX rarity from enrichEvents counts
+    getTrustedRarity(event) {
+        if (!event.sentx_enriched || (!event.sentx_rank && !event.rarity)) return null;
+        return { rank: event.sentx_rank || null, rarity: event.rarity || null, source: 'SentX' };
+    }
+}
+
+module.exports = KabilaAdapter;
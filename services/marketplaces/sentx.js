@@ -0,0 +1,88 @@
+/**
+ * SentX marketplace adapter
+ */
+
+const MarketplaceAdapter = require('./adapter');
+const sentxService = require('../sentx');
+
+// Collections whose SentX URL can't be derived from the collection name
+const KNOWN_COLLECTION_URLS = {
+    '0.0.6024491': 'https://sentx.io/nft-marketplace/wild-tigers',
+    '0.0.8308459': 'https://sentx.io/nft-marketplace/the-ape-anthology',
+    '0.0.8233324': 'https://sentx.io/nft-marketplace/kekistan',
+    '0.0.8233316': 'https://sentx.io/nft-marketplace/heliswap-pool-tokens',
+    '0.0.8233302': 'https://sentx.io/nft-marketplace/klaytn-invasion',
+    '0.0.5552189': 'https://sentx.io/nft-marketplace/hashinals',
+    '0.0.2173899': 'https://sentx.io/nft-marketplace/hashinals',
+    '0.0.789064': 'https://sentx.io/nft-marketplace/hashinals',
+    '0.0.1097228': 'https://sentx.io/nft-marketplace/hashinals',
+    '0.0.8293984': 'https://sentx.io/nft-marketplace/hashinals',
+    '0.0.1006183': 'https://sentx.io/nft-marketplace/hedera-monkeys',
+    '0.0.878200': 'https://sentx.io/nft-marketplace/rooster-cartel'
+};
+
+class SentXAdapter extends MarketplaceAdapter {
+    constructor(service = sentxService) {
+        super('SentX');
+        this.service = service;
+    }
+
+    async fetchSales(limit) {
+        // Include HTS token payments (e.g. PAWS) alongside HBAR sales
+        return this.service.getRecentSales(limit, true);
+    }
+
+    async fetchListings(limit) {
+        return this.service.getRecentListings(limit, false, true);
+    }
+
+    async fetchActivityPage(page, pageSize) {
+        return this.service.getMarketActivityPage(page, pageSize);
+    }
+
+    async fetchFloorPrice(tokenId) {
+        return this.service.getCollectionFloorPrice(tokenId);
+    }
+
+    async healthCheck() {
+        return this.service.healthCheck();
+    }
+
+    parseCallback(body) {
+        // SentX pushes the same entries as /v1/public/market/activity, one or many per request
+        const activities = Array.isArray(body) ? body
+            : Array.isArray(body && body.marketActivity) ? body.marketActivity
+            : body && typeof body === 'object' ? [body] : [];
+        return this.service.formatMarketActivity(activities);
+    }
+
+    getCollectionUrl(event) {
+        return this.buildCollectionUrl(event.collection_name || event.collectionName, event.token_id || event.tokenId);
+    }
+
+    /**
+     * Build a SentX collection URL from the collection name, falling back to token ID
+     * @param {string} collectionName - Collection name
+     * @param {string} tokenId - Collection token ID
+     * @returns {string|null} SentX collection URL
+     */
+    buildCollectionUrl(collectionName, tokenId = null) {
+        if (collectionName && collectionName !== 'Unknown Collection') {
+            const urlFriendlyName = collectionName.toLowerCase()
+                .replace(/\s+/g, '-')           // Replace spaces with hyphens
+                .replace(/[^a-z0-9\-]/g, '')    // Remove special characters except hyphens
+                .replace(/--+/g, '-')           // Replace multiple hyphens with single
+                .replace(/^-|-$/g, '');         // Remove leading/trailing hyphens
+
+            return `https://sentx.io/nft-marketplace/${urlFriendlyName}`;
+        }
+
+        if (tokenId) {
+            return KNOWN_COLLECTION_URLS[tokenId] || `https://sentx.io/nft-marketplace/collection/${tokenId}`;
+        }
+
+        return null;
+    }
+}
+
+module.exports = SentXAdapter;
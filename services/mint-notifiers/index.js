@@ -0,0 +1,101 @@
+/**
+ * Mint notifier registry
+ * Holds the built-in launchpad mint notifier profiles the monitoring loop posts for.
+ * To add a notifier, add a profile module under ./profiles and register it below.
+ *
+ * Profile shape:
+ *   id, name, tokenId        - identity and the launchpad token to watch
+ *   embed                    - template: title, description, author, content, footer, url, color,
+ *                              thumbnail, image and fields; text may use {placeholders} (see utils/embed.js)
+ *   rarity                   - look up SentX rarity for {rarity_rank} / {rarity_percent}
+ *   sticker                  - { file, name } from attached_assets, shown as the thumbnail
+ *   progressBar              - { label, maxSupply, treasuryAccount } for pre-minted supplies
+ *   targets                  - [{ guildId, channelId, name }]; without channelId the server's mint channel is used
+ */
+
+const sentxService = require('../sentx');
+const hederaService = require('../hedera');
+const wildTigersForeverMint = require('./profiles/wild-tigers-forever-mint');
+const boredApeForeverMint = require('./profiles/bored-ape-forever-mint');
+const wildTigerRaffle = require('./profiles/wild-tiger-raffle');
+
+class MintNotifierRegistry {
+    constructor() {
+        this.profiles = new Map();
+    }
+
+    /**
+     * Register a notifier profile
+     * @param {Object} profile - Notifier profile
+     */
+    register(profile) {
+        if (!profile || !profile.id || !profile.tokenId || !profile.embed) {
+            throw new Error('Mint notifier profiles need an id, tokenId and embed template');
+        }
+        if (!Array.isArray(profile.targets) || profile.targets.length === 0) {
+            throw new Error(`Mint notifier profile ${profile.id} has no targets`);
+        }
+        this.profiles.set(profile.id, profile);
+        console.log(`🌟 Registered mint notifier: ${profile.name || profile.id} (${profile.tokenId})`);
+    }
+
+    /**
+     * Get a profile by id
+     * @param {string} id - Profile id
+     * @returns {Object|null} Profile or null
+     */
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    /**
+     * Get all profiles in registration order
+     * @returns {Array<Object>} Profiles
+     */
+    getAll() {
+        return Array.from(this.profiles.values());
+    }
+
+    /**
+     * Gather the extra data a profile's embed needs for one mint
+     * @param {Object} profile - Notifier profile
+     * @param {Object} mint - Mint from getRecentLaunchpadMints
+     * @returns {Promise<Object>} { rarityRank, rarityPercent, supply: { sold, remaining, max } | null }
+     */
+    async buildContext(profile, mint) {
+        const context = {
+            rarityRank: mint.rarity_rank || null,
+            rarityPercent: mint.rarity_percentage || null,
+            supply: null
+        };
+
+        if (profile.rarity && !context.rarityRank) {
+            try {
+                const details = await sentxService.getNFTDetails(mint.token_id, mint.serial_number);
+                if (details && details.success && details.nft) {
+                    context.rarityRank = details.nft.rarityRank || null;
+                    context.rarityPercent = details.nft.rarityPct || null;
+                }
+            } catch (error) {
+                console.log(`⚠️ Could not fetch rarity data for ${mint.nft_name}: ${error.message}`);
+            }
+        }
+
+        if (profile.progressBar) {
+            const { maxSupply, treasuryAccount } = profile.progressBar;
+            const remaining = await hederaService.getTokenBalance(profile.tokenId, treasuryAccount);
+            if (remaining !== null) {
+                context.supply = { sold: maxSupply - remaining, remaining, max: maxSupply };
+            }
+        }
+
+        return context;
+    }
+}
+
+const registry = new MintNotifierRegistry();
+registry.register(wildTigersForeverMint);
+registry.register(boredApeForeverMint);
+registry.register(wildTigerRaffle);
+
+module.exports = registry;
@@ -0,0 +1,26 @@
+/**
+ * Bored Ape Hedera Club Forever Mint notifier profile
+ */
+
+module.exports = {
+    id: 'bored-ape-forever-mint',
+    name: 'Bored Ape Forever Mint',
+    tokenId: '0.0.9656915',
+    rarity: false,
+    embed: {
+        content: '🦍 **BORED APE FOREVER MINT ALERT!** {nft_name}',
+        title: '🦍 BORED APE FOREVER MINT! 🦍',
+        color: '#8B4513',
+        fields: [
+            { name: '🔢 Serial Number', value: '#{serial}', inline: true },
+            { name: '💰 Price', value: '{cost}', inline: true }
+        ]
+    },
+    sticker: {
+        file: 'BAHC_Forever_Mint_Pack_1759104228478.webp',
+        name: 'bahc-forever-mint-pack.webp'
+    },
+    targets: [
+        { guildId: '1403386825669873744', channelId: '1411693790519099492', name: 'Bored Ape Hedera Club' }
+    ]
+};
@@ -0,0 +1,33 @@
+/**
+ * Wild Tiger Raffle NFT Ticket notifier profile
+ * All 2000 tickets are pre-minted, so tickets sold = max supply minus what the treasury still holds
+ */
+
+module.exports = {
+    id: 'wild-tiger-raffle',
+    name: 'Wild Tiger Raffle Ticket',
+    tokenId: '0.0.10053295',
+    rarity: false,
+    embed: {
+        title: '🎟️ {nft_name}',
+        description: '**New Raffle Ticket Minted!**\n\nMint Cost: **{cost}**',
+        url: 'https://sentx.io/launchpad/wildtigers-raffle-ticket-public',
+        color: '#FF6B35',
+        thumbnail: 'https://sentx-blob.b-cdn.net/upload/launchpad/848-724be4ab-693b42a7077.webp',
+        image: 'https://hashpack.b-cdn.net/ipfs/bafybeifr3suqg4qb35kjfhma6zzmlq4v3z57af7ky45ppaacggvcweoa2q/PawsLuckyDraw.png',
+        fields: [
+            { name: 'Serial Number', value: '#{serial}', inline: true },
+            { name: 'Minted By', value: '`{minter}`', inline: true },
+            { name: 'Get Your Tickets', value: '[View Raffle on SentX](https://sentx.io/launchpad/wildtigers-raffle-ticket-public)', inline: false }
+        ],
+        footer: 'Wild Tiger Raffle • Good Luck! 🍀'
+    },
+    progressBar: {
+        label: 'Raffle Sales Progress',
+        maxSupply: 2000,
+        treasuryAccount: '0.0.6024410' // Wild Tigers treasury
+    },
+    targets: [
+        { guildId: '910963230317355008', channelId: '1432509660937719839', name: 'Migos World - Raffle Channel' }
+    ]
+};
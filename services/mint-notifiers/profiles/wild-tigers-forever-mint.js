@@ -0,0 +1,31 @@
+/**
+ * Wild Tigers Forever Mint notifier profile
+ */
+
+module.exports = {
+    id: 'wild-tigers-forever-mint',
+    name: 'Wild Tigers Forever Mint',
+    tokenId: '0.0.6024491',
+    rarity: true,
+    embed: {
+        title: '🌟 {nft_name} Forever Mint!',
+        description: 'Minted on SentX Forever Mint for **{cost}**',
+        author: '{collection_name} Forever Mint',
+        color: '#FFD700',
+        fields: [
+            { name: '🔢 Serial Number', value: '#{serial}', inline: true },
+            { name: '📊 Rarity Rank', value: '{rarity_rank}', inline: true },
+            { name: '🎯 Rarity %', value: '{rarity_percent}', inline: true }
+        ],
+        footer: 'Forever Minted on SentX'
+    },
+    sticker: {
+        file: 'Forever Mint Sticker_1756349371753.png',
+        name: 'forever-mint-sticker.png'
+    },
+    // No channelId - posts to the channel set with /set-mint-channel (or the main sales channel)
+    targets: [
+        { guildId: '910963230317355008', name: 'Migos World' },
+        { guildId: '1248509900154343504', name: 'Wild Tigers' }
+    ]
+};
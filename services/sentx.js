@@ -101,110 +101,56 @@ class SentXService {
     }
 
     /**
-     * Get recent Forever Mints from SentX marketplace for Bored Ape Hedera Club collection
+     * Get recent launchpad mints for any collection from SentX
+     * Falls back to market activity if the launchpad endpoint is unavailable
+     * @param {string} tokenId - Collection token ID
      * @param {number} limit - Number of mints to fetch
      * @returns {Array} Array of mint objects
      */
-    async getRecentBoredApeForeverMints(limit = 20) {
+    async getRecentLaunchpadMints(tokenId, limit = 20) {
         try {
-            const apiKey = process.env.SENTX_API_KEY;
-            
             const params = {
-                apikey: apiKey,
-                token: '0.0.9656915', // Bored Ape Hedera Club token address
+                apikey: process.env.SENTX_API_KEY,
+                token: tokenId,
                 limit: limit,
                 page: 1
             };
             
             const response = await this.makeRequest('/v1/public/launchpad/activity', params);
-
-            console.log(`🚀 Bored Ape Launchpad API Response Status: ${response.status}`);
-            console.log(`🚀 Bored Ape Launchpad API Response Type: ${typeof response.data}`);
             
             // Check if response is HTML (error page)
             if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE html>')) {
-                console.log('❌ Bored Ape Launchpad API returned HTML page - endpoint may not be available');
+                console.log(`❌ Launchpad API returned HTML page for ${tokenId} - endpoint may not be available`);
                 return [];
             }
 
             if (!response.data || !response.data.success) {
-                console.log('❌ Bored Ape Launchpad API returned unsuccessful response:', response.data);
+                console.log(`❌ Launchpad API returned unsuccessful response for ${tokenId}:`, response.data);
                 return [];
             }
 
             if (!response.data.response || response.data.response.length === 0) {
-                console.log('⚠️ Bored Ape Launchpad API returned no activities');
                 return [];
             }
             
-            console.log(`🦍 Found ${response.data.response.length} Bored Ape Hedera Club launchpad activities`);
-            
-            // Debug: Log actual structure of first activity
-            if (response.data.response.length > 0) {
-                console.log('📋 First Bored Ape activity structure:', JSON.stringify(response.data.response[0], null, 2));
-            }
-            
-            // Filter for Forever Mints - ALL Bored Ape Hedera Club mints are Forever Mints
-            const boredApeMints = response.data.response.filter(activity => {
+            // The token param already scopes the feed, but some activities omit nftTokenAddress
+            const mints = response.data.response.filter(activity => {
                 const isMinted = activity.saletype === 'Minted';
-                const isBoredApe = activity.collectionName?.toLowerCase().includes('bored ape') ||
-                                   activity.collectionName?.toLowerCase().includes('ape') ||
-                                   activity.nftTokenAddress === '0.0.9656915';
-                
-                return isMinted && isBoredApe;
+                const isToken = !activity.nftTokenAddress || activity.nftTokenAddress === tokenId;
+                return isMinted && isToken;
             });
             
-            console.log(`🎯 Found ${boredApeMints.length} Bored Ape Forever Mint activities`);
-            
-            // Format mint data without rarity to keep notifications simple and fast
-            const formattedMints = boredApeMints.map((mint) => {
-                return {
-                    // Core mint data
-                    nft_name: mint.nftName,
-                    collection_name: mint.collectionName,
-                    token_id: mint.nftTokenAddress || '0.0.9656915', // Bored Ape Hedera Club token ID
-                    serial_number: mint.nftSerialId,
-                    
-                    // Mint details
-                    mint_type: mint.saletype,
-                    mint_subtype: mint.saletypeSub,
-                    mint_date: mint.saleDate,
-                    timestamp: mint.saleDate,
-                    mint_date_unix: mint.saleDateUnix,
-                    
-                    // Minter details
-                    minter_address: mint.buyerAddress, // In mints, buyer is the minter
-                    minter_account_id: mint.buyerAddress,
-                    
-                    // Cost details (if any)
-                    mint_cost: mint.salePrice || 0,
-                    mint_cost_symbol: mint.salePriceSymbol || 'Free',
-                    
-                    // NFT metadata
-                    image_url: mint.nftImage,
-                    image_cdn: mint.imageCDN,
-                    metadata_url: mint.nftMetadata,
-                    
-                    // Collection info
-                    collection_url: mint.collectionFriendlyurl,
-                    
-                    // Market data
-                    marketplace: 'SentX',
-                    transaction_id: mint.saleTransactionId,
-                    
-                    // Additional context
-                    is_forever_mint: true,
-                    listing_url: mint.listingUrl
-                };
-            });
+            if (mints.length > 0) {
+                console.log(`🚀 Found ${mints.length} launchpad mints for ${tokenId}`);
+            }
             
-            return formattedMints;
+            return mints.map(mint => this.formatMintData(mint, tokenId, 'Free'));
 
         } catch (error) {
-            console.error('Error fetching Bored Ape Forever Mints from SentX launchpad API:', error.message);
-            console.log('🔄 Falling back to market activity API for Bored Ape mint detection...');
+            console.error(`Error fetching launchpad mints for ${tokenId} from SentX:`, error.message);
+            console.log('🔄 Falling back to market activity API for mint detection...');
             
-            // Fallback to market activity API with improved mint detection
+            // Fallback to market activity API
             try {
                 const fallbackParams = {
                     apikey: process.env.SENTX_API_KEY,
@@ -221,263 +167,74 @@ class SentXService {
                     return [];
                 }
 
-                // Look for Bored Ape Hedera Club mints in market activity
-                const boredApeActivities = fallbackResponse.data.marketActivity.filter(activity => {
-                    return activity.collectionName?.toLowerCase().includes('bored ape') || 
-                           activity.collectionName?.toLowerCase().includes('ape') ||
-                           activity.nftTokenAddress === '0.0.9656915';
-                });
-
-                if (boredApeActivities.length > 0) {
-                    console.log(`🦍 Found ${boredApeActivities.length} Bored Ape activities in market API:`);
-                    boredApeActivities.slice(0, 5).forEach((activity, index) => {
-                        console.log(`   ${index + 1}. ${activity.nftName} - Type: "${activity.saletype}" | Sub: "${activity.saletypeSub || 'N/A'}" | Date: ${activity.saleDate}`);
-                    });
-                }
-
-                // Filter for mint activities
-                const marketMints = boredApeActivities.filter(activity => {
+                // Filter for mint activities of this collection
+                const marketMints = fallbackResponse.data.marketActivity.filter(activity => {
+                    if (activity.nftTokenAddress !== tokenId) return false;
                     return activity.saletype === 'Minted' || 
                            activity.saletype === 'Claimed' ||
                            activity.saletype === 'Forever Mint' ||
                            (activity.saletypeSub && activity.saletypeSub.toLowerCase().includes('mint'));
                 }).slice(0, limit);
 
-                // Format mint data from market activity
-                const formattedMarketMints = marketMints.map(mint => ({
-                    // Core mint data
-                    nft_name: mint.nftName,
-                    collection_name: mint.collectionName,
-                    token_id: mint.nftTokenAddress,
-                    serial_number: mint.nftSerialId,
-                    
-                    // Mint details
-                    mint_type: mint.saletype,
-                    mint_subtype: mint.saletypeSub,
-                    mint_date: mint.saleDate,
-                    timestamp: mint.saleDate,
-                    mint_date_unix: mint.saleDateUnix,
-                    
-                    // Minter details
-                    minter_address: mint.buyerAddress,
-                    minter_account_id: mint.buyerAddress,
-                    
-                    // Cost details
-                    mint_cost: mint.salePrice || 0,
-                    mint_cost_symbol: mint.salePriceSymbol || 'HBAR',
-                    
-                    // NFT metadata
-                    image_url: mint.nftImage,
-                    image_cdn: mint.imageCDN,
-                    metadata_url: mint.nftMetadata,
-                    
-                    // Rarity data
-                    rarity_rank: mint.rarityRank,
-                    rarity_percentage: mint.rarityPct,
-                    
-                    // Collection info
-                    collection_url: mint.collectionFriendlyurl,
-                    
-                    // Market data
-                    marketplace: 'SentX',
-                    transaction_id: mint.saleTransactionId,
-                    
-                    // Additional context
-                    is_forever_mint: true,
-                    listing_url: mint.listingUrl
-                }));
-
-                console.log(`🎯 Fallback found ${formattedMarketMints.length} Bored Ape Forever Mints from market activity`);
-                return formattedMarketMints;
+                console.log(`🎯 Fallback found ${marketMints.length} mints for ${tokenId} from market activity`);
+                return marketMints.map(mint => this.formatMintData(mint, tokenId, 'HBAR'));
 
             } catch (fallbackError) {
-                console.error('Error in Bored Ape fallback mint detection:', fallbackError.message);
+                console.error(`Error in fallback mint detection for ${tokenId}:`, fallbackError.message);
                 return [];
             }
         }
     }
 
     /**
-     * Get recent Raffle NFT Ticket mints from SentX marketplace for Wild Tiger Raffle
-     * @param {number} limit - Number of mints to fetch
-     * @returns {Array} Array of mint objects
+     * Format a SentX launchpad or market activity record as a mint
+     * @param {Object} mint - Raw SentX activity
+     * @param {string} tokenId - Collection token ID (used when the activity omits it)
+     * @param {string} defaultSymbol - Cost symbol when SentX doesn't give one
+     * @returns {Object} Mint object
      */
-    async getRecentRaffleTicketMints(limit = 20) {
-        try {
-            const apiKey = process.env.SENTX_API_KEY;
-            
-            const params = {
-                apikey: apiKey,
-                token: '0.0.10053295', // Wild Tiger Raffle NFT Ticket token address
-                limit: limit,
-                page: 1
-            };
-            
-            const response = await this.makeRequest('/v1/public/launchpad/activity', params);
-
-            console.log(`🎟️ Raffle Launchpad API Response Status: ${response.status}`);
-            console.log(`🎟️ Raffle Launchpad API Response Type: ${typeof response.data}`);
-            
-            // Check if response is HTML (error page)
-            if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE html>')) {
-                console.log('❌ Raffle Launchpad API returned HTML page - endpoint may not be available');
-                return [];
-            }
-
-            if (!response.data || !response.data.success) {
-                console.log('❌ Raffle Launchpad API returned unsuccessful response:', response.data);
-                return [];
-            }
-
-            if (!response.data.response || response.data.response.length === 0) {
-                console.log('⚠️ Raffle Launchpad API returned no activities');
-                return [];
-            }
-            
-            console.log(`🎟️ Found ${response.data.response.length} Wild Tiger Raffle launchpad activities`);
-            
-            // Debug: Log actual structure of first activity
-            if (response.data.response.length > 0) {
-                console.log('📋 First raffle activity structure:', JSON.stringify(response.data.response[0], null, 2));
-            }
-            
-            // Filter for raffle ticket mints
-            const raffleMints = response.data.response.filter(activity => {
-                const isMinted = activity.saletype === 'Minted';
-                return isMinted;
-            });
-            
-            console.log(`🎯 Found ${raffleMints.length} Raffle Ticket Mint activities`);
-            
-            // Format mint data
-            const formattedMints = raffleMints.map((mint) => {
-                return {
-                    // Core mint data
-                    nft_name: mint.nftName,
-                    collection_name: mint.collectionName,
-                    token_id: mint.nftTokenAddress || '0.0.10053295',
-                    serial_number: mint.nftSerialId,
-                    
-                    // Mint details
-                    mint_type: mint.saletype,
-                    mint_subtype: mint.saletypeSub,
-                    mint_date: mint.saleDate,
-                    timestamp: mint.saleDate,
-                    mint_date_unix: mint.saleDateUnix,
-                    
-                    // Minter details
-                    minter_address: mint.buyerAddress,
-                    minter_account_id: mint.buyerAddress,
-                    
-                    // Cost details
-                    mint_cost: mint.salePrice || 0,
-                    mint_cost_symbol: mint.salePriceSymbol || 'Free',
-                    
-                    // NFT metadata
-                    image_url: mint.nftImage,
-                    image_cdn: mint.imageCDN,
-                    metadata_url: mint.nftMetadata,
-                    
-                    // Collection info
-                    collection_url: mint.collectionFriendlyurl,
-                    
-                    // Market data
-                    marketplace: 'SentX',
-                    transaction_id: mint.saleTransactionId,
-                    
-                    // Additional context
-                    is_raffle_ticket: true,
-                    listing_url: mint.listingUrl
-                };
-            });
-            
-            return formattedMints;
-
-        } catch (error) {
-            console.error('Error fetching Raffle Ticket Mints from SentX launchpad API:', error.message);
-            console.log('🔄 Falling back to market activity API for raffle mint detection...');
-            
-            // Fallback to market activity API
-            try {
-                const fallbackParams = {
-                    apikey: process.env.SENTX_API_KEY,
-                    activityFilter: 'All',
-                    amount: limit * 3,
-                    page: 1
-                };
-                
-                const fallbackResponse = await this.axiosInstance.get('/v1/public/market/activity', {
-                    params: fallbackParams
-                });
-
-                if (!fallbackResponse.data || !fallbackResponse.data.success || !fallbackResponse.data.marketActivity) {
-                    return [];
-                }
-
-                // Look for Wild Tiger Raffle mints in market activity
-                const raffleActivities = fallbackResponse.data.marketActivity.filter(activity => {
-                    return activity.nftTokenAddress === '0.0.10053295';
-                });
-
-                // Filter for mint activities
-                const marketMints = raffleActivities.filter(activity => {
-                    return activity.saletype === 'Minted' || 
-                           activity.saletype === 'Claimed' ||
-                           (activity.saletypeSub && activity.saletypeSub.toLowerCase().includes('mint'));
-                }).slice(0, limit);
-
-                // Format mint data from market activity
-                const formattedMarketMints = marketMints.map(mint => ({
-                    // Core mint data
-                    nft_name: mint.nftName,
-                    collection_name: mint.collectionName,
-                    token_id: mint.nftTokenAddress,
-                    serial_number: mint.nftSerialId,
-                    
-                    // Mint details
-                    mint_type: mint.saletype,
-                    mint_subtype: mint.saletypeSub,
-                    mint_date: mint.saleDate,
-                    timestamp: mint.saleDate,
-                    mint_date_unix: mint.saleDateUnix,
-                    
-                    // Minter details
-                    minter_address: mint.buyerAddress,
-                    minter_account_id: mint.buyerAddress,
-                    
-                    // Cost details
-                    mint_cost: mint.salePrice || 0,
-                    mint_cost_symbol: mint.salePriceSymbol || 'HBAR',
-                    
-                    // NFT metadata
-                    image_url: mint.nftImage,
-                    image_cdn: mint.imageCDN,
-                    metadata_url: mint.nftMetadata,
-                    
-                    // Rarity data
-                    rarity_rank: mint.rarityRank,
-                    rarity_percentage: mint.rarityPct,
-                    
-                    // Collection info
-                    collection_url: mint.collectionFriendlyurl,
-                    
-                    // Market data
-                    marketplace: 'SentX',
-                    transaction_id: mint.saleTransactionId,
-                    
-                    // Additional context
-                    is_raffle_ticket: true,
-                    listing_url: mint.listingUrl
-                }));
-
-                console.log(`🎯 Fallback found ${formattedMarketMints.length} Raffle Ticket Mints from market activity`);
-                return formattedMarketMints;
-
-            } catch (fallbackError) {
-                console.error('Error in Raffle fallback mint detection:', fallbackError.message);
-                return [];
-            }
-        }
+    formatMintData(mint, tokenId, defaultSymbol) {
+        return {
+            // Core mint data
+            nft_name: mint.nftName,
+            collection_name: mint.collectionName,
+            token_id: mint.nftTokenAddress || tokenId,
+            serial_number: mint.nftSerialId,
+            
+            // Mint details
+            mint_type: mint.saletype,
+            mint_subtype: mint.saletypeSub,
+            mint_date: mint.saleDate,
+            timestamp: mint.saleDate,
+            mint_date_unix: mint.saleDateUnix,
+            
+            // Minter details (in mints, buyer is the minter)
+            minter_address: mint.buyerAddress,
+            minter_account_id: mint.buyerAddress,
+            
+            // Cost details
+            mint_cost: mint.salePrice || 0,
+            mint_cost_symbol: mint.salePriceSymbol || defaultSymbol,
+            
+            // NFT metadata
+            image_url: mint.nftImage,
+            image_cdn: mint.imageCDN,
+            metadata_url: mint.nftMetadata,
+            
+            // Rarity data (market activity only)
+            rarity_rank: mint.rarityRank,
+            rarity_percentage: mint.rarityPct,
+            
+            // Collection info
+            collection_url: mint.collectionFriendlyurl
+                ? `https://sentx.io/nft-marketplace/${mint.collectionFriendlyurl}`
+                : `https://sentx.io/nft-marketplace/collection/${mint.nftTokenAddress || tokenId}`,
+            
+            // Market data
+            marketplace: 'SentX',
+            transaction_id: mint.saleTransactionId,
+            listing_url: mint.listingUrl
+        };
     }
 
     /**
@@ -486,192 +243,42 @@ class SentXService {
      * @returns {Array} Array of mint objects
      */
     async getRecentForeverMints(limit = 20) {
-        try {
-            const apiKey = process.env.SENTX_API_KEY;
-            
-            const params = {
-                apikey: apiKey,
-                token: '0.0.6024491', // Wild Tigers token address to filter for Wild Tigers mints only
-                limit: limit,
-                page: 1
-            };
-            
-            const response = await this.makeRequest('/v1/public/launchpad/activity', params);
-
-            console.log(`🚀 Launchpad API Response Status: ${response.status}`);
-            console.log(`🚀 Launchpad API Response Type: ${typeof response.data}`);
-            
-            // Check if response is HTML (error page)
-            if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE html>')) {
-                console.log('❌ Launchpad API returned HTML page - endpoint may not be available');
-                return [];
-            }
-
-            if (!response.data || !response.data.success) {
-                console.log('❌ Launchpad API returned unsuccessful response:', response.data);
-                return [];
-            }
-
-            if (!response.data.response || response.data.response.length === 0) {
-                console.log('⚠️ Launchpad API returned no activities');
-                return [];
-            }
-            
-            console.log(`🐯 Found ${response.data.response.length} Wild Tigers launchpad activities`);
-            
-            // Debug: Log actual structure of first activity
-            if (response.data.response.length > 0) {
-                console.log('📋 First activity structure:', JSON.stringify(response.data.response[0], null, 2));
-            }
-            
-            // Filter for Forever Mints - ALL Wild Tigers mints are Forever Mints
-            const wildTigersMints = response.data.response.filter(activity => {
-                const isMinted = activity.saletype === 'Minted';
-                const isWildTigers = activity.collectionName === 'Wild Tigers';
-                
-                // All Wild Tigers mints are Forever Mints by definition
-                return isMinted && isWildTigers;
-            });
-            
-            console.log(`🎯 Found ${wildTigersMints.length} Forever Mint activities`);
-            
-            // Format mint data without rarity to keep notifications simple and fast
-            const formattedMints = wildTigersMints.map((mint) => {
-                return {
-                    // Core mint data
-                    nft_name: mint.nftName,
-                    collection_name: mint.collectionName,
-                    token_id: mint.nftTokenAddress || '0.0.6024491', // Wild Tigers token ID
-                    serial_number: mint.nftSerialId,
-                    
-                    // Mint details
-                    mint_type: mint.saletype,
-                    mint_subtype: mint.saletypeSub,
-                    mint_date: mint.saleDate,
-                    timestamp: mint.saleDate,
-                    mint_date_unix: mint.saleDateUnix,
-                    
-                    // Minter details
-                    minter_address: mint.buyerAddress, // In mints, buyer is the minter
-                    minter_account_id: mint.buyerAddress,
-                    
-                    // Cost details (if any)
-                    mint_cost: mint.salePrice || 0,
-                    mint_cost_symbol: mint.salePriceSymbol || 'Free',
-                    
-                    // NFT metadata
-                    image_url: mint.nftImage,
-                    image_cdn: mint.imageCDN,
-                    metadata_url: mint.nftMetadata,
-                    
-                    // Collection info
-                    collection_url: mint.collectionFriendlyurl,
-                    
-                    // Market data
-                    marketplace: 'SentX',
-                    transaction_id: mint.saleTransactionId,
-                    
-                    // Additional context
-                    is_forever_mint: true,
-                    listing_url: mint.listingUrl
-                };
-            });
-            
-            return formattedMints;
+        const mints = await this.getRecentLaunchpadMints('0.0.6024491', limit);
+        return mints.map(mint => ({ ...mint, is_forever_mint: true }));
+    }
 
-        } catch (error) {
-            console.error('Error fetching Forever Mints from SentX launchpad API:', error.message);
-            console.log('🔄 Falling back to market activity API for mint detection...');
-            
-            // Fallback to market activity API with improved mint detection
-            try {
-                const fallbackParams = {
+    /**
+     * Get one page of market activity, newest first, for catching up after downtime
+     * @param {number} page - 1-based page number
+     * @param {number} amount - Entries per page
+     * @returns {Object|null} { sales, listings, count, oldest } - formatted events, raw entry count and
+     *   oldest entry time in ms; null if the request failed
+     */
+    async getMarketActivityPage(page = 1, amount = 100) {
+        try {
+            const response = await this.axiosInstance.get('/v1/public/market/activity', {
+                params: {
                     apikey: process.env.SENTX_API_KEY,
                     activityFilter: 'All',
-                    amount: limit * 3,
-                    page: 1
-                };
-                
-                const fallbackResponse = await this.axiosInstance.get('/v1/public/market/activity', {
-                    params: fallbackParams
-                });
-
-                if (!fallbackResponse.data || !fallbackResponse.data.success || !fallbackResponse.data.marketActivity) {
-                    return [];
-                }
-
-                // Look for Wild Tigers mints in market activity
-                const wildTigersActivities = fallbackResponse.data.marketActivity.filter(activity => {
-                    return activity.collectionName === 'Wild Tigers 🐯' || 
-                           activity.nftTokenAddress === '0.0.6024491';
-                });
-
-                if (wildTigersActivities.length > 0) {
-                    console.log(`🐯 Found ${wildTigersActivities.length} Wild Tigers activities in market API:`);
-                    wildTigersActivities.slice(0, 5).forEach((activity, index) => {
-                        console.log(`   ${index + 1}. ${activity.nftName} - Type: "${activity.saletype}" | Sub: "${activity.saletypeSub || 'N/A'}" | Date: ${activity.saleDate}`);
-                    });
+                    amount,
+                    page
                 }
+            });
 
-                // Filter for mint activities
-                const marketMints = wildTigersActivities.filter(activity => {
-                    return activity.saletype === 'Minted' || 
-                           activity.saletype === 'Claimed' ||
-                           activity.saletype === 'Forever Mint' ||
-                           (activity.saletypeSub && activity.saletypeSub.toLowerCase().includes('mint'));
-                }).slice(0, limit);
-
-                // Format mint data from market activity
-                const formattedMarketMints = marketMints.map(mint => ({
-                    // Core mint data
-                    nft_name: mint.nftName,
-                    collection_name: mint.collectionName,
-                    token_id: mint.nftTokenAddress,
-                    serial_number: mint.nftSerialId,
-                    
-                    // Mint details
-                    mint_type: mint.saletype,
-                    mint_subtype: mint.saletypeSub,
-                    mint_date: mint.saleDate,
-                    timestamp: mint.saleDate,
-                    mint_date_unix: mint.saleDateUnix,
-                    
-                    // Minter details
-                    minter_address: mint.buyerAddress,
-                    minter_account_id: mint.buyerAddress,
-                    
-                    // Cost details
-                    mint_cost: mint.salePrice || 0,
-                    mint_cost_symbol: mint.salePriceSymbol || 'HBAR',
-                    
-                    // NFT metadata
-                    image_url: mint.nftImage,
-                    image_cdn: mint.imageCDN,
-                    metadata_url: mint.nftMetadata,
-                    
-                    // Rarity data
-                    rarity_rank: mint.rarityRank,
-                    rarity_percentage: mint.rarityPct,
-                    
-                    // Collection info
-                    collection_url: mint.collectionFriendlyurl,
-                    
-                    // Market data
-                    marketplace: 'SentX',
-                    transaction_id: mint.saleTransactionId,
-                    
-                    // Additional context
-                    is_forever_mint: true,
-                    listing_url: mint.listingUrl
-                }));
-
-                console.log(`🎯 Fallback found ${formattedMarketMints.length} Forever Mints from market activity`);
-                return formattedMarketMints;
-
-            } catch (fallbackError) {
-                console.error('Error in fallback mint detection:', fallbackError.message);
-                return [];
+            if (!response.data || !response.data.success) {
+                return null;
             }
+
+            const activities = response.data.marketActivity || [];
+            const times = activities.map(activity => new Date(activity.saleDate).getTime()).filter(time => !isNaN(time));
+            return {
+                ...this.formatMarketActivity(activities),
+                count: activities.length,
+                oldest: times.length > 0 ? Math.min(...times) : null
+            };
+        } catch (error) {
+            console.error(`SentX market activity page ${page} failed:`, error.response ? error.response.status : error.message);
+            return null;
         }
     }
 
@@ -716,18 +323,7 @@ class SentXService {
             }
             
             // Filter only actual completed sales (must have buyer address and completed transaction)
-            const salesOnly = response.data.marketActivity.filter(activity => {
-                const hasCompletedSale = activity.buyerAddress && 
-                    activity.buyerAddress !== null && 
-                    activity.buyerAddress !== 'null' && // SentX API returns string "null" instead of null
-                    activity.buyerAddress !== '' &&
-                    activity.salePrice && 
-                    activity.salePrice > 0 &&
-                    // Order fills may not have transaction ID but are still valid completed sales
-                    (activity.saleTransactionId !== null || activity.saletype === 'Order');
-                
-                return hasCompletedSale;
-            });
+            const salesOnly = response.data.marketActivity.filter(activity => this.isCompletedSale(activity));
             
             // If including HTS tokens, include all NFT sales (regardless of payment method) and pure HTS token sales
             let formattedData;
@@ -1086,21 +682,7 @@ class SentXService {
             }
             
             // Filter only actual listings (look for any listing-related activity)
-            const listingsOnly = response.data.marketActivity.filter(activity => {
-                const hasListingData = activity.salePrice && 
-                    activity.salePrice > 0 &&
-                    activity.sellerAddress &&
-                    activity.sellerAddress !== null &&
-                    !activity.buyerAddress; // No buyer means it's still listed, not sold
-                
-                // Accept various listing-related sale types including auctions
-                const isListingType = activity.saletype && 
-                    (activity.saletype === 'Listed' || activity.saletype === 'Auction');
-                
-                const isValidListing = hasListingData && isListingType;
-                
-                return isValidListing;
-            });
+            const listingsOnly = response.data.marketActivity.filter(activity => this.isOpenListing(activity));
             
             // If including HTS tokens, separate NFT and HTS listings
             let formattedListings;
@@ -1151,6 +733,60 @@ class SentXService {
         }
     }
 
+    /**
+     * Whether a market activity entry is a completed sale (has a buyer and a completed transaction)
+     * @param {Object} activity - Raw market activity entry
+     * @returns {boolean}
+     */
+    isCompletedSale(activity) {
+        return Boolean(activity.buyerAddress &&
+            activity.buyerAddress !== 'null' && // SentX API returns string "null" instead of null
+            activity.salePrice &&
+            activity.salePrice > 0 &&
+            // Order fills may not have transaction ID but are still valid completed sales
+            (activity.saleTransactionId !== null || activity.saletype === 'Order'));
+    }
+
+    /**
+     * Whether a market activity entry is a live listing or auction
+     * @param {Object} activity - Raw market activity entry
+     * @returns {boolean}
+     */
+    isOpenListing(activity) {
+        const hasListingData = activity.salePrice &&
+            activity.salePrice > 0 &&
+            activity.sellerAddress &&
+            !activity.buyerAddress; // No buyer means it's still listed, not sold
+
+        // Accept various listing-related sale types including auctions
+        const isListingType = activity.saletype === 'Listed' || activity.saletype === 'Auction';
+
+        return Boolean(hasListingData && isListingType);
+    }
+
+    /**
+     * Split and format market activity entries pushed by SentX (same objects as /market/activity)
+     * @param {Array} activities - Raw market activity entries
+     * @returns {Object} { sales, listings } in the getRecentSales/getRecentListings format, HTS payments included
+     */
+    formatMarketActivity(activities) {
+        const sales = activities.filter(activity => this.isCompletedSale(activity));
+        const listings = activities.filter(activity => this.isOpenListing(activity));
+        const isNft = activity => activity.nftSerialId !== null && activity.nftSerialId !== undefined;
+        const isHtsOnly = activity => !activity.nftSerialId && activity.salePrice && activity.tokenSymbol;
+
+        return {
+            sales: [
+                ...this.formatSalesData(sales.filter(isNft)),
+                ...this.formatHTSSalesData(sales.filter(isHtsOnly))
+            ],
+            listings: [
+                ...this.formatListingsData(listings.filter(isNft)),
+                ...this.formatHTSListingsData(listings.filter(isHtsOnly))
+            ]
+        };
+    }
+
     /**
      * Get collection floor price from SentX marketplace
      * @param {string} tokenId - Token ID of the collection
@@ -1458,6 +1094,13 @@ class SentXService {
      */
     async getCollectionAnalytics(tokenIds = [], days = 365) {
         try {
+            // Analytics pull up to 5 pages of history, so reuse results for 10 minutes
+            const cacheKey = `analytics_${[...tokenIds].sort().join(',')}_${days}`;
+            const cached = this.getCachedResponse(cacheKey);
+            if (cached) {
+                return cached;
+            }
+
             const analyticsData = {
                 coreStats: {
                     totalSales: 0,
@@ -1525,6 +1168,7 @@ class SentXService {
             // Generate quick buy recommendations
             await this.generateQuickBuyRecommendations(salesForAnalysis, analyticsData.quickBuyRecommendations);
 
+            this.setCachedResponse(cacheKey, analyticsData, 10 * 60 * 1000);
             return analyticsData;
 
         } catch (error) {
@@ -1678,7 +1322,7 @@ class SentXService {
 
                 // Get current floor price
                 const floorData = await this.getCollectionFloorPrice(tokenId);
-                data.floorPrice = floorData?.floorPrice || 0;
+                data.floorPrice = floorData?.price_hbar || 0;
 
                 // Calculate recommendation score
                 const volumeScore = Math.min(1, data.volume / 10000); // Normalize by 10k HBAR
@@ -1733,6 +1377,11 @@ class SentXService {
      */
     async getMarketOverview() {
         try {
+            const cached = this.getCachedResponse('market_overview');
+            if (cached) {
+                return cached;
+            }
+
             const sales = await this.getRecentSales(100);
             const listings = await this.getRecentListings(50);
 
@@ -1742,7 +1391,7 @@ class SentXService {
             const recent24hSales = sales.filter(sale => new Date(sale.timestamp) >= last24h);
             const recent24hListings = listings.filter(listing => new Date(listing.timestamp) >= last24h);
 
-            return {
+            const overview = {
                 total24hSales: recent24hSales.length,
                 total24hVolume: recent24hSales.reduce((sum, sale) => sum + parseFloat(sale.price_hbar), 0),
                 total24hListings: recent24hListings.length,
@@ -1751,6 +1400,9 @@ class SentXService {
                 topCollections: await this.getTopCollections(sales),
                 marketTrend: this.calculateMarketTrend(sales)
             };
+
+            this.setCachedResponse('market_overview', overview, 5 * 60 * 1000);
+            return overview;
         } catch (error) {
             console.error('Error getting market overview:', error.message);
             return null;
@@ -0,0 +1,275 @@
+/**
+ * Outbound webhook service
+ * Builds the JSON payloads for sale, listing and mint events, signs them with the endpoint's
+ * secret (HMAC-SHA256) and POSTs them. Queueing, retries and the dead-letter log live in the
+ * webhook_deliveries table and are driven by the bot (processWebhookDeliveries).
+ *
+ * Every request carries:
+ *   X-Webhook-Event      - 'sale', 'listing', 'mint' or 'test'
+ *   X-Webhook-Delivery   - Delivery ID, the same on every retry of one delivery
+ *   X-Webhook-Timestamp  - Unix seconds when this attempt was sent
+ *   X-Webhook-Signature  - sha256=<hex HMAC of "{timestamp}.{raw body}">
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+const marketplaceRegistry = require('./marketplaces');
+const currencyService = require('./currency');
+
+const EVENT_TYPES = ['sale', 'listing', 'mint'];
+const SECRET_PREFIX = 'whsec_';
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+class WebhookService {
+    constructor() {
+        this.axiosInstance = axios.create({
+            timeout: config.WEBHOOK_DELIVERY_TIMEOUT,
+            maxRedirects: 0, // A redirect could point anywhere, including the bot's own network
+            proxy: false,
+            validateStatus: () => true,
+            headers: {
+                'User-Agent': 'Discord-NFT-Bot/1.0 (webhooks)',
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    /**
+     * New random signing secret for an endpoint
+     * @returns {string} e.g. whsec_3f9a...
+     */
+    generateSecret() {
+        return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Check an endpoint URL given to /webhook add
+     * @param {string} input - URL
+     * @returns {Object} { url } with the normalized URL, or { error } - 'invalid', 'https' or 'private'
+     */
+    validateUrl(input) {
+        let parsed;
+        try {
+            parsed = new URL(String(input).trim());
+        } catch (error) {
+            return { error: 'invalid' };
+        }
+        if (parsed.protocol !== 'https:') return { error: 'https' };
+        if (parsed.username || parsed.password) return { error: 'invalid' };
+        if (this.isPrivateHost(parsed.hostname)) return { error: 'private' };
+        return { url: parsed.toString() };
+    }
+
+    /**
+     * Whether a hostname or IP points at a local or private network
+     * @param {string} hostname - URL hostname (IPv6 may be bracketed)
+     * @returns {boolean}
+     */
+    isPrivateHost(hostname) {
+        const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+
+        if (net.isIPv4(host)) {
+            const [a, b] = host.split('.').map(Number);
+            return a === 0 || a === 10 || a === 127 ||
+                (a === 100 && b >= 64 && b <= 127) ||
+                (a === 169 && b === 254) ||
+                (a === 172 && b >= 16 && b <= 31) ||
+                (a === 192 && b === 168) ||
+                (a === 198 && (b === 18 || b === 19)) ||
+                a >= 224; // multicast and reserved (224/4, 240/4)
+        }
+        if (net.isIPv6(host)) {
+            // IPv4-mapped addresses, written either way (::ffff:10.0.0.1 or ::ffff:a00:1)
+            const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+            if (mapped) return this.isPrivateHost(mapped[1]);
+            const mappedHex = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+            if (mappedHex) {
+                const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+                return this.isPrivateHost(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+            }
+            return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+        }
+        return false;
+    }
+
+    /**
+     * Sign a request body
+     * @param {string} secret - Endpoint secret
+     * @param {number} timestamp - Unix seconds, also sent as X-Webhook-Timestamp
+     * @param {string} body - Raw JSON body
+     * @returns {string} Hex HMAC-SHA256
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Wrap event data in the envelope every delivery uses
+     * @param {string} event - 'sale', 'listing', 'mint' or 'test'
+     * @param {Object} data - Serialized event
+     * @param {string} guildId - Server the endpoint belongs to
+     * @returns {Object} { deliveryId, payload }
+     */
+    buildPayload(event, data, guildId) {
+        const deliveryId = crypto.randomUUID();
+        return {
+            deliveryId,
+            payload: {
+                id: deliveryId,
+                event,
+                guild_id: guildId,
+                created_at: new Date().toISOString(),
+                data
+            }
+        };
+    }
+
+    /**
+     * Event data for a sale, in the same shape as /api/v1 sales
+     * @param {Object} sale - Sale from the marketplace services
+     * @param {string} saleId - Processed sale ID
+     * @param {number} hbarRate - HBAR/USD rate at processing time
+     * @returns {Promise<Object>} Snake-case sale
+     */
+    async serializeSale(sale, saleId, hbarRate) {
+        return {
+            id: saleId,
+            ...await this.serializeMarketEvent(sale, hbarRate),
+            sale_type: sale.sale_type || 'Sale',
+            buyer: sale.buyer || null,
+            transaction_id: sale.transaction_id || sale.saleTransactionId || null
+        };
+    }
+
+    /**
+     * Event data for a listing, in the same shape as /api/v1 listings
+     * @param {Object} listing - Listing from the marketplace services
+     * @param {string} listingId - Processed listing ID
+     * @param {number} hbarRate - HBAR/USD rate at processing time
+     * @returns {Promise<Object>} Snake-case listing
+     */
+    async serializeListing(listing, listingId, hbarRate) {
+        return {
+            id: listingId,
+            ...await this.serializeMarketEvent(listing, hbarRate),
+            sale_type: listing.sale_type || 'Listing'
+        };
+    }
+
+    async serializeMarketEvent(event, hbarRate) {
+        const price = Number(event.price_hbar) || 0;
+        const paymentSymbol = event.payment_symbol || 'HBAR';
+        const serial = parseInt(event.serial_number ?? event.serialNumber, 10);
+        const rank = marketplaceRegistry.getTrustedRank(event);
+        return {
+            token_id: event.token_id || event.tokenId,
+            serial_number: Number.isNaN(serial) ? null : serial,
+            nft_name: event.nft_name || null,
+            collection_name: event.collection_name || null,
+            marketplace: event.marketplace || 'Unknown',
+            price,
+            payment_symbol: paymentSymbol,
+            payment_token_id: event.payment_token_id || null,
+            usd_value: await currencyService.getEventUsdValue(event, hbarRate),
+            seller: event.seller || null,
+            rarity_rank: rank,
+            image_url: event.image_url || null,
+            timestamp: new Date(event.timestamp).toISOString()
+        };
+    }
+
+    /**
+     * Event data for a mint, in the same shape as /api/v1 mints
+     * @param {Object} mint - Launchpad mint
+     * @param {string} mintId - Processed mint ID
+     * @returns {Object} Snake-case mint
+     */
+    serializeMint(mint, mintId) {
+        const serial = parseInt(mint.serial_number, 10);
+        return {
+            id: mintId,
+            token_id: mint.token_id,
+            serial_number: Number.isNaN(serial) ? null : serial,
+            nft_name: mint.nft_name || null,
+            collection_name: mint.collection_name || null,
+            minter: mint.minter_account_id || null,
+            price: Number(mint.mint_cost) || 0,
+            payment_symbol: mint.mint_cost_symbol || 'HBAR',
+            transaction_id: mint.transaction_id || null,
+            image_url: mint.image_url || null,
+            timestamp: new Date(mint.timestamp).toISOString()
+        };
+    }
+
+    /**
+     * POST a payload to an endpoint once
+     * @param {Object} endpoint - webhook_endpoints row
+     * @param {string} deliveryId - Delivery ID
+     * @param {Object} payload - Envelope from buildPayload
+     * @returns {Object} { ok, status, error } - status is the HTTP status when a response arrived
+     */
+    async send(endpoint, deliveryId, payload) {
+        try {
+            // Re-check where the hostname resolves now, not just when the endpoint was added
+            const { hostname } = new URL(endpoint.url);
+            const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+            if (addresses.length === 0 || addresses.some(address => this.isPrivateHost(address.address))) {
+                return { ok: false, status: null, error: 'Endpoint resolves to a private address' };
+            }
+
+            const body = JSON.stringify(payload);
+            const timestamp = Math.floor(Date.now() / 1000);
+            const response = await this.axiosInstance.post(endpoint.url, body, {
+                headers: {
+                    'X-Webhook-Event': payload.event,
+                    'X-Webhook-Delivery': deliveryId,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${this.sign(endpoint.secret, timestamp, body)}`
+                },
+                httpsAgent: this.createPinnedAgent(addresses[0])
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                return { ok: true, status: response.status, error: null };
+            }
+            return { ok: false, status: response.status, error: `HTTP ${response.status}` };
+        } catch (error) {
+            return { ok: false, status: null, error: error.code || error.message };
+        }
+    }
+
+    /**
+     * HTTPS agent that connects to an already checked address instead of resolving the hostname
+     * again, so a DNS answer that changes between the check and the request (rebinding) can't
+     * send it to a private address. TLS still verifies the certificate against the hostname.
+     * @param {Object} address - { address, family } from dns.lookup
+     * @returns {https.Agent} Single-use agent
+     */
+    createPinnedAgent(address) {
+        return new https.Agent({
+            keepAlive: false,
+            lookup: (hostname, options, callback) => {
+                if (options && options.all) return callback(null, [address]);
+                return callback(null, address.address, address.family);
+            }
+        });
+    }
+
+    /**
+     * How long to wait before the next attempt
+     * @param {number} attempts - Attempts made so far (1 after the first failure)
+     * @returns {number} Milliseconds
+     */
+    getRetryDelay(attempts) {
+        const seconds = config.WEBHOOK_RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1));
+        return Math.min(seconds, MAX_RETRY_DELAY_SECONDS) * 1000;
+    }
+}
+
+module.exports = new WebhookService();
+module.exports.EVENT_TYPES = EVENT_TYPES;
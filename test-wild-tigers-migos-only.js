@@ -39,7 +39,7 @@ async function sendTestToMigosOnly() {
         const fs = require('fs');
         if (fs.existsSync(stickerPath)) {
             const stickerAttachment = new AttachmentBuilder(stickerPath, { name: 'forever-mint-sticker.png' });
-            messageOptions.files = [stickerAttachment];
+            messageOptions.files = [...(embed.files || []), stickerAttachment];
         }
 
         const guild = client.guilds.cache.get(guildId);
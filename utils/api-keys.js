@@ -0,0 +1,60 @@
+/**
+ * Public REST API key utilities
+ * Generates and hashes API keys and keeps the per-key request counters for rate limiting
+ */
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'nftb_';
+const WINDOW_MS = 60 * 1000;
+
+class ApiKeys {
+    constructor() {
+        this.windows = new Map(); // key id -> { start, count }
+    }
+
+    /**
+     * Create a new random key
+     * @returns {Object} { key, hash, prefix } - only the hash and prefix are stored
+     */
+    generate() {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+        return { key, hash: this.hash(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+    }
+
+    /**
+     * SHA-256 of a key, as stored in api_keys.key_hash
+     * @param {string} key - Raw API key
+     * @returns {string} Hex digest
+     */
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Count a request against a key's per-minute limit
+     * @param {number} keyId - api_keys.id
+     * @param {number} limit - Requests allowed per minute
+     * @returns {Object} { allowed, limit, remaining, resetAt } (resetAt in ms)
+     */
+    consume(keyId, limit) {
+        const now = Date.now();
+        let window = this.windows.get(keyId);
+        if (!window || now - window.start >= WINDOW_MS) {
+            window = { start: now, count: 0 };
+            this.windows.set(keyId, window);
+        }
+
+        const allowed = window.count < limit;
+        if (allowed) window.count++;
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: window.start + WINDOW_MS
+        };
+    }
+}
+
+module.exports = new ApiKeys();
+module.exports.KEY_PREFIX = KEY_PREFIX;
@@ -0,0 +1,145 @@
+/**
+ * Digest report utilities
+ * Works out when a server's digest is due and summarizes recorded sales, listings and floors for the period
+ */
+
+const PERIOD_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class DigestUtils {
+    /**
+     * Check that a timezone is a valid IANA name
+     * @param {string} timezone - e.g. 'Europe/London'
+     * @returns {boolean} True if Intl accepts the timezone
+     */
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the local hour and weekday for a moment in a timezone
+     * @param {string} timezone - IANA timezone
+     * @param {Date} date - Moment to convert
+     * @returns {Object} { hour: 0-23, dayOfWeek: 0-6 (0 = Sunday) }
+     */
+    getLocalTime(timezone, date = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hour: 'numeric',
+            hourCycle: 'h23',
+            weekday: 'short'
+        }).formatToParts(date);
+
+        const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+        const weekday = parts.find(part => part.type === 'weekday').value;
+        return { hour, dayOfWeek: WEEKDAYS.indexOf(weekday) };
+    }
+
+    /**
+     * Length of a digest period
+     * @param {string} frequency - 'daily' or 'weekly'
+     * @returns {number} Period in milliseconds
+     */
+    getPeriodMs(frequency) {
+        return PERIOD_MS[frequency] || PERIOD_MS.daily;
+    }
+
+    /**
+     * Check whether a digest should be posted now.
+     * The scheduler runs several times an hour, so lastSentAt keeps it to one post per period.
+     * @param {Object} config - Row from digest_configs
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the digest is due
+     */
+    isDue(config, now = new Date()) {
+        if (!config.enabled) return false;
+
+        const local = this.getLocalTime(config.timezone || 'UTC', now);
+        if (local.hour !== config.hour) return false;
+        if (config.frequency === 'weekly' && local.dayOfWeek !== config.dayOfWeek) return false;
+
+        if (!config.lastSentAt) return true;
+
+        // Allow a couple of hours of slack so a late run doesn't push the next digest back a day
+        const sinceLast = now.getTime() - new Date(config.lastSentAt).getTime();
+        return sinceLast >= this.getPeriodMs(config.frequency) - 2 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Build the digest summary from recorded data
+     * @param {Object} data - { sales, listings, floors } where floors is [{ tokenId, name, startPrice, currentPrice }]
+     * @returns {Object} Digest summary
+     */
+    summarize({ sales = [], listings = [], floors = [] }) {
+        const hbarSales = sales.filter(sale => sale.paymentSymbol === 'HBAR');
+
+        const volumeHbar = hbarSales.reduce((sum, sale) => sum + sale.price, 0);
+        const volumeUsd = hbarSales.reduce((sum, sale) => sum + (sale.usdValue || 0), 0);
+
+        const topSale = hbarSales.reduce((top, sale) => (!top || sale.price > top.price ? sale : top), null);
+
+        const floorMovements = floors
+            .filter(floor => floor.startPrice && floor.currentPrice)
+            .map(floor => ({
+                ...floor,
+                changePercent: ((floor.currentPrice - floor.startPrice) / floor.startPrice) * 100
+            }))
+            .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+
+        // Compare listings against the floor at the start of the period
+        const startFloors = new Map(floors.filter(floor => floor.startPrice).map(floor => [floor.tokenId, floor.startPrice]));
+        const listingsBelowFloor = listings
+            .filter(listing => listing.paymentSymbol === 'HBAR' && startFloors.has(listing.tokenId) &&
+                listing.price < startFloors.get(listing.tokenId))
+            .map(listing => ({
+                ...listing,
+                floorPrice: startFloors.get(listing.tokenId),
+                discountPercent: (1 - listing.price / startFloors.get(listing.tokenId)) * 100
+            }))
+            .sort((a, b) => b.discountPercent - a.discountPercent);
+
+        return {
+            saleCount: sales.length,
+            volumeHbar,
+            volumeUsd,
+            otherTokenSales: sales.length - hbarSales.length,
+            topSale,
+            mostActiveBuyer: this.mostFrequent(sales.map(sale => sale.buyer)),
+            mostActiveSeller: this.mostFrequent(sales.map(sale => sale.seller)),
+            listingCount: listings.length,
+            floorMovements,
+            listingsBelowFloor
+        };
+    }
+
+    /**
+     * Find the most common non-empty value
+     * @param {Array<string>} values - Values to count
+     * @returns {Object|null} { account, count } or null
+     */
+    mostFrequent(values) {
+        const counts = new Map();
+        for (const value of values) {
+            if (!value) continue;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+
+        let best = null;
+        for (const [account, count] of counts) {
+            if (!best || count > best.count) best = { account, count };
+        }
+        return best;
+    }
+}
+
+module.exports = new DigestUtils();
+module.exports.WEEKDAYS = WEEKDAYS;
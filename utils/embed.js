@@ -2,71 +2,85 @@
  * Discord embed utilities for formatting NFT sale messages
  */
 
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const currencyService = require('../services/currency');
 const sentxService = require('../services/sentx');
+const marketplaceRegistry = require('../services/marketplaces');
 const hederaService = require('../services/hedera');
-const HashinalService = require('../services/hashinal');
+const imageProxy = require('../services/image-proxy');
+const embedThemes = require('./themes');
+const i18n = require('./i18n');
 
 
 class EmbedUtils {
-    constructor() {
-        this.hashinalService = new HashinalService();
-
-    }
     /**
      * Create a Discord embed for an NFT sale
      * @param {Object} sale - Sale data object
-     * @param {number} hbarRate - Current HBAR to USD rate
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
      * @param {string} guildId - Discord server ID (for checking image effects setting)
+     * @param {Object} theme - Server's theme from utils/themes resolve() (defaults when omitted)
+     * @param {string} locale - Language for the embed text (see utils/i18n)
      * @returns {EmbedBuilder} Discord embed object
      */
-    async createSaleEmbed(sale, hbarRate, guildId = null) {
+    async createSaleEmbed(sale, fiat, guildId = null, theme = embedThemes.resolve(null), locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
         const marketplace = sale.marketplace || 'SentX';
         const paymentSymbol = sale.payment_symbol || 'HBAR';
         const displayPrice = sale.display_price || `${sale.price_hbar} ${paymentSymbol}`;
+        const { sections } = theme;
         
-        // Calculate USD value based on payment token
-        let usdValue;
-        if (paymentSymbol === 'HBAR') {
-            usdValue = sale.price_hbar * hbarRate;
-        } else {
-            // For HTS tokens, we'll show the token amount without USD conversion for now
-            // In the future, we could add HTS token price lookup
-            usdValue = null;
-        }
+        // Fiat value - HTS payments are priced in HBAR first, then converted like HBAR sales
+        const converted = sections.usd ? await currencyService.convertEventPrice(sale, fiat) : null;
+        const fiatText = this.formatFiatValue(converted, paymentSymbol, fiat, locale);
         
         // Create a more friendly title and description
-        const nftName = sale.nft_name || `NFT #${sale.serial_number || 'Unknown'}`;
+        const nftName = sale.nft_name || `NFT #${sale.serial_number || t('common.unknown')}`;
         const collectionName = sale.collection_name && sale.collection_name !== 'Unknown Collection' 
             ? sale.collection_name 
-            : 'NFT Collection';
+            : t('common.nftCollection');
         
         // Determine if this was an order fill or direct sale
         const saleType = sale.sale_type || 'Sale';
         const isOrderFill = saleType === 'Order' || saleType === 'OrderFill';
-        const saleTypeText = isOrderFill ? 'order was filled' : 'just sold';
+        const saleTypeText = isOrderFill ? t('sale.actionOrderFilled') : t('sale.actionSold');
         const emoji = isOrderFill ? '📋' : '🎉';
         
         // Add PAWS icon next to marketplace name for PAWS token payments
         const isPawsPayment = sale.payment_symbol && (sale.payment_symbol.toLowerCase() === 'paws' || sale.payment_symbol.toLowerCase() === 'paw');
         const marketplaceDisplay = isPawsPayment ? `${marketplace} 🐾` : marketplace;
         
+        const title = embedThemes.fillTitle(theme.titles.sale, {
+            emoji,
+            nft_name: nftName,
+            action: saleTypeText,
+            collection: collectionName,
+            price: displayPrice,
+            marketplace,
+            serial: sale.serial_number
+        });
+        
         const embed = new EmbedBuilder()
-            .setTitle(`${emoji} ${nftName} ${saleTypeText}!`)
-            .setDescription(`A new ${isOrderFill ? 'order fill' : 'sale'} happened on ${marketplaceDisplay} for **${displayPrice}**${usdValue ? ` ≈ $${usdValue.toFixed(2)} USD` : ''}`)
-            .setColor('#FFFFFF')
+            .setTitle(this.truncateText(title, 256))
+            .setDescription(t(isOrderFill ? 'sale.descriptionOrderFill' : 'sale.description', { marketplace: marketplaceDisplay, price: displayPrice, fiat: fiatText }))
+            .setColor(embedThemes.getColor(theme, marketplace, '#FFFFFF'))
             .setTimestamp(new Date(sale.timestamp));
 
         // Add collection info prominently with floor price
         if (sale.collection_name && sale.collection_name !== 'Unknown Collection') {
-            // Fetch floor price for the collection
-            const floorPriceData = await sentxService.getCollectionFloorPrice(sale.token_id);
-            let collectionTitle = `${collectionName} Collection`;
+            let collectionTitle = t('embeds.collectionTitle', { collection: collectionName });
             
+            // Fetch floor price for the collection (first marketplace that reports one)
+            const floorPriceData = sections.floor ? await marketplaceRegistry.getFloorPrice(sale.token_id) : null;
             if (floorPriceData && floorPriceData.price_hbar) {
-                const floorUsdValue = floorPriceData.price_hbar * hbarRate;
-                collectionTitle += ` • Floor: ${floorPriceData.price_hbar} HBAR ($${floorUsdValue.toFixed(2)})`;
+                collectionTitle += ` • ${t('embeds.floor', { price: i18n.formatNumber(locale, floorPriceData.price_hbar) })}`;
+                if (sections.usd) {
+                    collectionTitle += ` (${currencyService.formatCurrency(floorPriceData.price_hbar * fiat.rate, fiat.code, null, i18n.getIntlLocale(locale))})`;
+                }
+                const priceInHbar = paymentSymbol === 'HBAR' ? sale.price_hbar : converted?.hbar;
+                if (sections.links && priceInHbar) {
+                    const priceVsFloor = ((priceInHbar / floorPriceData.price_hbar - 1) * 100).toFixed(1);
+                    collectionTitle += ` • ${t('embeds.vsFloor', { change: `${priceVsFloor > 0 ? '+' : ''}${priceVsFloor}` })}`;
+                }
             }
             
             embed.setAuthor({
@@ -75,180 +89,29 @@ class EmbedUtils {
             });
         }
 
-        // Add NFT image with comprehensive fallback options
-        // Priority: imageCDN > nftImage > image_url > imageUrl > imageFile > image > metadata.image > media.image
-        let imageUrl = sale.imageCDN || 
-                       sale.nftImage || 
-                       sale.image_url || 
-                       sale.imageUrl || 
-                       sale.imageFile ||
-                       sale.image ||
-                       sale.nft_image ||
-                       sale.imageData ||
-                       (sale.metadata && sale.metadata.image) ||
-                       (sale.media && sale.media.image) ||
-                       (sale.data && sale.data.image);
-                       
-        // Enhanced Hashinal detection with broader patterns
-        const knownHashinalTokens = ['0.0.5552189', '0.0.2173899', '0.0.789064', '0.0.1097228', '0.0.8293984'];
-        const hcsImageTokens = ['0.0.8308459']; // The Ape Anthology - uses HCS for images
-        const isHashinal = (
-            (sale.collection_name && (
-                sale.collection_name.toLowerCase().includes('hashinal') ||
-                sale.collection_name.toLowerCase().includes('hcs-') ||
-                sale.collection_name.toLowerCase().includes('inscription')
-            )) ||
-            (sale.nft_name && sale.nft_name.toLowerCase().includes('hashinal')) ||
-            knownHashinalTokens.includes(sale.token_id) ||
-            (sale.metadata && sale.metadata.p === 'hcs-5') ||
-            (sale.description && sale.description.toLowerCase().includes('hashinal'))
-        );
-        const isHCSImageToken = hcsImageTokens.includes(sale.token_id) || 
-            (sale.nftImage && sale.nftImage.startsWith('hcs://')) ||
-            (sale.imagecid && sale.imagecid.startsWith('hcs://'));
-        
-        // For HCS tokens, construct the proper Hashinals URL
-        if (isHCSImageToken && (sale.nftImage?.startsWith('hcs://') || sale.imagecid?.startsWith('hcs://'))) {
-            const hcsUrl = sale.nftImage || sale.imagecid;
-            // Extract topic ID from HCS URL (e.g., hcs://1/0.0.8304646)
-            const topicMatch = hcsUrl.match(/hcs:\/\/1\/(.+)/);
-            if (topicMatch) {
-                const topicId = topicMatch[1];
-                const hashinalUrl = `https://hashinals.sentx.io/${topicId}?optimizer=image&width=640`;
-                imageUrl = hashinalUrl;
-                console.log(`🖼️ [HASHINAL] Using Hashinals service URL: ${hashinalUrl}`);
-            }
-        }
-        
-        // For Hashinals with token ID, use HashPack CDN URL format as priority
-        if (isHashinal && sale.token_id && sale.serial_number) {
-            const hashpackUrl = `https://hashpack-hashinal.b-cdn.net/api/inscription-cdn/${sale.token_id}/${sale.serial_number}?network=mainnet`;
-            imageUrl = hashpackUrl; // Override any existing imageUrl for Hashinals
-            console.log(`🖼️ [HASHINAL] Using HashPack CDN URL: ${hashpackUrl}`);
-        }
-        
-        // Enhanced debugging for image detection issues
-        if (isHashinal || isHCSImageToken || (sale.collection_name && sale.collection_name.includes('Rooster Cartel')) || !imageUrl) {
-            const debugType = isHashinal ? 'HASHINAL' : 
-                              isHCSImageToken ? 'HCS IMAGE TOKEN' : 
-                              (sale.collection_name?.includes('Rooster Cartel') ? 'ROOSTER CARTEL' : 'NO IMAGE');
-            console.log(`🖼️ [${debugType}] Processing image for ${sale.nft_name} (${sale.token_id})`);
-            console.log(`  Selected imageUrl: ${imageUrl}`);
-            console.log(`  imageCDN: ${sale.imageCDN}`);
-            console.log(`  nftImage: ${sale.nftImage}`);
-            console.log(`  imagecid: ${sale.imagecid}`);
-            console.log(`  image_url: ${sale.image_url}`);
-            console.log(`  image: ${sale.image}`);
-            console.log(`  imageFile: ${sale.imageFile}`);
-            console.log(`  imageUrl: ${sale.imageUrl}`);
-            console.log(`  metadata.image: ${sale.metadata?.image}`);
-            console.log(`  data.image: ${sale.data?.image}`);
-            
-            // Check for additional image fields in nested objects
-            if (sale.metadata) {
-                console.log(`  metadata.files: ${JSON.stringify(sale.metadata.files)}`);
-                console.log(`  metadata.uri: ${sale.metadata.uri}`);
-                console.log(`  metadata.image_data: ${sale.metadata.image_data}`);
-                console.log(`  metadata.animation_url: ${sale.metadata.animation_url}`);
-            }
-            
-            // Log all available fields to identify potential image sources for HCS tokens
-            if (isHashinal || isHCSImageToken) {
-                console.log(`  [${debugType} DEBUG] All sale fields:`, Object.keys(sale));
-            }
-        }
-
-        // Use Hashinal service for enhanced image resolution
-        if ((isHashinal || isHCSImageToken) && !imageUrl) {
-            console.log(`🔧 [${debugType}] Attempting enhanced image resolution...`);
-            try {
-                imageUrl = await this.hashinalService.resolveHashinalImage(sale);
-                if (imageUrl) {
-                    console.log(`✅ [${debugType}] Enhanced resolution found image: ${imageUrl}`);
-                }
-            } catch (error) {
-                console.error(`❌ [${debugType}] Enhanced resolution failed:`, error.message);
-            }
-        }
-
-        // Additional fallback for HCS tokens using Hashinals service
-        if (!imageUrl && isHCSImageToken) {
-            console.log(`🔧 [${debugType}] Trying Hashinals service fallback...`);
-            
-            // Check for HCS URLs in the most common fields
-            const hcsFields = [sale.nftImage, sale.imagecid, sale.image, sale.imageFile];
-            for (const field of hcsFields) {
-                if (field && field.startsWith('hcs://')) {
-                    const topicMatch = field.match(/hcs:\/\/1\/(.+)/);
-                    if (topicMatch) {
-                        const topicId = topicMatch[1];
-                        const hashinalUrl = `https://hashinals.sentx.io/${topicId}?optimizer=image&width=640`;
-                        console.log(`✅ [${debugType}] Using Hashinals service fallback: ${hashinalUrl}`);
-                        imageUrl = hashinalUrl;
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // If no image is available, try to fetch NFT details to get metadata
-        if (!imageUrl && sale.token_id && (sale.serial_id || sale.serial_number)) {
-            try {
-                const serialId = sale.serial_id || sale.serial_number;
-                console.log(`Fetching NFT details for missing image: ${sale.token_id}/${serialId}`);
-                const SentXService = require('../services/sentx.js');
-                const sentxService = new SentXService();
-                const nftDetails = await sentxService.getNFTDetails(sale.token_id, serialId);
-                if (nftDetails && nftDetails.image) {
-                    imageUrl = nftDetails.image;
-                    console.log(`Found image from NFT details: ${imageUrl}`);
-                }
-            } catch (error) {
-                console.log(`Failed to fetch NFT details for image: ${error.message}`);
-            }
-        }
-        
-        if (imageUrl) {
-            const convertedImageUrl = this.convertIpfsToHttp(imageUrl);
-            if (convertedImageUrl) {
-                embed.setImage(convertedImageUrl);
-                
-                if (sale.collection_name && sale.collection_name.includes('Rooster Cartel')) {
-                    console.log(`ROOSTER CARTEL - Successfully processed image with effects`);
-                }
-            } else {
-                console.log(`Failed to convert image URL: ${imageUrl}`);
-                if (sale.collection_name && sale.collection_name.includes('Rooster Cartel')) {
-                    console.log(`ROOSTER CARTEL - Failed to convert URL: ${imageUrl}`);
-                }
-            }
-        } else {
-            console.log(`No image found for NFT: ${sale.nft_name} (${sale.token_id}/${sale.serial_id || sale.serial_number})`);
-            if (sale.collection_name && sale.collection_name.includes('Rooster Cartel')) {
-                console.log(`ROOSTER CARTEL - NO IMAGE FOUND for ${sale.nft_name}`);
-            }
-        }
+        // NFT image - linked or attached by the image proxy
+        await this.setNftImage(embed, sale);
 
         // Get collector information for context
-        const buyerHoldings = await hederaService.getAccountNFTHoldings(sale.buyer, sale.token_id);
-        const sellerHoldings = await hederaService.getAccountNFTHoldings(sale.seller, sale.token_id);
+        const buyerHoldings = sections.holders ? await hederaService.getAccountNFTHoldings(sale.buyer, sale.token_id) : null;
+        const sellerHoldings = sections.holders ? await hederaService.getAccountNFTHoldings(sale.seller, sale.token_id) : null;
 
         const buyerTier = buyerHoldings ? hederaService.getCollectorTier(buyerHoldings.nft_count) : null;
         const sellerTier = sellerHoldings ? hederaService.getCollectorTier(sellerHoldings.nft_count) : null;
 
         // Main sale information section with collection link
-        const collectionLink = sale.collection_url 
-            ? `📦 **Collection:** [${sale.collection_name}](${sale.collection_url})`
-            : `📦 **Collection:** ${sale.collection_name}`;
+        const collectionLink = t('embeds.collectionLine', {
+            collection: sale.collection_url ? `[${sale.collection_name}](${sale.collection_url})` : sale.collection_name
+        });
             
         const saleInfo = [
-            `💰 **Sale Price:** ${displayPrice}${usdValue ? ` ≈ $${usdValue.toFixed(2)} USD` : ''}`,
-            `🏪 **Marketplace:** ${marketplace}`,
+            t('sale.priceLine', { price: `${displayPrice}${fiatText}` }),
+            t('embeds.marketplaceLine', { marketplace }),
             collectionLink
         ];
 
         if (sale.serial_number) {
-            saleInfo.push(`🔢 **NFT #:** ${sale.serial_number}`);
+            saleInfo.push(t('embeds.serialLine', { serial: this.formatSerial(sale.token_id, sale.serial_number, sections.links) }));
         }
 
         // Note: Kabila rank system doesn't match SentX rarity rankings, so we disable it
@@ -264,63 +127,42 @@ class EmbedUtils {
         //     }
         // }
 
-        if (saleInfo.length > 0) {
+        if (sections.details && saleInfo.length > 0) {
             const saleInfoText = saleInfo.filter(info => info && info.trim()).join('\n').trim();
             if (saleInfoText && saleInfoText.length > 0) {
                 embed.addFields({
-                    name: '📊 Sale Details',
+                    name: t('sale.detailsTitle'),
                     value: saleInfoText,
                     inline: false
                 });
             }
         }
 
-        // Rarity information (only show accurate SentX data - never show inaccurate Kabila ranks)
-        if (sale.marketplace === 'SentX' && (sale.rarity || sale.rank)) {
-            // SentX native data - always accurate
-            let rarityInfo = [];
+        // Rarity information - only what the marketplace vouches for (Kabila's own ranks use another scale)
+        const trustedRarity = sections.rarity ? marketplaceRegistry.getTrustedRarity(sale) : null;
+        if (trustedRarity) {
+            const rarityInfo = [];
             
-            if (sale.rank) {
-                rarityInfo.push(`🏆 **Rank:** #${sale.rank} in collection`);
+            if (trustedRarity.rank) {
+                rarityInfo.push(t('embeds.rankLine', { rank: trustedRarity.rank }));
             }
             
-            if (sale.rarity) {
-                const rarityPercentage = parseFloat((sale.rarity * 100).toFixed(1));
-                const rarityTier = this.getRarityTier(sale.rarity);
-                rarityInfo.push(`✨ **Rarity:** ${rarityTier} (${rarityPercentage}%)`);
+            if (trustedRarity.rarity) {
+                const rarityPercentage = i18n.formatNumber(locale, parseFloat((trustedRarity.rarity * 100).toFixed(1)));
+                const rarityTier = this.getRarityTier(trustedRarity.rarity, locale);
+                rarityInfo.push(t('embeds.rarityLine', { tier: rarityTier, percent: rarityPercentage }));
             }
             
-            if (rarityInfo.length > 0) {
-                embed.addFields({
-                    name: '🌟 Rarity Info',
-                    value: rarityInfo.join('\n'),
-                    inline: false
-                });
-            }
-        } else if (sale.marketplace === 'Kabila' && sale.sentx_enriched && (sale.rarity || sale.sentx_rank)) {
-            // Kabila enriched with accurate SentX data - only show when successfully enriched
-            let rarityInfo = [];
-            
-            if (sale.sentx_rank) {
-                rarityInfo.push(`🏆 **Rank:** #${sale.sentx_rank} in collection`);
-            }
-            
-            if (sale.rarity) {
-                const rarityPercentage = parseFloat((sale.rarity * 100).toFixed(1));
-                const rarityTier = this.getRarityTier(sale.rarity);
-                rarityInfo.push(`✨ **Rarity:** ${rarityTier} (${rarityPercentage}%)`);
+            if (trustedRarity.source) {
+                rarityInfo.push(t('embeds.raritySource', { source: trustedRarity.source }));
             }
             
-            if (rarityInfo.length > 0) {
-                rarityInfo.push(`ℹ️ *Rarity data from SentX*`);
-                embed.addFields({
-                    name: '🌟 Rarity Info',
-                    value: rarityInfo.join('\n'),
-                    inline: false
-                });
-            }
+            embed.addFields({
+                name: t('embeds.rarityTitle'),
+                value: rarityInfo.join('\n'),
+                inline: false
+            });
         }
-        // Note: If Kabila NFT has no SentX enrichment, we show no rarity data rather than inaccurate Kabila ranks
 
         // Buyer and seller information in a more friendly format
         const traderInfo = [];
@@ -328,11 +170,11 @@ class EmbedUtils {
         // Buyer info
         if (sale.buyer) {
             const buyerLabel = buyerTier 
-                ? `${buyerTier.emoji} ${buyerTier.name} Collector`
-                : '🛒 New Buyer';
-            const buyerCount = buyerHoldings ? ` (owns ${hederaService.formatNFTCount(buyerHoldings.nft_count)})` : '';
-            traderInfo.push(`**Bought by:** ${buyerLabel}${buyerCount}`);
-            traderInfo.push(`*Account:* \`${this.formatAccountId(sale.buyer)}\``);
+                ? this.formatCollectorTier(buyerTier, locale)
+                : (sections.holders ? t('sale.newBuyer') : t('sale.buyer'));
+            const buyerCount = buyerHoldings ? ` ${t('embeds.owns', { count: buyerHoldings.nft_count })}` : '';
+            traderInfo.push(t('sale.boughtBy', { label: `${buyerLabel}${buyerCount}` }));
+            traderInfo.push(t('embeds.accountLine', { account: this.formatAccountLink(sale.buyer, sections.links) }));
         }
         
         if (sale.buyer && sale.seller) {
@@ -342,18 +184,18 @@ class EmbedUtils {
         // Seller info
         if (sale.seller) {
             const sellerLabel = sellerTier 
-                ? `${sellerTier.emoji} ${sellerTier.name} Collector`
-                : '🏪 Seller';
-            const sellerCount = sellerHoldings ? ` (owns ${hederaService.formatNFTCount(sellerHoldings.nft_count)})` : '';
-            traderInfo.push(`**Sold by:** ${sellerLabel}${sellerCount}`);
-            traderInfo.push(`*Account:* \`${this.formatAccountId(sale.seller)}\``);
+                ? this.formatCollectorTier(sellerTier, locale)
+                : t('sale.seller');
+            const sellerCount = sellerHoldings ? ` ${t('embeds.owns', { count: sellerHoldings.nft_count })}` : '';
+            traderInfo.push(t('sale.soldBy', { label: `${sellerLabel}${sellerCount}` }));
+            traderInfo.push(t('embeds.accountLine', { account: this.formatAccountLink(sale.seller, sections.links) }));
         }
 
-        if (traderInfo.length > 0) {
+        if (sections.details && traderInfo.length > 0) {
             const traderInfoText = traderInfo.filter(info => info !== undefined && info !== null && info.trim() !== '').join('\n').trim();
             if (traderInfoText && traderInfoText.length > 0) {
                 embed.addFields({
-                    name: '👥 Trading Parties',
+                    name: t('sale.tradersTitle'),
                     value: traderInfoText,
                     inline: false
                 });
@@ -364,18 +206,18 @@ class EmbedUtils {
         const technicalDetails = [];
         
         if (sale.token_id) {
-            technicalDetails.push(`🆔 **Collection ID:** \`${sale.token_id}\``);
+            technicalDetails.push(t('embeds.collectionIdLine', { tokenId: sale.token_id }));
         }
 
         if (sale.transaction_hash) {
-            technicalDetails.push(`🔗 **Transaction:** [View on HashScan](https://hashscan.io/mainnet/transaction/${sale.transaction_hash})`);
+            technicalDetails.push(t('sale.transactionLine', { url: `https://hashscan.io/mainnet/transaction/${sale.transaction_hash}` }));
         }
 
-        if (technicalDetails.length > 0) {
+        if (sections.details && technicalDetails.length > 0) {
             const technicalDetailsText = technicalDetails.filter(detail => detail && detail.trim()).join('\n').trim();
             if (technicalDetailsText && technicalDetailsText.length > 0) {
                 embed.addFields({
-                    name: '🔧 Technical Details',
+                    name: t('embeds.technicalTitle'),
                     value: technicalDetailsText,
                     inline: false
                 });
@@ -384,12 +226,12 @@ class EmbedUtils {
 
         // Footer with timestamp and branding
         // Add footer with timestamp validation
-        let footerText = 'Built for Hedera by Mauii - Migos World Labs Inc';
+        let footerText = theme.footer;
         if (sale.timestamp) {
             try {
                 const timestamp = new Date(sale.timestamp);
                 if (!isNaN(timestamp.getTime())) {
-                    footerText += ` • ${timestamp.toLocaleString()}`;
+                    footerText += ` • ${i18n.formatDate(locale, timestamp)}`;
                 } else {
                     console.warn('Invalid timestamp format for sale:', sale.timestamp);
                 }
@@ -408,43 +250,52 @@ class EmbedUtils {
     /**
      * Create a Discord embed for an NFT listing
      * @param {Object} listing - Listing data object
-     * @param {number} hbarRate - Current HBAR to USD rate
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} guildId - Discord server ID
+     * @param {Object} theme - Server's theme from utils/themes resolve() (defaults when omitted)
+     * @param {string} locale - Language for the embed text (see utils/i18n)
      * @returns {EmbedBuilder} Discord embed object
      */
-    async createListingEmbed(listing, hbarRate, guildId = null) {
+    async createListingEmbed(listing, fiat, guildId = null, theme = embedThemes.resolve(null), locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
         const marketplace = listing.marketplace || 'SentX';
         const paymentSymbol = listing.payment_symbol || 'HBAR';
         const displayPrice = listing.display_price || `${listing.price_hbar} ${paymentSymbol}`;
+        const { sections } = theme;
         
-        // Calculate USD value based on payment token
-        let usdValue;
-        if (paymentSymbol === 'HBAR') {
-            usdValue = listing.price_hbar * hbarRate;
-        } else {
-            // For HTS tokens, we'll show the token amount without USD conversion for now
-            usdValue = null;
-        }
+        // Fiat value (HTS payments go through their HBAR price)
+        const converted = sections.usd ? await currencyService.convertEventPrice(listing, fiat) : null;
+        const fiatText = this.formatFiatValue(converted, paymentSymbol, fiat, locale);
         
         // Create a more friendly title and description
-        const nftName = listing.nft_name || `NFT #${listing.serial_number || 'Unknown'}`;
+        const nftName = listing.nft_name || `NFT #${listing.serial_number || t('common.unknown')}`;
         const collectionName = listing.collection_name && listing.collection_name !== 'Unknown Collection' 
             ? listing.collection_name 
-            : 'NFT Collection';
+            : t('common.nftCollection');
         
         // Determine if this is an auction or regular listing
         const isAuction = listing.sale_type === 'Auction';
-        const listingType = isAuction ? 'Auction Listing' : 'Listing';
         const emoji = isAuction ? '🏆' : '📝';
-        const action = isAuction ? 'auction started' : 'listed for sale';
+        const action = isAuction ? t('listing.actionAuction') : t('listing.actionListed');
         
         // Add PAWS icon next to marketplace name for PAWS token payments
         const isPawsPayment = listing.payment_symbol && (listing.payment_symbol.toLowerCase() === 'paws' || listing.payment_symbol.toLowerCase() === 'paw');
         const marketplaceDisplay = isPawsPayment ? `${marketplace} 🐾` : marketplace;
         
+        const title = embedThemes.fillTitle(theme.titles.listing, {
+            emoji,
+            nft_name: nftName,
+            action,
+            collection: collectionName,
+            price: displayPrice,
+            marketplace,
+            serial: listing.serial_number
+        });
+        
         const embed = new EmbedBuilder()
-            .setTitle(`${emoji} ${nftName} ${action}!`)
-            .setDescription(`A new ${listingType.toLowerCase()} appeared on ${marketplaceDisplay} for **${displayPrice}**${usdValue ? ` ≈ $${usdValue.toFixed(2)} USD` : ''}`)
-            .setColor(isAuction ? '#ff6b35' : '#00ff41');
+            .setTitle(this.truncateText(title, 256))
+            .setDescription(t(isAuction ? 'listing.descriptionAuction' : 'listing.description', { marketplace: marketplaceDisplay, price: displayPrice, fiat: fiatText }))
+            .setColor(embedThemes.getColor(theme, marketplace, isAuction ? '#ff6b35' : '#00ff41'));
         
         // Add timestamp with validation to prevent "Invalid time value" errors
         if (listing.timestamp) {
@@ -462,14 +313,14 @@ class EmbedUtils {
 
         // Add collection info prominently with floor price
         if (listing.collection_name && listing.collection_name !== 'Unknown Collection') {
-            let collectionTitle = `${collectionName} Collection`;
+            let collectionTitle = t('embeds.collectionTitle', { collection: collectionName });
             
             // Use pre-fetched floor price data if available
-            if (listing.floor_price && listing.floor_price > 0) {
-                const floorUsdValue = listing.floor_price * hbarRate;
+            if (sections.floor && listing.floor_price && listing.floor_price > 0) {
+                const floorFiatText = sections.usd ? ` (${currencyService.formatCurrency(listing.floor_price * fiat.rate, fiat.code, null, i18n.getIntlLocale(locale))})` : '';
                 const priceVsFloor = ((listing.price_hbar / listing.floor_price - 1) * 100).toFixed(1);
                 const floorCompare = priceVsFloor > 0 ? `+${priceVsFloor}%` : `${priceVsFloor}%`;
-                collectionTitle += ` • Floor: ${listing.floor_price} HBAR ($${floorUsdValue.toFixed(2)}) • ${floorCompare}`;
+                collectionTitle += ` • ${t('embeds.floor', { price: i18n.formatNumber(locale, listing.floor_price) })}${floorFiatText} • ${floorCompare}`;
             }
             
             embed.setAuthor({
@@ -478,115 +329,26 @@ class EmbedUtils {
             });
         }
 
-        // Add NFT image with comprehensive fallback options for listings
-        let imageUrl = listing.imageCDN || 
-                       listing.nftImage || 
-                       listing.image_url || 
-                       listing.imageUrl || 
-                       listing.imageFile ||
-                       listing.image ||
-                       listing.nft_image ||
-                       listing.imageData ||
-                       (listing.metadata && listing.metadata.image) ||
-                       (listing.media && listing.media.image) ||
-                       (listing.data && listing.data.image);
-
-        // Enhanced Hashinal detection with broader patterns for listings
-        const knownHashinalTokens = ['0.0.5552189', '0.0.2173899', '0.0.789064', '0.0.1097228', '0.0.8293984'];
-        const hcsImageTokens = ['0.0.8308459']; // The Ape Anthology - uses HCS for images
-        const isHashinalListing = (
-            (listing.collection_name && (
-                listing.collection_name.toLowerCase().includes('hashinal') ||
-                listing.collection_name.toLowerCase().includes('hcs-') ||
-                listing.collection_name.toLowerCase().includes('inscription')
-            )) ||
-            (listing.nft_name && listing.nft_name.toLowerCase().includes('hashinal')) ||
-            knownHashinalTokens.includes(listing.token_id) ||
-            (listing.metadata && listing.metadata.p === 'hcs-5') ||
-            (listing.description && listing.description.toLowerCase().includes('hashinal'))
-        );
-        const isHCSListing = hcsImageTokens.includes(listing.token_id) || 
-                            (listing.nftImage && listing.nftImage.startsWith('hcs://')) ||
-                            (listing.imagecid && listing.imagecid.startsWith('hcs://'));
-        
-        // For HCS tokens in listings, construct the proper Hashinals URL
-        if (isHCSListing && (listing.nftImage?.startsWith('hcs://') || listing.imagecid?.startsWith('hcs://'))) {
-            const hcsUrl = listing.nftImage || listing.imagecid;
-            const topicMatch = hcsUrl.match(/hcs:\/\/1\/(.+)/);
-            if (topicMatch) {
-                const topicId = topicMatch[1];
-                const hashinalUrl = `https://hashinals.sentx.io/${topicId}?optimizer=image&width=640`;
-                imageUrl = hashinalUrl;
-                console.log(`🖼️ [HASHINAL LISTING] Using Hashinals service URL: ${hashinalUrl}`);
-            }
-        }
-        
-        // For Hashinals with token ID, use HashPack CDN URL format as priority
-        if (isHashinalListing && listing.token_id && listing.serial_number) {
-            const hashpackUrl = `https://hashpack-hashinal.b-cdn.net/api/inscription-cdn/${listing.token_id}/${listing.serial_number}?network=mainnet`;
-            imageUrl = hashpackUrl; // Override any existing imageUrl for Hashinals
-            console.log(`🖼️ [HASHINAL LISTING] Using HashPack CDN URL: ${hashpackUrl}`);
-        }
-        
-        // Additional checks for image URLs in nested data
-        if (!imageUrl && listing.nft_data) {
-            imageUrl = listing.nft_data.imageCDN || 
-                      listing.nft_data.image_url || 
-                      listing.nft_data.image ||
-                      (listing.nft_data.metadata && listing.nft_data.metadata.image);
-        }
-        
-        // Debug logging for listings with image issues
-        if (isHashinalListing || isHCSListing || !imageUrl) {
-            const debugType = isHashinalListing ? 'HASHINAL LISTING' : 
-                              isHCSListing ? 'HCS LISTING' : 'NO IMAGE LISTING';
-            console.log(`🖼️ [${debugType}] Processing image for ${listing.nft_name}`);
-        }
-        
-        // Use Hashinal service for enhanced image resolution
-        if ((isHashinalListing || isHCSListing) && !imageUrl) {
-            console.log(`🔧 [HASHINAL] Attempting enhanced listing image resolution...`);
-            try {
-                imageUrl = await this.hashinalService.resolveHashinalImage(listing);
-                if (imageUrl) {
-                    console.log(`✅ [HASHINAL] Enhanced resolution found listing image: ${imageUrl}`);
-                }
-            } catch (error) {
-                console.error(`❌ [HASHINAL] Enhanced listing resolution failed:`, error.message);
-            }
-        }
-        
-        if (imageUrl) {
-            const convertedImageUrl = this.convertIpfsToHttp(imageUrl);
-            if (convertedImageUrl) {
-                embed.setImage(convertedImageUrl);
-            } else {
-                console.log(`Failed to convert listing image URL: ${imageUrl}`);
-            }
-        } else {
-            // Only log missing images if we have all the data we expect
-            if (listing.token_id && listing.serial_number) {
-                console.log(`No image found for listing: ${listing.nft_name} (${listing.token_id}/${listing.serial_id || listing.serial_number})`);
-            }
-        }
+        // NFT image - linked or attached by the image proxy
+        await this.setNftImage(embed, listing);
 
         // Note: Seller holdings would require service injection, using basic seller info for now
         const sellerHoldings = null;
         const sellerTier = null;
 
         // Main listing information section with collection link
-        const collectionLink = listing.collection_url 
-            ? `📦 **Collection:** [${listing.collection_name}](${listing.collection_url})`
-            : `📦 **Collection:** ${listing.collection_name}`;
+        const collectionLink = t('embeds.collectionLine', {
+            collection: listing.collection_url ? `[${listing.collection_name}](${listing.collection_url})` : listing.collection_name
+        });
             
         const listingInfo = [
-            `💰 **Asking Price:** ${displayPrice}${usdValue ? ` ≈ $${usdValue.toFixed(2)} USD` : ''}`,
-            `🏪 **Marketplace:** ${marketplace}`,
+            t('listing.priceLine', { price: `${displayPrice}${fiatText}` }),
+            t('embeds.marketplaceLine', { marketplace }),
             collectionLink
         ];
 
         if (listing.serial_number) {
-            listingInfo.push(`🔢 **NFT #:** ${listing.serial_number}`);
+            listingInfo.push(t('embeds.serialLine', { serial: this.formatSerial(listing.token_id, listing.serial_number, sections.links) }));
         }
 
         // Note: Kabila rank system doesn't match SentX rarity rankings, so we disable it
@@ -602,63 +364,48 @@ class EmbedUtils {
         //     }
         // }
 
-        if (listingInfo.length > 0 && listingInfo.join('\n').trim()) {
+        if (sections.details && listingInfo.length > 0 && listingInfo.join('\n').trim()) {
             embed.addFields({
-                name: '📊 Listing Details',
+                name: t('listing.detailsTitle'),
                 value: listingInfo.join('\n'),
                 inline: false
             });
         }
 
-        // Rarity information (only show accurate SentX data - never show inaccurate Kabila ranks)
-        if (listing.marketplace === 'SentX' && (listing.rarity || listing.rank)) {
-            // SentX native data - always accurate
-            let rarityInfo = [];
-            
-            if (listing.rank) {
-                rarityInfo.push(`🏆 **Rank:** #${listing.rank} in collection`);
-            }
+        // Rarity information - only what the marketplace vouches for (Kabila's own ranks use another scale)
+        const trustedRarity = sections.rarity ? marketplaceRegistry.getTrustedRarity(listing) : null;
+        if (trustedRarity) {
+            const rarityInfo = [];
             
-            if (listing.rarity) {
-                const rarityPercentage = parseFloat((listing.rarity * 100).toFixed(1));
-                const rarityTier = this.getRarityTier(listing.rarity);
-                rarityInfo.push(`✨ **Rarity:** ${rarityTier} (${rarityPercentage}%)`);
-            }
-            
-            if (rarityInfo.length > 0) {
-                embed.addFields({
-                    name: '🌟 Rarity Info',
-                    value: rarityInfo.join('\n'),
-                    inline: false
-                });
+            if (trustedRarity.rank) {
+                rarityInfo.push(t('embeds.rankLine', { rank: trustedRarity.rank }));
             }
-        } else if (listing.marketplace === 'Kabila' && listing.sentx_enriched && (listing.rarity || listing.sentx_rank)) {
-            // Kabila enriched with accurate SentX data - only show when successfully enriched
-            let rarityInfo = [];
             
-            if (listing.sentx_rank) {
-                rarityInfo.push(`🏆 **Rank:** #${listing.sentx_rank} in collection`);
+            if (trustedRarity.rarity) {
+                const rarityPercentage = i18n.formatNumber(locale, parseFloat((trustedRarity.rarity * 100).toFixed(1)));
+                const rarityTier = this.getRarityTier(trustedRarity.rarity, locale);
+                rarityInfo.push(t('embeds.rarityLine', { tier: rarityTier, percent: rarityPercentage }));
             }
             
-            if (listing.rarity) {
-                const rarityPercentage = parseFloat((listing.rarity * 100).toFixed(1));
-                const rarityTier = this.getRarityTier(listing.rarity);
-                rarityInfo.push(`✨ **Rarity:** ${rarityTier} (${rarityPercentage}%)`);
+            if (trustedRarity.source) {
+                rarityInfo.push(t('embeds.raritySource', { source: trustedRarity.source }));
             }
             
-            if (rarityInfo.length > 0) {
-                rarityInfo.push(`ℹ️ *Rarity data from SentX*`);
-                embed.addFields({
-                    name: '🌟 Rarity Info',
-                    value: rarityInfo.join('\n'),
-                    inline: false
-                });
-            }
+            embed.addFields({
+                name: t('embeds.rarityTitle'),
+                value: rarityInfo.join('\n'),
+                inline: false
+            });
         }
-        // Note: If Kabila NFT has no SentX enrichment, we show no rarity data rather than inaccurate Kabila ranks
 
         // Add seller whale tier information
-        if (listing.seller) {
+        if (sections.details && listing.seller && !sections.holders) {
+            embed.addFields({
+                name: t('listing.sellerTitle'),
+                value: t('embeds.accountLine', { account: this.formatAccountLink(listing.seller, sections.links) }),
+                inline: false
+            });
+        } else if (sections.details && listing.seller) {
             console.log(`Fetching seller holdings for listing: ${listing.seller}`);
             try {
                 const hederaService = require('../services/hedera');
@@ -666,17 +413,17 @@ class EmbedUtils {
                 
                 const sellerTier = hederaService.getCollectorTier(sellerHoldings?.nft_count || 0);
                 const sellerInfo = [
-                    `**Listed by:** ${sellerTier.emoji} ${sellerTier.name} Collector`,
-                    `*Account:* \`${this.formatAccountId(listing.seller)}\``
+                    t('listing.listedBy', { label: this.formatCollectorTier(sellerTier, locale) }),
+                    t('embeds.accountLine', { account: this.formatAccountLink(listing.seller, sections.links) })
                 ];
                 
                 if (sellerHoldings?.nft_count > 0) {
-                    sellerInfo.push(`*Holdings:* ${hederaService.formatNFTCount(sellerHoldings.nft_count)} from this collection`);
+                    sellerInfo.push(t('listing.holdingsLine', { count: sellerHoldings.nft_count }));
                 }
 
                 if (sellerInfo.length > 0 && sellerInfo.join('\n').trim()) {
                     embed.addFields({
-                        name: '👤 Seller Information',
+                        name: t('listing.sellerTitle'),
                         value: sellerInfo.join('\n'),
                         inline: false
                     });
@@ -684,10 +431,10 @@ class EmbedUtils {
             } catch (error) {
                 console.error('Error fetching seller holdings for listing:', error);
                 // Fallback without whale tier
-                const fallbackSellerInfo = `*Account:* \`${this.formatAccountId(listing.seller)}\``;
+                const fallbackSellerInfo = t('embeds.accountLine', { account: `\`${this.formatAccountId(listing.seller)}\`` });
                 if (fallbackSellerInfo.trim()) {
                     embed.addFields({
-                        name: '👤 Seller Information',
+                        name: t('listing.sellerTitle'),
                         value: fallbackSellerInfo,
                         inline: false
                     });
@@ -697,16 +444,16 @@ class EmbedUtils {
 
         // Technical details section
         const technicalDetails = [
-            `🆔 **Collection ID:** \`${listing.token_id}\``,
+            t('embeds.collectionIdLine', { tokenId: listing.token_id }),
         ];
 
         if (listing.listing_url && !listing.listing_url.includes('undefined')) {
-            technicalDetails.push(`🔗 **View Listing:** [Open on SentX](${listing.listing_url})`);
+            technicalDetails.push(t('listing.viewListingLine', { url: listing.listing_url }));
         }
 
-        if (technicalDetails.length > 0 && technicalDetails.join('\n').trim()) {
+        if (sections.details && technicalDetails.length > 0 && technicalDetails.join('\n').trim()) {
             embed.addFields({
-                name: '🔧 Technical Details',
+                name: t('embeds.technicalTitle'),
                 value: technicalDetails.join('\n'),
                 inline: false
             });
@@ -714,7 +461,45 @@ class EmbedUtils {
 
         // Footer with timestamp and branding
         embed.setFooter({
-            text: `Built for Hedera by Mauii - Migos World Labs Inc • ${new Date(listing.timestamp).toLocaleString()}`
+            text: `${theme.footer} • ${i18n.formatDate(locale, listing.timestamp)}`
+        });
+
+        return embed;
+    }
+
+    /**
+     * Create the highlighted listing embed posted to a server's snipes channel
+     * @param {Object} listing - Listing data object
+     * @param {Object} snipe - Result of utils/snipes evaluate()
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} guildId - Discord server ID
+     * @param {Object} theme - Server's theme from utils/themes resolve() (defaults when omitted)
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Discord embed object
+     */
+    async createSnipeEmbed(listing, snipe, fiat, guildId = null, theme = embedThemes.resolve(null), locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const embed = await this.createListingEmbed(listing, fiat, guildId, theme, locale);
+        const percent = value => i18n.formatNumber(locale, value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+        const reasons = [];
+        if (snipe.underFloor) {
+            reasons.push(t('snipe.underFloor', { percent: percent(snipe.discountPercent), floor: i18n.formatNumber(locale, snipe.floorPrice) }));
+        }
+        if (snipe.rareCheap) {
+            reasons.push(t(snipe.discountPercent >= 0 ? 'snipe.rareUnder' : 'snipe.rareOver', {
+                rank: snipe.rank,
+                percentile: percent(snipe.rarityPercentile),
+                percent: percent(Math.abs(snipe.discountPercent))
+            }));
+        }
+
+        embed.setTitle(this.truncateText(`🎯 ${t('snipe.titlePrefix')} • ${embed.data.title}`, 256));
+        embed.setColor('#FFD600');
+        embed.spliceFields(0, 0, {
+            name: t('snipe.reasonsTitle'),
+            value: reasons.join('\n'),
+            inline: false
         });
 
         return embed;
@@ -772,37 +557,105 @@ class EmbedUtils {
     }
 
     /**
-     * Create a collection stats embed
-     * @param {Object} stats - Collection statistics
+     * Create a collection stats embed from SentX analytics
+     * @param {Object} analytics - Result of SentXService.getCollectionAnalytics
+     * @param {Object} collection - { name, tokenId }
+     * @param {string} periodLabel - Human readable period (e.g. 'Last 7 days')
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} locale - Language for the embed text (see utils/i18n)
      * @returns {EmbedBuilder} Stats embed
      */
-    createStatsEmbed(stats) {
+    createStatsEmbed(analytics, collection, periodLabel, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const intlLocale = i18n.getIntlLocale(locale);
+        const percent = (ratio, digits) => i18n.formatNumber(locale, ratio * 100, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const { coreStats, advancedMetrics, priceDistribution, marketHealth } = analytics;
+        const trendEmoji = { up: '📈', down: '📉', stable: '➡️' };
+
         const embed = new EmbedBuilder()
-            .setTitle('📊 NFT Sales Statistics')
+            .setTitle(t('stats.title', { collection: collection.name }))
+            .setDescription(t('stats.period', { period: periodLabel }))
             .setColor('#0099ff')
+            .setFooter({ text: t('stats.footer', { tokenId: collection.tokenId }) })
             .setTimestamp();
 
-        if (stats.totalSales) {
+        if (coreStats.totalSales === 0) {
             embed.addFields({
-                name: '📈 Total Sales (24h)',
-                value: stats.totalSales.toString(),
-                inline: true
+                name: t('stats.noSalesTitle'),
+                value: t('stats.noSales'),
+                inline: false
             });
+            return embed;
         }
 
-        if (stats.totalVolume) {
-            embed.addFields({
-                name: '💎 Total Volume (24h)',
-                value: currencyService.formatCurrency(stats.totalVolume, 'HBAR'),
+        embed.addFields(
+            {
+                name: t('stats.sales'),
+                value: i18n.formatNumber(locale, coreStats.totalSales),
                 inline: true
-            });
-        }
+            },
+            {
+                name: t('stats.volume'),
+                value: `${currencyService.formatCurrency(coreStats.totalVolume, 'HBAR', null, intlLocale)}\n(${currencyService.formatCurrency(coreStats.totalVolume * fiat.rate, fiat.code, 0, intlLocale)})`,
+                inline: true
+            },
+            {
+                name: t('stats.averagePrice'),
+                value: `${currencyService.formatCurrency(coreStats.avgPrice, 'HBAR', null, intlLocale)}\n(${currencyService.formatCurrency(coreStats.avgPrice * fiat.rate, fiat.code, null, intlLocale)})`,
+                inline: true
+            },
+            {
+                name: t('stats.traders'),
+                value: t('stats.tradersValue', { buyers: coreStats.uniqueBuyers, sellers: coreStats.uniqueSellers }),
+                inline: true
+            },
+            {
+                name: t('stats.activity'),
+                value: t('stats.activityValue', {
+                    velocity: i18n.formatNumber(locale, advancedMetrics.salesVelocity, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+                    whales: percent(advancedMetrics.whaleActivity, 0)
+                }),
+                inline: true
+            },
+            {
+                name: t('stats.volatility'),
+                value: `${percent(advancedMetrics.priceVolatility, 1)}%`,
+                inline: true
+            },
+            {
+                name: t('stats.priceDistribution'),
+                value: [
+                    `< 100 HBAR: **${priceDistribution.ranges.under_100}**`,
+                    `100-500: **${priceDistribution.ranges['100_500']}**`,
+                    `500-1K: **${priceDistribution.ranges['500_1000']}**`,
+                    `1K-5K: **${priceDistribution.ranges['1000_5000']}**`,
+                    `> 5K: **${priceDistribution.ranges.over_5000}**`
+                ].join('\n'),
+                inline: true
+            },
+            {
+                name: t('stats.marketHealth'),
+                value: [
+                    `${trendEmoji[marketHealth.trend] || '➡️'} ${t('stats.trend', { trend: t(`stats.trends.${marketHealth.trend}`).toUpperCase(), momentum: `${marketHealth.momentum >= 0 ? '+' : ''}${percent(marketHealth.momentum, 1)}` })}`,
+                    t('stats.liquidity', { percent: percent(marketHealth.liquidityScore, 0) }),
+                    t('stats.diversity', { percent: percent(marketHealth.diversityIndex, 0) })
+                ].join('\n'),
+                inline: true
+            }
+        );
 
-        if (stats.averagePrice) {
+        const recommendation = analytics.quickBuyRecommendations[0];
+        if (recommendation) {
+            const floorText = recommendation.floorPrice > 0
+                ? t('stats.quickBuyFloor', {
+                    floor: currencyService.formatCurrency(recommendation.floorPrice, 'HBAR', null, intlLocale),
+                    avg: currencyService.formatCurrency(recommendation.avgPrice, 'HBAR', null, intlLocale)
+                })
+                : t('stats.quickBuyNoFloor', { avg: currencyService.formatCurrency(recommendation.avgPrice, 'HBAR', null, intlLocale) });
             embed.addFields({
-                name: '📊 Average Price',
-                value: currencyService.formatCurrency(stats.averagePrice, 'HBAR'),
-                inline: true
+                name: t('stats.quickBuy'),
+                value: `${floorText}\n${t('stats.quickBuyScore', { score: (recommendation.recommendationScore * 100).toFixed(0) })} • ${recommendation.reason}`,
+                inline: false
             });
         }
 
@@ -825,6 +678,54 @@ class EmbedUtils {
         return accountId;
     }
 
+    /**
+     * Fiat suffix for a price, e.g. " ≈ $12.34 USD", with the HBAR equivalent for HTS payments
+     * @param {Object|null} converted - { hbar, value } from currencyService.convertEventPrice
+     * @param {string} paymentSymbol - Payment token symbol
+     * @param {Object} fiat - Display currency the value is in
+     * @param {string} locale - Locale code for number formatting
+     * @returns {string} Suffix, or '' when there is no value
+     */
+    formatFiatValue(converted, paymentSymbol, fiat, locale = i18n.DEFAULT_LOCALE) {
+        if (!converted || !converted.value) return '';
+        const intlLocale = i18n.getIntlLocale(locale);
+        const hbarText = paymentSymbol === 'HBAR' ? '' : ` (${currencyService.formatCurrency(converted.hbar, 'HBAR', null, intlLocale)})`;
+        return ` ≈ ${currencyService.formatFiat(converted.value, fiat.code, null, intlLocale)}${hbarText}`;
+    }
+
+    /**
+     * Collector tier label, e.g. "🐋 Whale Collector"
+     * @param {Object} tier - Tier from hederaService.getCollectorTier
+     * @param {string} locale - Locale code
+     * @returns {string} Label
+     */
+    formatCollectorTier(tier, locale = i18n.DEFAULT_LOCALE) {
+        const name = i18n.t(locale, `collectorTiers.${tier.name.toLowerCase()}`);
+        return `${tier.emoji} ${i18n.t(locale, 'embeds.collectorLabel', { tier: name })}`;
+    }
+
+    /**
+     * Format an account for embed text, linked to HashScan in the rich layout
+     * @param {string} accountId - Hedera account ID
+     * @param {boolean} link - Whether to link it
+     * @returns {string} Formatted account
+     */
+    formatAccountLink(accountId, link = false) {
+        const formatted = `\`${this.formatAccountId(accountId)}\``;
+        return link && accountId ? `[${formatted}](https://hashscan.io/mainnet/account/${accountId})` : formatted;
+    }
+
+    /**
+     * Format an NFT serial for embed text, linked to HashScan in the rich layout
+     * @param {string} tokenId - Token ID
+     * @param {number|string} serial - Serial number
+     * @param {boolean} link - Whether to link it
+     * @returns {string} Formatted serial
+     */
+    formatSerial(tokenId, serial, link = false) {
+        return link && tokenId ? `[${serial}](https://hashscan.io/mainnet/token/${tokenId}/${serial})` : `${serial}`;
+    }
+
     /**
      * Truncate text to fit Discord limits
      * @param {string} text - Text to truncate
@@ -836,6 +737,37 @@ class EmbedUtils {
         return text.substring(0, maxLength - 3) + '...';
     }
 
+    /**
+     * Show an NFT's image on an embed.
+     * Working direct URLs are linked; otherwise the proxied copy is attached and listed on embed.files for the sender.
+     * @param {EmbedBuilder} embed - Embed to update
+     * @param {Object} nft - Sale, listing or mint object with image fields
+     * @returns {Promise<boolean>} True if an image was set
+     */
+    async setNftImage(embed, nft) {
+        try {
+            const image = await imageProxy.getEmbedImage(nft);
+            if (!image) {
+                console.log(`No image found for NFT: ${nft.nft_name} (${nft.token_id}/${nft.serial_id || nft.serial_number})`);
+                return false;
+            }
+
+            if (image.url) {
+                embed.setImage(image.url);
+            } else {
+                embed.setImage(`attachment://${image.attachment.fileName}`);
+                embed.files = [
+                    ...(embed.files || []),
+                    new AttachmentBuilder(image.attachment.buffer, { name: image.attachment.fileName })
+                ];
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error resolving image for ${nft.nft_name}:`, error.message);
+            return false;
+        }
+    }
+
     /**
      * Convert IPFS URL to HTTP URL for Discord compatibility
      * @param {string} ipfsUrl - IPFS URL or other image URL formats
@@ -976,16 +908,17 @@ class EmbedUtils {
     /**
      * Get rarity tier based on rarity percentage
      * @param {number} rarityPct - Rarity percentage (0-1)
+     * @param {string} locale - Locale code for the tier name
      * @returns {string} Rarity tier name
      */
-    getRarityTier(rarityPct) {
+    getRarityTier(rarityPct, locale = i18n.DEFAULT_LOCALE) {
         const percentage = rarityPct * 100;
         
-        if (percentage <= 1) return '🔥 Legendary';
-        if (percentage <= 5) return '💎 Epic';
-        if (percentage <= 20) return '🟣 Rare';
-        if (percentage <= 40) return '🔵 Uncommon';
-        return '⚪ Common';
+        if (percentage <= 1) return `🔥 ${i18n.t(locale, 'rarityTiers.legendary')}`;
+        if (percentage <= 5) return `💎 ${i18n.t(locale, 'rarityTiers.epic')}`;
+        if (percentage <= 20) return `🟣 ${i18n.t(locale, 'rarityTiers.rare')}`;
+        if (percentage <= 40) return `🔵 ${i18n.t(locale, 'rarityTiers.uncommon')}`;
+        return `⚪ ${i18n.t(locale, 'rarityTiers.common')}`;
     }
 
     /**
@@ -1037,10 +970,14 @@ class EmbedUtils {
     /**
      * Create market overview embed
      * @param {Object} overview - Market overview data
-     * @param {number} hbarRate - Current HBAR/USD rate
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} locale - Language for the embed text (see utils/i18n)
      * @returns {EmbedBuilder} Market overview embed
      */
-    createMarketOverviewEmbed(overview, hbarRate) {
+    createMarketOverviewEmbed(overview, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const intlLocale = i18n.getIntlLocale(locale);
+        const trendName = t(`market.trends.${overview.marketTrend}`).toUpperCase();
         const trendEmoji = {
             'bullish': '📈',
             'bearish': '📉',
@@ -1048,52 +985,60 @@ class EmbedUtils {
             'insufficient_data': '❓'
         };
         
+        const activity = overview.total24hSales > 100 ? 'veryActive' : overview.total24hSales > 50 ? 'active' : overview.total24hSales > 20 ? 'moderate' : 'quiet';
+        
         const embed = new EmbedBuilder()
-            .setTitle('🌐 Complete Market Overview')
-            .setDescription(`*Real-time snapshot of the entire NFT marketplace*\n**Market Status:** ${trendEmoji[overview.marketTrend]} ${overview.marketTrend.toUpperCase()}`)
+            .setTitle(t('market.title'))
+            .setDescription(t('market.description', { status: `${trendEmoji[overview.marketTrend]} ${trendName}` }))
             .setColor('#3498db')
             .addFields(
                 {
-                    name: '💰 Total Trading Volume',
-                    value: `**${overview.total24hVolume.toLocaleString()} HBAR**\n*$${(overview.total24hVolume * hbarRate).toLocaleString()} USD*\n📊 All marketplace activity`,
+                    name: t('market.volume'),
+                    value: t('market.volumeValue', {
+                        volume: i18n.formatNumber(locale, overview.total24hVolume),
+                        fiat: currencyService.formatFiat(overview.total24hVolume * fiat.rate, fiat.code, null, intlLocale)
+                    }),
                     inline: true
                 },
                 {
-                    name: '🔢 Completed Sales',
-                    value: `**${overview.total24hSales.toLocaleString()}** transactions\n*Successful trades*\n🎯 Active trading day`,
+                    name: t('market.sales'),
+                    value: t('market.salesValue', { count: overview.total24hSales, sales: i18n.formatNumber(locale, overview.total24hSales) }),
                     inline: true
                 },
                 {
-                    name: '📊 Average Sale Price',
-                    value: `**${overview.avgSalePrice24h.toFixed(2)} HBAR**\n*$${(overview.avgSalePrice24h * hbarRate).toFixed(2)} USD*\n💹 Market average`,
+                    name: t('market.averagePrice'),
+                    value: t('market.averagePriceValue', {
+                        price: i18n.formatNumber(locale, overview.avgSalePrice24h, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+                        fiat: currencyService.formatFiat(overview.avgSalePrice24h * fiat.rate, fiat.code, null, intlLocale)
+                    }),
                     inline: true
                 },
                 {
-                    name: '📝 New Listings Added',
-                    value: `**${overview.total24hListings.toLocaleString()}** new listings\n*Fresh inventory*\n🆕 Available to buy`,
+                    name: t('market.listings'),
+                    value: t('market.listingsValue', { count: overview.total24hListings, listings: i18n.formatNumber(locale, overview.total24hListings) }),
                     inline: true
                 },
                 {
-                    name: '📈 Market Sentiment',
-                    value: `${trendEmoji[overview.marketTrend]} **${overview.marketTrend.toUpperCase()}**\n*${overview.marketTrend === 'bullish' ? 'Prices trending up' : overview.marketTrend === 'bearish' ? 'Prices trending down' : overview.marketTrend === 'neutral' ? 'Stable pricing' : 'Insufficient data'}*`,
+                    name: t('market.sentiment'),
+                    value: `${trendEmoji[overview.marketTrend]} **${trendName}**\n*${t(`market.sentiments.${overview.marketTrend}`)}*`,
                     inline: true
                 },
                 {
-                    name: '🚀 Market Activity',
-                    value: `${overview.total24hSales > 100 ? '🔥 **Very Active**' : overview.total24hSales > 50 ? '📈 **Active**' : overview.total24hSales > 20 ? '💫 **Moderate**' : '💤 **Quiet**'}\n*Based on sales volume*`,
+                    name: t('market.activity'),
+                    value: `${t(`market.activityLevels.${activity}`)}\n*${t('market.activityNote')}*`,
                     inline: true
                 },
                 {
-                    name: '🏆 Top Performing Collections',
+                    name: t('market.topCollections'),
                     value: overview.topCollections.length > 0 ? 
                         overview.topCollections.slice(0, 4).map((col, i) => 
-                            `**${i + 1}. ${col.name || col.tokenId}**\n   💰 ${col.volume.toFixed(0)} HBAR • 🔢 ${col.sales} sales`
-                        ).join('\n\n') : '📊 **No recent activity**\n*Check back later for trending collections*',
+                            `**${i + 1}. ${col.name || col.tokenId}**\n   ${t('market.topCollectionLine', { volume: i18n.formatNumber(locale, col.volume, { maximumFractionDigits: 0 }), count: col.sales })}`
+                        ).join('\n\n') : t('market.noActivity'),
                     inline: false
                 }
             )
             .setTimestamp()
-            .setFooter({ text: '🌐 Live marketplace data from SentX • Updates every 3 seconds • Real-time insights' });
+            .setFooter({ text: t('market.footer') });
 
         return embed;
     }
@@ -1101,37 +1046,39 @@ class EmbedUtils {
     /**
      * Create a welcome embed for new servers
      * @param {string} serverName - Name of the Discord server
+     * @param {string} locale - Language for the embed text (see utils/i18n)
      * @returns {EmbedBuilder} Welcome embed
      */
-    createWelcomeEmbed(serverName) {
+    createWelcomeEmbed(serverName, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
         const embed = new EmbedBuilder()
-            .setTitle('🤖 NFT Sales Bot Added!')
-            .setDescription(`Thank you for adding the NFT Sales Bot to **${serverName}**!`)
+            .setTitle(t('welcome.title'))
+            .setDescription(t('welcome.description', { server: serverName }))
             .setColor('#00ff00')
             .addFields(
                 {
-                    name: '📈 What I Do',
-                    value: 'I track real-time NFT sales from SentX marketplace on Hedera and post detailed notifications here.',
+                    name: t('welcome.whatTitle'),
+                    value: t('welcome.what'),
                     inline: false
                 },
                 {
-                    name: '⚙️ Setup Instructions',
-                    value: '1. Make sure I have **Send Messages** and **Embed Links** permissions\n2. Use the web interface to add NFT collections to track\n3. I\'ll automatically post sales from your tracked collections!',
+                    name: t('welcome.setupTitle'),
+                    value: t('welcome.setup'),
                     inline: false
                 },
                 {
-                    name: '🔗 Collection Manager',
-                    value: 'Visit the web interface to add/remove NFT collections to track. The link will be provided by the bot owner.',
+                    name: t('about.featuresTitle'),
+                    value: t('about.features'),
                     inline: false
                 },
                 {
-                    name: '💰 Features',
-                    value: '• Real-time sale notifications\n• HBAR to USD conversion\n• NFT images and details\n• Buyer/seller information\n• Collection filtering',
+                    name: t('welcome.helpTitle'),
+                    value: t('welcome.help'),
                     inline: false
                 }
             )
             .setTimestamp()
-            .setFooter({ text: 'Ready to track your favorite NFT collections!' });
+            .setFooter({ text: t('welcome.footer') });
 
         return embed;
     }
@@ -1169,29 +1116,7 @@ class EmbedUtils {
         });
 
         // Set NFT image if available
-        console.log(`🖼️ Image debug for ${nftName}:`, {
-            image_cdn: mint.image_cdn,
-            image_url: mint.image_url,
-            has_image_cdn: !!mint.image_cdn,
-            has_image_url: !!mint.image_url
-        });
-        
-        if (mint.image_cdn || mint.image_url) {
-            const imageUrl = mint.image_cdn || mint.image_url;
-            
-            // Convert IPFS to gateway URL if needed - using Hashpack CDN for optimal performance
-            let finalImageUrl = imageUrl;
-            if (imageUrl.startsWith('ipfs://')) {
-                const ipfsHash = imageUrl.replace('ipfs://', '');
-                // Use Hashpack CDN with image optimization for fastest loading
-                finalImageUrl = `https://hashpack.b-cdn.net/ipfs/${ipfsHash}?optimizer=image&width=1500`;
-            }
-            
-            console.log(`🖼️ Setting optimized image for ${nftName}: ${finalImageUrl}`);
-            embed.setImage(finalImageUrl);
-        } else {
-            console.log(`⚠️ No image URL found for ${nftName}`);
-        }
+        await this.setNftImage(embed, mint);
 
         // Set Wild Tigers Forever Mint sticker as thumbnail
         embed.setThumbnail('attachment://forever-mint-sticker.png');
@@ -1204,6 +1129,529 @@ class EmbedUtils {
 
         return embed;
     }
+
+    /**
+     * Create a Discord embed for a launchpad mint tracked with /mint-tracking
+     * @param {Object} mint - Mint data object from getRecentLaunchpadMints
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} collectionName - Name saved with the tracking config, if any
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Discord embed object
+     */
+    createLaunchpadMintEmbed(mint, fiat, collectionName = null, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const name = collectionName || mint.collection_name || t('common.unknownCollection');
+        const nftName = mint.nft_name || `${name} #${mint.serial_number || t('common.unknown')}`;
+        const cost = Number(mint.mint_cost) || 0;
+
+        let costText = t('mint.free');
+        if (cost > 0) {
+            costText = `${i18n.formatNumber(locale, cost)} ${mint.mint_cost_symbol}`;
+            if (mint.mint_cost_symbol === 'HBAR' && fiat) {
+                costText += ` (${currencyService.formatCurrency(cost * fiat.rate, fiat.code, null, i18n.getIntlLocale(locale))})`;
+            }
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(t('mint.title', { nft: nftName }))
+            .setDescription(t('mint.description', { cost: costText }))
+            .setColor('#2ECC71')
+            .setAuthor({ name: t('mint.author', { collection: name }) })
+            .addFields(
+                {
+                    name: t('mint.minter'),
+                    value: mint.minter_account_id ? `\`${this.formatAccountId(mint.minter_account_id)}\`` : t('common.unknown'),
+                    inline: true
+                },
+                {
+                    name: t('mint.serial'),
+                    value: mint.serial_number ? `#${mint.serial_number}` : t('common.unknown'),
+                    inline: true
+                }
+            )
+            .setFooter({ text: t('embeds.tokenIdFooter', { tokenId: mint.token_id }) })
+            .setTimestamp(new Date(mint.timestamp));
+
+        if (mint.rarity_rank) {
+            embed.addFields({ name: t('mint.rarityRank'), value: `#${mint.rarity_rank}`, inline: true });
+        }
+
+        const imageUrl = this.convertIpfsToHttp(mint.image_cdn || mint.image_url);
+        if (imageUrl) {
+            embed.setImage(imageUrl);
+        }
+
+        if (mint.collection_url) {
+            embed.setURL(mint.collection_url);
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create a mint milestone embed
+     * @param {Object} milestone - { collectionName, tokenId, percent, count, progress, velocity, sellOutMs, collectionUrl }
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Milestone embed
+     */
+    createMintMilestoneEmbed(milestone, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const { progress } = milestone;
+        const soldOut = progress.maxSupply && progress.minted >= progress.maxSupply;
+
+        let title;
+        if (soldOut) {
+            title = `🎉 ${t('milestone.soldOut', { collection: milestone.collectionName })}`;
+        } else if (milestone.percent !== null) {
+            title = `🚀 ${t('milestone.percent', { collection: milestone.collectionName, percent: milestone.percent })}`;
+        } else {
+            title = `🏁 ${t('milestone.count', { collection: milestone.collectionName, count: i18n.formatNumber(locale, milestone.count) })}`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setColor(soldOut ? '#FFD700' : '#2ECC71')
+            .setFooter({ text: t('embeds.tokenIdFooter', { tokenId: milestone.tokenId }) })
+            .setTimestamp();
+
+        if (progress.maxSupply) {
+            embed.setDescription(`\`\`\`${this.createProgressBar(progress.minted, progress.maxSupply, 20, locale)}\`\`\``);
+        } else {
+            embed.setDescription(t('milestone.noMaxSupply', { minted: i18n.formatNumber(locale, progress.minted) }));
+        }
+
+        embed.addFields({
+            name: t('milestone.velocity'),
+            value: milestone.velocity
+                ? t('milestone.velocityValue', { velocity: i18n.formatNumber(locale, milestone.velocity, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })
+                : t('milestone.velocityUnknown'),
+            inline: true
+        });
+
+        if (progress.maxSupply && !soldOut) {
+            const remaining = progress.maxSupply - progress.minted;
+            embed.addFields(
+                { name: t('milestone.remaining'), value: i18n.formatNumber(locale, remaining), inline: true },
+                {
+                    name: t('milestone.sellOut'),
+                    value: milestone.sellOutMs
+                        ? `<t:${Math.floor((Date.now() + milestone.sellOutMs) / 1000)}:R>`
+                        : t('milestone.sellOutUnknown'),
+                    inline: true
+                }
+            );
+        }
+
+        if (milestone.collectionUrl) {
+            embed.setURL(milestone.collectionUrl);
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create a mint embed from a mint notifier profile's template
+     * @param {Object} mint - Mint data object from getRecentLaunchpadMints
+     * @param {Object} profile - Profile from services/mint-notifiers
+     * @param {Object} context - { rarityRank, rarityPercent, supply } from the registry's buildContext
+     * @returns {EmbedBuilder} Discord embed object
+     */
+    async createMintProfileEmbed(mint, profile, context = {}) {
+        const template = profile.embed;
+        const values = this.getMintTemplateValues(mint, context);
+        const fill = (text) => this.fillMintTemplate(text, values);
+
+        const embed = new EmbedBuilder()
+            .setTitle(fill(template.title || '{nft_name}'))
+            .setColor(template.color || '#FFD700')
+            .setTimestamp(new Date(mint.timestamp));
+
+        if (template.description) embed.setDescription(fill(template.description));
+        if (template.author) embed.setAuthor({ name: fill(template.author) });
+        if (template.url) embed.setURL(template.url);
+
+        const fields = (template.fields || []).map(field => ({
+            name: fill(field.name),
+            value: fill(field.value),
+            inline: Boolean(field.inline)
+        }));
+        if (profile.progressBar && context.supply) {
+            const { sold, remaining, max } = context.supply;
+            fields.push({
+                name: profile.progressBar.label || 'Mint Progress',
+                value: `\`\`\`${this.createProgressBar(sold, max)}\`\`\`\n` +
+                    `Stock: **${remaining.toLocaleString()} / ${max.toLocaleString()}** • Sold: **${sold.toLocaleString()}**`,
+                inline: false
+            });
+        }
+        if (fields.length > 0) embed.addFields(fields);
+
+        // A fixed template image (e.g. raffle artwork) wins over the minted NFT's own image
+        if (template.image) {
+            embed.setImage(template.image);
+        } else {
+            await this.setNftImage(embed, mint);
+        }
+
+        if (profile.sticker) {
+            embed.setThumbnail(`attachment://${profile.sticker.name}`);
+        } else if (template.thumbnail) {
+            embed.setThumbnail(template.thumbnail);
+        }
+
+        if (template.footer) {
+            embed.setFooter({ text: fill(template.footer) });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Placeholder values available to mint notifier templates
+     * @param {Object} mint - Mint data object
+     * @param {Object} context - { rarityRank, rarityPercent }
+     * @returns {Object} Map of placeholder name to display text
+     */
+    getMintTemplateValues(mint, context = {}) {
+        const cost = Number(mint.mint_cost) || 0;
+        return {
+            nft_name: mint.nft_name || `NFT #${mint.serial_number || 'Unknown'}`,
+            collection_name: mint.collection_name || 'Unknown Collection',
+            serial: mint.serial_number || 'Unknown',
+            cost: cost > 0 ? `${cost.toLocaleString()} ${mint.mint_cost_symbol || 'HBAR'}` : 'Free',
+            minter: mint.minter_account_id ? this.formatAccountId(mint.minter_account_id) : 'Unknown',
+            rarity_rank: context.rarityRank ? `#${context.rarityRank}` : 'N/A',
+            rarity_percent: context.rarityPercent ? `${context.rarityPercent}%` : 'N/A'
+        };
+    }
+
+    /**
+     * Replace {placeholders} in a template string; unknown placeholders are left as written
+     * @param {string} text - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string} Filled text
+     */
+    fillMintTemplate(text, values) {
+        if (!text) return text;
+        return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+    }
+
+    /**
+     * Create a text progress bar, e.g. for pre-minted supplies
+     * @param {number} current - Amount done
+     * @param {number} max - Total amount
+     * @param {number} length - Bar width in characters
+     * @param {string} locale - Locale code for the counts
+     * @returns {string} Progress bar with percentage and counts
+     */
+    createProgressBar(current, max, length = 20, locale = i18n.DEFAULT_LOCALE) {
+        const percentage = max > 0 ? Math.min(100, Math.round((current / max) * 100)) : 0;
+        const filledLength = Math.round((percentage / 100) * length);
+
+        return `${'█'.repeat(filledLength)}${'░'.repeat(length - filledLength)} ${percentage}% ` +
+            `(${i18n.formatNumber(locale, current)}/${i18n.formatNumber(locale, max)})`;
+    }
+
+    /**
+     * Create a floor price change alert embed
+     * @param {Object} alert - { collectionName, tokenId, previousPrice, currentPrice, changePercent, windowMinutes, marketplace, collectionUrl }
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Floor alert embed
+     */
+    createFloorAlertEmbed(alert, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const intlLocale = i18n.getIntlLocale(locale);
+        const isUp = alert.changePercent > 0;
+        const changeText = `${isUp ? '+' : ''}${i18n.formatNumber(locale, alert.changePercent, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`;
+        const windowText = alert.windowMinutes >= 60
+            ? `${Math.round(alert.windowMinutes / 60)}h`
+            : `${alert.windowMinutes}m`;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${isUp ? '📈' : '📉'} ${t(isUp ? 'floorAlert.titleUp' : 'floorAlert.titleDown', { collection: alert.collectionName, change: changeText })}`)
+            .setDescription(t('floorAlert.description', { change: changeText, window: windowText }))
+            .setColor(isUp ? '#00C853' : '#D50000')
+            .addFields(
+                {
+                    name: t('floorAlert.previous'),
+                    value: `${i18n.formatNumber(locale, alert.previousPrice)} HBAR\n(${currencyService.formatCurrency(alert.previousPrice * fiat.rate, fiat.code, null, intlLocale)})`,
+                    inline: true
+                },
+                {
+                    name: t('floorAlert.current'),
+                    value: `${i18n.formatNumber(locale, alert.currentPrice)} HBAR\n(${currencyService.formatCurrency(alert.currentPrice * fiat.rate, fiat.code, null, intlLocale)})`,
+                    inline: true
+                },
+                {
+                    name: t('floorAlert.source'),
+                    value: alert.marketplace || t('common.unknown'),
+                    inline: true
+                }
+            )
+            .setFooter({ text: t('embeds.tokenIdFooter', { tokenId: alert.tokenId }) })
+            .setTimestamp();
+
+        if (alert.collectionUrl) {
+            embed.setURL(alert.collectionUrl);
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create one page of the /history embed
+     * @param {Object} history - { type, tokenId, collectionName, rows, total, page, pageSize, filters }
+     * @param {Object} fiat - Server's display currency from currencyService.getFiatRate (recorded USD values are converted at today's rate)
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Discord embed
+     */
+    createHistoryEmbed(history, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const isSales = history.type === 'sales';
+        const totalPages = Math.max(1, Math.ceil(history.total / history.pageSize));
+
+        const lines = history.rows.map(row => {
+            const serial = row.serialNumber !== null ? `#${row.serialNumber}` : row.nftName || t('common.unknownNft');
+            const when = Math.floor(new Date(isSales ? row.soldAt : row.listedAt).getTime() / 1000);
+            const usd = row.usdValue ? ` (${currencyService.formatCurrency(currencyService.convertUsd(row.usdValue, fiat), fiat.code, null, i18n.getIntlLocale(locale))})` : '';
+            const rank = row.rarityRank ? ` • ${t('history.rank', { rank: row.rarityRank })}` : '';
+            const parties = isSales
+                ? `\`${this.formatAccountId(row.seller)}\` → \`${this.formatAccountId(row.buyer)}\``
+                : t('history.by', { account: `\`${this.formatAccountId(row.seller)}\`` });
+
+            return `**${serial}** • ${i18n.formatNumber(locale, row.price)} ${row.paymentSymbol}${usd}${rank}\n` +
+                `${row.marketplace} • ${parties} • <t:${when}:R>`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(t(isSales ? 'history.titleSales' : 'history.titleListings', { collection: history.collectionName }))
+            .setColor('#0099ff')
+            .setDescription(lines.length > 0
+                ? this.truncateText(lines.join('\n\n'), 4096)
+                : t(isSales ? 'history.emptySales' : 'history.emptyListings'))
+            .setFooter({ text: t('history.footer', { page: history.page, pages: totalPages, count: history.total, total: i18n.formatNumber(locale, history.total), tokenId: history.tokenId }) })
+            .setTimestamp();
+
+        if (history.filters && history.filters.length > 0) {
+            embed.addFields({ name: t('history.filters'), value: history.filters.join('\n'), inline: false });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create a daily or weekly digest embed
+     * @param {Object} digest - Summary from utils/digest.js plus { frequency, since, until, collectionNames }
+     * @param {Object} fiat - Server's display currency from currencyService.getFiatRate, used when no USD value was recorded
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Digest embed
+     */
+    createDigestEmbed(digest, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const number = value => i18n.formatNumber(locale, value, { maximumFractionDigits: 2 });
+        const isWeekly = digest.frequency === 'weekly';
+        const nameFor = (tokenId) => digest.collectionNames[tokenId] || tokenId;
+        const from = Math.floor(digest.since.getTime() / 1000);
+        const to = Math.floor(digest.until.getTime() / 1000);
+
+        const embed = new EmbedBuilder()
+            .setTitle(t(isWeekly ? 'digest.titleWeekly' : 'digest.titleDaily'))
+            .setDescription(t('digest.description', { from: `<t:${from}:f>`, to: `<t:${to}:f>` }))
+            .setColor('#7B61FF')
+            .setTimestamp(digest.until);
+
+        const fiatVolume = digest.volumeUsd
+            ? currencyService.convertUsd(digest.volumeUsd, fiat)
+            : digest.volumeHbar * fiat.rate;
+        embed.addFields(
+            {
+                name: t('digest.volume'),
+                value: `**${number(digest.volumeHbar)} HBAR**\n≈ ${currencyService.formatFiat(fiatVolume, fiat.code, null, i18n.getIntlLocale(locale))}`,
+                inline: true
+            },
+            {
+                name: t('digest.sales'),
+                value: `**${number(digest.saleCount)}**${digest.otherTokenSales > 0 ? `\n${t('digest.paidInTokens', { count: digest.otherTokenSales })}` : ''}`,
+                inline: true
+            },
+            {
+                name: t('digest.listings'),
+                value: `**${number(digest.listingCount)}**`,
+                inline: true
+            }
+        );
+
+        if (digest.topSale) {
+            const sale = digest.topSale;
+            const serial = sale.serialNumber !== null ? ` #${sale.serialNumber}` : '';
+            embed.addFields({
+                name: t('digest.topSale'),
+                value: t('digest.topSaleValue', { nft: `${nameFor(sale.tokenId)}${serial}`, price: number(sale.price), marketplace: sale.marketplace }),
+                inline: false
+            });
+        }
+
+        if (digest.mostActiveBuyer || digest.mostActiveSeller) {
+            const lines = [];
+            if (digest.mostActiveBuyer) lines.push(t('digest.activeBuyer', { account: this.formatAccountId(digest.mostActiveBuyer.account), count: digest.mostActiveBuyer.count }));
+            if (digest.mostActiveSeller) lines.push(t('digest.activeSeller', { account: this.formatAccountId(digest.mostActiveSeller.account), count: digest.mostActiveSeller.count }));
+            embed.addFields({ name: t('digest.mostActive'), value: lines.join('\n'), inline: false });
+        }
+
+        if (digest.floorMovements.length > 0) {
+            embed.addFields({
+                name: t('digest.floorMovement'),
+                value: digest.floorMovements.slice(0, 5).map(floor => {
+                    const arrow = floor.changePercent > 0 ? '📈' : floor.changePercent < 0 ? '📉' : '➡️';
+                    const change = `${floor.changePercent > 0 ? '+' : ''}${i18n.formatNumber(locale, floor.changePercent, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`;
+                    return `${arrow} **${nameFor(floor.tokenId)}**: ${number(floor.startPrice)} → ${number(floor.currentPrice)} HBAR (${change})`;
+                }).join('\n'),
+                inline: false
+            });
+        }
+
+        if (digest.listingsBelowFloor.length > 0) {
+            embed.addFields({
+                name: t('digest.belowFloor'),
+                value: digest.listingsBelowFloor.slice(0, 5).map(listing => {
+                    const serial = listing.serialNumber !== null ? ` #${listing.serialNumber}` : '';
+                    return `**${nameFor(listing.tokenId)}${serial}**: ${t('digest.belowFloorValue', {
+                        price: number(listing.price),
+                        percent: listing.discountPercent.toFixed(0),
+                        floor: number(listing.floorPrice)
+                    })}`;
+                }).join('\n'),
+                inline: false
+            });
+        }
+
+        if (digest.saleCount === 0 && digest.listingCount === 0) {
+            embed.addFields({
+                name: t('digest.quietTitle'),
+                value: t('digest.quiet'),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create the "while I was offline" summary posted after downtime (/set-catch-up summary)
+     * @param {Object} summary - { since, until, sales, listingCount, incomplete } - sales are the missed
+     *   normalized sales, incomplete the marketplaces whose history didn't reach back far enough
+     * @param {Object} fiat - Server's display currency from currencyService.getFiatRate
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Catch-up embed
+     */
+    createCatchUpEmbed(summary, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const number = value => i18n.formatNumber(locale, value, { maximumFractionDigits: 2 });
+        const hbarSales = summary.sales.filter(sale => (sale.payment_symbol || 'HBAR') === 'HBAR');
+        const volumeHbar = hbarSales.reduce((total, sale) => total + (Number(sale.price_hbar) || 0), 0);
+
+        const embed = new EmbedBuilder()
+            .setTitle(t('catchUp.summaryTitle'))
+            .setDescription(t('catchUp.period', {
+                from: `<t:${Math.floor(summary.since.getTime() / 1000)}:f>`,
+                to: `<t:${Math.floor(summary.until.getTime() / 1000)}:f>`
+            }))
+            .setColor('#7B61FF')
+            .setTimestamp(summary.until);
+
+        embed.addFields(
+            {
+                name: t('catchUp.volume'),
+                value: `**${number(volumeHbar)} HBAR**\n≈ ${currencyService.formatFiat(volumeHbar * fiat.rate, fiat.code, null, i18n.getIntlLocale(locale))}`,
+                inline: true
+            },
+            { name: t('catchUp.sales'), value: `**${number(summary.sales.length)}**`, inline: true },
+            { name: t('catchUp.listings'), value: `**${number(summary.listingCount)}**`, inline: true }
+        );
+
+        if (hbarSales.length > 0) {
+            const topSales = [...hbarSales]
+                .sort((a, b) => (Number(b.price_hbar) || 0) - (Number(a.price_hbar) || 0))
+                .slice(0, 5);
+            embed.addFields({
+                name: t('catchUp.topSales'),
+                value: topSales.map(sale => {
+                    const serial = sale.serial_number ?? sale.serialNumber;
+                    const nft = sale.nft_name || `${sale.collection_name || sale.token_id}${serial != null ? ` #${serial}` : ''}`;
+                    return t('catchUp.topSaleValue', { nft, price: number(Number(sale.price_hbar) || 0), marketplace: sale.marketplace || 'Unknown' });
+                }).join('\n'),
+                inline: false
+            });
+        }
+
+        if (summary.incomplete.length > 0) {
+            embed.setFooter({ text: t('catchUp.incomplete', { marketplaces: summary.incomplete.join(', ') }) });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create an embed for a watched wallet buying, selling or listing an NFT
+     * @param {Object} event - Normalized sale or listing
+     * @param {Object} activity - { action: 'bought' | 'sold' | 'listed', accountId, label }
+     * @param {Object} fiat - Server's display currency { code, rate, usdRate } from currencyService.getFiatRate
+     * @param {string} locale - Language for the embed text (see utils/i18n)
+     * @returns {EmbedBuilder} Discord embed
+     */
+    async createWalletActivityEmbed(event, activity, fiat, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const paymentSymbol = event.payment_symbol || 'HBAR';
+        const displayPrice = event.display_price || `${event.price_hbar} ${paymentSymbol}`;
+        const fiatText = this.formatFiatValue(await currencyService.convertEventPrice(event, fiat), paymentSymbol, fiat, locale);
+        const wallet = activity.label ? `${activity.label} (${activity.accountId})` : activity.accountId;
+        const actionStyle = {
+            bought: { emoji: '🛒', color: '#00C853' },
+            sold: { emoji: '💸', color: '#FF6D00' },
+            listed: { emoji: '📝', color: '#2979FF' }
+        }[activity.action];
+
+        const nftName = event.nft_name || `NFT #${event.serial_number || t('common.unknown')}`;
+        const collectionName = event.collection_name && event.collection_name !== 'Unknown Collection'
+            ? event.collection_name
+            : event.token_id;
+
+        const embed = new EmbedBuilder()
+            .setAuthor({ name: t('wallet.author', { wallet }) })
+            .setTitle(`${actionStyle.emoji} ${t(`wallet.actions.${activity.action}`, { wallet: activity.label || this.formatAccountId(activity.accountId), nft: nftName })}`)
+            .setDescription(t('wallet.description', { price: displayPrice, fiat: fiatText, marketplace: event.marketplace }))
+            .setColor(actionStyle.color)
+            .addFields({ name: t('wallet.collection'), value: `${collectionName}\n\`${event.token_id}\``, inline: true })
+            .setFooter({ text: t('wallet.footer') })
+            .setTimestamp(new Date(event.timestamp));
+
+        // Show the other side of the trade for sales
+        if (activity.action !== 'listed') {
+            const counterparty = activity.action === 'bought' ? event.seller : event.buyer;
+            embed.addFields({
+                name: activity.action === 'bought' ? t('wallet.from') : t('wallet.to'),
+                value: `\`${this.formatAccountId(counterparty)}\``,
+                inline: true
+            });
+        }
+
+        const rank = marketplaceRegistry.getTrustedRank(event);
+        if (rank) {
+            embed.addFields({ name: t('wallet.rank'), value: `#${rank}`, inline: true });
+        }
+
+        const imageUrl = this.convertIpfsToHttp(event.image_url || event.imageCDN || event.nftImage || null);
+        if (imageUrl) {
+            embed.setThumbnail(imageUrl);
+        }
+
+        if (event.listing_url || event.collection_url) {
+            embed.setURL(event.listing_url || event.collection_url);
+        }
+
+        return embed;
+    }
 }
 
 module.exports = new EmbedUtils();
@@ -0,0 +1,185 @@
+/**
+ * Notification filter utilities
+ * Decides whether a sale or listing should be posted to a server based on its stored filter rules
+ */
+
+const config = require('../config');
+const marketplaceRegistry = require('../services/marketplaces');
+const i18n = require('./i18n');
+
+const EVENT_TYPES = ['sales', 'listings', 'orders'];
+
+class NotificationFilters {
+    /**
+     * Work out the filter event type for a sale or listing
+     * @param {Object} event - Sale or listing object
+     * @param {string} kind - 'sale' or 'listing'
+     * @returns {string} 'sales', 'orders' or 'listings'
+     */
+    getEventType(event, kind) {
+        if (kind === 'listing') return 'listings';
+        const saleType = event.sale_type || 'Sale';
+        return saleType === 'Order' || saleType === 'OrderFill' ? 'orders' : 'sales';
+    }
+
+    /**
+     * Check an event against a server's filter rules
+     * @param {Object} event - Sale or listing object
+     * @param {Object|null} filter - Row from notification_filters (or null for no filter)
+     * @param {string} kind - 'sale' or 'listing'
+     * @returns {Object} { allowed: boolean, reason: string|null }
+     */
+    evaluate(event, filter, kind) {
+        const price = Number(event.price_hbar) || 0;
+        const paymentSymbol = event.payment_symbol || 'HBAR';
+        const isHbar = paymentSymbol === 'HBAR';
+
+        // Global minimum from config applies to HBAR-priced sales everywhere
+        if (kind === 'sale' && isHbar && config.MIN_SALE_PRICE_HBAR > 0 && price < config.MIN_SALE_PRICE_HBAR) {
+            return this.reject(`below global minimum of ${config.MIN_SALE_PRICE_HBAR} HBAR`);
+        }
+
+        if (!filter) {
+            return { allowed: true, reason: null };
+        }
+
+        const eventType = this.getEventType(event, kind);
+        if (Array.isArray(filter.eventTypes) && filter.eventTypes.length > 0 && !filter.eventTypes.includes(eventType)) {
+            return this.reject(`${eventType} are disabled`);
+        }
+
+        if (Array.isArray(filter.marketplaces) && filter.marketplaces.length > 0) {
+            const marketplace = (event.marketplace || '').toLowerCase();
+            if (!filter.marketplaces.some(name => name.toLowerCase() === marketplace)) {
+                return this.reject(`marketplace ${event.marketplace} not allowed`);
+            }
+        }
+
+        if (Array.isArray(filter.paymentTokens) && filter.paymentTokens.length > 0) {
+            const allowed = filter.paymentTokens.map(token => token.toLowerCase());
+            const matches = allowed.includes(paymentSymbol.toLowerCase()) ||
+                (event.payment_token_id && allowed.includes(event.payment_token_id.toLowerCase()));
+            if (!matches) {
+                return this.reject(`payment token ${paymentSymbol} not allowed`);
+            }
+        }
+
+        // Price bounds are in HBAR, so they only apply to HBAR-priced events
+        if (isHbar) {
+            if (filter.minPriceHbar !== null && filter.minPriceHbar !== undefined && price < filter.minPriceHbar) {
+                return this.reject(`price ${price} HBAR below minimum ${filter.minPriceHbar}`);
+            }
+            if (filter.maxPriceHbar !== null && filter.maxPriceHbar !== undefined && price > filter.maxPriceHbar) {
+                return this.reject(`price ${price} HBAR above maximum ${filter.maxPriceHbar}`);
+            }
+        }
+
+        if (filter.maxRank !== null && filter.maxRank !== undefined) {
+            const rank = marketplaceRegistry.getTrustedRank(event);
+            if (!rank || rank > filter.maxRank) {
+                return this.reject(`rank ${rank || 'unknown'} outside top ${filter.maxRank}`);
+            }
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Parse a comma-separated option value into a list
+     * @param {string|null} value - Raw option value
+     * @returns {Array<string>|null|undefined} List, null to clear ("any"), undefined if not provided
+     */
+    parseList(value) {
+        if (value === null || value === undefined) return undefined;
+        const trimmed = value.trim();
+        if (!trimmed || trimmed.toLowerCase() === 'any') return null;
+        return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Turn /filter set options (or dashboard form values) into filter columns.
+     * Only provided values change; 0 or "any" clears a rule.
+     * @param {Object} input - { minPrice, maxPrice, maxRank, marketplaces, paymentTokens, events } - numbers and comma-separated strings, null when not provided
+     * @param {Array<string>} knownMarketplaces - Marketplace names a filter can name
+     * @param {string} locale - Language for the error message (see utils/i18n)
+     * @returns {Object} { rules: Object, error: string|null }
+     */
+    buildRules(input, knownMarketplaces, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const rules = {};
+        const number = value => (value === null || value === undefined || value === '' ? null : Number(value));
+        const minPrice = number(input.minPrice);
+        const maxPrice = number(input.maxPrice);
+        const maxRank = number(input.maxRank);
+        if ([minPrice, maxPrice, maxRank].some(value => value !== null && !Number.isFinite(value))) {
+            return { rules, error: t('filter.invalid.numbers') };
+        }
+        if (minPrice !== null) rules.minPriceHbar = minPrice > 0 ? minPrice : null;
+        if (maxPrice !== null) rules.maxPriceHbar = maxPrice > 0 ? maxPrice : null;
+        if (maxRank !== null) rules.maxRank = maxRank > 0 ? Math.floor(maxRank) : null;
+
+        const marketplaces = this.parseList(input.marketplaces);
+        const paymentTokens = this.parseList(input.paymentTokens);
+        const events = this.parseList(input.events);
+
+        if (marketplaces) {
+            const unknown = marketplaces.filter(name => !knownMarketplaces.some(k => k.toLowerCase() === name.toLowerCase()));
+            if (unknown.length > 0) {
+                return { rules, error: t('filter.invalid.marketplaces', { unknown: unknown.join(', '), supported: knownMarketplaces.join(', ') }) };
+            }
+            rules.marketplaces = marketplaces.map(name => knownMarketplaces.find(k => k.toLowerCase() === name.toLowerCase()));
+        } else if (marketplaces === null) {
+            rules.marketplaces = null;
+        }
+
+        if (paymentTokens !== undefined) {
+            rules.paymentTokens = paymentTokens ? paymentTokens.map(token => token.toUpperCase().startsWith('0.0.') ? token : token.toUpperCase()) : null;
+        }
+
+        if (events) {
+            const normalized = events.map(event => event.toLowerCase());
+            const invalid = normalized.filter(event => !EVENT_TYPES.includes(event));
+            if (invalid.length > 0) {
+                return { rules, error: t('filter.invalid.events', { unknown: invalid.join(', ') }) };
+            }
+            rules.eventTypes = normalized;
+        } else if (events === null) {
+            rules.eventTypes = null;
+        }
+
+        if (Object.keys(rules).length === 0) {
+            return { rules, error: t('filter.invalid.empty') };
+        }
+
+        if (rules.minPriceHbar && rules.maxPriceHbar && rules.minPriceHbar > rules.maxPriceHbar) {
+            return { rules, error: t('filter.invalid.priceRange') };
+        }
+
+        return { rules, error: null };
+    }
+
+    /**
+     * Human readable summary of a filter for embeds
+     * @param {Object} filter - Row from notification_filters
+     * @param {string} locale - Language for the summary (see utils/i18n)
+     * @returns {string} Multi-line summary
+     */
+    describe(filter, locale = i18n.DEFAULT_LOCALE) {
+        const t = i18n.translator(locale);
+        const lines = [];
+        if (filter.minPriceHbar !== null && filter.minPriceHbar !== undefined) lines.push(t('filter.rules.minPrice', { price: filter.minPriceHbar }));
+        if (filter.maxPriceHbar !== null && filter.maxPriceHbar !== undefined) lines.push(t('filter.rules.maxPrice', { price: filter.maxPriceHbar }));
+        if (filter.maxRank !== null && filter.maxRank !== undefined) lines.push(t('filter.rules.rank', { rank: filter.maxRank }));
+        if (filter.marketplaces && filter.marketplaces.length) lines.push(t('filter.rules.marketplaces', { marketplaces: filter.marketplaces.join(', ') }));
+        if (filter.paymentTokens && filter.paymentTokens.length) lines.push(t('filter.rules.payment', { tokens: filter.paymentTokens.join(', ') }));
+        if (filter.eventTypes && filter.eventTypes.length) lines.push(t('filter.rules.events', { events: filter.eventTypes.join(', ') }));
+        return lines.length > 0 ? lines.join('\n') : t('filter.rules.none');
+    }
+
+    reject(reason) {
+        return { allowed: false, reason };
+    }
+}
+
+module.exports = new NotificationFilters();
+module.exports.EVENT_TYPES = EVENT_TYPES;
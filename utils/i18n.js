@@ -0,0 +1,154 @@
+/**
+ * Localization utilities
+ * Looks up messages in the catalogs under /locales, formats numbers and dates for a language
+ * and adds Discord localizations to the slash command definitions.
+ * English is the source catalog; a key missing from another language falls back to English.
+ */
+
+const config = require('../config');
+
+const LOCALES = {
+    en: { name: 'English', intl: 'en-US', discord: ['en-US', 'en-GB'], catalog: require('../locales/en') },
+    es: { name: 'Español', intl: 'es-ES', discord: ['es-ES', 'es-419'], catalog: require('../locales/es') }
+};
+const DEFAULT_LOCALE = 'en';
+
+class I18n {
+    /**
+     * Map any locale tag to a supported language
+     * @param {string|null} locale - e.g. 'es', 'es-419' or 'en-GB'
+     * @returns {string} Supported locale code, or the bot default
+     */
+    normalize(locale) {
+        const code = (locale || '').toLowerCase().split('-')[0];
+        if (LOCALES[code]) return code;
+        return LOCALES[config.DEFAULT_LOCALE] ? config.DEFAULT_LOCALE : DEFAULT_LOCALE;
+    }
+
+    /**
+     * Look up and fill a message
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted catalog path, e.g. 'sale.description'
+     * @param {Object} params - {placeholder} values; `count` also picks the plural form
+     * @returns {string} Message (the key itself if no catalog has it)
+     */
+    t(locale, key, params = {}) {
+        const code = this.normalize(locale);
+        let message = this.lookup(LOCALES[code].catalog, key);
+        if (message === undefined && code !== DEFAULT_LOCALE) {
+            message = this.lookup(LOCALES[DEFAULT_LOCALE].catalog, key);
+        }
+        if (message === undefined) return key;
+
+        // Plural forms are objects keyed by Intl.PluralRules category ({ one, other })
+        if (message && typeof message === 'object') {
+            const category = new Intl.PluralRules(LOCALES[code].intl).select(Number(params.count) || 0);
+            message = message[category] || message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+        ));
+    }
+
+    /**
+     * Bind t() to a locale
+     * @param {string} locale - Locale code
+     * @returns {Function} (key, params) => message
+     */
+    translator(locale) {
+        return (key, params) => this.t(locale, key, params);
+    }
+
+    /**
+     * Walk a catalog by dotted path
+     * @param {Object} catalog - Message catalog
+     * @param {string} key - Dotted path
+     * @returns {string|Object|undefined} Message or plural forms
+     */
+    lookup(catalog, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+    }
+
+    /**
+     * BCP 47 tag for Intl formatting
+     * @param {string} locale - Locale code
+     * @returns {string} e.g. 'es-ES'
+     */
+    getIntlLocale(locale) {
+        return LOCALES[this.normalize(locale)].intl;
+    }
+
+    /**
+     * Format a number for a language
+     * @param {string} locale - Locale code
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(locale, value, options = {}) {
+        return new Intl.NumberFormat(this.getIntlLocale(locale), options).format(Number(value) || 0);
+    }
+
+    /**
+     * Format a date and time for a language
+     * @param {string} locale - Locale code
+     * @param {Date|string|number} date - Date to format
+     * @param {Object} options - Intl.DateTimeFormat options (defaults to a medium date and short time)
+     * @returns {string} Formatted date, or '' for invalid dates
+     */
+    formatDate(locale, date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        const value = date instanceof Date ? date : new Date(date);
+        if (isNaN(value.getTime())) return '';
+        return new Intl.DateTimeFormat(this.getIntlLocale(locale), options).format(value);
+    }
+
+    /**
+     * Add description_localizations (and choice name_localizations) to slash command definitions.
+     * Catalogs hold them under `commands`, keyed by path: 'add', 'add.token_id', 'stats.period#24h'.
+     * @param {Array} commands - Command JSON as sent to Discord
+     * @returns {Array} The same commands, localized in place
+     */
+    localizeCommands(commands) {
+        const apply = (items, prefix) => {
+            for (const item of items) {
+                const path = prefix ? `${prefix}.${item.name}` : item.name;
+
+                const descriptions = this.getCommandLocalizations(path);
+                if (descriptions) item.description_localizations = descriptions;
+
+                for (const choice of item.choices || []) {
+                    const names = this.getCommandLocalizations(`${path}#${choice.value}`);
+                    if (names) choice.name_localizations = names;
+                }
+
+                if (item.options) apply(item.options, path);
+            }
+        };
+
+        apply(commands, '');
+        return commands;
+    }
+
+    /**
+     * Discord localizations for one command path across the non-default languages
+     * @param {string} path - Command path
+     * @returns {Object|null} { 'es-ES': '...', 'es-419': '...' } or null when untranslated
+     */
+    getCommandLocalizations(path) {
+        const localizations = {};
+        for (const [code, locale] of Object.entries(LOCALES)) {
+            if (code === DEFAULT_LOCALE) continue;
+            const text = locale.catalog.commands && locale.catalog.commands[path];
+            if (!text) continue;
+            for (const discordLocale of locale.discord) {
+                localizations[discordLocale] = text.slice(0, 100); // Discord's limit for descriptions and choice names
+            }
+        }
+        return Object.keys(localizations).length > 0 ? localizations : null;
+    }
+}
+
+module.exports = new I18n();
+module.exports.LOCALES = LOCALES;
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
@@ -0,0 +1,102 @@
+/**
+ * Mint milestone utilities
+ * Decides when a tracked mint crosses a supply milestone and estimates how fast it is selling out
+ */
+
+const DEFAULT_PERCENTS = [25, 50, 75, 90, 100];
+
+class MintMilestones {
+    /**
+     * Percent milestones for a tracking config
+     * @param {Object} mintConfig - Row from mint_tracking_configs
+     * @returns {Array<number>} Ascending percentages (empty when turned off)
+     */
+    getPercents(mintConfig) {
+        const percents = Array.isArray(mintConfig.milestonePercents) ? mintConfig.milestonePercents : DEFAULT_PERCENTS;
+        return [...percents].sort((a, b) => a - b);
+    }
+
+    /**
+     * Check a config against the collection's current progress.
+     * Only the highest crossed milestone is reported so a burst of mints posts one embed.
+     * @param {Object} mintConfig - Row from mint_tracking_configs
+     * @param {Object} progress - { minted, maxSupply, percent } from hederaService.getMintProgress
+     * @returns {Object} { percent: number|null, count: number|null } milestones reached since the last post
+     */
+    evaluate(mintConfig, progress) {
+        const result = { percent: null, count: null };
+
+        if (progress.percent !== null) {
+            const lastPercent = mintConfig.lastMilestonePercent || 0;
+            const crossed = this.getPercents(mintConfig).filter(percent => percent > lastPercent && progress.percent >= percent);
+            if (crossed.length > 0) result.percent = crossed[crossed.length - 1];
+        }
+
+        if (mintConfig.milestoneEvery) {
+            const reached = Math.floor(progress.minted / mintConfig.milestoneEvery) * mintConfig.milestoneEvery;
+            if (reached > 0 && reached > (mintConfig.lastMilestoneCount || 0)) result.count = reached;
+        }
+
+        return result;
+    }
+
+    /**
+     * Baseline milestone state for a config so already-passed milestones aren't announced
+     * @param {Object} progress - { minted, percent }
+     * @returns {Object} { lastMilestonePercent, lastMilestoneCount }
+     */
+    getBaseline(progress) {
+        return {
+            lastMilestonePercent: progress.percent !== null ? progress.percent : 0,
+            lastMilestoneCount: progress.minted
+        };
+    }
+
+    /**
+     * Mints per hour from the timestamps of recent launchpad mints
+     * @param {Array} mints - Recent mints (any order)
+     * @returns {number|null} Mints per hour, or null with too little data
+     */
+    getVelocity(mints) {
+        const times = mints
+            .map(mint => new Date(mint.timestamp).getTime())
+            .filter(Boolean)
+            .sort((a, b) => a - b);
+        if (times.length < 2) return null;
+
+        const hours = (times[times.length - 1] - times[0]) / (60 * 60 * 1000);
+        return hours > 0 ? (times.length - 1) / hours : null;
+    }
+
+    /**
+     * Estimate how long until the collection sells out at the current pace
+     * @param {Object} progress - { minted, maxSupply }
+     * @param {number|null} velocity - Mints per hour
+     * @returns {number|null} Milliseconds to sell-out, 0 if sold out, null if unknown
+     */
+    estimateSellOut(progress, velocity) {
+        if (!progress.maxSupply) return null;
+        const remaining = progress.maxSupply - progress.minted;
+        if (remaining <= 0) return 0;
+        if (!velocity) return null;
+        return (remaining / velocity) * 60 * 60 * 1000;
+    }
+
+    /**
+     * Parse the /mint-tracking milestones percents option
+     * @param {string} value - e.g. "25,50,100" or "off"
+     * @returns {Array<number>|null} Percentages ([] for off), or null if invalid
+     */
+    parsePercents(value) {
+        const trimmed = value.trim().toLowerCase();
+        if (trimmed === 'off' || trimmed === 'none') return [];
+        if (trimmed === 'default') return DEFAULT_PERCENTS;
+
+        const percents = trimmed.split(',').map(item => Number(item.trim()));
+        if (percents.some(percent => !Number.isFinite(percent) || percent <= 0 || percent > 100)) return null;
+        return Array.from(new Set(percents)).sort((a, b) => a - b);
+    }
+}
+
+module.exports = new MintMilestones();
+module.exports.DEFAULT_PERCENTS = DEFAULT_PERCENTS;
@@ -0,0 +1,101 @@
+/**
+ * Bot management permissions
+ * Decides which slash commands change a server's bot setup and who may run them:
+ * members with Administrator or Manage Server, plus the server's bot manager role (/set-manager-role)
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+
+// Commands that change server settings, plus /audit and /webhook, which show private details. true means every subcommand, otherwise only the listed ones
+const MANAGEMENT_COMMANDS = {
+    'add': true,
+    'remove': true,
+    'remove-all': true,
+    'set-listings-channel': true,
+    'set-mint-channel': true,
+    'set-snipes-channel': true,
+    'set-currency': true,
+    'language': true,
+    'set-catch-up': true,
+    'filter': ['set', 'remove'],
+    'watch': ['add', 'remove'],
+    'digest': ['enable', 'disable', 'schedule'],
+    'floor-alert': ['set', 'remove'],
+    'mint-tracking': ['setup', 'remove', 'toggle', 'milestones'],
+    'theme': ['layout', 'title', 'color', 'fields', 'reaction', 'footer', 'reset'],
+    'audit': true,
+    'webhook': true
+};
+
+// Commands only server admins may run - a bot manager can't hand out its own role
+const ADMIN_COMMANDS = ['set-manager-role'];
+
+// Commands that need the Administrator permission itself
+const ADMINISTRATOR_COMMANDS = ['announce'];
+
+class BotPermissions {
+    /**
+     * Permission level a command needs
+     * @param {string} commandName - Slash command name
+     * @param {string|null} subcommand - Subcommand name, if any
+     * @returns {string|null} 'administrator', 'admin', 'manager' or null for commands anyone can run
+     */
+    getRequiredLevel(commandName, subcommand = null) {
+        if (ADMINISTRATOR_COMMANDS.includes(commandName)) return 'administrator';
+        if (ADMIN_COMMANDS.includes(commandName)) return 'admin';
+
+        const rule = MANAGEMENT_COMMANDS[commandName];
+        if (rule === true) return 'manager';
+        if (Array.isArray(rule) && rule.includes(subcommand)) return 'manager';
+        return null;
+    }
+
+    /**
+     * Whether the member running an interaction holds Administrator or Manage Server
+     * @param {Interaction} interaction - Discord interaction
+     * @returns {boolean}
+     */
+    isServerAdmin(interaction) {
+        const permissions = interaction.memberPermissions;
+        if (!permissions) return false;
+        return permissions.has(PermissionFlagsBits.Administrator) || permissions.has(PermissionFlagsBits.ManageGuild);
+    }
+
+    /**
+     * Whether the member running an interaction may use commands at a permission level
+     * @param {Interaction} interaction - Discord interaction
+     * @param {string} level - 'administrator', 'admin' or 'manager'
+     * @param {string|null} managerRoleId - Server's bot manager role
+     * @returns {boolean}
+     */
+    isAllowed(interaction, level, managerRoleId = null) {
+        if (level === 'administrator') {
+            return Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.Administrator));
+        }
+        if (this.isServerAdmin(interaction)) return true;
+        if (level !== 'manager' || !managerRoleId || !interaction.member) return false;
+
+        // Cached members expose a role manager, uncached ones a plain array of role ids
+        const roles = interaction.member.roles;
+        return roles && roles.cache ? roles.cache.has(managerRoleId) : (roles || []).includes(managerRoleId);
+    }
+
+    /**
+     * Dashboard counterpart of isAllowed() at the 'manager' level
+     * @param {Object} guild - Partial guild from Discord's /users/@me/guilds ({ owner, permissions })
+     * @param {Array<string>} roleIds - The user's role IDs in that guild
+     * @param {string|null} managerRoleId - Server's bot manager role
+     * @returns {boolean}
+     */
+    canManageGuild(guild, roleIds = [], managerRoleId = null) {
+        if (guild.owner) return true;
+        const bits = BigInt(guild.permissions || 0);
+        if ((bits & PermissionFlagsBits.Administrator) || (bits & PermissionFlagsBits.ManageGuild)) return true;
+        return Boolean(managerRoleId) && roleIds.includes(managerRoleId);
+    }
+}
+
+module.exports = new BotPermissions();
+module.exports.MANAGEMENT_COMMANDS = MANAGEMENT_COMMANDS;
+module.exports.ADMIN_COMMANDS = ADMIN_COMMANDS;
+module.exports.ADMINISTRATOR_COMMANDS = ADMINISTRATOR_COMMANDS;
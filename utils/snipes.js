@@ -0,0 +1,59 @@
+/**
+ * Sniper listing detection
+ * Flags listings priced well under the collection floor, or rare NFTs listed close to floor
+ */
+
+// Rare NFTs only count as snipes when listed within this multiple of the floor
+const RARE_MAX_FLOOR_MULTIPLE = 1.5;
+
+class SnipeDetector {
+    /**
+     * Whether a listing is cheap enough that its rarity is worth looking up
+     * @param {Object} listing - Normalized listing
+     * @param {Object|null} floor - Normalized floor price
+     * @returns {boolean} True if the listing could be a snipe
+     */
+    isCandidate(listing, floor) {
+        if (!floor || !floor.price_hbar) return false;
+        if ((listing.payment_symbol || 'HBAR') !== 'HBAR') return false;
+        const price = Number(listing.price_hbar) || 0;
+        return price > 0 && price <= floor.price_hbar * RARE_MAX_FLOOR_MULTIPLE;
+    }
+
+    /**
+     * Check a listing against a server's snipe settings
+     * @param {Object} listing - Normalized listing
+     * @param {Object} context - { floor, rank, supply }
+     * @param {Object} settings - { discountPercent, rarePercent } from server_configs
+     * @returns {Object} { isSnipe, underFloor, rareCheap, discountPercent, rarityPercentile, floorPrice, rank }
+     */
+    evaluate(listing, context, settings) {
+        const result = {
+            isSnipe: false,
+            underFloor: false,
+            rareCheap: false,
+            discountPercent: 0,
+            rarityPercentile: null,
+            floorPrice: context.floor ? context.floor.price_hbar : null,
+            rank: context.rank || null
+        };
+
+        if (!this.isCandidate(listing, context.floor)) {
+            return result;
+        }
+
+        const price = Number(listing.price_hbar);
+        result.discountPercent = (1 - price / result.floorPrice) * 100;
+        result.underFloor = result.discountPercent >= settings.discountPercent;
+
+        if (context.rank && context.supply > 0) {
+            result.rarityPercentile = (context.rank / context.supply) * 100;
+            result.rareCheap = result.rarityPercentile <= settings.rarePercent;
+        }
+
+        result.isSnipe = result.underFloor || result.rareCheap;
+        return result;
+    }
+}
+
+module.exports = new SnipeDetector();
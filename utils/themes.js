@@ -0,0 +1,163 @@
+/**
+ * Embed theme utilities
+ * Turns a server's /theme settings into the layout, titles, colors, reactions and footer
+ * used for its sale and listing notifications
+ */
+
+const config = require('../config');
+const i18n = require('./i18n');
+
+// Sections each layout shows. rarity/holders/floor/usd can be overridden per server; details and links can't
+const LAYOUTS = {
+    minimal: { rarity: false, holders: false, floor: false, usd: true, details: false, links: false },
+    standard: { rarity: true, holders: true, floor: true, usd: true, details: true, links: false },
+    rich: { rarity: true, holders: true, floor: true, usd: true, details: true, links: true }
+};
+const FIELD_NAMES = ['rarity', 'holders', 'floor', 'usd'];
+const TITLE_PLACEHOLDERS = ['emoji', 'nft_name', 'action', 'collection', 'price', 'marketplace', 'serial'];
+const DEFAULT_TITLE = '{emoji} {nft_name} {action}!';
+const DEFAULT_FOOTER = 'Built for Hedera by Mauii - Migos World Labs Inc';
+const DEFAULT_SALE_REACTION = '🔥';
+
+class EmbedThemes {
+    /**
+     * Combine a server's stored theme with the layout defaults
+     * @param {Object|null} themeRow - Row from embed_themes (or null for the defaults)
+     * @returns {Object} { layout, sections, titles, colors, reactions, footer }
+     */
+    resolve(themeRow) {
+        const row = themeRow || {};
+        const layout = LAYOUTS[row.layout] ? row.layout : 'standard';
+        const overrides = row.fields && typeof row.fields === 'object' ? row.fields : {};
+
+        const sections = { ...LAYOUTS[layout] };
+        for (const name of FIELD_NAMES) {
+            if (typeof overrides[name] === 'boolean') sections[name] = overrides[name];
+        }
+
+        return {
+            layout,
+            sections,
+            titles: {
+                sale: row.saleTitle || DEFAULT_TITLE,
+                listing: row.listingTitle || DEFAULT_TITLE
+            },
+            colors: row.colors && typeof row.colors === 'object' ? row.colors : {},
+            reactions: {
+                sale: row.saleReaction || null,
+                listing: row.listingReaction || null
+            },
+            footer: row.footer || config.EMBED_FOOTER_TEXT || DEFAULT_FOOTER
+        };
+    }
+
+    /**
+     * Embed color for a marketplace: server override, server default, EMBED_COLOR, then the built-in color
+     * @param {Object} theme - Resolved theme
+     * @param {string} marketplace - Marketplace name, e.g. 'SentX'
+     * @param {string} fallback - Built-in color for this kind of post
+     * @returns {string} Hex color
+     */
+    getColor(theme, marketplace, fallback) {
+        const match = Object.keys(theme.colors).find(name => name.toLowerCase() === (marketplace || '').toLowerCase());
+        return (match && theme.colors[match]) || theme.colors.default || config.EMBED_COLOR || fallback;
+    }
+
+    /**
+     * Reaction to add under a post
+     * @param {Object} theme - Resolved theme
+     * @param {string} kind - 'sale' or 'listing'
+     * @param {string} fallback - Built-in reaction for this post
+     * @returns {string|null} Emoji, or null for no reaction
+     */
+    getReaction(theme, kind, fallback) {
+        const reaction = theme.reactions[kind];
+        if (reaction === 'none') return null;
+        return reaction || fallback;
+    }
+
+    /**
+     * Fill a title template
+     * @param {string} template - e.g. '{emoji} {nft_name} {action}!'
+     * @param {Object} values - Placeholder values
+     * @returns {string} Title
+     */
+    fillTitle(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (
+            values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+        ));
+    }
+
+    /**
+     * Validate a /theme title template
+     * @param {string} value - Template text
+     * @param {string} locale - Language for the error message (see utils/i18n)
+     * @returns {Object} { template: string|null, error: string|null } (template null means reset)
+     */
+    parseTitle(value, locale = i18n.DEFAULT_LOCALE) {
+        const template = value.trim();
+        if (template.toLowerCase() === 'reset') return { template: null, error: null };
+        if (template.length === 0 || template.length > 200) {
+            return { template: null, error: i18n.t(locale, 'theme.invalid.titleLength') };
+        }
+
+        const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+            .map(match => match[1])
+            .filter(name => !TITLE_PLACEHOLDERS.includes(name));
+        if (unknown.length > 0) {
+            return {
+                template: null,
+                error: i18n.t(locale, 'theme.invalid.placeholders', {
+                    count: unknown.length,
+                    unknown: unknown.map(name => `{${name}}`).join(', '),
+                    available: TITLE_PLACEHOLDERS.map(name => `{${name}}`).join(' ')
+                })
+            };
+        }
+
+        return { template, error: null };
+    }
+
+    /**
+     * Validate a /theme reaction
+     * @param {string} value - Unicode emoji, custom emoji (<:name:id>), 'none' or 'reset'
+     * @param {string} locale - Language for the error message (see utils/i18n)
+     * @returns {Object} { reaction: string|null, error: string|null } (reaction null means reset)
+     */
+    parseReaction(value, locale = i18n.DEFAULT_LOCALE) {
+        const reaction = value.trim();
+        if (reaction.toLowerCase() === 'reset') return { reaction: null, error: null };
+        if (reaction.toLowerCase() === 'none' || reaction.toLowerCase() === 'off') return { reaction: 'none', error: null };
+
+        const isCustom = /^<a?:\w{2,32}:\d{17,20}>$/.test(reaction);
+        // One grapheme made only of emoji code points (covers skin tones, flags, keycaps and ZWJ sequences)
+        const isUnicode = [...new Intl.Segmenter().segment(reaction)].length === 1 &&
+            /^[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Component}\u200D\uFE0F\u20E3]+$/u.test(reaction) &&
+            /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20E3]/u.test(reaction);
+        if (!isCustom && !isUnicode) {
+            return { reaction: null, error: i18n.t(locale, 'theme.invalid.reaction') };
+        }
+
+        return { reaction, error: null };
+    }
+
+    /**
+     * Normalize a hex color
+     * @param {string} value - e.g. '#FF8800', 'ff8800' or '#f80'
+     * @returns {string|null} '#RRGGBB' or null if invalid
+     */
+    parseColor(value) {
+        const hex = value.trim().replace(/^#/, '');
+        if (/^[0-9a-f]{3}$/i.test(hex)) {
+            return `#${hex.split('').map(char => char + char).join('')}`.toUpperCase();
+        }
+        return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex}`.toUpperCase() : null;
+    }
+}
+
+module.exports = new EmbedThemes();
+module.exports.LAYOUTS = LAYOUTS;
+module.exports.FIELD_NAMES = FIELD_NAMES;
+module.exports.TITLE_PLACEHOLDERS = TITLE_PLACEHOLDERS;
+module.exports.DEFAULT_TITLE = DEFAULT_TITLE;
+module.exports.DEFAULT_SALE_REACTION = DEFAULT_SALE_REACTION;
@@ -1,53 +1,310 @@
 /**
- * Simple web interface for managing tracked NFT collections
+ * Web dashboard for managing the bot per server
+ * Members log in with Discord OAuth2 and manage the servers where they could run the bot's management
+ * commands (server admins and the /set-manager-role role): tracked collections, notification channels
+ * and filters, read and written through DatabaseStorage like the slash commands.
+ * Also serves the public REST API under /api/v1 (see api-v1.js).
  */
 
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const DatabaseStorage = require('./database-storage');
+const discordApi = require('./services/discord-api');
+const marketplaceRegistry = require('./services/marketplaces');
+const botPermissions = require('./utils/permissions');
+const notificationFilters = require('./utils/filters');
+const createApiRouter = require('./api-v1');
+
+const SESSION_COOKIE = 'nftbot_session';
+const STATE_COOKIE = 'nftbot_oauth_state';
+const GUILD_LIST_CACHE_MS = 5 * 60 * 1000; // Discord rate limits /users/@me/guilds hard
 
 const app = express();
+const storage = new DatabaseStorage();
+const sessions = new Map(); // session id -> { user, accessToken, guilds, guildsFetchedAt, expiresAt }
+
 app.use(express.json());
-app.use(express.static('public'));
 
-const collectionsPath = path.join(__dirname, 'collections.json');
+// Public read-only API - API keys, not dashboard sessions
+app.use('/api/v1', createApiRouter(storage));
 
-// Load collections
-function loadCollections() {
-    try {
-        if (fs.existsSync(collectionsPath)) {
-            return JSON.parse(fs.readFileSync(collectionsPath, 'utf8'));
+// Drop expired sessions once an hour
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+        if (session.expiresAt < now) sessions.delete(id);
+    }
+}, 60 * 60 * 1000).unref();
+
+function parseCookies(req) {
+    return Object.fromEntries((req.headers.cookie || '')
+        .split(';')
+        .map(pair => pair.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, value]) => [name, decodeURIComponent(value)]));
+}
+
+function cookieOptions(maxAge) {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.DASHBOARD_URL.startsWith('https://'),
+        maxAge
+    };
+}
+
+function getSession(req) {
+    const id = parseCookies(req)[SESSION_COOKIE];
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(id);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Servers the logged-in user can manage that the bot is also in
+ * @param {Object} session - Dashboard session
+ * @returns {Array<Object>} [{ id, name, icon, enabled }]
+ */
+async function getManagedGuilds(session) {
+    if (!session.guilds || Date.now() - session.guildsFetchedAt > GUILD_LIST_CACHE_MS) {
+        session.guilds = await discordApi.getUserGuilds(session.accessToken);
+        session.guildsFetchedAt = Date.now();
+    }
+
+    const serverConfigs = await storage.getAllServerConfigs();
+    const managed = [];
+    for (const guild of session.guilds) {
+        const serverConfig = serverConfigs.find(c => c.guildId === guild.id);
+        if (!serverConfig) continue;
+
+        // Member roles are only needed when the user isn't a server admin
+        let roleIds = [];
+        if (serverConfig.managerRoleId && !botPermissions.canManageGuild(guild)) {
+            roleIds = await discordApi.getMemberRoleIds(guild.id, session.user.id);
         }
-    } catch (error) {
-        console.error('Error loading collections:', error);
+        if (!botPermissions.canManageGuild(guild, roleIds, serverConfig.managerRoleId)) continue;
+
+        managed.push({ id: guild.id, name: guild.name, icon: guild.icon, enabled: serverConfig.enabled });
+    }
+    return managed;
+}
+
+function requireSession(req, res, next) {
+    const session = getSession(req);
+    if (!session) {
+        return res.status(401).json({ success: false, message: 'Not logged in' });
     }
-    return { collections: [] };
+    req.session = session;
+    next();
 }
 
-// Save collections
-function saveCollections(data) {
+async function requireGuildAccess(req, res, next) {
     try {
-        fs.writeFileSync(collectionsPath, JSON.stringify(data, null, 2));
-        return true;
+        const guilds = await getManagedGuilds(req.session);
+        const guild = guilds.find(g => g.id === req.params.guildId);
+        if (!guild) {
+            return res.status(403).json({ success: false, message: 'You can\'t manage the bot in this server' });
+        }
+        req.guild = guild;
+        req.serverConfig = await storage.getServerConfig(guild.id);
+        next();
     } catch (error) {
-        console.error('Error saving collections:', error);
-        return false;
+        console.error('Error checking dashboard access:', error.message);
+        res.status(502).json({ success: false, message: 'Could not verify your Discord permissions. Please try again.' });
     }
 }
 
+function parseFilterTokenId(value) {
+    const tokenId = value.toLowerCase() === 'all' ? '*' : value;
+    return tokenId === '*' || /^0\.0\.\d+$/.test(tokenId) ? tokenId : null;
+}
+
 // Serve main page
 app.get('/', (req, res) => {
-    res.send(`
+    res.send(DASHBOARD_PAGE);
+});
+
+// Discord OAuth2 login
+app.get('/auth/login', (req, res) => {
+    if (!discordApi.isConfigured()) {
+        return res.status(503).send('Dashboard login is not configured. Set DISCORD_CLIENT_ID and DISCORD_CLIENT_SECRET.');
+    }
+    const state = crypto.randomBytes(16).toString('hex');
+    res.cookie(STATE_COOKIE, state, cookieOptions(10 * 60 * 1000));
+    res.redirect(discordApi.getAuthorizeUrl(state));
+});
+
+app.get('/auth/callback', async (req, res) => {
+    const { code, state } = req.query;
+    const expectedState = parseCookies(req)[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE);
+
+    if (!code || !state || state !== expectedState) {
+        return res.status(400).send('Login failed: invalid or expired state. <a href="/auth/login">Try again</a>');
+    }
+
+    try {
+        const token = await discordApi.exchangeCode(code);
+        const user = await discordApi.getUser(token.access_token);
+        const sessionHours = Math.min(config.DASHBOARD_SESSION_HOURS, Math.floor((token.expires_in || 604800) / 3600));
+
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        sessions.set(sessionId, {
+            user: { id: user.id, username: user.username, globalName: user.global_name || null, avatar: user.avatar },
+            accessToken: token.access_token,
+            guilds: null,
+            guildsFetchedAt: 0,
+            expiresAt: Date.now() + sessionHours * 60 * 60 * 1000
+        });
+
+        console.log(`🌐 Dashboard login: ${user.username} (${user.id})`);
+        res.cookie(SESSION_COOKIE, sessionId, cookieOptions(sessionHours * 60 * 60 * 1000));
+        res.redirect('/');
+    } catch (error) {
+        console.error('Error completing dashboard login:', error.response ? error.response.data : error.message);
+        res.status(502).send('Login failed: Discord did not accept the login. <a href="/auth/login">Try again</a>');
+    }
+});
+
+app.post('/auth/logout', (req, res) => {
+    const id = parseCookies(req)[SESSION_COOKIE];
+    if (id) sessions.delete(id);
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+});
+
+// API Routes
+app.get('/api/me', requireSession, async (req, res) => {
+    try {
+        const guilds = await getManagedGuilds(req.session);
+        res.json({ success: true, user: req.session.user, guilds });
+    } catch (error) {
+        console.error('Error loading dashboard servers:', error.message);
+        res.status(502).json({ success: false, message: 'Error loading your servers from Discord' });
+    }
+});
+
+app.get('/api/guilds/:guildId', requireSession, requireGuildAccess, async (req, res) => {
+    try {
+        const guildId = req.guild.id;
+        const [collections, filters, textChannels] = await Promise.all([
+            storage.getCollections(guildId),
+            storage.getNotificationFilters(guildId),
+            discordApi.getGuildTextChannels(guildId)
+        ]);
+
+        res.json({
+            success: true,
+            guild: req.guild,
+            channels: {
+                channelId: req.serverConfig.channelId,
+                listingsChannelId: req.serverConfig.listingsChannelId,
+                mintChannelId: req.serverConfig.mintChannelId
+            },
+            textChannels,
+            collections: collections.map(c => ({ tokenId: c.tokenId, name: c.name, enabled: c.enabled })),
+            filters: filters.map(f => ({ ...f, summary: notificationFilters.describe(f) })),
+            marketplaces: [...marketplaceRegistry.getNames(), 'On-chain']
+        });
+    } catch (error) {
+        console.error('Error loading dashboard server:', error.message);
+        res.status(500).json({ success: false, message: 'Error loading server settings' });
+    }
+});
+
+app.post('/api/guilds/:guildId/collections', requireSession, requireGuildAccess, async (req, res) => {
+    const tokenId = (req.body.tokenId || '').trim();
+    const name = (req.body.name || '').trim() || 'Unknown Collection';
+
+    if (!/^0\.0\.\d+$/.test(tokenId)) {
+        return res.json({ success: false, message: 'Invalid token ID format. Use: 0.0.123456' });
+    }
+
+    const existing = await storage.getCollections(req.guild.id);
+    if (existing.some(c => c.tokenId === tokenId)) {
+        return res.json({ success: false, message: 'This collection is already being tracked in this server' });
+    }
+
+    const result = await storage.addCollection(req.guild.id, tokenId, name, true);
+    res.json(result ? { success: true } : { success: false, message: 'Error saving collection' });
+});
+
+app.delete('/api/guilds/:guildId/collections/:tokenId', requireSession, requireGuildAccess, async (req, res) => {
+    const removed = await storage.removeCollection(req.guild.id, req.params.tokenId);
+    res.json(removed ? { success: true } : { success: false, message: 'Collection not found' });
+});
+
+app.post('/api/guilds/:guildId/collections/:tokenId/toggle', requireSession, requireGuildAccess, async (req, res) => {
+    const enabled = await storage.toggleCollection(req.params.tokenId, req.guild.id);
+    res.json(enabled === null ? { success: false, message: 'Collection not found' } : { success: true, enabled });
+});
+
+app.put('/api/guilds/:guildId/channels', requireSession, requireGuildAccess, async (req, res) => {
+    try {
+        const textChannels = await discordApi.getGuildTextChannels(req.guild.id);
+        const channels = {};
+
+        for (const key of ['channelId', 'listingsChannelId', 'mintChannelId']) {
+            if (req.body[key] === undefined) continue;
+            const value = req.body[key] || null;
+            if (value === null && key === 'channelId') {
+                return res.json({ success: false, message: 'The sales channel is required' });
+            }
+            if (value !== null && !textChannels.some(channel => channel.id === value)) {
+                return res.json({ success: false, message: 'Pick a text channel from this server' });
+            }
+            channels[key] = value;
+        }
+
+        if (Object.keys(channels).length === 0) {
+            return res.json({ success: false, message: 'No channels provided' });
+        }
+
+        const updated = await storage.setChannels(req.guild.id, channels);
+        res.json(updated ? { success: true } : { success: false, message: 'Error saving channels' });
+    } catch (error) {
+        console.error('Error saving dashboard channels:', error.message);
+        res.status(502).json({ success: false, message: 'Error loading channels from Discord' });
+    }
+});
+
+app.put('/api/guilds/:guildId/filters/:tokenId', requireSession, requireGuildAccess, async (req, res) => {
+    const tokenId = parseFilterTokenId(req.params.tokenId);
+    if (!tokenId) {
+        return res.json({ success: false, message: 'Invalid collection. Use a token ID (e.g. 0.0.123456) or "all".' });
+    }
+
+    const { rules, error } = notificationFilters.buildRules(req.body, [...marketplaceRegistry.getNames(), 'On-chain']);
+    if (error) {
+        return res.json({ success: false, message: error });
+    }
+
+    const filter = await storage.setNotificationFilter(req.guild.id, tokenId, rules, req.session.user.id);
+    res.json(filter ? { success: true, summary: notificationFilters.describe(filter) } : { success: false, message: 'Error saving filter' });
+});
+
+app.delete('/api/guilds/:guildId/filters/:tokenId', requireSession, requireGuildAccess, async (req, res) => {
+    const tokenId = parseFilterTokenId(req.params.tokenId);
+    const removed = tokenId ? await storage.removeNotificationFilter(req.guild.id, tokenId) : false;
+    res.json(removed ? { success: true } : { success: false, message: 'No filter rules found for that collection' });
+});
+
+const DASHBOARD_PAGE = `
 <!DOCTYPE html>
 <html>
 <head>
-    <title>NFT Sales Bot - Collection Manager</title>
+    <title>NFT Sales Bot - Dashboard</title>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
     <style>
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            max-width: 800px;
+            max-width: 900px;
             margin: 0 auto;
             padding: 20px;
             background: #f5f5f5;
@@ -66,6 +323,13 @@ app.get('/', (req, res) => {
         .form-group {
             margin-bottom: 15px;
         }
+        .row {
+            display: flex;
+            gap: 10px;
+        }
+        .row .form-group {
+            flex: 1;
+        }
         label {
             display: block;
             margin-bottom: 5px;
@@ -77,8 +341,9 @@ app.get('/', (req, res) => {
             border: 2px solid #ddd;
             border-radius: 5px;
             font-size: 14px;
+            box-sizing: border-box;
         }
-        button {
+        button, .button {
             background: #5865f2;
             color: white;
             padding: 12px 24px;
@@ -87,29 +352,46 @@ app.get('/', (req, res) => {
             cursor: pointer;
             font-size: 14px;
             margin-right: 10px;
+            text-decoration: none;
+            display: inline-block;
         }
-        button:hover {
+        button:hover, .button:hover {
             background: #4752c4;
         }
-        .delete-btn {
-            background: #ed4245;
+        .small-btn {
             padding: 5px 10px;
             font-size: 12px;
         }
+        .delete-btn {
+            background: #ed4245;
+        }
         .delete-btn:hover {
             background: #c23e41;
         }
-        .collection-item {
+        .item {
             background: #f9f9f9;
             padding: 15px;
             margin: 10px 0;
             border-radius: 5px;
             border-left: 4px solid #5865f2;
         }
-        .collection-item.disabled {
+        .item.disabled {
             opacity: 0.6;
             border-left-color: #ccc;
         }
+        .guild-list button {
+            margin-bottom: 10px;
+            background: #e3e5e8;
+            color: #333;
+        }
+        .guild-list button.active {
+            background: #5865f2;
+            color: white;
+        }
+        .summary {
+            white-space: pre-line;
+            font-size: 13px;
+        }
         .status {
             padding: 10px;
             margin: 10px 0;
@@ -126,83 +408,118 @@ app.get('/', (req, res) => {
             color: #721c24;
             border: 1px solid #f5c6cb;
         }
-        .toggle-switch {
-            position: relative;
-            display: inline-block;
-            width: 60px;
-            height: 34px;
-        }
-        .toggle-switch input {
-            opacity: 0;
-            width: 0;
-            height: 0;
-        }
-        .slider {
-            position: absolute;
-            cursor: pointer;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background-color: #ccc;
-            transition: .4s;
-            border-radius: 34px;
-        }
-        .slider:before {
-            position: absolute;
-            content: "";
-            height: 26px;
-            width: 26px;
-            left: 4px;
-            bottom: 4px;
-            background-color: white;
-            transition: .4s;
-            border-radius: 50%;
-        }
-        input:checked + .slider {
-            background-color: #5865f2;
-        }
-        input:checked + .slider:before {
-            transform: translateX(26px);
+        .hidden {
+            display: none;
         }
     </style>
 </head>
 <body>
     <div class="container">
-        <h1>🤖 NFT Sales Bot - Collection Manager</h1>
-        
+        <h1>🤖 NFT Sales Bot - Dashboard</h1>
+
         <div id="status" class="status"></div>
-        
-        <div style="background: #e8f4fd; padding: 15px; border-radius: 8px; margin-bottom: 20px; border-left: 4px solid #2196f3;">
-            <h3 style="margin-top: 0;">📋 Bot Status & Invite Link</h3>
-            <p><strong>Discord Invite Link:</strong></p>
-            <code style="background: #f5f5f5; padding: 8px; border-radius: 4px; display: block; margin: 5px 0; word-break: break-all;">https://discord.com/api/oauth2/authorize?client_id=1018256324519264265&permissions=19456&scope=bot</code>
-            <p><small>Required permissions: Send Messages, Embed Links, View Channel</small></p>
-            <div id="serverInfo">Loading server information...</div>
+
+        <div id="loginView" class="hidden" style="text-align: center;">
+            <p>Log in with Discord to manage the bot in your servers.</p>
+            <a class="button" href="/auth/login">Log in with Discord</a>
         </div>
-        
-        <h3>Add New Collection</h3>
-        <form id="addForm">
-            <div class="form-group">
-                <label for="tokenId">Token ID (e.g., 0.0.878200):</label>
-                <input type="text" id="tokenId" placeholder="0.0.123456" required pattern="0\\.0\\.\\d+">
-            </div>
-            <div class="form-group">
-                <label for="name">Collection Name:</label>
-                <input type="text" id="name" placeholder="Dead Pixels Ghost Club" required>
+
+        <div id="appView" class="hidden">
+            <p>Logged in as <strong id="userName"></strong> <button class="small-btn" onclick="logout()">Log out</button></p>
+
+            <h3>Your Servers</h3>
+            <div id="guilds" class="guild-list">Loading...</div>
+
+            <div id="guildView" class="hidden">
+                <h3>Notification Channels</h3>
+                <form id="channelsForm">
+                    <div class="row">
+                        <div class="form-group">
+                            <label for="channelId">Sales</label>
+                            <select id="channelId"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="listingsChannelId">Listings</label>
+                            <select id="listingsChannelId"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="mintChannelId">Forever Mint</label>
+                            <select id="mintChannelId"></select>
+                        </div>
+                    </div>
+                    <button type="submit">Save Channels</button>
+                </form>
+
+                <h3>Add Collection</h3>
+                <form id="addForm">
+                    <div class="row">
+                        <div class="form-group">
+                            <label for="tokenId">Token ID (e.g., 0.0.878200):</label>
+                            <input type="text" id="tokenId" placeholder="0.0.123456" required pattern="0\\.0\\.\\d+">
+                        </div>
+                        <div class="form-group">
+                            <label for="name">Collection Name:</label>
+                            <input type="text" id="name" placeholder="Dead Pixels Ghost Club">
+                        </div>
+                    </div>
+                    <button type="submit">Add Collection</button>
+                </form>
+
+                <h3>Tracked Collections</h3>
+                <div id="collections"></div>
+
+                <h3>Notification Filters</h3>
+                <div id="filters"></div>
+                <form id="filterForm">
+                    <div class="row">
+                        <div class="form-group">
+                            <label for="filterCollection">Collection</label>
+                            <select id="filterCollection"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="minPrice">Min price (HBAR)</label>
+                            <input type="number" id="minPrice" min="0" step="any" placeholder="unchanged">
+                        </div>
+                        <div class="form-group">
+                            <label for="maxPrice">Max price (HBAR)</label>
+                            <input type="number" id="maxPrice" min="0" step="any" placeholder="unchanged">
+                        </div>
+                        <div class="form-group">
+                            <label for="maxRank">Max rank</label>
+                            <input type="number" id="maxRank" min="0" step="1" placeholder="unchanged">
+                        </div>
+                    </div>
+                    <div class="row">
+                        <div class="form-group">
+                            <label for="marketplaces">Marketplaces</label>
+                            <input type="text" id="marketplaces" placeholder="e.g. SentX,Kabila or any">
+                        </div>
+                        <div class="form-group">
+                            <label for="paymentTokens">Payment tokens</label>
+                            <input type="text" id="paymentTokens" placeholder="e.g. HBAR,PAWS or any">
+                        </div>
+                        <div class="form-group">
+                            <label for="events">Events</label>
+                            <input type="text" id="events" placeholder="sales,listings,orders or any">
+                        </div>
+                    </div>
+                    <p><small>Empty fields stay unchanged. Use 0 or "any" to clear a rule. Collection filters replace the server-wide default.</small></p>
+                    <button type="submit">Save Filter</button>
+                </form>
             </div>
-            <button type="submit">Add Collection</button>
-        </form>
-        
-        <h3>Tracked Collections</h3>
-        <div id="collections">
-            Loading...
         </div>
-        
-        <button onclick="loadCollections()">Refresh</button>
     </div>
 
     <script>
+        let currentGuildId = null;
+        let currentGuild = null;
+
+        function escapeHtml(value) {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        }
+
         function showStatus(message, type) {
             const status = document.getElementById('status');
             status.textContent = message;
@@ -213,234 +530,216 @@ app.get('/', (req, res) => {
             }, 3000);
         }
 
-        async function loadCollections() {
+        async function api(method, url, body) {
+            const response = await fetch(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (response.status === 401) {
+                showLogin();
+                throw new Error('Please log in again');
+            }
+            return response.json();
+        }
+
+        function showLogin() {
+            document.getElementById('loginView').classList.remove('hidden');
+            document.getElementById('appView').classList.add('hidden');
+        }
+
+        async function loadMe() {
             try {
-                const response = await fetch('/api/collections');
-                const data = await response.json();
-                
-                const container = document.getElementById('collections');
-                if (data.collections.length === 0) {
-                    container.innerHTML = '<p>No collections added yet.</p>';
+                const data = await api('GET', '/api/me');
+                if (!data.success) {
+                    showStatus(data.message, 'error');
                     return;
                 }
-                
-                container.innerHTML = data.collections.map((collection, index) => \`
-                    <div class="collection-item \${collection.enabled ? '' : 'disabled'}">
-                        <strong>\${collection.name}</strong><br>
-                        <small>Token ID: \${collection.tokenId}</small><br>
-                        <div style="margin-top: 10px;">
-                            <label class="toggle-switch">
-                                <input type="checkbox" \${collection.enabled ? 'checked' : ''} 
-                                       onchange="toggleCollection(\${index})">
-                                <span class="slider"></span>
-                            </label>
-                            <span style="margin-left: 10px;">\${collection.enabled ? 'Enabled' : 'Disabled'}</span>
-                            <button class="delete-btn" onclick="deleteCollection(\${index})">Delete</button>
-                        </div>
-                    </div>
-                \`).join('');
+
+                document.getElementById('appView').classList.remove('hidden');
+                document.getElementById('userName').textContent = data.user.globalName || data.user.username;
+
+                const container = document.getElementById('guilds');
+                if (data.guilds.length === 0) {
+                    container.innerHTML = '<p>No servers to manage. You need Administrator, Manage Server or the bot manager role in a server where the bot is installed.</p>';
+                    return;
+                }
+                container.innerHTML = data.guilds.map(guild =>
+                    '<button data-guild="' + escapeHtml(guild.id) + '">' + escapeHtml(guild.name) + '</button>'
+                ).join('');
+                container.querySelectorAll('button').forEach(button => {
+                    button.addEventListener('click', () => selectGuild(button.dataset.guild));
+                });
             } catch (error) {
-                showStatus('Error loading collections: ' + error.message, 'error');
+                // showLogin() already ran for 401s
             }
         }
 
-        async function toggleCollection(index) {
+        async function selectGuild(guildId) {
+            currentGuildId = guildId;
+            document.querySelectorAll('#guilds button').forEach(button => {
+                button.classList.toggle('active', button.dataset.guild === guildId);
+            });
+            await loadGuild();
+        }
+
+        function channelOptions(selected, allowNone) {
+            const none = allowNone ? '<option value="">Same as sales channel</option>' : '';
+            return none + currentGuild.textChannels.map(channel =>
+                '<option value="' + escapeHtml(channel.id) + '"' + (channel.id === selected ? ' selected' : '') + '>#' + escapeHtml(channel.name) + '</option>'
+            ).join('');
+        }
+
+        async function loadGuild() {
             try {
-                const response = await fetch('/api/collections/' + index + '/toggle', {
-                    method: 'POST'
-                });
-                const result = await response.json();
-                
-                if (result.success) {
-                    showStatus('Collection updated successfully', 'success');
-                    loadCollections();
-                } else {
-                    showStatus('Error updating collection', 'error');
+                const data = await api('GET', '/api/guilds/' + currentGuildId);
+                if (!data.success) {
+                    showStatus(data.message, 'error');
+                    return;
                 }
+                currentGuild = data;
+                document.getElementById('guildView').classList.remove('hidden');
+
+                document.getElementById('channelId').innerHTML = channelOptions(data.channels.channelId, false);
+                document.getElementById('listingsChannelId').innerHTML = channelOptions(data.channels.listingsChannelId, true);
+                document.getElementById('mintChannelId').innerHTML = channelOptions(data.channels.mintChannelId, true);
+
+                const collections = document.getElementById('collections');
+                collections.innerHTML = data.collections.length === 0
+                    ? '<p>No collections added yet.</p>'
+                    : data.collections.map(collection =>
+                        '<div class="item ' + (collection.enabled ? '' : 'disabled') + '">' +
+                            '<strong>' + escapeHtml(collection.name) + '</strong><br>' +
+                            '<small>Token ID: ' + escapeHtml(collection.tokenId) + ' - ' + (collection.enabled ? 'Enabled' : 'Disabled') + '</small><br>' +
+                            '<div style="margin-top: 10px;">' +
+                                '<button class="small-btn" data-toggle="' + escapeHtml(collection.tokenId) + '">' + (collection.enabled ? 'Disable' : 'Enable') + '</button>' +
+                                '<button class="small-btn delete-btn" data-delete="' + escapeHtml(collection.tokenId) + '">Delete</button>' +
+                            '</div>' +
+                        '</div>'
+                    ).join('');
+                collections.querySelectorAll('[data-toggle]').forEach(button => {
+                    button.addEventListener('click', () => toggleCollection(button.dataset.toggle));
+                });
+                collections.querySelectorAll('[data-delete]').forEach(button => {
+                    button.addEventListener('click', () => deleteCollection(button.dataset.delete));
+                });
+
+                const collectionName = tokenId => {
+                    if (tokenId === '*') return 'All collections (default)';
+                    const collection = data.collections.find(c => c.tokenId === tokenId);
+                    return (collection ? collection.name : 'Unknown Collection') + ' (' + tokenId + ')';
+                };
+                const filters = document.getElementById('filters');
+                filters.innerHTML = data.filters.length === 0
+                    ? '<p>No filters set - every tracked sale and listing is posted.</p>'
+                    : data.filters.map(filter =>
+                        '<div class="item">' +
+                            '<strong>' + escapeHtml(collectionName(filter.tokenId)) + '</strong>' +
+                            '<div class="summary">' + escapeHtml(filter.summary.replace(/\\*\\*/g, '')) + '</div>' +
+                            '<button class="small-btn delete-btn" data-filter="' + escapeHtml(filter.tokenId === '*' ? 'all' : filter.tokenId) + '">Remove</button>' +
+                        '</div>'
+                    ).join('');
+                filters.querySelectorAll('[data-filter]').forEach(button => {
+                    button.addEventListener('click', () => deleteFilter(button.dataset.filter));
+                });
+
+                document.getElementById('filterCollection').innerHTML = '<option value="all">All collections (default)</option>' +
+                    data.collections.map(collection =>
+                        '<option value="' + escapeHtml(collection.tokenId) + '">' + escapeHtml(collection.name) + ' (' + escapeHtml(collection.tokenId) + ')</option>'
+                    ).join('');
             } catch (error) {
-                showStatus('Error: ' + error.message, 'error');
+                showStatus('Error loading server: ' + error.message, 'error');
             }
         }
 
-        async function deleteCollection(index) {
-            if (!confirm('Are you sure you want to delete this collection?')) return;
-            
+        async function runAction(method, url, body, successMessage) {
             try {
-                const response = await fetch('/api/collections/' + index, {
-                    method: 'DELETE'
-                });
-                const result = await response.json();
-                
+                const result = await api(method, url, body);
                 if (result.success) {
-                    showStatus('Collection deleted successfully', 'success');
-                    loadCollections();
+                    showStatus(successMessage, 'success');
+                    await loadGuild();
                 } else {
-                    showStatus('Error deleting collection', 'error');
+                    showStatus(result.message || 'Something went wrong', 'error');
                 }
+                return result.success;
             } catch (error) {
                 showStatus('Error: ' + error.message, 'error');
+                return false;
             }
         }
 
+        function toggleCollection(tokenId) {
+            return runAction('POST', '/api/guilds/' + currentGuildId + '/collections/' + tokenId + '/toggle', null, 'Collection updated successfully');
+        }
+
+        function deleteCollection(tokenId) {
+            if (!confirm('Are you sure you want to stop tracking this collection?')) return;
+            return runAction('DELETE', '/api/guilds/' + currentGuildId + '/collections/' + tokenId, null, 'Collection removed');
+        }
+
+        function deleteFilter(tokenId) {
+            return runAction('DELETE', '/api/guilds/' + currentGuildId + '/filters/' + tokenId, null, 'Filter removed');
+        }
+
+        async function logout() {
+            await fetch('/auth/logout', { method: 'POST' });
+            showLogin();
+        }
+
+        document.getElementById('channelsForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await runAction('PUT', '/api/guilds/' + currentGuildId + '/channels', {
+                channelId: document.getElementById('channelId').value,
+                listingsChannelId: document.getElementById('listingsChannelId').value,
+                mintChannelId: document.getElementById('mintChannelId').value
+            }, 'Channels saved');
+        });
+
         document.getElementById('addForm').addEventListener('submit', async (e) => {
             e.preventDefault();
-            
-            const tokenId = document.getElementById('tokenId').value;
-            const name = document.getElementById('name').value;
-            
-            try {
-                const response = await fetch('/api/collections', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ tokenId, name })
-                });
-                
-                const result = await response.json();
-                
-                if (result.success) {
-                    showStatus('Collection added successfully', 'success');
-                    document.getElementById('addForm').reset();
-                    loadCollections();
-                } else {
-                    showStatus(result.message || 'Error adding collection', 'error');
-                }
-            } catch (error) {
-                showStatus('Error: ' + error.message, 'error');
-            }
+            const added = await runAction('POST', '/api/guilds/' + currentGuildId + '/collections', {
+                tokenId: document.getElementById('tokenId').value,
+                name: document.getElementById('name').value
+            }, 'Collection added successfully');
+            if (added) document.getElementById('addForm').reset();
         });
 
-        // Load server info
-        async function loadServerInfo() {
-            try {
-                const response = await fetch('/api/servers');
-                const data = await response.json();
-                
-                const serverInfo = document.getElementById('serverInfo');
-                if (data.success) {
-                    if (data.totalServers === 0) {
-                        serverInfo.innerHTML = '<p><strong>Bot Status:</strong> Not connected to any servers yet. Use the invite link above to add the bot to your Discord server.</p>';
-                    } else {
-                        const serverList = data.servers.map(server => 
-                            `<div style="margin: 5px 0;">
-                                <strong>${server.guildName}</strong> 
-                                <span style="color: ${server.enabled ? 'green' : 'red'};">
-                                    ${server.enabled ? '✅ Active' : '❌ Disabled'}
-                                </span>
-                            </div>`
-                        ).join('');
-                        serverInfo.innerHTML = `<p><strong>Connected Servers (${data.totalServers}):</strong></p>${serverList}`;
-                    }
-                } else {
-                    serverInfo.innerHTML = '<p>Unable to load server information.</p>';
-                }
-            } catch (error) {
-                document.getElementById('serverInfo').innerHTML = '<p>Error loading server information.</p>';
-            }
-        }
+        document.getElementById('filterForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const value = id => document.getElementById(id).value.trim() || null;
+            const saved = await runAction('PUT', '/api/guilds/' + currentGuildId + '/filters/' + document.getElementById('filterCollection').value, {
+                minPrice: value('minPrice'),
+                maxPrice: value('maxPrice'),
+                maxRank: value('maxRank'),
+                marketplaces: value('marketplaces'),
+                paymentTokens: value('paymentTokens'),
+                events: value('events')
+            }, 'Filter saved');
+            if (saved) document.getElementById('filterForm').reset();
+        });
 
-        // Load collections and server info on page load
-        loadCollections();
-        loadServerInfo();
-        
-        // Refresh server info every 30 seconds
-        setInterval(loadServerInfo, 30000);
+        loadMe();
     </script>
 </body>
 </html>
-    `);
-});
-
-// API Routes
-app.get('/api/collections', (req, res) => {
-    const data = loadCollections();
-    res.json(data);
-});
-
-app.get('/api/servers', (req, res) => {
-    try {
-        const storage = require('./utils/storage');
-        const servers = storage.getAllServerConfigs();
-        res.json({ 
-            success: true, 
-            servers: servers,
-            totalServers: servers.length 
-        });
-    } catch (error) {
-        res.json({ success: false, message: 'Error loading server information' });
-    }
-});
+`;
 
-app.post('/api/collections', (req, res) => {
-    const { tokenId, name } = req.body;
-    
-    if (!tokenId || !name) {
-        return res.json({ success: false, message: 'Token ID and name are required' });
-    }
-    
-    if (!tokenId.match(/^0\.0\.\d+$/)) {
-        return res.json({ success: false, message: 'Invalid token ID format. Use: 0.0.123456' });
-    }
-    
-    const data = loadCollections();
-    
-    // Check if collection already exists
-    if (data.collections.some(c => c.tokenId === tokenId)) {
-        return res.json({ success: false, message: 'Collection already exists' });
-    }
-    
-    data.collections.push({
-        tokenId,
-        name,
-        enabled: true,
-        addedDate: new Date().toISOString()
+async function startDashboard() {
+    await storage.init();
+    app.listen(config.DASHBOARD_PORT, '0.0.0.0', () => {
+        console.log(`Dashboard running at ${config.DASHBOARD_URL}`);
+        if (!discordApi.isConfigured()) {
+            console.log('⚠️ DISCORD_CLIENT_ID / DISCORD_CLIENT_SECRET not set - dashboard login is disabled');
+        }
     });
-    
-    if (saveCollections(data)) {
-        res.json({ success: true });
-    } else {
-        res.json({ success: false, message: 'Error saving collection' });
-    }
-});
-
-app.post('/api/collections/:index/toggle', (req, res) => {
-    const index = parseInt(req.params.index);
-    const data = loadCollections();
-    
-    if (index >= 0 && index < data.collections.length) {
-        data.collections[index].enabled = !data.collections[index].enabled;
-        
-        if (saveCollections(data)) {
-            res.json({ success: true });
-        } else {
-            res.json({ success: false, message: 'Error updating collection' });
-        }
-    } else {
-        res.json({ success: false, message: 'Collection not found' });
-    }
-});
-
-app.delete('/api/collections/:index', (req, res) => {
-    const index = parseInt(req.params.index);
-    const data = loadCollections();
-    
-    if (index >= 0 && index < data.collections.length) {
-        data.collections.splice(index, 1);
-        
-        if (saveCollections(data)) {
-            res.json({ success: true });
-        } else {
-            res.json({ success: false, message: 'Error deleting collection' });
-        }
-    } else {
-        res.json({ success: false, message: 'Collection not found' });
-    }
-});
+}
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Collection manager running at http://localhost:${PORT}`);
-});
+if (require.main === module) {
+    startDashboard().catch(error => {
+        console.error('Failed to start dashboard:', error);
+        process.exit(1);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.startDashboard = startDashboard;